@@ -1,11 +1,18 @@
 import * as cpu0reg from './cpu0reg.js';
 import { OS_TV_PAL } from './system_constants.js';
+import { getCICType } from './cic_types.js';
 
 export function simulateBoot(cpu0, hardware, rominfo) {
   // Create a view of IMEM so we can initialise it.
   // TODO: should cache this somewhere.
   const imem = hardware.sp_mem.subRegion(0x1000, 0x1000);
 
+  // PAL CICs leave the same state as their NTSC counterparts.
+  const cic = getCICType(rominfo.cic);
+
+  // The PIF writes the CIC seed to PIF RAM, where IPL3 reads it from.
+  hardware.pif_mem.set32(0x7e4, cic.seed);
+
   cpu0.setControlU64(cpu0reg.controlStatus, 0x00000000_34000000n);
   cpu0.setControlU64(cpu0reg.controlConfig, 0x00000000_7006e463n);
   cpu0.setControlU64(cpu0reg.controlCount, 0x00000000_00005000n);
@@ -37,7 +44,7 @@ export function simulateBoot(cpu0, hardware, rominfo) {
   cpu0.setRegU64(19, zero);
   cpu0.setRegU64(20, BigInt(rominfo.tvType));
   cpu0.setRegU64(21, zero);
-  // 22
+  cpu0.setRegU64(22, BigInt((cic.seed >> 8) & 0xff));
   cpu0.setRegU64(23, 0x00000000_00000006n);
   cpu0.setRegU64(24, zero);
   cpu0.setRegU64(25, 0xffffffff_d73f2993n);
@@ -49,7 +56,7 @@ export function simulateBoot(cpu0, hardware, rominfo) {
   cpu0.setRegU64(31, 0xffffffff_a4001554n);
 
   if (rominfo.tvType == OS_TV_PAL) {
-    switch (rominfo.cic) {
+    switch (cic.ipl3) {
       case '6102':
         cpu0.setRegU64(5, 0xffffffff_c0f1d859n);
         cpu0.setRegU64(14, 0x00000000_2de108ean);
@@ -78,7 +85,7 @@ export function simulateBoot(cpu0, hardware, rominfo) {
     cpu0.setRegU64(23, 0x00000000_00000006n);
     cpu0.setRegU64(31, 0xffffffff_a4001554n);
   } else {
-    switch (rominfo.cic) {
+    switch (cic.ipl3) {
       case '6102':
         cpu0.setRegU64(5, 0xffffffff_c95973d5n);
         cpu0.setRegU64(14, 0x00000000_2449a366n);
@@ -104,10 +111,7 @@ export function simulateBoot(cpu0, hardware, rominfo) {
     cpu0.setRegU64(31, 0xffffffff_a4001550n);
   }
 
-  switch (rominfo.cic) {
-    case '6101':
-      cpu0.setRegU64(22, 0x00000000_0000003fn);
-      break;
+  switch (cic.ipl3) {
     case '6102':
       cpu0.setRegU64(1, 0x00000000_00000001n);
       cpu0.setRegU64(2, 0x00000000_0ebda536n);
@@ -116,7 +120,6 @@ export function simulateBoot(cpu0, hardware, rominfo) {
       cpu0.setRegU64(12, 0xffffffff_ed10d0b3n);
       cpu0.setRegU64(13, 0x00000000_1402a4ccn);
       cpu0.setRegU64(15, 0x00000000_3103e121n);
-      cpu0.setRegU64(22, 0x00000000_0000003fn);
       cpu0.setRegU64(25, 0xffffffff_9debb54fn);
       break;
     case '6103':
@@ -127,7 +130,6 @@ export function simulateBoot(cpu0, hardware, rominfo) {
       cpu0.setRegU64(12, 0xffffffff_ce9dfbf7n);
       cpu0.setRegU64(13, 0xffffffff_ce9dfbf7n);
       cpu0.setRegU64(15, 0x00000000_18b63d28n);
-      cpu0.setRegU64(22, 0x00000000_00000078n);
       cpu0.setRegU64(25, 0xffffffff_825b21c9n);
       break;
     case '6105':
@@ -150,7 +152,6 @@ export function simulateBoot(cpu0, hardware, rominfo) {
       cpu0.setRegU64(12, 0xffffffff_9651f81en);
       cpu0.setRegU64(13, 0x00000000_2d42aac5n);
       cpu0.setRegU64(15, 0x00000000_56584d60n);
-      cpu0.setRegU64(22, 0x00000000_00000091n);
       cpu0.setRegU64(25, 0xffffffff_cdce565fn);
       break;
     case '6106':
@@ -161,7 +162,6 @@ export function simulateBoot(cpu0, hardware, rominfo) {
       cpu0.setRegU64(12, 0xffffffff_bcb59510n);
       cpu0.setRegU64(13, 0xffffffff_bcb59510n);
       cpu0.setRegU64(15, 0x00000000_7a3c07f4n);
-      cpu0.setRegU64(22, 0x00000000_00000085n);
       cpu0.setRegU64(25, 0x00000000_465e3f72n);
       break;
     default:
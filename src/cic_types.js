@@ -0,0 +1,114 @@
+/**
+ * Information about the CIC lockout chips used by N64 cartridges.
+ *
+ * The CIC provides a seed which the IPL3 boot code (stored in the first 4KB of
+ * the rom) uses to verify the rest of the rom. Each CIC is paired with a
+ * specific IPL3, so we identify the CIC by hashing the IPL3.
+ */
+
+import { crc32 } from './crc32.js';
+import { toString32 } from './format.js';
+import * as logger from './logger.js';
+
+const kIPL3Begin = 0x40;
+const kIPL3End = 0x1000;
+
+/**
+ * @typedef {Object} CICType
+ * @property {string} name The name of the CIC, e.g. '6102'.
+ * @property {string} ipl3 The NTSC CIC whose IPL3 boot state this CIC uses.
+ * @property {number} seed The value the PIF writes to PIF RAM 0x24 at boot.
+ *     Bits 8-15 are the IPL3 seed and bit 18 the version flag.
+ * @property {boolean} challenge Whether the CIC supports challenge/response.
+ */
+
+function makeCIC(name, ipl3, seed, challenge) {
+  return { name, ipl3, seed, challenge };
+}
+
+/**
+ * All the known CIC types, keyed by name.
+ * PAL (7xxx) chips use the same seeds as their NTSC counterparts.
+ * @type {!Map<string, !CICType>}
+ */
+export const cicTypes = new Map([
+  ['6101', makeCIC('6101', '6101', 0x00043f3f, false)],
+  ['6102', makeCIC('6102', '6102', 0x00003f3f, false)],
+  ['6103', makeCIC('6103', '6103', 0x0000783f, false)],
+  ['6105', makeCIC('6105', '6105', 0x0000913f, true)],
+  ['6106', makeCIC('6106', '6106', 0x0000853f, false)],
+  ['7101', makeCIC('7101', '6102', 0x00003f3f, false)],
+  ['7102', makeCIC('7102', '6101', 0x00043f3f, false)],
+  ['7103', makeCIC('7103', '6103', 0x0000783f, false)],
+  ['7105', makeCIC('7105', '6105', 0x0000913f, true)],
+  ['7106', makeCIC('7106', '6106', 0x0000853f, false)],
+  // 64DD IPL.
+  ['8303', makeCIC('8303', '8303', 0x0000dd00, false)],
+  // The iQue Player has no CIC - its secure kernel performs the boot, using
+  // the same seeds as the equivalent retail CICs. These can't be distinguished
+  // by IPL3 so they must be selected via the rom database.
+  ['iQue-6102', makeCIC('iQue-6102', '6102', 0x00003f3f, false)],
+  ['iQue-6103', makeCIC('iQue-6103', '6103', 0x0000783f, false)],
+  ['iQue-6105', makeCIC('iQue-6105', '6105', 0x0000913f, false)],
+  ['iQue-6106', makeCIC('iQue-6106', '6106', 0x0000853f, false)],
+]);
+
+// The CRC-32 of each known IPL3.
+const ipl3Hashes = new Map([
+  [0x6170a4a1, '6101'],
+  [0x009e9ea3, '7102'],
+  [0x90bb6cb5, '6102'],
+  [0x0b050ee0, '6103'],
+  [0x98bc2c86, '6105'],
+  [0xacc8580a, '6106'],
+  [0x0e018159, '8303'],
+]);
+
+// Byte sums of known IPL3s, used by earlier versions of n64js.
+// Kept as a fallback for IPL3s which have been patched.
+const ipl3Sums = new Map([
+  [0x33a27, '6101'],
+  [0x3421e, '6101'],
+  [0x34044, '6102'],
+  [0x357d0, '6103'],
+  [0x47a81, '6105'],
+  [0x371cc, '6106'],
+  [0x343c9, '6106'],
+]);
+
+// Homebrew with a custom IPL3 is almost always paired with a 6102.
+const kDefaultCIC = '6102';
+
+/**
+ * Returns the CIC type with the given name, defaulting to 6102 if it's unknown.
+ * @param {string} name
+ * @returns {!CICType}
+ */
+export function getCICType(name) {
+  return cicTypes.get(name) || cicTypes.get(kDefaultCIC);
+}
+
+/**
+ * Identifies the CIC used by a rom from its IPL3.
+ * @param {!Uint8Array} u8 The rom, in big-endian byte order.
+ * @returns {string} The name of the CIC.
+ */
+export function identifyCIC(u8) {
+  const hash = crc32(u8, kIPL3Begin, kIPL3End);
+  const byHash = ipl3Hashes.get(hash);
+  if (byHash) {
+    return byHash;
+  }
+
+  let sum = 0;
+  for (let i = kIPL3Begin; i < kIPL3End; i++) {
+    sum += u8[i];
+  }
+  const bySum = ipl3Sums.get(sum);
+  if (bySum) {
+    return bySum;
+  }
+
+  logger.log(`Unknown IPL3 (crc ${toString32(hash)}), assuming CIC ${kDefaultCIC}`);
+  return kDefaultCIC;
+}
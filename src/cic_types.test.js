@@ -0,0 +1,31 @@
+import { getCICType, identifyCIC } from "./cic_types.js";
+
+const assert = require('chai').assert;
+
+describe('CIC types', () => {
+  it('should fall back to 6102 for unknown IPL3s', () => {
+    const rom = new Uint8Array(0x1000);
+    rom.fill(0x5a, 0x40);
+    assert.equal(identifyCIC(rom), '6102');
+  });
+
+  it('should identify CICs from the legacy byte sum', () => {
+    // 0x34044 is the byte sum of the 6102 IPL3.
+    const rom = new Uint8Array(0x1000);
+    let sum = 0x34044;
+    for (let i = 0x40; sum > 0; i++) {
+      rom[i] = Math.min(sum, 0xff);
+      sum -= rom[i];
+    }
+    assert.equal(identifyCIC(rom), '6102');
+  });
+
+  it('should map PAL CICs to their NTSC boot state', () => {
+    assert.equal(getCICType('7101').ipl3, '6102');
+    assert.equal(getCICType('7102').ipl3, '6101');
+    assert.equal(getCICType('7105').seed, getCICType('6105').seed);
+    assert.isTrue(getCICType('7105').challenge);
+    assert.isFalse(getCICType('iQue-6105').challenge);
+    assert.equal(getCICType('8303').seed, 0x0000dd00);
+  });
+});
@@ -347,6 +347,16 @@ export class CPU1 {
     this.fullMode = true;
   }
 
+  saveState(w) {
+    w.writeArray(this.control);
+    w.writeArray(this.regU64);
+  }
+
+  loadState(r) {
+    r.readArrayInto(this.control);
+    r.readArrayInto(this.regU64);
+  }
+
   /**
    * Set the register mode (full or half width).
    * @param {boolean} value
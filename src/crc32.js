@@ -0,0 +1,26 @@
+const crcTable = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Computes the CRC-32 of a range of bytes (as used by PNG, zip, etc).
+ * @param {!Uint8Array} u8
+ * @param {number} begin
+ * @param {number} end
+ * @returns {number}
+ */
+export function crc32(u8, begin = 0, end = u8.length) {
+  let c = 0xffffffff;
+  for (let i = begin; i < end; i++) {
+    c = crcTable[(c ^ u8[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
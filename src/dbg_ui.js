@@ -1,6 +1,23 @@
 import GUI from 'lil-gui';
 
-export const dbgGUI = new GUI();
+/**
+ * A stand-in for lil-gui's GUI when there is no DOM (e.g. when running headless).
+ * It accepts the same calls as GUI and its controllers but displays nothing.
+ */
+class HeadlessGUI {
+  add() { return this; }
+  addFolder() { return this; }
+  title() { return this; }
+  name() { return this; }
+  min() { return this; }
+  max() { return this; }
+  step() { return this; }
+  onChange() { return this; }
+  show() { return this; }
+  hide() { return this; }
+}
+
+export const dbgGUI = typeof document !== 'undefined' ? new GUI() : new HeadlessGUI();
 dbgGUI.title('Options');
 
 dbgGUI.hide();
@@ -19,4 +36,4 @@ export function setVisible(value) {
   } else {
     hide();
   }
-}
\ No newline at end of file
+}
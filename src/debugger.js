@@ -87,6 +87,16 @@ export class Debugger {
       logger.clear();
     });
 
+    // Show text printed by the rom (via IS-Viewer or flashcart USB) in the console tab.
+    const consoleOutput = document.getElementById('console-output');
+    n64js.hardware().romD1A2Device.addDebugOutputListener((text) => {
+      consoleOutput.append(text);
+      consoleOutput.scrollTop = consoleOutput.scrollHeight;
+    });
+    document.getElementById('console-clear').addEventListener('click', () => {
+      consoleOutput.textContent = '';
+    });
+
     const that = this;
 
     $('#cpu-speed').change(function () {
@@ -47,7 +47,9 @@ function clampSampleRate(r) {
 export class AIRegDevice extends Device {
   constructor(hardware, rangeStart, rangeEnd) {
     super("AIReg", hardware, hardware.ai_reg, rangeStart, rangeEnd);
-    this.audioContext = new window.AudioContext();
+    // No audio is output if there is no AudioContext (e.g. when running headless).
+    // DMA timing and interrupts are still emulated.
+    this.audioContext = window.AudioContext ? new window.AudioContext() : null;
 
     // Writes to the address register are latched until a subsequent write to the length reg.
     this.pendingAddress = 0;
@@ -190,6 +192,16 @@ export class AIRegDevice extends Device {
     const length = this.dmaLengths[0];
     const duration = this.dmaDurations[0];
 
+    // An AI interrupt is triggered as soon as playback starts.
+    this.raiseAI();
+    this.addAIDMAEvent(duration);
+
+    if (this.audioContext) {
+      this.queueSamples(address, length);
+    }
+  }
+
+  queueSamples(address, length) {
     const numSamples = length / 4;
 
     const lSamples = new Float32Array(numSamples);
@@ -225,13 +237,12 @@ export class AIRegDevice extends Device {
       this.time = currentTime;
     }
     this.time += ab.duration;
-
-    // An AI interrupt is triggered as soon as playback starts.
-    this.raiseAI();
-    this.addAIDMAEvent(duration);
   }
 
   shouldSkipFrame() {
+    if (!this.audioContext) {
+      return false;
+    }
     const timeDiff = this.time - this.audioContext.currentTime;
     return timeDiff > kMaxAudioLead;
   }
@@ -265,6 +276,42 @@ export class AIRegDevice extends Device {
     this.popDMA();
   }
 
+  saveState(w) {
+    w.writeU32(this.pendingAddress);
+    w.writeArray(this.dmaAddresses);
+    w.writeArray(this.dmaLengths);
+    w.writeArray(this.dmaDurations);
+    w.writeU32(this.dmaCount);
+    w.writeBool(this.dmaEnable);
+    w.writeU32(this.dacRate);
+    w.writeU32(this.bitRate);
+    w.writeU32(this.frequency);
+  }
+
+  loadState(r) {
+    this.pendingAddress = r.readU32();
+    r.readArrayInto(this.dmaAddresses);
+    r.readArrayInto(this.dmaLengths);
+    r.readArrayInto(this.dmaDurations);
+    this.dmaCount = r.readU32();
+    this.dmaEnable = r.readBool();
+    this.dacRate = r.readU32();
+    this.bitRate = r.readU32();
+    this.precision = this.bitRate + 1;
+    this.frequency = r.readU32();
+
+    // Restart playback timing from the current host time.
+    this.time = this.audioContext ? this.audioContext.currentTime : 0;
+  }
+
+  restoreEvent(type, cycles) {
+    if (type != kAIDMAEvent) {
+      return false;
+    }
+    this.addAIDMAEvent(cycles);
+    return true;
+  }
+
   raiseAI() {
     this.hardware.mi_reg.setBits32(mi.MI_INTR_REG, mi.MI_INTR_AI);
     n64js.cpu0.updateCause3();
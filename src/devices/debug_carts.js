@@ -0,0 +1,411 @@
+/*global n64js*/
+
+/**
+ * Emulation of the debug output channels provided by development hardware and
+ * flashcarts, so that osSyncPrintf (and libdragon/UNFLoader debug) output can
+ * be captured:
+ *  - IS-Viewer: a 64KB buffer at the end of cart space.
+ *  - 64drive: USB writes via the CI registers.
+ *  - EverDrive-64 (X7/V3): USB writes via the EverDrive registers.
+ *
+ * Addresses passed to these classes are physical cart addresses.
+ */
+
+import * as logger from '../logger.js';
+import { MemoryRegion } from '../memory_region.js';
+import { toString32 } from '../format.js';
+
+// IS-Viewer layout. libultra treats the data area as a ring buffer and
+// updates the put offset. libdragon always writes from the start of the data
+// area and writes the length to the put offset.
+const kISViewerBase = 0x13ff0000;
+const kISViewerSize = 0x10000;
+const kISViewerGet = 0x04;
+const kISViewerPut = 0x14;
+const kISViewerData = 0x20;
+const kISViewerDataSize = kISViewerSize - kISViewerData;
+
+// 64drive CI registers.
+const k64DriveBase = 0x18000000;
+const k64DriveSize = 0x800;
+const k64DriveRegStatus = 0x200;
+const k64DriveRegMagic = 0x2ec;
+const k64DriveRegVariant = 0x2f0;
+const k64DriveRegUSBComStat = 0x400;
+const k64DriveRegUSBParam0 = 0x404;
+const k64DriveRegUSBParam1 = 0x408;
+const k64DriveMagic = 0x55444556; // 'UDEV'
+const k64DriveVariant = 0x00004100; // HW2 ('A')
+const k64DriveUSBCmdWrite = 0x08;
+
+// 64drive SDRAM used for USB transfers. UNFLoader and libdragon place their
+// buffer at the top of cart space, beyond the end of most roms.
+const k64DriveDebugBase = 0x13f00000;
+const k64DriveDebugSize = kISViewerBase - k64DriveDebugBase;
+
+// EverDrive-64 registers.
+const kEverDriveBase = 0x1f800000;
+const kEverDriveSize = 0x10000;
+const kEverDriveRegUSBCfg = 0x0004;
+const kEverDriveRegVersion = 0x0014;
+const kEverDriveRegUSBData = 0x0400;
+const kEverDriveUSBDataSize = 512;
+const kEverDriveRegKey = 0x8004;
+const kEverDriveVersion = 0xed640008; // X7
+const kEverDriveUSBModeMask = 0xfe00;
+const kEverDriveUSBModeWrite = 0xc200;
+
+// UNFLoader data types.
+const kUSBDataTypeText = 0x01;
+
+// UNFLoader frames EverDrive USB packets as 'DMA@', a type/size word, the
+// data and 'CMPH'.
+const kUSBPacketStart = 0x444d4140; // 'DMA@'
+const kUSBPacketEnd = 0x434d5048; // 'CMPH'
+const kUSBPacketHeaderSize = 8;
+const kUSBPacketFooterSize = 4;
+
+const textDecoder = new TextDecoder('latin1');
+
+function contains(base, size, address) {
+  return address >= base && address < base + size;
+}
+
+/**
+ * Accumulates text from the debug carts and passes complete lines on to the
+ * logger and any registered listeners.
+ */
+export class DebugOutput {
+  constructor() {
+    this.output = '';
+    // Functions to call with each chunk of flushed output.
+    this.listeners = [];
+  }
+
+  /**
+   * Registers a function to be called with debug output written by the rom.
+   * The function is passed one or more complete lines of text.
+   * @param {function(string)} fn
+   */
+  addListener(fn) {
+    this.listeners.push(fn);
+  }
+
+  /**
+   * Appends text, flushing any complete lines.
+   * @param {string} text
+   */
+  write(text) {
+    this.output += text;
+    const idx = this.output.lastIndexOf('\n');
+    if (idx >= 0) {
+      const lines = this.output.substring(0, idx + 1);
+      this.output = this.output.substring(idx + 1);
+      for (let line of lines.substring(0, lines.length - 1).split('\n')) {
+        logger.log(`[debug] ${line}`);
+      }
+      for (let fn of this.listeners) {
+        fn(lines);
+      }
+    }
+  }
+
+  /**
+   * Appends bytes from the provided array.
+   * @param {!Uint8Array} u8
+   */
+  writeBytes(u8) {
+    this.write(textDecoder.decode(u8));
+  }
+}
+
+export class ISViewer {
+  /**
+   * @param {!DebugOutput} output
+   */
+  constructor(output) {
+    this.output = output;
+    this.mem = new MemoryRegion(new ArrayBuffer(kISViewerSize));
+    // Set when the rom initialises the get offset, indicating it treats the
+    // data area as a ring buffer (as libultra does).
+    this.ringBuffer = false;
+  }
+
+  reset() {
+    this.mem.clear();
+    this.ringBuffer = false;
+  }
+
+  contains(address) { return contains(kISViewerBase, kISViewerSize, address); }
+
+  readU32(address) {
+    return this.mem.getU32((address - kISViewerBase) & ~3);
+  }
+
+  write32(address, value) {
+    const offset = (address - kISViewerBase) & ~3;
+    this.mem.set32(offset, value);
+    if (offset == kISViewerGet) {
+      this.ringBuffer = true;
+    } else if (offset == kISViewerPut) {
+      this.flush(value >>> 0);
+    }
+  }
+
+  dmaWrite(address, src, srcOffset, length) {
+    const offset = address - kISViewerBase;
+    length = Math.min(length, kISViewerSize - offset);
+    this.mem.copy(offset, src, srcOffset, length);
+  }
+
+  flush(put) {
+    if (!this.ringBuffer) {
+      if (put > kISViewerDataSize) {
+        logger.log(`IS-Viewer length too long (${put}), truncating`);
+        put = kISViewerDataSize;
+      }
+      this.output.writeBytes(this.mem.u8.subarray(kISViewerData, kISViewerData + put));
+      return;
+    }
+
+    let get = this.mem.getU32(kISViewerGet) % kISViewerDataSize;
+    put = put % kISViewerDataSize;
+    if (put < get) {
+      this.output.writeBytes(this.mem.u8.subarray(kISViewerData + get, kISViewerSize));
+      get = 0;
+    }
+    this.output.writeBytes(this.mem.u8.subarray(kISViewerData + get, kISViewerData + put));
+    // Mark the data as consumed.
+    this.mem.set32(kISViewerGet, put);
+  }
+
+  saveState(w) {
+    w.writeArray(this.mem.u8);
+    w.writeBool(this.ringBuffer);
+  }
+
+  loadState(r) {
+    r.readArrayInto(this.mem.u8);
+    this.ringBuffer = r.readBool();
+  }
+}
+
+export class Drive64 {
+  /**
+   * @param {!DebugOutput} output
+   * @param {!Hardware} hardware
+   */
+  constructor(output, hardware) {
+    this.output = output;
+    this.hardware = hardware;
+    this.usbParam0 = 0;
+    this.usbParam1 = 0;
+    // The region of SDRAM beyond the end of the rom used for USB transfers.
+    this.debugMem = new MemoryRegion(new ArrayBuffer(k64DriveDebugSize));
+  }
+
+  reset() {
+    this.usbParam0 = 0;
+    this.usbParam1 = 0;
+    this.debugMem.clear();
+  }
+
+  contains(address) { return contains(k64DriveBase, k64DriveSize, address); }
+
+  readU32(address) {
+    switch (address - k64DriveBase) {
+      case k64DriveRegStatus: return 0; // Idle.
+      case k64DriveRegMagic: return k64DriveMagic;
+      case k64DriveRegVariant: return k64DriveVariant;
+      case k64DriveRegUSBComStat: return 0; // Idle.
+      case k64DriveRegUSBParam0: return this.usbParam0;
+      case k64DriveRegUSBParam1: return this.usbParam1;
+    }
+    return 0;
+  }
+
+  write32(address, value) {
+    switch (address - k64DriveBase) {
+      case k64DriveRegUSBComStat:
+        this.usbCommand(value & 0xff);
+        break;
+      case k64DriveRegUSBParam0:
+        this.usbParam0 = value >>> 0;
+        break;
+      case k64DriveRegUSBParam1:
+        this.usbParam1 = value >>> 0;
+        break;
+    }
+  }
+
+  containsDebugMem(address) { return contains(k64DriveDebugBase, k64DriveDebugSize, address); }
+
+  dmaWrite(address, src, srcOffset, length) {
+    const offset = address - k64DriveDebugBase;
+    length = Math.min(length, k64DriveDebugSize - offset);
+    this.debugMem.copy(offset, src, srcOffset, length);
+  }
+
+  usbCommand(command) {
+    if (command != k64DriveUSBCmdWrite) {
+      return;
+    }
+    const address = 0x10000000 + ((this.usbParam0 << 1) >>> 0);
+    const type = this.usbParam1 >>> 24;
+    const length = this.usbParam1 & 0xffffff;
+    if (type != kUSBDataTypeText) {
+      logger.log(`64drive: ignoring USB write of type ${type} (${length} bytes)`);
+      return;
+    }
+
+    let u8;
+    if (this.containsDebugMem(address)) {
+      const offset = address - k64DriveDebugBase;
+      u8 = this.debugMem.u8.subarray(offset, offset + length);
+    } else {
+      const offset = address - 0x10000000;
+      u8 = this.hardware.rom.u8.subarray(offset, offset + length);
+    }
+    this.output.writeBytes(u8);
+  }
+
+  saveState(w) {
+    w.writeU32(this.usbParam0);
+    w.writeU32(this.usbParam1);
+    w.writeArray(this.debugMem.u8);
+  }
+
+  loadState(r) {
+    this.usbParam0 = r.readU32();
+    this.usbParam1 = r.readU32();
+    r.readArrayInto(this.debugMem.u8);
+  }
+}
+
+function getU32(u8, offset) {
+  return ((u8[offset] << 24) | (u8[offset + 1] << 16) | (u8[offset + 2] << 8) | u8[offset + 3]) >>> 0;
+}
+
+export class EverDrive {
+  /**
+   * @param {!DebugOutput} output
+   */
+  constructor(output) {
+    this.output = output;
+    this.usbData = new MemoryRegion(new ArrayBuffer(kEverDriveUSBDataSize));
+    // Bytes sent over USB which don't yet form a complete packet.
+    this.pending = new Uint8Array(0);
+  }
+
+  reset() {
+    this.usbData.clear();
+    this.pending = new Uint8Array(0);
+  }
+
+  contains(address) { return contains(kEverDriveBase, kEverDriveSize, address); }
+
+  containsUSBData(address) {
+    return contains(kEverDriveBase + kEverDriveRegUSBData, kEverDriveUSBDataSize, address);
+  }
+
+  readU32(address) {
+    if (this.containsUSBData(address)) {
+      return this.usbData.getU32((address - kEverDriveBase - kEverDriveRegUSBData) & ~3);
+    }
+    switch (address - kEverDriveBase) {
+      case kEverDriveRegUSBCfg: return 0; // Not busy.
+      case kEverDriveRegVersion: return kEverDriveVersion;
+    }
+    return 0;
+  }
+
+  write32(address, value) {
+    if (this.containsUSBData(address)) {
+      this.usbData.set32((address - kEverDriveBase - kEverDriveRegUSBData) & ~3, value);
+      return;
+    }
+    switch (address - kEverDriveBase) {
+      case kEverDriveRegUSBCfg:
+        if ((value & kEverDriveUSBModeMask) == kEverDriveUSBModeWrite) {
+          // The low bits hold the offset of the data, which runs to the end of the buffer.
+          const offset = value & (kEverDriveUSBDataSize - 1);
+          this.usbWrite(this.usbData.u8.subarray(offset));
+        }
+        break;
+      case kEverDriveRegKey:
+        // Unlocks the registers - they're always accessible here.
+        break;
+    }
+  }
+
+  /**
+   * Handles bytes sent over USB. UNFLoader packets are unwrapped and any
+   * unframed bytes are treated as text.
+   * @param {!Uint8Array} u8
+   */
+  usbWrite(u8) {
+    const data = new Uint8Array(this.pending.length + u8.length);
+    data.set(this.pending);
+    data.set(u8, this.pending.length);
+
+    let pos = 0;
+    while (pos < data.length) {
+      if (data.length - pos < 4) {
+        break;
+      }
+      if (getU32(data, pos) != kUSBPacketStart) {
+        // Unframed data - pass it through up to the start of the next packet.
+        let end = pos + 1;
+        while (end + 4 <= data.length && getU32(data, end) != kUSBPacketStart) {
+          end++;
+        }
+        if (end + 4 > data.length) {
+          end = data.length;
+        }
+        this.output.writeBytes(data.subarray(pos, end));
+        pos = end;
+        continue;
+      }
+
+      if (data.length - pos < kUSBPacketHeaderSize) {
+        break;
+      }
+      const header = getU32(data, pos + 4);
+      const type = header >>> 24;
+      const length = header & 0xffffff;
+      const dataStart = pos + kUSBPacketHeaderSize;
+      // The footer may be preceded by a byte of padding to keep transfers 16 bit aligned.
+      let footer = dataStart + length;
+      if (footer + kUSBPacketFooterSize <= data.length && getU32(data, footer) != kUSBPacketEnd) {
+        footer++;
+      }
+      if (footer + kUSBPacketFooterSize > data.length) {
+        break;
+      }
+      if (getU32(data, footer) != kUSBPacketEnd) {
+        n64js.warn(`EverDrive: malformed USB packet (${toString32(getU32(data, footer))})`);
+      }
+      if (type == kUSBDataTypeText) {
+        this.output.writeBytes(data.subarray(dataStart, dataStart + length));
+      } else {
+        logger.log(`EverDrive: ignoring USB write of type ${type} (${length} bytes)`);
+      }
+      pos = footer + kUSBPacketFooterSize;
+    }
+    this.pending = data.slice(pos);
+  }
+
+  dmaWrite(address, src, srcOffset, length) {
+    const offset = address - kEverDriveBase - kEverDriveRegUSBData;
+    length = Math.min(length, kEverDriveUSBDataSize - offset);
+    this.usbData.copy(offset, src, srcOffset, length);
+  }
+
+  saveState(w) {
+    w.writeArray(this.usbData.u8);
+  }
+
+  loadState(r) {
+    r.readArrayInto(this.usbData.u8);
+  }
+}
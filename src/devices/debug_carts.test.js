@@ -0,0 +1,51 @@
+import { DebugOutput, EverDrive, ISViewer } from "./debug_carts.js";
+import { MemoryRegion } from "../memory_region.js";
+
+const assert = require('chai').assert;
+
+function regionFromString(str) {
+  const region = new MemoryRegion(new ArrayBuffer(str.length));
+  for (let i = 0; i < str.length; i++) {
+    region.u8[i] = str.charCodeAt(i);
+  }
+  return region;
+}
+
+describe('Debug carts', () => {
+  let output;
+  let lines;
+  beforeEach(() => {
+    output = new DebugOutput();
+    lines = '';
+    output.addListener((text) => { lines += text; });
+  });
+
+  it('should print libdragon style IS-Viewer writes', () => {
+    const isv = new ISViewer(output);
+    isv.dmaWrite(0x13ff0020, regionFromString('hello\n'), 0, 6);
+    isv.write32(0x13ff0014, 6);
+    isv.dmaWrite(0x13ff0020, regionFromString('bye\n'), 0, 4);
+    isv.write32(0x13ff0014, 4);
+    assert.equal(lines, 'hello\nbye\n');
+  });
+
+  it('should print libultra style IS-Viewer writes', () => {
+    const isv = new ISViewer(output);
+    isv.write32(0x13ff0014, 0);
+    isv.write32(0x13ff0004, 0);
+    isv.write32(0x13ff0020, 0x61626364); // 'abcd'
+    isv.write32(0x13ff0024, 0x0a000000); // '\n'
+    isv.write32(0x13ff0014, 5);
+    assert.equal(lines, 'abcd\n');
+    assert.equal(isv.readU32(0x13ff0004), 5);
+  });
+
+  it('should unwrap EverDrive USB packets', () => {
+    const ed = new EverDrive(output);
+    const packet = 'DMA@\x01\x00\x00\x06' + 'hello\n' + 'CMPH';
+    const offset = 512 - packet.length;
+    ed.dmaWrite(0x1f800400 + offset, regionFromString(packet), 0, packet.length);
+    ed.write32(0x1f800004, 0xc200 | offset);
+    assert.equal(lines, 'hello\n');
+  });
+});
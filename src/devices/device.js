@@ -37,6 +37,26 @@ export class Device {
    */
   reset() {}
 
+  /**
+   * Writes any state not held in the backing memory region to a save state.
+   * @param {StateWriter} w
+   */
+  saveState(w) {}
+
+  /**
+   * Restores state written by saveState.
+   * @param {StateReader} r
+   */
+  loadState(r) {}
+
+  /**
+   * Recreates an event owned by this device when restoring a save state.
+   * @param {string} type The event type.
+   * @param {number} cycles The number of cycles until the event fires.
+   * @return {boolean} True if the event was handled by this device.
+   */
+  restoreEvent(type, cycles) { return false; }
+
   /**
    * Calculate the relative offset of the address for this device.
    * The default implementation calculates the offset from the rangeStart, but
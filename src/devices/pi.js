@@ -4,6 +4,7 @@ import { Device } from './device.js';
 import * as mi from './mi.js';
 import * as logger from '../logger.js';
 import { toString32 } from '../format.js';
+import { getCICType } from '../cic_types.js';
 
 // Peripheral Interface
 export const PI_DRAM_ADDR_REG = 0x00;
@@ -48,6 +49,35 @@ export function isDom1Addr3(address) { return address >= PI_DOM1_ADDR3 && addres
 
 function isFlashDomAddr(address) { return address >= PI_DOM2_ADDR2 && address <= PI_DOM2_ADDR2_END; }
 
+// Banked SRAM (768 kbit and 1 Mbit) selects a 32KB bank with address bits 18-19.
+const kSRAMBankShift = 18;
+const kSRAMBankSize = 0x8000;
+const PI_DOM2_ADDR2_BANKED_END = 0x080fffff;
+
+function isBankedSRAM(saveType) { return saveType === 'SRAM768k' || saveType === 'SRAM1024k'; }
+
+function isSaveDomAddr(address, saveType) {
+  if (isBankedSRAM(saveType)) {
+    return address >= PI_DOM2_ADDR2 && address <= PI_DOM2_ADDR2_BANKED_END;
+  }
+  return isFlashDomAddr(address);
+}
+
+/**
+ * Returns the offset into save memory for a dom2addr2 address.
+ * @param {number} address
+ * @param {string} saveType
+ * @returns {number}
+ */
+function saveDomOffset(address, saveType) {
+  const offset = address - PI_DOM2_ADDR2;
+  if (isBankedSRAM(saveType)) {
+    const bank = (offset >>> kSRAMBankShift) & 3;
+    return bank * kSRAMBankSize + (offset & (kSRAMBankSize - 1));
+  }
+  return offset;
+}
+
 const kPIInterrupt = 'PI Interrupt';
 
 export class PIRegDevice extends Device {
@@ -62,7 +92,7 @@ export class PIRegDevice extends Device {
 
   setMemorySize() {
     if (!this.haveSetMemorySize) {
-      const addr = (this.hardware.rominfo.cic === '6105') ? 0x800003F0 : 0x80000318;
+      const addr = (getCICType(this.hardware.rominfo.cic).ipl3 === '6105') ? 0x800003F0 : 0x80000318;
       this.hardware.ram.set32(addr - 0x80000000, 8 * 1024 * 1024);
       logger.log('Setting memory size');
       this.haveSetMemorySize = true;
@@ -173,11 +203,13 @@ export class PIRegDevice extends Device {
     }
 
     if (isDom2Addr2(cartAddr)) {
-      if (isFlashDomAddr(cartAddr)) {
+      if (isSaveDomAddr(cartAddr, this.hardware.saveType)) {
         switch (this.hardware.saveType) {
           case 'SRAM':
+          case 'SRAM768k':
+          case 'SRAM1024k':
             dst = this.hardware.saveMem;
-            dstOffset = cartAddr - PI_DOM2_ADDR2;
+            dstOffset = saveDomOffset(cartAddr, this.hardware.saveType);
             this.hardware.saveDirty = true;
             break;
           case 'FlashRam':
@@ -194,6 +226,9 @@ export class PIRegDevice extends Device {
       } else {
         n64js.halt(`PI: unknown dom2addr2 address for ram->cart DMA: ${toString32(cartAddr)}`);
       }
+    } else if (isDom1Addr2(cartAddr)) {
+      // Flashcarts accept writes to cart space for debug output.
+      this.hardware.romD1A2Device.dmaWrite(cartAddr, this.hardware.ram, dramAddr, transferLen);
     } else {
       n64js.halt(`PI: unknown cart address for ram->cart DMA: ${toString32(cartAddr)}`);
     }
@@ -242,10 +277,12 @@ export class PIRegDevice extends Device {
     } else if (isDom2Addr1(cartAddr)) {
       n64js.halt('PI: dom2addr1 transfer is unhandled (save)');
     } else if (isDom2Addr2(cartAddr)) {
-      if (isFlashDomAddr(cartAddr)) {
-        srcOffset = cartAddr - PI_DOM2_ADDR2;
+      if (isSaveDomAddr(cartAddr, this.hardware.saveType)) {
+        srcOffset = saveDomOffset(cartAddr, this.hardware.saveType);
         switch (this.hardware.saveType) {
           case 'SRAM':
+          case 'SRAM768k':
+          case 'SRAM1024k':
             src = this.hardware.saveMem;
             break;
           case 'FlashRam':
@@ -300,6 +337,22 @@ export class PIRegDevice extends Device {
     });
   }
 
+  saveState(w) {
+    w.writeBool(this.haveSetMemorySize);
+  }
+
+  loadState(r) {
+    this.haveSetMemorySize = r.readBool();
+  }
+
+  restoreEvent(type, cycles) {
+    if (type != kPIInterrupt) {
+      return false;
+    }
+    this.addPIInterrupt(cycles);
+    return true;
+  }
+
   dmaComplete() {
     this.mem.clearBits32(PI_STATUS_REG, PI_STATUS_DMA_BUSY);
     this.mem.setBits32(PI_STATUS_REG, PI_STATUS_INTERRUPT);
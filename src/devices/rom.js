@@ -4,11 +4,7 @@ import { Device } from './device.js';
 import { toString32, toString16, toString8 } from '../format.js';
 import * as logger from '../logger.js';
 import { MemoryRegion } from '../memory_region.js';
-
-const dbgOutWriteLen = 0xb3ff0014
-const dbgOutBufStart = 0xb3ff0020;
-const dbgOutBufLen = 512;
-const dbgOutBufEnd = dbgOutBufStart + dbgOutBufLen;
+import { DebugOutput, Drive64, EverDrive, ISViewer } from './debug_carts.js';
 
 // Flash control command IDs.
 const kFlashramCmdSetEraseOffset = 0x4b;
@@ -54,14 +50,60 @@ export class ROMD1A2Device extends Device {
         this.lastWrite = 0;
         this.hasLastWrite = false;
 
-        // A buffer for storing debug output, mapped to dbgOutBufStart.
-        // This is flushed on writes to dbgOutWriteLen.
-        this.debugBuffer = new ArrayBuffer(dbgOutBufLen);
-        this.debugBufferU32 = new Uint32Array(this.debugBuffer);
-        this.debugBufferU8 = new Uint8Array(this.debugBuffer);
-        // The accumulated debug output.
-        // Complete lines (upto and including a newline) are flushed to the debug console.
-        this.output = ''
+        // Debug output written via the IS-Viewer or flashcart USB registers.
+        this.debugOutput = new DebugOutput();
+        this.isViewer = new ISViewer(this.debugOutput);
+        this.drive64 = new Drive64(this.debugOutput, hardware);
+        this.everDrive = new EverDrive(this.debugOutput);
+        this.debugCarts = [this.isViewer, this.drive64, this.everDrive];
+    }
+
+    /**
+     * Registers a function to be called with debug output written by the rom.
+     * The function is passed one or more complete lines of text.
+     * @param {function(string)} fn
+     */
+    addDebugOutputListener(fn) {
+        this.debugOutput.addListener(fn);
+    }
+
+    reset() {
+        for (let cart of this.debugCarts) {
+            cart.reset();
+        }
+    }
+
+    /**
+     * Returns the debug cart which handles the physical address, if any.
+     * @param {number} physAddress
+     * @returns {?Object}
+     */
+    debugCartFor(physAddress) {
+        for (let cart of this.debugCarts) {
+            if (cart.contains(physAddress)) {
+                return cart;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Handles a PI DMA from RDRAM to cart space (e.g. to flashcart buffers or SDRAM).
+     * @param {number} cartAddr The physical cart address.
+     * @param {!MemoryRegion} src
+     * @param {number} srcOffset
+     * @param {number} length
+     */
+    dmaWrite(cartAddr, src, srcOffset, length) {
+        if (this.isViewer.contains(cartAddr)) {
+            this.isViewer.dmaWrite(cartAddr, src, srcOffset, length);
+        } else if (this.drive64.containsDebugMem(cartAddr)) {
+            this.drive64.dmaWrite(cartAddr, src, srcOffset, length);
+        } else if (this.everDrive.containsUSBData(cartAddr)) {
+            this.everDrive.dmaWrite(cartAddr, src, srcOffset, length);
+        } else {
+            n64js.warn(`PI: ignoring ram->cart DMA to rom: ${toString32(cartAddr)}`);
+        }
     }
 
     // LH and LB are broken -every other 16 bit word is unreachable.
@@ -77,11 +119,10 @@ export class ROMD1A2Device extends Device {
     }
 
     write32(address, value) {
-        if (address == dbgOutWriteLen) {
-            return this.writeDebugBufferLen(value);
-        }
-        if (address >= dbgOutBufStart && address < dbgOutBufEnd) {
-            return this.writeDebugBuffer32(address - dbgOutBufStart, value);
+        const cart = this.debugCartFor(address & 0x1fffffff);
+        if (cart) {
+            cart.write32(address & 0x1fffffff, value);
+            return;
         }
 
         this.cacheLastWrite(value >>> 0);
@@ -97,6 +138,10 @@ export class ROMD1A2Device extends Device {
     }
 
     readU32(address) {
+        const cart = this.debugCartFor(address & 0x1fffffff);
+        if (cart) {
+            return cart.readU32(address & 0x1fffffff) >>> 0;
+        }
         if (this.hasLastWrite) {
             return this.consumeLastWrite() >>> 0;
         }
@@ -129,27 +174,19 @@ export class ROMD1A2Device extends Device {
         return this.lastWrite;
     }
 
-    writeDebugBufferLen(value) {
-        if (value > dbgOutBufLen) {
-            console.log(`debug buffer value too long (${value}), truncating`);
-            value = dbgOutBufLen;
-        }
-        for (let i = 0; i < value; i++) {
-            this.output += String.fromCharCode(this.debugBufferU8[i ^ 0x3]);
+    saveState(w) {
+        w.writeU32(this.lastWrite);
+        w.writeBool(this.hasLastWrite);
+        for (let cart of this.debugCarts) {
+            cart.saveState(w);
         }
-        this.flushDebugOutput();
     }
 
-    writeDebugBuffer32(address, value) {
-        const wordIdx = address >>> 2;
-        this.debugBufferU32[wordIdx] = value;
-    }
-
-    flushDebugOutput() {
-        const idx = this.output.lastIndexOf('\n');
-        if (idx >= 0) {
-            console.log(this.output.substring(0, idx + 1));
-            this.output = this.output.substring(idx + 1);
+    loadState(r) {
+        this.lastWrite = r.readU32();
+        this.hasLastWrite = r.readBool();
+        for (let cart of this.debugCarts) {
+            cart.loadState(r);
         }
     }
 }
@@ -201,6 +238,20 @@ export class ROMD2A2Device extends Device {
 
     hasFlashRam() { return this.hardware.saveType == 'FlashRam'; }
 
+    saveState(w) {
+        w.writeU32(this.flashMode);
+        w.writeArray(this.flashStatus.u8);
+        w.writeArray(this.flashBuffer.u8);
+        w.writeU32(this.flashOffset);
+    }
+
+    loadState(r) {
+        this.flashMode = r.readU32();
+        r.readArrayInto(this.flashStatus.u8);
+        r.readArrayInto(this.flashBuffer.u8);
+        this.flashOffset = r.readU32();
+    }
+
     readU32(address) {
         const ea = this.calcWriteEA(address);
         if (ea >= 0x88000) {
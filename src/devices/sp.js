@@ -454,6 +454,40 @@ export class SPRegDevice extends Device {
     return 16;
   }
 
+  saveState(w) {
+    w.writeU32(this.pendingSPMemAddr);
+    w.writeU32(this.pendingDRAMAddr);
+    w.writeU32(this.dmaQueue.length);
+    for (let dma of this.dmaQueue) {
+      w.writeBool(dma.isRead);
+      w.writeU32(dma.spMemAddr);
+      w.writeU32(dma.rdRamAddr);
+      w.writeU32(dma.len);
+    }
+  }
+
+  loadState(r) {
+    this.pendingSPMemAddr = r.readU32();
+    this.pendingDRAMAddr = r.readU32();
+    this.dmaQueue = [];
+    const count = r.readU32();
+    for (let i = 0; i < count; i++) {
+      const isRead = r.readBool();
+      const spMemAddr = r.readU32();
+      const rdRamAddr = r.readU32();
+      const len = r.readU32();
+      this.dmaQueue.push(new DMA(isRead, spMemAddr, rdRamAddr, len));
+    }
+  }
+
+  restoreEvent(type, cycles) {
+    if (type != kSPDMAEvent) {
+      return false;
+    }
+    this.addSPDMAEvent(cycles);
+    return true;
+  }
+
   addSPDMAEvent(cycles) {
     // SP DMA events are a bit too noisy to record.
     //const ev = n64js.hardware().timeline.startEvent(`SP DMA`);
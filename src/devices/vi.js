@@ -4,7 +4,7 @@ import { Device } from './device.js';
 import * as mi from './mi.js';
 import * as logger from '../logger.js';
 import { toString32 } from '../format.js';
-import { presentBackBuffer } from '../hle/hle_graphics.js';
+import { presentBackBuffer, syncFramebufferToRAM } from '../hle/hle_graphics.js';
 import { OS_TV_PAL, OS_TV_NTSC, OS_TV_MPAL } from '../system_constants.js';
 
 // Video Interface
@@ -62,6 +62,7 @@ export class VIRegDevice extends Device {
     this.refreshRate = 0;
     this.countPerScanline = 0;
     this.countPerVbl = 0;
+    this.vblCount = 0;
 
     this.reset();
   }
@@ -72,6 +73,7 @@ export class VIRegDevice extends Device {
     this.refreshRate = refreshRateForTVType(ntsc);
     this.countPerScanline = 0;
     this.countPerVbl = 0;
+    this.vblCount = 0;
 
     this.screenWidth = 640;
     this.screenHeight = ntsc ? 480 : 576;
@@ -134,6 +136,7 @@ export class VIRegDevice extends Device {
   verticalBlank() {
     this.hardware.verticalBlank();
 
+    this.vblCount++;
     this.field ^= (this.interlaced ? 1 : 0);
 
     // TODO: compensate for over/under cycles.
@@ -159,12 +162,32 @@ export class VIRegDevice extends Device {
     this.addInterruptEvent();
   }
 
-  addInterruptEvent() {
-    n64js.cpu0.addEvent(kVIInterrupt, this.countPerVbl, () => {
+  addInterruptEvent(cycles = this.countPerVbl) {
+    n64js.cpu0.addEvent(kVIInterrupt, cycles, () => {
       this.verticalBlank();
     });
   }
 
+  saveState(w) {
+    w.writeU32(this.field);
+    w.writeU32(this.countPerScanline);
+    w.writeU32(this.countPerVbl);
+  }
+
+  loadState(r) {
+    this.field = r.readU32();
+    this.countPerScanline = r.readU32();
+    this.countPerVbl = r.readU32();
+  }
+
+  restoreEvent(type, cycles) {
+    if (type != kVIInterrupt) {
+      return false;
+    }
+    this.addInterruptEvent(cycles);
+    return true;
+  }
+
   getVblCount() {
     const cycles = n64js.cpu0.getCyclesUntilEvent(kVIInterrupt);
     return cycles >= 0 ? cycles : 0;
@@ -328,6 +351,10 @@ export class VIRegDevice extends Device {
       return null;
     }
 
+    // Make sure anything rendered to the framebuffer has been copied to RDRAM.
+    const bytesPerPixel = this.is32BitMode ? 4 : 2;
+    syncFramebufferToRAM(dramAddr, dims.srcPitch * dims.srcHeight * bytesPerPixel);
+
     const ramDV = this.hardware.cachedMemDevice.mem.dataView;
     if (this.is32BitMode) {
       return dims.renderBackBuffer32(ramDV, dramAddr);
@@ -142,6 +142,20 @@ export class EventQueue {
   hasEvent(type) {
     return Boolean(this.getEvent(type));
   }
+
+  /**
+   * Returns the type and number of cycles until each queued event, in order.
+   * @returns {!Array<{type: string, cycles: number}>}
+   */
+  getEvents() {
+    const events = [];
+    let cycles = this.cyclesToFirstEvent;
+    for (let event = this.firstEvent; event; event = event.next) {
+      events.push({ type: event.type, cycles: cycles });
+      cycles += event.cyclesToNextEvent;
+    }
+    return events;
+  }
 }
 
 class SystemEvent {
@@ -91,4 +91,22 @@ describe('event_queue', () => {
       assert.equal(-1, eq.getCyclesUntilEvent(testEvent3));
     });
   });
+
+  describe('getEvents', () => {
+    it('should return events in order', () => {
+      eq.addEvent(testEvent2, 100, () => {});
+      eq.addEvent(testEvent1, 50, () => {});
+      eq.addEvent(testEvent3, 150, () => {});
+      eq.incrementCount(10);
+
+      assert.deepEqual([
+        { type: testEvent1, cycles: 40 },
+        { type: testEvent2, cycles: 90 },
+        { type: testEvent3, cycles: 140 },
+      ], eq.getEvents());
+    });
+    it('should return an empty list when there are no events', () => {
+      assert.deepEqual([], eq.getEvents());
+    });
+  });
 });
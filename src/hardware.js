@@ -19,6 +19,8 @@ import { MemoryMap } from './memmap.js';
 import { MemoryRegion } from './memory_region.js';
 import { CPU0, CPU2 } from './r4300.js';
 import { RSP } from './rsp.js';
+import { RealTimeClock } from './rtc.js';
+import { kMempackType } from './saves.js';
 import { Timeline } from './timeline.js';
 
 const kBootstrapOffset = 0x40;
@@ -84,6 +86,9 @@ export class Hardware {
       new Mempack(),
     ];
 
+    // The cartridge real-time clock. Its offset from host time is persisted with the save.
+    this.rtc = new RealTimeClock();
+
     // KUSEG, TLB mapped.
     this.mappedMemDevice = new MappedMemDevice(this, 0x00000000, 0x80000000);
     // KSEG0, directly mapped, cached.
@@ -172,6 +177,7 @@ export class Hardware {
     this.pi_reg.clear();
     this.ri_reg.clear();
     this.si_reg.clear();
+    this.rdp.reset();
 
     this.initSaveGame();
 
@@ -217,6 +223,8 @@ export class Hardware {
       mp.init(item);
     }
 
+    this.rtc.init(n64js.getLocalStorageItem('rtc'));
+
     const saveSize = this.saveSizeBytes();
     if (saveSize) {
       const memory = new MemoryRegion(new ArrayBuffer(saveSize));
@@ -239,6 +247,8 @@ export class Hardware {
       case 'Eeprom4k': return 4 * 1024 / 8;
       case 'Eeprom16k': return 16 * 1024 / 8;
       case 'SRAM': return 32 * 1024;
+      case 'SRAM768k': return 96 * 1024;
+      case 'SRAM1024k': return 128 * 1024;
       case 'FlashRam': return 128 * 1024;
     }
     if (this.saveType) {
@@ -251,23 +261,33 @@ export class Hardware {
 
   flushSaveData() {
     if (this.saveMem && this.saveDirty) {
-      this.saveU8Array('save', this.saveMem.u8);
+      this.saveU8Array('save', this.saveMem.u8, this.saveType);
       this.saveDirty = false;
     }
 
     for (let [i, mp] of this.mempacks.entries()) {
       if (mp.dirty) {
-        this.saveU8Array(`mempack${i}`, mp.data);
+        this.saveU8Array(`mempack${i}`, mp.data, kMempackType);
         mp.dirty = false;
       }
     }
+
+    if (this.rtc.dirty) {
+      n64js.setLocalStorageItem('rtc', {
+        name: this.rominfo.name,
+        id: this.rominfo.id,
+        ...this.rtc.toJSON(),
+      });
+      this.rtc.dirty = false;
+    }
   }
 
-  saveU8Array(name, u8arr) {
-    // Store the name and id so that we can provide some kind of save management in the future
+  saveU8Array(name, u8arr, type) {
+    // Store the name, id and type for the save manager (see saves.js).
     const d = {
       name: this.rominfo.name,
       id: this.rominfo.id,
+      type: type,
       data: base64.encodeArray(u8arr),
     };
     n64js.setLocalStorageItem(name, d);
@@ -276,6 +296,143 @@ export class Hardware {
   checkSIStatusConsistent() {
     this.siRegDevice.checkStatusConsistent();
   }
+
+  /**
+   * Returns the memory regions that are captured verbatim in save states.
+   * @returns {!Array<!MemoryRegion>}
+   */
+  stateMemoryRegions() {
+    return [
+      this.pif_mem,
+      this.ram,
+      this.sp_mem,
+      this.sp_reg,
+      this.sp_ibist_mem,
+      this.dpc_mem,
+      this.dps_mem,
+      this.rdram_reg,
+      this.mi_reg,
+      this.vi_reg,
+      this.ai_reg,
+      this.pi_reg,
+      this.ri_reg,
+      this.si_reg,
+    ];
+  }
+
+  /**
+   * Writes the machine state to the provided StateWriter.
+   * @param {StateWriter} w
+   */
+  saveState(w) {
+    w.beginSection('MEM');
+    for (let region of this.stateMemoryRegions()) {
+      w.writeArray(region.u8);
+    }
+
+    w.beginSection('SAVE');
+    w.writeBool(this.saveMem != null);
+    if (this.saveMem) {
+      w.writeArray(this.saveMem.u8);
+    }
+    for (let mp of this.mempacks) {
+      w.writeArray(mp.data);
+    }
+
+    w.beginSection('RTC');
+    this.rtc.saveState(w);
+
+    w.beginSection('CPU0');
+    this.cpu0.saveState(w);
+    w.beginSection('CPU1');
+    this.cpu1.saveState(w);
+    w.beginSection('RSP');
+    this.rsp.saveState(w);
+
+    for (let d of this.devices) {
+      w.beginSection(d.name);
+      d.saveState(w);
+    }
+
+    w.beginSection('EVENTS');
+    const events = this.cpu0.getPersistentEvents();
+    w.writeU32(events.length);
+    for (let event of events) {
+      w.writeString(event.type);
+      w.writeU32(event.cycles);
+    }
+  }
+
+  /**
+   * Restores the machine state from the provided StateReader.
+   * @param {StateReader} r
+   */
+  loadState(r) {
+    r.expectSection('MEM');
+    for (let region of this.stateMemoryRegions()) {
+      r.readArrayInto(region.u8);
+    }
+
+    r.expectSection('SAVE');
+    const hasSaveMem = r.readBool();
+    if (hasSaveMem != (this.saveMem != null)) {
+      throw `Save state save type doesn't match ${this.saveType}`;
+    }
+    if (this.saveMem) {
+      r.readArrayInto(this.saveMem.u8);
+    }
+    for (let mp of this.mempacks) {
+      r.readArrayInto(mp.data);
+    }
+
+    r.expectSection('RTC');
+    this.rtc.loadState(r);
+
+    r.expectSection('CPU0');
+    this.cpu0.loadState(r);
+    r.expectSection('CPU1');
+    this.cpu1.loadState(r);
+    r.expectSection('RSP');
+    this.rsp.loadState(r);
+
+    for (let d of this.devices) {
+      r.expectSection(d.name);
+      d.loadState(r);
+    }
+
+    r.expectSection('EVENTS');
+    const count = r.readU32();
+    const events = [];
+    for (let i = 0; i < count; i++) {
+      const type = r.readString();
+      const cycles = r.readU32();
+      events.push({ type, cycles });
+    }
+
+    // Events that fire on the same cycle are inserted ahead of existing ones,
+    // so add them in reverse to preserve the original ordering.
+    this.cpu0.eventQueue.reset();
+    for (let i = events.length - 1; i >= 0; i--) {
+      this.restoreEvent(events[i].type, events[i].cycles);
+    }
+  }
+
+  /**
+   * Recreates an event (and its handler) that was captured in a save state.
+   * @param {string} type
+   * @param {number} cycles
+   */
+  restoreEvent(type, cycles) {
+    if (this.cpu0.restoreEvent(type, cycles)) {
+      return;
+    }
+    for (let d of this.devices) {
+      if (d.restoreEvent(type, cycles)) {
+        return;
+      }
+    }
+    n64js.warn(`Unable to restore event ${type} from save state`);
+  }
 }
 
 function newMemoryRegion(size) {
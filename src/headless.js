@@ -0,0 +1,353 @@
+/*global n64js*/
+
+// Runs a rom without a DOM or WebGL, e.g. for automated testing.
+//
+// Usage: bun src/headless.js <rom> [--frames N] [--max-ops N] [--png out.png] [--ram out.bin] [--debug-out out.txt] [--rtc DATE|host]
+//
+// The rom is run for the requested number of frames (vertical blanks), then
+// the final register state is printed and the RAM is optionally written out.
+// The VI framebuffer can be written out as a PNG.
+// The cartridge RTC is fixed at a known time so runs are deterministic,
+// unless --rtc is used to specify a different time or to follow host time.
+
+import './headless_env.js';
+
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+
+import { simulateBoot } from './boot.js';
+import { Breakpoints } from './breakpoints.js';
+import { ControllerInputs } from './controllers.js';
+import { cop0ControlRegisterNames, cop0gprNames } from './disassemble.js';
+import { fixRomByteOrder } from './endian.js';
+import { toString32, toString64 } from './format.js';
+import { Hardware } from './hardware.js';
+import { Joybus } from './joybus.js';
+import { encodePNG } from './png.js';
+import { initCPU } from './r4300.js';
+import { defaultControllers, parseRomHeader, updateRomInfo } from './rominfo.js';
+import { initRSP } from './rsp.js';
+import { kDeterministicTime } from './rtc.js';
+import { initSync } from './sync.js';
+import { countryNorthAmerica, OS_TV_NTSC } from './system_constants.js';
+
+const kCyclesPerUpdate = 100_000_000;
+
+// Used to bound the run if the rom never enables VI interrupts.
+const kDefaultMaxOpsPerFrame = 10_000_000;
+
+/**
+ * Runs roms headlessly. This mirrors the setup done in n64.js, minus the UI.
+ */
+export class HeadlessRunner {
+  constructor() {
+    this.rominfo = {
+      id: '',
+      name: '',
+      cic: '6101',
+      country: countryNorthAmerica,
+      tvType: OS_TV_NTSC,
+      save: 'Eeprom4k',
+      rtc: true,
+      regionFree: false,
+      controllers: defaultControllers(),
+    };
+
+    this.hardware = new Hardware(this.rominfo);
+    this.breakpoints = new Breakpoints(this.hardware);
+    this.inputs = [
+      new ControllerInputs(),
+      new ControllerInputs(),
+      new ControllerInputs(),
+      new ControllerInputs(),
+    ];
+    this.joybus = new Joybus(this.hardware, this.inputs);
+    this.hardware.rtc.setFixedTime(kDeterministicTime);
+
+    // Set if the emulator halts (e.g. due to an unhandled exception).
+    this.haltMessage = null;
+
+    // Text written by the rom via IS-Viewer or flashcart USB.
+    this.debugOutput = '';
+    this.addDebugOutputListener((text) => { this.debugOutput += text; });
+
+    this.installHooks();
+  }
+
+  installHooks() {
+    const storage = new Map();
+
+    n64js.hardware = () => this.hardware;
+    n64js.joybus = () => this.joybus;
+    n64js.breakpoints = () => this.breakpoints;
+    n64js.onPresent = () => { };
+    n64js.getLocalStorageItem = (name) => storage.get(name);
+    n64js.setLocalStorageItem = (name, data) => { storage.set(name, data); };
+    n64js.check = (e, m) => {
+      if (!e) {
+        console.log(m);
+      }
+    };
+    n64js.warn = (m) => { console.warn(m); };
+    n64js.halt = (msg) => { this.stop(msg); };
+    n64js.stopForBreakpoint = () => { this.stop('Breakpoint'); };
+    n64js.returnControlToSystem = () => { n64js.cpu0.breakExecution(); };
+    n64js.breakEmulationForDisplayListDebug = () => { n64js.cpu0.breakExecution(); };
+    n64js.ui = () => ({
+      displayWarning: (msg) => { console.warn(msg); },
+      displayError: (msg) => { console.error(msg); },
+    });
+  }
+
+  /**
+   * Registers a function to be called with debug output written by the rom.
+   * The function is passed one or more complete lines of text.
+   * @param {function(string)} fn
+   */
+  addDebugOutputListener(fn) {
+    this.hardware.romD1A2Device.addDebugOutputListener(fn);
+  }
+
+  stop(msg) {
+    if (!this.haltMessage) {
+      this.haltMessage = msg;
+    }
+    n64js.cpu0.breakExecution();
+  }
+
+  /**
+   * Loads a rom and resets the machine, ready to run.
+   * @param {!ArrayBuffer} arrayBuffer The rom data, in any byte order.
+   */
+  loadRom(arrayBuffer) {
+    fixRomByteOrder(arrayBuffer);
+    const rom = this.hardware.createROM(arrayBuffer);
+    updateRomInfo(this.rominfo, rom, parseRomHeader(rom));
+    this.reset();
+  }
+
+  reset() {
+    this.breakpoints.reset();
+    initSync();
+    this.hardware.reset();
+    this.joybus.reset();
+    initCPU(this.hardware);
+    initRSP(this.hardware);
+    this.hardware.loadROM();
+    simulateBoot(n64js.cpu0, this.hardware, this.rominfo);
+    this.haltMessage = null;
+  }
+
+  /**
+   * Runs until the requested number of vertical blanks have occurred.
+   * @param {number} frames The number of frames to run for.
+   * @param {number} maxOps Stop if this many ops have been executed.
+   * @returns {boolean} True if all the frames were run.
+   */
+  runFrames(frames, maxOps) {
+    const vi = this.hardware.viRegDevice;
+    const targetVbl = vi.vblCount + frames;
+    return this.runUntil(() => vi.vblCount >= targetVbl, maxOps);
+  }
+
+  /**
+   * Runs until the provided function returns true.
+   * The function is checked after each vertical blank.
+   * @param {function(): boolean} done
+   * @param {number} maxOps Stop if this many ops have been executed.
+   * @returns {boolean} True if done returned true, false if the emulator halted or ran out of ops.
+   */
+  runUntil(done, maxOps) {
+    const vi = this.hardware.viRegDevice;
+    const cpu0 = n64js.cpu0;
+    const startOps = cpu0.getOpsExecuted();
+
+    while (!done()) {
+      if (this.haltMessage) {
+        return false;
+      }
+      if (cpu0.getOpsExecuted() - startOps >= maxOps) {
+        this.stop(`Exceeded ${maxOps} ops after ${vi.vblCount} frames`);
+        return false;
+      }
+      cpu0.run(kCyclesPerUpdate);
+    }
+    return true;
+  }
+
+  /**
+   * Returns the final register state as a list of lines.
+   * @returns {!Array<string>}
+   */
+  dumpRegisters() {
+    const cpu0 = n64js.cpu0;
+    const lines = [];
+    lines.push(`pc: ${toString32(cpu0.pc)}`);
+    lines.push(`hi: ${toString64(cpu0.multHiU64[0])}`);
+    lines.push(`lo: ${toString64(cpu0.multLoU64[0])}`);
+    for (let i = 0; i < 32; i++) {
+      lines.push(`${cop0gprNames[i]}: ${toString64(cpu0.gprU64[i])}`);
+    }
+    for (let i = 0; i < 32; i++) {
+      lines.push(`${cop0ControlRegisterNames[i]}: ${toString64(cpu0.controlRegU64[i])}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Renders the VI framebuffer as a PNG.
+   * @returns {?Uint8Array} The PNG data, or null if the VI isn't displaying anything.
+   */
+  renderPNG() {
+    const vi = this.hardware.viRegDevice;
+    const pixels = vi.renderBackBuffer();
+    if (!pixels) {
+      return null;
+    }
+    const rgba = viPixelsToRGBA(pixels, vi.screenWidth, vi.screenHeight, vi.bitDepth);
+    return encodePNG(vi.screenWidth, vi.screenHeight, rgba);
+  }
+}
+
+/**
+ * Converts the output of VIRegDevice.renderBackBuffer to top-down 8 bit RGBA.
+ * @param {!Uint8Array|!Uint16Array} pixels
+ * @param {number} width
+ * @param {number} height
+ * @param {number} bitDepth 16 (RGBA5551) or 32 (RGBA8888).
+ * @returns {!Uint8Array}
+ */
+export function viPixelsToRGBA(pixels, width, height, bitDepth) {
+  const rgba = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    // renderBackBuffer flips the image vertically for WebGL, so undo that here.
+    const srcRow = (height - 1 - y) * width;
+    const dstRow = y * width;
+    for (let x = 0; x < width; x++) {
+      const src = srcRow + x;
+      const dst = (dstRow + x) * 4;
+      if (bitDepth == 32) {
+        rgba[dst + 0] = pixels[src * 4 + 0];
+        rgba[dst + 1] = pixels[src * 4 + 1];
+        rgba[dst + 2] = pixels[src * 4 + 2];
+        rgba[dst + 3] = 0xff;
+      } else {
+        const pixel = pixels[src];
+        rgba[dst + 0] = expand5To8((pixel >>> 11) & 0x1f);
+        rgba[dst + 1] = expand5To8((pixel >>> 6) & 0x1f);
+        rgba[dst + 2] = expand5To8((pixel >>> 1) & 0x1f);
+        rgba[dst + 3] = 0xff;
+      }
+    }
+  }
+  return rgba;
+}
+
+function expand5To8(v) {
+  return (v << 3) | (v >>> 2);
+}
+
+function parseArgs(argv) {
+  const args = {
+    rom: null,
+    frames: 60,
+    maxOps: 0,
+    png: null,
+    ram: null,
+    debugOut: null,
+    rtc: kDeterministicTime,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--frames': args.frames = parseInt(argv[++i], 10); break;
+      case '--max-ops': args.maxOps = parseInt(argv[++i], 10); break;
+      case '--png': args.png = argv[++i]; break;
+      case '--ram': args.ram = argv[++i]; break;
+      case '--debug-out': args.debugOut = argv[++i]; break;
+      case '--rtc': args.rtc = parseRTCArg(argv[++i]); break;
+      default:
+        if (arg.startsWith('--') || args.rom) {
+          throw `Unexpected argument: ${arg}`;
+        }
+        args.rom = arg;
+        break;
+    }
+  }
+  if (!args.rom) {
+    throw 'Usage: headless.js <rom> [--frames N] [--max-ops N] [--png out.png] [--ram out.bin] [--debug-out out.txt] [--rtc DATE|host]';
+  }
+  if (!(args.frames >= 0)) {
+    throw `Invalid frame count`;
+  }
+  if (!args.maxOps) {
+    args.maxOps = Math.max(1, args.frames) * kDefaultMaxOpsPerFrame;
+  }
+  return args;
+}
+
+function parseRTCArg(arg) {
+  if (arg == 'host') {
+    return null;
+  }
+  const date = new Date(arg);
+  if (isNaN(date.getTime())) {
+    throw `Invalid RTC date: ${arg}`;
+  }
+  return date;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+
+  const data = fs.readFileSync(args.rom);
+  const arrayBuffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+
+  const runner = new HeadlessRunner();
+  runner.hardware.rtc.setFixedTime(args.rtc);
+  runner.loadRom(arrayBuffer);
+
+  const ok = runner.runFrames(args.frames, args.maxOps);
+  const vi = runner.hardware.viRegDevice;
+  console.log(`Ran ${vi.vblCount} frames, ${n64js.cpu0.getOpsExecuted()} ops`);
+  if (runner.haltMessage) {
+    console.log(`Halted: ${runner.haltMessage}`);
+  }
+
+  for (let line of runner.dumpRegisters()) {
+    console.log(line);
+  }
+
+  const ram = runner.hardware.ram.u8;
+  console.log(`ram sha1: ${createHash('sha1').update(ram).digest('hex')}`);
+  if (args.ram) {
+    fs.writeFileSync(args.ram, ram);
+    console.log(`Wrote RAM to ${args.ram}`);
+  }
+
+  if (args.debugOut) {
+    fs.writeFileSync(args.debugOut, runner.debugOutput);
+    console.log(`Wrote debug output to ${args.debugOut}`);
+  }
+
+  if (args.png) {
+    const png = runner.renderPNG();
+    if (png) {
+      fs.writeFileSync(args.png, png);
+      console.log(`Wrote framebuffer to ${args.png}`);
+    } else {
+      console.log(`VI is not displaying anything - not writing ${args.png}`);
+    }
+  }
+
+  return ok ? 0 : 1;
+}
+
+if (import.meta.main) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (e) {
+    console.error(e);
+    process.exitCode = 2;
+  }
+}
@@ -0,0 +1,4 @@
+// Sets up the globals the emulator core expects when running outside of a browser.
+// This must be imported before any other emulator modules.
+globalThis.window = globalThis;
+globalThis.n64js = globalThis.n64js || {};
@@ -0,0 +1,104 @@
+// Renders display list captures without a visible browser, e.g. for golden
+// image tests.
+//
+// The renderer needs WebGL2, which isn't available to node or bun directly,
+// so the capture is replayed in a headless Chromium (see headless_gl_page.js).
+// By default this is the build provided by @sparticuz/chromium, which renders
+// with SwiftShader so the output doesn't depend on the GPU. Set N64JS_CHROME
+// to the path of a different Chrome or Chromium executable to use that
+// instead, e.g. on platforms @sparticuz/chromium doesn't support.
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const kIndexHTML = path.join(import.meta.dir, '..', 'index.html');
+const kPageEntry = path.join(import.meta.dir, 'headless_gl_page.js');
+
+// Render with SwiftShader even if there's a GPU, so images are reproducible.
+const kChromeArgs = ['--use-gl=angle', '--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--no-sandbox'];
+
+/**
+ * A headless browser page that replays display list captures.
+ */
+export class HeadlessRenderer {
+  constructor(browser, page) {
+    this.browser = browser;
+    this.page = page;
+  }
+
+  /**
+   * Replays a display list capture and returns the presented image.
+   * @param {!Uint8Array} captureBytes The serialised capture.
+   * @param {{ucode: (number|undefined), resolutionScale: (number|undefined)}=} options
+   *     The microcode to replay with (-1 to detect it), and the multiple of
+   *     the N64's resolution to render at.
+   * @returns {!Promise<?{width: number, height: number, rgba: !Uint8Array}>}
+   *     The image, or null if nothing was presented.
+   */
+  async render(captureBytes, options = {}) {
+    const ucode = options.ucode ?? -1;
+    const resolutionScale = options.resolutionScale ?? 1;
+    const captureBase64 = Buffer.from(captureBytes).toString('base64');
+    const image = await this.page.evaluate(
+      (c, u, s) => window.headlessGL.render(c, u, s), captureBase64, ucode, resolutionScale);
+    if (!image) {
+      return null;
+    }
+    return { width: image.width, height: image.height, rgba: new Uint8Array(Buffer.from(image.rgba, 'base64')) };
+  }
+
+  /**
+   * Shuts down the browser.
+   */
+  async close() {
+    await this.browser.close();
+  }
+}
+
+/**
+ * Launches a headless browser to render with.
+ * @param {number} width The size of the canvas the renderer draws to.
+ * @param {number} height
+ * @returns {!Promise<!HeadlessRenderer>}
+ */
+export async function launchHeadlessRenderer(width, height) {
+  const puppeteer = (await import('puppeteer-core')).default;
+
+  let executablePath = process.env.N64JS_CHROME;
+  let args = kChromeArgs;
+  if (!executablePath) {
+    const chromium = (await import('@sparticuz/chromium')).default;
+    executablePath = await chromium.executablePath();
+    args = chromium.args;
+  }
+
+  const bundle = await Bun.build({ entrypoints: [kPageEntry], target: 'browser', format: 'iife' });
+  if (!bundle.success) {
+    throw `Unable to bundle ${kPageEntry}: ${bundle.logs.join('\n')}`;
+  }
+  const script = await bundle.outputs[0].text();
+
+  const browser = await puppeteer.launch({ executablePath, args, headless: 'shell' });
+  try {
+    const page = await browser.newPage();
+    page.on('console', msg => {
+      if (msg.type() === 'error') {
+        console.error(msg.text());
+      }
+    });
+    page.on('pageerror', e => { console.error(e); });
+    await page.setContent('<!DOCTYPE html><html><body></body></html>');
+    await page.addScriptTag({ content: script });
+
+    const indexHTML = fs.readFileSync(kIndexHTML, 'utf8');
+    const ok = await page.evaluate(
+      (html, w, h) => window.headlessGL.initialise(html, w, h), indexHTML, width, height);
+    if (!ok) {
+      throw `${executablePath} doesn't support WebGL2`;
+    }
+    return new HeadlessRenderer(browser, page);
+  } catch (e) {
+    await browser.close();
+    throw e;
+  }
+}
@@ -0,0 +1,92 @@
+/*global n64js*/
+
+// The page side of headless_gl.js. This is bundled and run in a headless
+// browser, which provides the WebGL2 context the renderer draws with.
+
+import { Hardware } from './hardware.js';
+import { DisplayListCapture } from './hle/dlist_capture.js';
+import { graphicsOptions } from './hle/graphics_options.js';
+import { initialiseHeadlessRenderer, readRenderedImage, replayCapture, resetRenderer } from './hle/hle_graphics.js';
+import { loadShaderScripts } from './hle/shaders.js';
+import { defaultControllers } from './rominfo.js';
+import { countryNorthAmerica, OS_TV_NTSC } from './system_constants.js';
+
+window.n64js = window.n64js || {};
+
+let hardware = null;
+
+/**
+ * Initialises the renderer. Returns false if WebGL2 isn't available.
+ * @param {string} indexHTML The contents of index.html, for the shader scripts.
+ * @param {number} width
+ * @param {number} height
+ * @returns {boolean}
+ */
+function initialise(indexHTML, width, height) {
+  hardware = new Hardware({
+    id: '',
+    name: '',
+    cic: '6101',
+    country: countryNorthAmerica,
+    tvType: OS_TV_NTSC,
+    save: 'Eeprom4k',
+    rtc: false,
+    regionFree: false,
+    controllers: defaultControllers(),
+  });
+
+  n64js.hardware = () => hardware;
+  n64js.check = (e, m) => {
+    if (!e) {
+      console.log(m);
+    }
+  };
+  n64js.warn = (m) => { console.warn(m); };
+  n64js.halt = (msg) => { console.error(msg); };
+  n64js.ui = () => ({
+    displayWarning: (msg) => { console.warn(msg); },
+    displayError: (msg) => { console.error(msg); },
+  });
+  // Nothing is running, so there's nothing to stop before replaying.
+  n64js.breakEmulationForDisplayListDebug = () => { };
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('webgl2', { preserveDrawingBuffer: true });
+  if (!context) {
+    return false;
+  }
+  loadShaderScripts(indexHTML);
+  initialiseHeadlessRenderer(context);
+  return true;
+}
+
+/**
+ * Replays a display list capture and returns the presented image.
+ * @param {string} captureBase64 The serialised capture.
+ * @param {number} ucode The microcode to replay with, or -1 to detect it.
+ * @param {number} resolutionScale
+ * @returns {?{width: number, height: number, rgba: string}} The image, with
+ *     base64 encoded pixels, or null if nothing was presented.
+ */
+function render(captureBase64, ucode, resolutionScale) {
+  hardware.ram.clear();
+  graphicsOptions.resolutionScale = resolutionScale;
+  resetRenderer();
+
+  const bytes = Uint8Array.from(atob(captureBase64), c => c.charCodeAt(0));
+  const capture = DisplayListCapture.deserialize(bytes.buffer);
+  replayCapture(capture, ucode);
+  const image = readRenderedImage(capture.viOrigin);
+  if (!image) {
+    return null;
+  }
+  let binary = '';
+  for (let i = 0; i < image.rgba.length; i += 0x8000) {
+    binary += String.fromCharCode(...image.rgba.subarray(i, i + 0x8000));
+  }
+  return { width: image.width, height: image.height, rgba: btoa(binary) };
+}
+
+window.headlessGL = { initialise, render };
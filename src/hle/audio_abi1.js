@@ -0,0 +1,192 @@
+import { AudioMicrocode, A_AUX, A_INIT, A_LEFT, A_LOOP, A_VOL, align, toS16 } from './audio_microcode.js';
+
+// Buffer offsets in alist commands are relative to this address.
+const kDMEMBase = 0x5c0;
+
+/**
+ * The original audio microcode (aspMain), used by most early games.
+ */
+export class ABI1 extends AudioMicrocode {
+  constructor(ramDV) {
+    super('ABI1', ramDV);
+
+    // Buffers configured by SETBUFF.
+    this.in = 0;
+    this.out = 0;
+    this.count = 0;
+    this.dryRight = 0;
+    this.wetLeft = 0;
+    this.wetRight = 0;
+
+    // Volumes configured by SETVOL.
+    this.dry = 0;
+    this.wet = 0;
+    this.vol = [0, 0];
+    this.target = [0, 0];
+    this.rate = [0, 0];
+
+    this.loopAddress = 0;
+
+    this.commands = new Map([
+      [0x00, this.executeSpNoop.bind(this)],
+      [0x01, this.executeADPCM.bind(this)],
+      [0x02, this.executeClearBuff.bind(this)],
+      [0x03, this.executeEnvMixer.bind(this)],
+      [0x04, this.executeLoadBuff.bind(this)],
+      [0x05, this.executeResample.bind(this)],
+      [0x06, this.executeSaveBuff.bind(this)],
+      [0x07, this.executeSegment.bind(this)],
+      [0x08, this.executeSetBuff.bind(this)],
+      [0x09, this.executeSetVol.bind(this)],
+      [0x0a, this.executeDMEMMove.bind(this)],
+      [0x0b, this.executeLoadADPCM.bind(this)],
+      [0x0c, this.executeMixer.bind(this)],
+      [0x0d, this.executeInterleave.bind(this)],
+      [0x0e, this.executePoleF.bind(this)],
+      [0x0f, this.executeSetLoop.bind(this)],
+    ]);
+  }
+
+  executeSpNoop(w1, w2) {
+  }
+
+  executeADPCM(w1, w2) {
+    const flags = (w1 >>> 16) & 0xff;
+    const address = this.getAddress(w2);
+    this.adpcm(
+      (flags & A_INIT) != 0,
+      (flags & A_LOOP) != 0,
+      false,
+      this.out,
+      this.in,
+      align(this.count, 32),
+      this.loopAddress,
+      address);
+  }
+
+  executeClearBuff(w1, w2) {
+    const dmem = (w1 + kDMEMBase) & 0xffff;
+    const count = w2 & 0xfff;
+    if (count == 0) {
+      return;
+    }
+    this.clear(dmem, align(count, 16));
+  }
+
+  executeEnvMixer(w1, w2) {
+    const flags = (w1 >>> 16) & 0xff;
+    const address = this.getAddress(w2);
+    this.envmixExp(
+      (flags & A_INIT) != 0,
+      (flags & A_AUX) != 0,
+      this.out, this.dryRight, this.wetLeft, this.wetRight,
+      this.in,
+      this.count,
+      this.dry, this.wet,
+      this.vol, this.target, this.rate,
+      address);
+  }
+
+  executeLoadBuff(w1, w2) {
+    if (this.count == 0) {
+      return;
+    }
+    this.load(this.in, this.getAddress(w2), this.count);
+  }
+
+  executeResample(w1, w2) {
+    const flags = (w1 >>> 16) & 0xff;
+    const pitch = (w1 & 0xffff) << 1;
+    const address = this.getAddress(w2);
+    this.resample((flags & A_INIT) != 0, this.out, this.in, align(this.count, 16), pitch, address);
+  }
+
+  executeSaveBuff(w1, w2) {
+    if (this.count == 0) {
+      return;
+    }
+    this.save(this.out, this.getAddress(w2), this.count);
+  }
+
+  executeSegment(w1, w2) {
+    this.setSegment(w2);
+  }
+
+  executeSetBuff(w1, w2) {
+    const flags = (w1 >>> 16) & 0xff;
+    if (flags & A_AUX) {
+      this.dryRight = (w1 + kDMEMBase) & 0xffff;
+      this.wetLeft = ((w2 >>> 16) + kDMEMBase) & 0xffff;
+      this.wetRight = (w2 + kDMEMBase) & 0xffff;
+    } else {
+      this.in = (w1 + kDMEMBase) & 0xffff;
+      this.out = ((w2 >>> 16) + kDMEMBase) & 0xffff;
+      this.count = w2 & 0xffff;
+    }
+  }
+
+  executeSetVol(w1, w2) {
+    const flags = (w1 >>> 16) & 0xff;
+    if (flags & A_AUX) {
+      this.dry = toS16(w1);
+      this.wet = toS16(w2);
+      return;
+    }
+
+    const lr = (flags & A_LEFT) ? 0 : 1;
+    if (flags & A_VOL) {
+      this.vol[lr] = toS16(w1);
+    } else {
+      this.target[lr] = toS16(w1);
+      this.rate[lr] = w2 | 0;
+    }
+  }
+
+  executeDMEMMove(w1, w2) {
+    const dmemi = (w1 + kDMEMBase) & 0xffff;
+    const dmemo = ((w2 >>> 16) + kDMEMBase) & 0xffff;
+    const count = w2 & 0xffff;
+    if (count == 0) {
+      return;
+    }
+    this.move(dmemo, dmemi, align(count, 16));
+  }
+
+  executeLoadADPCM(w1, w2) {
+    const count = w1 & 0xffff;
+    this.loadRamS16(this.table, this.getAddress(w2), Math.min(align(count, 8) >> 1, this.table.length));
+  }
+
+  executeMixer(w1, w2) {
+    const gain = toS16(w1);
+    const dmemi = ((w2 >>> 16) + kDMEMBase) & 0xffff;
+    const dmemo = (w2 + kDMEMBase) & 0xffff;
+    if (this.count == 0) {
+      return;
+    }
+    this.mix(dmemo, dmemi, align(this.count, 32), gain);
+  }
+
+  executeInterleave(w1, w2) {
+    const left = ((w2 >>> 16) + kDMEMBase) & 0xffff;
+    const right = (w2 + kDMEMBase) & 0xffff;
+    if (this.count == 0) {
+      return;
+    }
+    this.interleave(this.out, left, right, align(this.count, 16));
+  }
+
+  executePoleF(w1, w2) {
+    const flags = (w1 >>> 16) & 0xff;
+    const gain = toS16(w1);
+    const address = this.getAddress(w2);
+    if (this.count == 0) {
+      return;
+    }
+    this.polef((flags & A_INIT) != 0, this.out, this.in, align(this.count, 16), gain, address);
+  }
+
+  executeSetLoop(w1, w2) {
+    this.loopAddress = this.getAddress(w2);
+  }
+}
@@ -0,0 +1,235 @@
+import { AudioMicrocode, A_INIT, A_LOOP, align, toS16 } from './audio_microcode.js';
+
+// Flag used by ADPCM to select 2 bit samples.
+const A_ADPCM_SHORT = 0x04;
+
+/**
+ * The audio microcode introduced by Zelda: Ocarina of Time and used by many
+ * later games. Buffers are addressed directly rather than via a base address,
+ * and envelope mixing uses preconfigured steps rather than volume ramps.
+ */
+export class ABI2 extends AudioMicrocode {
+  constructor(ramDV) {
+    super('ABI2', ramDV);
+
+    // Buffers configured by SETBUFF.
+    this.in = 0;
+    this.out = 0;
+    this.count = 0;
+
+    // Envelope values and steps configured by ENVSETUP1 and ENVSETUP2.
+    this.envValues = new Uint16Array(3);
+    this.envSteps = new Uint16Array(3);
+
+    this.loopAddress = 0;
+
+    // Configured by the first half of FILTER.
+    this.filterCount = 0;
+    this.filterLUTAddress = 0;
+
+    this.commands = new Map([
+      [0x00, this.executeSpNoop.bind(this)],
+      [0x01, this.executeADPCM.bind(this)],
+      [0x02, this.executeClearBuff.bind(this)],
+      [0x03, this.executeSpNoop.bind(this)],
+      [0x04, this.executeAddMixer.bind(this)],
+      [0x05, this.executeResample.bind(this)],
+      [0x06, this.executeResampleZOH.bind(this)],
+      [0x07, this.executeFilter.bind(this)],
+      [0x08, this.executeSetBuff.bind(this)],
+      [0x09, this.executeDuplicate.bind(this)],
+      [0x0a, this.executeDMEMMove.bind(this)],
+      [0x0b, this.executeLoadADPCM.bind(this)],
+      [0x0c, this.executeMixer.bind(this)],
+      [0x0d, this.executeInterleave.bind(this)],
+      [0x0e, this.executeHiLoGain.bind(this)],
+      [0x0f, this.executeSetLoop.bind(this)],
+      [0x10, this.executeSpNoop.bind(this)],
+      [0x11, this.executeInterl.bind(this)],
+      [0x12, this.executeEnvSetup1.bind(this)],
+      [0x13, this.executeEnvMixer.bind(this)],
+      [0x14, this.executeLoadBuff.bind(this)],
+      [0x15, this.executeSaveBuff.bind(this)],
+      [0x16, this.executeEnvSetup2.bind(this)],
+      [0x17, this.executeSpNoop.bind(this)],
+    ]);
+  }
+
+  executeSpNoop(w1, w2) {
+  }
+
+  executeADPCM(w1, w2) {
+    const flags = (w1 >>> 16) & 0xff;
+    const address = w2 & 0xffffff;
+    this.adpcm(
+      (flags & A_INIT) != 0,
+      (flags & A_LOOP) != 0,
+      (flags & A_ADPCM_SHORT) != 0,
+      this.out,
+      this.in,
+      align(this.count, 32),
+      this.loopAddress,
+      address);
+  }
+
+  executeClearBuff(w1, w2) {
+    const dmem = w1 & 0xffff;
+    const count = w2 & 0xfff;
+    if (count == 0) {
+      return;
+    }
+    this.clear(dmem, count);
+  }
+
+  executeAddMixer(w1, w2) {
+    const count = (w1 >>> 12) & 0xff0;
+    const dmemi = w2 >>> 16;
+    const dmemo = w2 & 0xffff;
+    this.add(dmemo, dmemi, count);
+  }
+
+  executeResample(w1, w2) {
+    const flags = (w1 >>> 16) & 0xff;
+    const pitch = (w1 & 0xffff) << 1;
+    const address = w2 & 0xffffff;
+    this.resample((flags & A_INIT) != 0, this.out, this.in, align(this.count, 16), pitch, address);
+  }
+
+  executeResampleZOH(w1, w2) {
+    const pitch = (w1 & 0xffff) << 1;
+    const pitchAccu = w2 & 0xffff;
+    this.resampleZOH(this.out, this.in, this.count, pitch, pitchAccu);
+  }
+
+  executeFilter(w1, w2) {
+    const flags = (w1 >>> 16) & 0xff;
+    const address = w2 & 0xffffff;
+    // The command is issued twice: first to set the count and the address of
+    // the first coefficient table, then to run the filter.
+    if (flags > 1) {
+      this.filterCount = w1 & 0xffff;
+      this.filterLUTAddress = address;
+      return;
+    }
+    const dmem = w1 & 0xffff;
+    this.filter(dmem, this.filterCount, address, this.filterLUTAddress, address + 0x10);
+  }
+
+  executeSetBuff(w1, w2) {
+    this.in = w1 & 0xffff;
+    this.out = w2 >>> 16;
+    this.count = w2 & 0xffff;
+  }
+
+  executeDuplicate(w1, w2) {
+    const count = (w1 >>> 16) & 0xff;
+    const dmemi = w1 & 0xffff;
+    const dmemo = w2 >>> 16;
+    this.repeat64(dmemo, dmemi, count);
+  }
+
+  executeDMEMMove(w1, w2) {
+    const dmemi = w1 & 0xffff;
+    const dmemo = w2 >>> 16;
+    const count = w2 & 0xffff;
+    if (count == 0) {
+      return;
+    }
+    this.move(dmemo, dmemi, align(count, 4));
+  }
+
+  executeLoadADPCM(w1, w2) {
+    const count = w1 & 0xffff;
+    const address = w2 & 0xffffff;
+    this.loadRamS16(this.table, address, Math.min(align(count, 8) >> 1, this.table.length));
+  }
+
+  executeMixer(w1, w2) {
+    const count = (w1 >>> 12) & 0xff0;
+    const gain = toS16(w1);
+    const dmemi = w2 >>> 16;
+    const dmemo = w2 & 0xffff;
+    this.mix(dmemo, dmemi, count, gain);
+  }
+
+  executeInterleave(w1, w2) {
+    const count = (w1 >>> 12) & 0xff0;
+    const dmemo = w1 & 0xffff;
+    const left = w2 >>> 16;
+    const right = w2 & 0xffff;
+    if (count == 0) {
+      return;
+    }
+    this.interleave(dmemo, left, right, count);
+  }
+
+  executeHiLoGain(w1, w2) {
+    const gain = ((w1 >>> 16) << 24) >> 24;
+    const count = w1 & 0xffff;
+    const dmem = w2 >>> 16;
+    this.multQ44(dmem, count, gain);
+  }
+
+  executeSetLoop(w1, w2) {
+    this.loopAddress = w2 & 0xffffff;
+  }
+
+  executeInterl(w1, w2) {
+    const count = w1 & 0xffff;
+    const dmemi = w2 >>> 16;
+    const dmemo = w2 & 0xffff;
+    this.copyEveryOtherSample(dmemo, dmemi, count);
+  }
+
+  executeEnvSetup1(w1, w2) {
+    this.envValues[2] = (w1 >>> 8) & 0xff00;
+    this.envSteps[2] = w1 & 0xffff;
+    this.envSteps[0] = w2 >>> 16;
+    this.envSteps[1] = w2 & 0xffff;
+  }
+
+  executeEnvMixer(w1, w2) {
+    const dmemi = (w1 >>> 12) & 0xff0;
+    const count = (w1 >>> 8) & 0xff;
+    const swapWetLR = ((w1 >>> 4) & 1) != 0;
+    const dmemDL = (w2 >>> 20) & 0xff0;
+    const dmemDR = (w2 >>> 12) & 0xff0;
+    const dmemWL = (w2 >>> 4) & 0xff0;
+    const dmemWR = (w2 << 4) & 0xff0;
+
+    // Each output can optionally be negated (approximately, by xoring with -1).
+    const xors = [
+      (w1 & 0x2) ? -1 : 0,
+      (w1 & 0x1) ? -1 : 0,
+      (w1 & 0x8) ? -1 : 0,
+      (w1 & 0x4) ? -1 : 0,
+    ];
+
+    this.envmixNead(swapWetLR, dmemDL, dmemDR, dmemWL, dmemWR, dmemi, count, this.envValues, this.envSteps, xors);
+  }
+
+  executeLoadBuff(w1, w2) {
+    const count = (w1 >>> 12) & 0xfff;
+    const dmem = w1 & 0xfff;
+    const address = w2 & 0xffffff;
+    if (count == 0) {
+      return;
+    }
+    this.load(dmem, address, count);
+  }
+
+  executeSaveBuff(w1, w2) {
+    const count = (w1 >>> 12) & 0xfff;
+    const dmem = w1 & 0xfff;
+    const address = w2 & 0xffffff;
+    if (count == 0) {
+      return;
+    }
+    this.save(dmem, address, count);
+  }
+
+  executeEnvSetup2(w1, w2) {
+    this.envValues[0] = w2 >>> 16;
+    this.envValues[1] = w2 & 0xffff;
+  }
+}
@@ -0,0 +1,157 @@
+import { AudioMicrocode, A_INIT, A_LOOP, align, toS16 } from './audio_microcode.js';
+
+// This microcode uses fixed buffer locations.
+const kDMEMMain = 0x4f0;
+const kDMEMMain2 = 0x660;
+const kDMEMDryLeft = 0x9d0;
+const kDMEMDryRight = 0xb40;
+const kDMEMWetLeft = 0xcb0;
+const kDMEMWetRight = 0xe20;
+
+// The number of bytes processed by commands with an implicit count.
+const kCount = 0x170;
+
+/**
+ * The "naudio" microcode. Rare's games use variants of it with extra commands,
+ * which aren't supported. It's similar to ABI1 but uses fixed buffers and
+ * linear volume ramps.
+ */
+export class ABI3 extends AudioMicrocode {
+  constructor(ramDV) {
+    super('ABI3', ramDV);
+
+    // Volumes configured by SETVOL.
+    this.dry = 0;
+    this.wet = 0;
+    this.vol = [0, 0];
+    this.target = [0, 0];
+    this.rate = [0, 0];
+
+    this.loopAddress = 0;
+
+    this.commands = new Map([
+      [0x00, this.executeSpNoop.bind(this)],
+      [0x01, this.executeADPCM.bind(this)],
+      [0x02, this.executeClearBuff.bind(this)],
+      [0x03, this.executeEnvMixer.bind(this)],
+      [0x04, this.executeLoadBuff.bind(this)],
+      [0x05, this.executeResample.bind(this)],
+      [0x06, this.executeSaveBuff.bind(this)],
+      [0x07, this.executeSpNoop.bind(this)],
+      [0x08, this.executeSpNoop.bind(this)],
+      [0x09, this.executeSetVol.bind(this)],
+      [0x0a, this.executeDMEMMove.bind(this)],
+      [0x0b, this.executeLoadADPCM.bind(this)],
+      [0x0c, this.executeMixer.bind(this)],
+      [0x0d, this.executeInterleave.bind(this)],
+      // 0x0e is a no-op in this microcode.
+      [0x0e, this.executeSpNoop.bind(this)],
+      [0x0f, this.executeSetLoop.bind(this)],
+    ]);
+  }
+
+  executeSpNoop(w1, w2) {
+  }
+
+  executeADPCM(w1, w2) {
+    const address = this.getAddress(w1);
+    const flags = w2 >>> 28;
+    const count = (w2 >>> 16) & 0xfff;
+    const dmemi = ((w2 >>> 12) & 0xf) + kDMEMMain;
+    const dmemo = (w2 & 0xfff) + kDMEMMain;
+    this.adpcm(
+      (flags & A_INIT) != 0,
+      (flags & A_LOOP) != 0,
+      false,
+      dmemo,
+      dmemi,
+      align(count, 32),
+      this.loopAddress,
+      address);
+  }
+
+  executeClearBuff(w1, w2) {
+    const dmem = (w1 & 0xffff) + kDMEMMain;
+    const count = w2 & 0xfff;
+    this.clear(dmem, count);
+  }
+
+  executeEnvMixer(w1, w2) {
+    const flags = (w1 >>> 16) & 0xff;
+    const address = this.getAddress(w2);
+    this.vol[1] = toS16(w1);
+    this.envmixLin(
+      (flags & A_INIT) != 0,
+      kDMEMDryLeft, kDMEMDryRight, kDMEMWetLeft, kDMEMWetRight,
+      kDMEMMain,
+      kCount,
+      this.dry, this.wet,
+      this.vol, this.target, this.rate,
+      address);
+  }
+
+  executeLoadBuff(w1, w2) {
+    const count = (w1 >>> 12) & 0xfff;
+    const dmem = (w1 & 0xfff) + kDMEMMain;
+    this.load(dmem, this.getAddress(w2), count);
+  }
+
+  executeResample(w1, w2) {
+    const address = this.getAddress(w1);
+    const flags = w2 >>> 30;
+    const pitch = ((w2 >>> 14) & 0xffff) << 1;
+    const dmemi = ((w2 >>> 2) & 0xfff) + kDMEMMain;
+    const dmemo = (w2 & 0x3) ? kDMEMMain2 : kDMEMMain;
+    this.resample((flags & A_INIT) != 0, dmemo, dmemi, kCount, pitch, address);
+  }
+
+  executeSaveBuff(w1, w2) {
+    const count = (w1 >>> 12) & 0xfff;
+    const dmem = (w1 & 0xfff) + kDMEMMain;
+    this.save(dmem, this.getAddress(w2), count);
+  }
+
+  executeSetVol(w1, w2) {
+    const flags = (w1 >>> 16) & 0xff;
+    if (flags & 0x4) {
+      if (flags & 0x2) {
+        this.vol[0] = toS16(w1);
+        this.dry = toS16(w2 >>> 16);
+        this.wet = toS16(w2);
+      } else {
+        this.target[1] = toS16(w1);
+        this.rate[1] = w2 | 0;
+      }
+    } else {
+      this.target[0] = toS16(w1);
+      this.rate[0] = w2 | 0;
+    }
+  }
+
+  executeDMEMMove(w1, w2) {
+    const dmemi = (w1 & 0xffff) + kDMEMMain;
+    const dmemo = (w2 >>> 16) + kDMEMMain;
+    const count = w2 & 0xffff;
+    this.move(dmemo, dmemi, align(count, 4));
+  }
+
+  executeLoadADPCM(w1, w2) {
+    const count = w1 & 0xffff;
+    this.loadRamS16(this.table, this.getAddress(w2), Math.min(align(count, 8) >> 1, this.table.length));
+  }
+
+  executeMixer(w1, w2) {
+    const gain = toS16(w1);
+    const dmemi = (w2 >>> 16) + kDMEMMain;
+    const dmemo = (w2 & 0xffff) + kDMEMMain;
+    this.mix(dmemo, dmemi, kCount, gain);
+  }
+
+  executeInterleave(w1, w2) {
+    this.interleave(kDMEMMain, kDMEMDryLeft, kDMEMDryRight, kCount);
+  }
+
+  executeSetLoop(w1, w2) {
+    this.loopAddress = this.getAddress(w2);
+  }
+}
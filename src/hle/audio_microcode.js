@@ -0,0 +1,740 @@
+/*global n64js*/
+
+import { toString8, toString32 } from '../format.js';
+
+// The audio microcodes operate on buffers in DMEM. HLE uses a private buffer
+// of the same size rather than the real DMEM.
+const kDMEMSize = 0x1000;
+
+// Audio command flags.
+export const A_INIT = 0x01;
+export const A_CONTINUE = 0x00;
+export const A_LOOP = 0x02;
+export const A_OUT = 0x02;
+export const A_LEFT = 0x02;
+export const A_RIGHT = 0x00;
+export const A_VOL = 0x04;
+export const A_RATE = 0x00;
+export const A_AUX = 0x08;
+export const A_NOAUX = 0x00;
+export const A_MAIN = 0x00;
+export const A_MIX = 0x10;
+
+const kNumSegments = 16;
+
+// The size of the state saved to RAM between envmixer commands.
+const kEnvMixSaveSize = 80;
+
+// 4-tap filter coefficients used by the resampler, indexed by the top 6 bits
+// of the fractional sample position.
+// The second half of the table mirrors the first.
+const resampleLUTFirstHalf = [
+  0x0c39, 0x66ad, 0x0d46, 0xffdf, 0x0b39, 0x6696, 0x0e5f, 0xffd8,
+  0x0a44, 0x6669, 0x0f83, 0xffd0, 0x095a, 0x6626, 0x10b4, 0xffc8,
+  0x087d, 0x65cd, 0x11f0, 0xffbf, 0x07ab, 0x655e, 0x1338, 0xffb6,
+  0x06e4, 0x64d9, 0x148c, 0xffac, 0x0628, 0x643f, 0x15eb, 0xffa1,
+  0x0577, 0x638f, 0x1756, 0xff96, 0x04d1, 0x62cb, 0x18cb, 0xff8a,
+  0x0435, 0x61f3, 0x1a4c, 0xff7e, 0x03a4, 0x6106, 0x1bd7, 0xff71,
+  0x031c, 0x6007, 0x1d6c, 0xff64, 0x029f, 0x5ef5, 0x1f0b, 0xff56,
+  0x022a, 0x5dd0, 0x20b3, 0xff48, 0x01be, 0x5c9a, 0x2264, 0xff3a,
+  0x015b, 0x5b53, 0x241e, 0xff2c, 0x0101, 0x59fc, 0x25e0, 0xff1e,
+  0x00ae, 0x5896, 0x27a9, 0xff10, 0x0063, 0x5720, 0x297a, 0xff02,
+  0x001f, 0x559d, 0x2b50, 0xfef4, 0xffe2, 0x540d, 0x2d2c, 0xfee8,
+  0xffac, 0x5270, 0x2f0d, 0xfedb, 0xff7c, 0x50c7, 0x30f3, 0xfed0,
+  0xff53, 0x4f14, 0x32dc, 0xfec6, 0xff2e, 0x4d57, 0x34c8, 0xfebd,
+  0xff0f, 0x4b91, 0x36b6, 0xfeb6, 0xfef5, 0x49c2, 0x38a5, 0xfeb0,
+  0xfedf, 0x47ed, 0x3a95, 0xfeac, 0xfece, 0x4611, 0x3c85, 0xfeab,
+  0xfec0, 0x4430, 0x3e74, 0xfeac, 0xfeb6, 0x424a, 0x4060, 0xfeaf,
+];
+
+const resampleLUT = (() => {
+  const lut = new Int16Array(64 * 4);
+  lut.set(resampleLUTFirstHalf);
+  for (let i = 0; i < 32; i++) {
+    for (let j = 0; j < 4; j++) {
+      lut[(63 - i) * 4 + j] = resampleLUTFirstHalf[i * 4 + (3 - j)];
+    }
+  }
+  return lut;
+})();
+
+// Map to keep track of which warnings we've already shown.
+const loggedWarnings = new Map();
+
+export function clampS16(v) {
+  if (v < -32768) { return -32768; }
+  if (v > 32767) { return 32767; }
+  return v;
+}
+
+export function toS16(v) {
+  return (v << 16) >> 16;
+}
+
+export function align(v, alignment) {
+  return (v + alignment - 1) & ~(alignment - 1);
+}
+
+// Computes ((int64)a * b) >> 16 for 32 bit integers a and b, truncated to 32 bits.
+function mulShift16(a, b) {
+  const bHi = b >> 16;
+  const bLo = b & 0xffff;
+  return (a * bHi + Math.floor((a * bLo) / 65536)) | 0;
+}
+
+// Computes sum(x[i] * y[n - 1 - i]) for i in [0, n).
+function rdot(n, x, y, yOffset) {
+  let accu = 0;
+  for (let i = 0; i < n; i++) {
+    accu += x[i] * y[yOffset + n - 1 - i];
+  }
+  return accu;
+}
+
+/**
+ * A volume ramp with 16.16 fixed point value, step and target.
+ */
+class Ramp {
+  constructor(value, step, target) {
+    this.value = value;
+    this.step = step;
+    this.target = target;
+  }
+
+  next() {
+    this.value += this.step;
+    const reached = (this.step <= 0) ? (this.value <= this.target) : (this.value >= this.target);
+    if (reached) {
+      this.value = this.target;
+      this.step = 0;
+    }
+    return toS16(Math.floor(this.value / 65536));
+  }
+}
+
+/**
+ * Base class for the audio microcodes. Subclasses provide a map of commands and
+ * implement their commands in terms of the primitives provided here.
+ */
+export class AudioMicrocode {
+  /**
+   * @param {string} name
+   * @param {DataView} ramDV
+   */
+  constructor(name, ramDV) {
+    this.name = name;
+    this.ramDV = ramDV;
+    this.ramMask = ramDV.byteLength - 1;
+
+    this.dmem = new Uint8Array(kDMEMSize);
+    this.dmemDV = new DataView(this.dmem.buffer);
+
+    // Segment table, used by microcodes which support segmented addresses.
+    this.segments = new Uint32Array(kNumSegments);
+
+    // ADPCM codebook, also used to store polef coefficients.
+    this.table = new Int16Array(16 * 8);
+
+    // Map from command number to handler. Commands not in the map are
+    // unsupported, and cause the alist to be run on the RSP instead.
+    this.commands = new Map();
+  }
+
+  /**
+   * Returns the number of the first unsupported command in the alist, or -1 if
+   * all the commands are supported.
+   * @param {number} address
+   * @param {number} length
+   * @returns {number}
+   */
+  findUnsupportedCommand(address, length) {
+    for (let i = 0; i < length; i += 8) {
+      const cmd = (this.ramDV.getUint32((address + i) & this.ramMask) >>> 24) & 0x7f;
+      if (!this.commands.has(cmd)) {
+        return cmd;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Processes an alist.
+   * @param {number} address The address of the alist in RAM.
+   * @param {number} length The length of the alist in bytes.
+   * @returns {boolean} False if the alist couldn't be processed.
+   */
+  process(address, length) {
+    const unsupported = this.findUnsupportedCommand(address, length);
+    if (unsupported >= 0) {
+      this.warn(`${this.name}: unsupported command ${toString8(unsupported)}`);
+      return false;
+    }
+
+    this.segments.fill(0);
+    for (let i = 0; i < length; i += 8) {
+      const w1 = this.ramDV.getUint32((address + i) & this.ramMask);
+      const w2 = this.ramDV.getUint32((address + i + 4) & this.ramMask);
+      this.commands.get((w1 >>> 24) & 0x7f)(w1, w2);
+    }
+    return true;
+  }
+
+  warn(msg) {
+    if (loggedWarnings.get(msg)) {
+      return;
+    }
+    loggedWarnings.set(msg, true);
+    n64js.warn(msg);
+  }
+
+  //
+  // Addressing.
+  //
+  getAddress(so) {
+    const segment = (so >>> 24) & 0x3f;
+    const offset = so & 0xffffff;
+    if (segment >= kNumSegments) {
+      this.warn(`${this.name}: invalid segment ${segment} in address ${toString32(so)}`);
+      return offset;
+    }
+    return (this.segments[segment] + offset) >>> 0;
+  }
+
+  setSegment(so) {
+    const segment = (so >>> 24) & 0x3f;
+    if (segment >= kNumSegments) {
+      this.warn(`${this.name}: invalid segment ${segment} in address ${toString32(so)}`);
+      return;
+    }
+    this.segments[segment] = so & 0xffffff;
+  }
+
+  //
+  // DMEM and RAM accessors.
+  //
+  getS16(dmem) { return this.dmemDV.getInt16(dmem & 0xffe); }
+  setS16(dmem, value) { this.dmemDV.setInt16(dmem & 0xffe, value); }
+
+  // Accessors for sample positions (i.e. dmem / 2).
+  getSample(pos) { return this.dmemDV.getInt16((pos & 0x7ff) << 1); }
+  setSample(pos, value) { this.dmemDV.setInt16((pos & 0x7ff) << 1, value); }
+
+  ramS16(address) { return this.ramDV.getInt16(address & this.ramMask & ~1); }
+  ramU16(address) { return this.ramDV.getUint16(address & this.ramMask & ~1); }
+  setRamU16(address, value) { this.ramDV.setUint16(address & this.ramMask & ~1, value); }
+
+  loadRamS16(dst, address, count) {
+    for (let i = 0; i < count; i++) {
+      dst[i] = this.ramS16(address + i * 2);
+    }
+  }
+
+  storeRamS16(src, srcOffset, address, count) {
+    for (let i = 0; i < count; i++) {
+      this.setRamU16(address + i * 2, src[srcOffset + i]);
+    }
+  }
+
+  //
+  // Buffer operations. Counts are in bytes unless noted otherwise.
+  //
+  clear(dmem, count) {
+    for (let i = 0; i < count; i++) {
+      this.dmem[(dmem + i) & 0xfff] = 0;
+    }
+  }
+
+  load(dmem, address, count) {
+    // Enforce DMA alignment constraints.
+    dmem &= ~3;
+    address &= ~7;
+    count = align(count, 8);
+    for (let i = 0; i < count; i++) {
+      this.dmem[(dmem + i) & 0xfff] = this.ramDV.getUint8((address + i) & this.ramMask);
+    }
+  }
+
+  save(dmem, address, count) {
+    dmem &= ~3;
+    address &= ~7;
+    count = align(count, 8);
+    for (let i = 0; i < count; i++) {
+      this.ramDV.setUint8((address + i) & this.ramMask, this.dmem[(dmem + i) & 0xfff]);
+    }
+  }
+
+  move(dmemo, dmemi, count) {
+    for (let i = 0; i < count; i++) {
+      this.dmem[(dmemo + i) & 0xfff] = this.dmem[(dmemi + i) & 0xfff];
+    }
+  }
+
+  copyEveryOtherSample(dmemo, dmemi, count) {
+    for (let i = 0; i < count; i++) {
+      this.setS16(dmemo + i * 2, this.getS16(dmemi + i * 4));
+    }
+  }
+
+  repeat64(dmemo, dmemi, count) {
+    const block = new Uint8Array(64);
+    for (let i = 0; i < 64; i++) {
+      block[i] = this.dmem[(dmemi + i) & 0xfff];
+    }
+    for (let n = 0; n < count; n++) {
+      for (let i = 0; i < 64; i++) {
+        this.dmem[(dmemo + n * 64 + i) & 0xfff] = block[i];
+      }
+    }
+  }
+
+  /**
+   * Interleaves two mono buffers into a stereo buffer.
+   * @param {number} count The number of bytes to consume from each input.
+   */
+  interleave(dmemo, left, right, count) {
+    const numSamples = (count >> 2) * 2;
+    for (let i = 0; i < numSamples; i += 2) {
+      const l1 = this.getS16(left + i * 2);
+      const l2 = this.getS16(left + i * 2 + 2);
+      const r1 = this.getS16(right + i * 2);
+      const r2 = this.getS16(right + i * 2 + 2);
+      this.setS16(dmemo + i * 4 + 0, l1);
+      this.setS16(dmemo + i * 4 + 2, r1);
+      this.setS16(dmemo + i * 4 + 4, l2);
+      this.setS16(dmemo + i * 4 + 6, r2);
+    }
+  }
+
+  mix(dmemo, dmemi, count, gain) {
+    for (let i = 0; i < count; i += 2) {
+      const dst = this.getS16(dmemo + i);
+      const src = this.getS16(dmemi + i);
+      this.setS16(dmemo + i, clampS16(dst + ((src * gain) >> 15)));
+    }
+  }
+
+  add(dmemo, dmemi, count) {
+    for (let i = 0; i < count; i += 2) {
+      this.setS16(dmemo + i, clampS16(this.getS16(dmemo + i) + this.getS16(dmemi + i)));
+    }
+  }
+
+  /**
+   * Multiplies samples by a signed Q4.4 gain.
+   */
+  multQ44(dmem, count, gain) {
+    for (let i = 0; i < count; i += 2) {
+      this.setS16(dmem + i, clampS16((this.getS16(dmem + i) * gain) >> 4));
+    }
+  }
+
+  //
+  // ADPCM.
+  //
+  predictFrame4Bits(frame, dmemi, scale) {
+    const rshift = (scale < 12) ? 12 - scale : 0;
+    for (let i = 0; i < 8; i++) {
+      const byte = this.dmem[(dmemi + i) & 0xfff];
+      frame[i * 2 + 0] = toS16((byte & 0xf0) << 8) >> rshift;
+      frame[i * 2 + 1] = toS16((byte & 0x0f) << 12) >> rshift;
+    }
+    return 8;
+  }
+
+  predictFrame2Bits(frame, dmemi, scale) {
+    const rshift = (scale < 14) ? 14 - scale : 0;
+    for (let i = 0; i < 4; i++) {
+      const byte = this.dmem[(dmemi + i) & 0xfff];
+      frame[i * 4 + 0] = toS16((byte & 0xc0) << 8) >> rshift;
+      frame[i * 4 + 1] = toS16((byte & 0x30) << 10) >> rshift;
+      frame[i * 4 + 2] = toS16((byte & 0x0c) << 12) >> rshift;
+      frame[i * 4 + 3] = toS16((byte & 0x03) << 14) >> rshift;
+    }
+    return 4;
+  }
+
+  /**
+   * Decodes ADPCM compressed samples.
+   * The output is prefixed with the last 16 samples of the previous frame.
+   * @param {boolean} init Whether this is the first frame of a sound.
+   * @param {boolean} loop Whether to restore state from the loop address.
+   * @param {boolean} twoBitPerSample Whether samples are 2 rather than 4 bits.
+   * @param {number} count The number of output bytes (a multiple of 32).
+   */
+  adpcm(init, loop, twoBitPerSample, dmemo, dmemi, count, loopAddress, lastFrameAddress) {
+    const lastFrame = new Int16Array(16);
+    const frame = new Int16Array(16);
+    const codebook = this.table;
+
+    if (!init) {
+      this.loadRamS16(lastFrame, loop ? loopAddress : lastFrameAddress, 16);
+    }
+
+    for (let i = 0; i < 16; i++, dmemo += 2) {
+      this.setS16(dmemo, lastFrame[i]);
+    }
+
+    while (count > 0) {
+      const code = this.dmem[dmemi & 0xfff];
+      dmemi++;
+      const scale = (code & 0xf0) >> 4;
+      const cbOffset = (code & 0xf) << 4;
+
+      if (twoBitPerSample) {
+        dmemi += this.predictFrame2Bits(frame, dmemi, scale);
+      } else {
+        dmemi += this.predictFrame4Bits(frame, dmemi, scale);
+      }
+
+      computeResiduals(lastFrame, 0, frame, 0, codebook, cbOffset, lastFrame[14], lastFrame[15]);
+      computeResiduals(lastFrame, 8, frame, 8, codebook, cbOffset, lastFrame[6], lastFrame[7]);
+
+      for (let i = 0; i < 16; i++, dmemo += 2) {
+        this.setS16(dmemo, lastFrame[i]);
+      }
+      count -= 32;
+    }
+
+    this.storeRamS16(lastFrame, 0, lastFrameAddress, 16);
+  }
+
+  //
+  // Resampling.
+  //
+  /**
+   * Resamples using 4-tap interpolation.
+   * The state (the last 4 input samples and the fractional position) is saved
+   * to RAM so it can continue across alists.
+   * @param {number} pitch The ratio of input to output samples, 16.16 fixed point.
+   */
+  resample(init, dmemo, dmemi, count, pitch, address) {
+    let ipos = (dmemi >> 1) - 4;
+    let opos = dmemo >> 1;
+    let pitchAccu;
+
+    if (init) {
+      for (let k = 0; k < 4; k++) {
+        this.setSample(ipos + k, 0);
+      }
+      pitchAccu = 0;
+    } else {
+      for (let k = 0; k < 4; k++) {
+        this.setSample(ipos + k, this.ramS16(address + k * 2));
+      }
+      pitchAccu = this.ramU16(address + 8);
+    }
+
+    for (let n = count >> 1; n > 0; n--) {
+      const lut = (pitchAccu & 0xfc00) >> 8;
+      const accu =
+        this.getSample(ipos + 0) * resampleLUT[lut + 0] +
+        this.getSample(ipos + 1) * resampleLUT[lut + 1] +
+        this.getSample(ipos + 2) * resampleLUT[lut + 2] +
+        this.getSample(ipos + 3) * resampleLUT[lut + 3];
+      this.setSample(opos++, clampS16(accu >> 15));
+
+      pitchAccu += pitch;
+      ipos += pitchAccu >>> 16;
+      pitchAccu &= 0xffff;
+    }
+
+    for (let k = 0; k < 4; k++) {
+      this.setRamU16(address + k * 2, this.getSample(ipos + k));
+    }
+    this.setRamU16(address + 8, pitchAccu);
+  }
+
+  /**
+   * Resamples using zero order hold (i.e. no interpolation).
+   */
+  resampleZOH(dmemo, dmemi, count, pitch, pitchAccu) {
+    let ipos = dmemi >> 1;
+    let opos = dmemo >> 1;
+    for (let n = count >> 1; n > 0; n--) {
+      this.setSample(opos++, this.getSample(ipos));
+      pitchAccu += pitch;
+      ipos += pitchAccu >>> 16;
+      pitchAccu &= 0xffff;
+    }
+  }
+
+  //
+  // Filtering.
+  //
+  /**
+   * Applies a two-pole IIR filter. The coefficients are taken from the ADPCM
+   * table (h1 from the first 8 entries, h2 from the next 8).
+   */
+  polef(init, dmemo, dmemi, count, gain, address) {
+    const h1 = this.table.subarray(0, 8);
+    const h2 = this.table.subarray(8, 16);
+    const h2Before = new Int16Array(h2);
+    const frame = new Int16Array(8);
+    const out = new Int16Array(8);
+
+    count = align(count, 16);
+
+    let l1 = 0;
+    let l2 = 0;
+    if (!init) {
+      l1 = this.ramS16(address + 4);
+      l2 = this.ramS16(address + 6);
+    }
+
+    for (let i = 0; i < 8; i++) {
+      h2[i] = (h2[i] * gain) >> 14;
+    }
+
+    do {
+      for (let i = 0; i < 8; i++, dmemi += 2) {
+        frame[i] = this.getS16(dmemi);
+      }
+      for (let i = 0; i < 8; i++) {
+        const accu = frame[i] * gain + h1[i] * l1 + h2Before[i] * l2 + rdot(i, h2, frame, 0);
+        out[i] = clampS16(accu >> 14);
+      }
+      for (let i = 0; i < 8; i++, dmemo += 2) {
+        this.setS16(dmemo, out[i]);
+      }
+      l1 = out[6];
+      l2 = out[7];
+      count -= 16;
+    } while (count > 0);
+
+    this.storeRamS16(out, 4, address, 4);
+  }
+
+  /**
+   * Applies an 8 tap FIR filter. The coefficients are the average of the two
+   * tables at lut6Address and lut5Address. The last 8 input samples are kept
+   * at address so the filter can continue from one alist to the next.
+   */
+  filter(dmem, count, address, lut6Address, lut5Address) {
+    const lut = new Int16Array(8);
+    for (let i = 0; i < 8; i++) {
+      lut[i] = (this.ramS16(lut6Address + i * 2) + this.ramS16(lut5Address + i * 2)) >> 1;
+    }
+
+    // The previous block of 8 samples, followed by the current block.
+    const samples = new Int16Array(16);
+    this.loadRamS16(samples, address, 8);
+
+    const out = new Int16Array(align(count, 16) >> 1);
+    for (let x = 0, dmemi = dmem; x < count; x += 16) {
+      for (let i = 0; i < 8; i++, dmemi += 2) {
+        samples[8 + i] = this.getS16(dmemi);
+      }
+      for (let i = 0; i < 8; i++) {
+        let accu = 0;
+        for (let j = 0; j < 8; j++) {
+          accu += lut[j] * samples[8 + i - j];
+        }
+        out[(x >> 1) + i] = (accu + 0x4000) >> 15;
+      }
+      samples.copyWithin(0, 8);
+    }
+
+    this.storeRamS16(samples, 0, address, 8);
+    for (let i = 0; i < count; i += 2) {
+      this.setS16(dmem + i, out[i >> 1]);
+    }
+  }
+
+  //
+  // Envelope mixing.
+  //
+  /**
+   * Mixes a source buffer into the dry and wet buffers with an exponential
+   * volume ramp.
+   * @param {boolean} aux Whether to mix into the wet buffers.
+   * @param {!Array<number>} vol The initial left and right volumes.
+   * @param {!Array<number>} target The target left and right volumes.
+   * @param {!Array<number>} rate The left and right ramp rates.
+   * @param {number} address The address of the saved envmixer state.
+   */
+  envmixExp(init, aux, dmemDL, dmemDR, dmemWL, dmemWR, dmemi, count, dry, wet, vol, target, rate, address) {
+    const ramps = [new Ramp(0, 0, 0), new Ramp(0, 0, 0)];
+    const expSeq = [0, 0];
+    const expRates = [0, 0];
+
+    if (init) {
+      for (let i = 0; i < 2; i++) {
+        ramps[i].value = vol[i] << 16;
+        ramps[i].target = target[i] << 16;
+        expRates[i] = rate[i];
+        expSeq[i] = Math.imul(vol[i], rate[i]);
+      }
+    } else {
+      const dv = this.loadEnvMixState(address);
+      wet = dv.getInt16(0);
+      dry = dv.getInt16(2);
+      for (let i = 0; i < 2; i++) {
+        ramps[i].target = dv.getInt32(8 + i * 4);
+        expRates[i] = dv.getInt32(16 + i * 4);
+        expSeq[i] = dv.getInt32(24 + i * 4);
+        ramps[i].value = dv.getInt32(32 + i * 4);
+      }
+    }
+
+    // Ensure step is non-zero iff value != target.
+    for (let i = 0; i < 2; i++) {
+      ramps[i].step = ramps[i].target - ramps[i].value;
+    }
+
+    const gains = new Int16Array(4);
+    let ptr = 0;
+    for (let y = 0; y < count; y += 16) {
+      for (let i = 0; i < 2; i++) {
+        if (ramps[i].step != 0) {
+          expSeq[i] = mulShift16(expSeq[i], expRates[i]);
+          ramps[i].step = Math.floor((expSeq[i] - ramps[i].value) / 8);
+        }
+      }
+
+      for (let x = 0; x < 8; x++, ptr += 2) {
+        const lVol = ramps[0].next();
+        const rVol = ramps[1].next();
+        gains[0] = clampS16((lVol * dry + 0x4000) >> 15);
+        gains[1] = clampS16((rVol * dry + 0x4000) >> 15);
+        gains[2] = clampS16((lVol * wet + 0x4000) >> 15);
+        gains[3] = clampS16((rVol * wet + 0x4000) >> 15);
+        this.envmixSample(aux, dmemDL + ptr, dmemDR + ptr, dmemWL + ptr, dmemWR + ptr, gains, this.getS16(dmemi + ptr));
+      }
+    }
+
+    const dv = new DataView(new ArrayBuffer(kEnvMixSaveSize));
+    dv.setInt16(0, wet);
+    dv.setInt16(2, dry);
+    for (let i = 0; i < 2; i++) {
+      dv.setInt32(8 + i * 4, ramps[i].target | 0);
+      dv.setInt32(16 + i * 4, expRates[i]);
+      dv.setInt32(24 + i * 4, expSeq[i]);
+      dv.setInt32(32 + i * 4, ramps[i].value | 0);
+    }
+    this.storeEnvMixState(address, dv);
+  }
+
+  /**
+   * Mixes a source buffer into the dry and wet buffers with a linear volume ramp.
+   * Parameters are as for envmixExp.
+   */
+  envmixLin(init, dmemDL, dmemDR, dmemWL, dmemWR, dmemi, count, dry, wet, vol, target, rate, address) {
+    const ramps = [new Ramp(0, 0, 0), new Ramp(0, 0, 0)];
+
+    if (init) {
+      for (let i = 0; i < 2; i++) {
+        ramps[i].step = Math.trunc(rate[i] / 8);
+        ramps[i].value = vol[i] << 16;
+        ramps[i].target = target[i] << 16;
+      }
+    } else {
+      const dv = this.loadEnvMixState(address);
+      wet = dv.getInt16(0);
+      dry = dv.getInt16(2);
+      for (let i = 0; i < 2; i++) {
+        ramps[i].target = dv.getInt16(8 + i * 4) << 16;
+        ramps[i].step = dv.getInt32(16 + i * 4);
+        ramps[i].value = dv.getInt32(32 + i * 4);
+      }
+    }
+
+    const gains = new Int16Array(4);
+    for (let ptr = 0; ptr < count; ptr += 2) {
+      const lVol = ramps[0].next();
+      const rVol = ramps[1].next();
+      gains[0] = clampS16((lVol * dry + 0x4000) >> 15);
+      gains[1] = clampS16((rVol * dry + 0x4000) >> 15);
+      gains[2] = clampS16((lVol * wet + 0x4000) >> 15);
+      gains[3] = clampS16((rVol * wet + 0x4000) >> 15);
+      this.envmixSample(true, dmemDL + ptr, dmemDR + ptr, dmemWL + ptr, dmemWR + ptr, gains, this.getS16(dmemi + ptr));
+    }
+
+    const dv = new DataView(new ArrayBuffer(kEnvMixSaveSize));
+    dv.setInt16(0, wet);
+    dv.setInt16(2, dry);
+    for (let i = 0; i < 2; i++) {
+      dv.setInt16(8 + i * 4, ramps[i].target >> 16);
+      dv.setInt32(16 + i * 4, ramps[i].step | 0);
+      dv.setInt32(32 + i * 4, ramps[i].value | 0);
+    }
+    this.storeEnvMixState(address, dv);
+  }
+
+  envmixSample(aux, dl, dr, wl, wr, gains, src) {
+    this.setS16(dl, clampS16(this.getS16(dl) + ((src * gains[0]) >> 15)));
+    this.setS16(dr, clampS16(this.getS16(dr) + ((src * gains[1]) >> 15)));
+    if (aux) {
+      this.setS16(wl, clampS16(this.getS16(wl) + ((src * gains[2]) >> 15)));
+      this.setS16(wr, clampS16(this.getS16(wr) + ((src * gains[3]) >> 15)));
+    }
+  }
+
+  /**
+   * Mixes a source buffer into the dry and wet buffers, as used by the
+   * Zelda-style microcodes. Volumes are stepped every 8 samples.
+   * @param {number} count The number of samples.
+   * @param {!Uint16Array} envValues The left, right and wet volumes.
+   * @param {!Uint16Array} envSteps The steps to apply to envValues.
+   * @param {!Array<number>} xors Values to xor each output with (0 or -1).
+   */
+  envmixNead(swapWetLR, dmemDL, dmemDR, dmemWL, dmemWR, dmemi, count, envValues, envSteps, xors) {
+    count = align(count, 8);
+
+    if (swapWetLR) {
+      [dmemWL, dmemWR] = [dmemWR, dmemWL];
+    }
+
+    for (let ptr = 0; count > 0; count -= 8) {
+      for (let i = 0; i < 8; i++, ptr += 2) {
+        const src = this.getS16(dmemi + ptr);
+        const l = toS16(((src * envValues[0]) >> 16) ^ xors[0]);
+        const r = toS16(((src * envValues[1]) >> 16) ^ xors[1]);
+        const l2 = toS16(((l * envValues[2]) >> 16) ^ xors[2]);
+        const r2 = toS16(((r * envValues[2]) >> 16) ^ xors[3]);
+
+        this.setS16(dmemDL + ptr, clampS16(this.getS16(dmemDL + ptr) + l));
+        this.setS16(dmemDR + ptr, clampS16(this.getS16(dmemDR + ptr) + r));
+        this.setS16(dmemWL + ptr, clampS16(this.getS16(dmemWL + ptr) + l2));
+        this.setS16(dmemWR + ptr, clampS16(this.getS16(dmemWR + ptr) + r2));
+      }
+      envValues[0] += envSteps[0];
+      envValues[1] += envSteps[1];
+      envValues[2] += envSteps[2];
+    }
+  }
+
+  loadEnvMixState(address) {
+    const dv = new DataView(new ArrayBuffer(kEnvMixSaveSize));
+    for (let i = 0; i < kEnvMixSaveSize; i++) {
+      dv.setUint8(i, this.ramDV.getUint8((address + i) & this.ramMask));
+    }
+    return dv;
+  }
+
+  storeEnvMixState(address, dv) {
+    for (let i = 0; i < kEnvMixSaveSize; i++) {
+      this.ramDV.setUint8((address + i) & this.ramMask, dv.getUint8(i));
+    }
+  }
+}
+
+/**
+ * Applies the ADPCM predictor to a half frame of 8 samples.
+ * @param {!Int16Array} dst
+ * @param {number} dstOffset
+ * @param {!Int16Array} src
+ * @param {number} srcOffset
+ * @param {!Int16Array} codebook
+ * @param {number} cbOffset The offset of the codebook entry (book1 followed by book2).
+ * @param {number} l1 The second to last sample of the previous half frame.
+ * @param {number} l2 The last sample of the previous half frame.
+ */
+function computeResiduals(dst, dstOffset, src, srcOffset, codebook, cbOffset, l1, l2) {
+  const book1 = codebook.subarray(cbOffset, cbOffset + 8);
+  const book2 = codebook.subarray(cbOffset + 8, cbOffset + 16);
+  for (let i = 0; i < 8; i++) {
+    let accu = src[srcOffset + i] << 11;
+    accu += book1[i] * l1 + book2[i] * l2 + rdot(i, book2, src, srcOffset);
+    dst[dstOffset + i] = clampS16(accu >> 11);
+  }
+}
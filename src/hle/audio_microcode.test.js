@@ -0,0 +1,132 @@
+import { ABI2 } from "./audio_abi2.js";
+import { clampS16 } from "./audio_microcode.js";
+import { detectAudioABI } from "./hle_audio.js";
+
+const assert = require('chai').assert;
+
+globalThis.n64js = globalThis.n64js || {};
+
+const kAlistAddress = 0x1000;
+const kSampleAddress = 0x2000;
+
+function makeRam() {
+  return new DataView(new ArrayBuffer(0x10000));
+}
+
+function writeAlist(ramDV, commands) {
+  for (let i = 0; i < commands.length; i++) {
+    ramDV.setUint32(kAlistAddress + i * 8 + 0, commands[i][0]);
+    ramDV.setUint32(kAlistAddress + i * 8 + 4, commands[i][1]);
+  }
+  return commands.length * 8;
+}
+
+describe('AudioMicrocode', () => {
+  describe('clampS16', () => {
+    it('should clamp to the signed 16 bit range', () => {
+      assert.equal(clampS16(40000), 32767);
+      assert.equal(clampS16(-40000), -32768);
+      assert.equal(clampS16(1234), 1234);
+    });
+  });
+
+  describe('ABI2', () => {
+    it('should load, interleave and save buffers', () => {
+      const ramDV = makeRam();
+      for (let i = 0; i < 16; i++) {
+        ramDV.setInt16(kSampleAddress + i * 2, i < 8 ? i : -i);
+      }
+      const length = writeAlist(ramDV, [
+        [0x14010000, kSampleAddress],        // LOADBUFF 16 bytes -> 0x000
+        [0x14010010, kSampleAddress + 0x10], // LOADBUFF 16 bytes -> 0x010
+        [0x0d010100, 0x00000010],            // INTERLEAVE 0x000, 0x010 -> 0x100
+        [0x15020100, kSampleAddress + 0x40], // SAVEBUFF 32 bytes from 0x100
+      ]);
+
+      const abi = new ABI2(ramDV);
+      assert.isTrue(abi.process(kAlistAddress, length));
+      for (let i = 0; i < 8; i++) {
+        assert.equal(ramDV.getInt16(kSampleAddress + 0x40 + i * 4 + 0), i);
+        assert.equal(ramDV.getInt16(kSampleAddress + 0x40 + i * 4 + 2), -(i + 8));
+      }
+    });
+
+    it('should mix with clamping', () => {
+      const ramDV = makeRam();
+      const abi = new ABI2(ramDV);
+      abi.setS16(0x000, 0x4000);
+      abi.setS16(0x100, 0x7000);
+      const length = writeAlist(ramDV, [
+        [0x0c017fff, 0x00000100], // MIXER 16 bytes 0x000 -> 0x100, gain ~1.0
+      ]);
+      assert.isTrue(abi.process(kAlistAddress, length));
+      assert.equal(abi.getS16(0x100), 32767);
+    });
+
+    it('should filter samples', () => {
+      const ramDV = makeRam();
+      const kLUTAddress = 0x3000;
+      const kStateAddress = 0x3100;
+      // The coefficients are the average of the two tables: a two tap moving
+      // average.
+      ramDV.setInt16(kLUTAddress + 0, 0x4000);
+      ramDV.setInt16(kLUTAddress + 2, 0x6000);
+      ramDV.setInt16(kStateAddress + 0x10 + 0, 0x4000);
+      ramDV.setInt16(kStateAddress + 0x10 + 2, 0x2000);
+      // The last sample from the previous alist.
+      ramDV.setInt16(kStateAddress + 14, 100);
+
+      const abi = new ABI2(ramDV);
+      for (let i = 0; i < 16; i++) {
+        abi.setS16(0x100 + i * 2, (i + 1) * 200);
+      }
+      const length = writeAlist(ramDV, [
+        [0x07020020, kLUTAddress],   // FILTER count 32 bytes
+        [0x07000100, kStateAddress], // FILTER 0x100
+      ]);
+      assert.isTrue(abi.process(kAlistAddress, length));
+
+      assert.equal(abi.getS16(0x100), 150);
+      for (let i = 1; i < 16; i++) {
+        assert.equal(abi.getS16(0x100 + i * 2), i * 200 + 100);
+      }
+      // The last 8 input samples are saved for the next alist.
+      for (let i = 0; i < 8; i++) {
+        assert.equal(ramDV.getInt16(kStateAddress + i * 2), (i + 9) * 200);
+      }
+    });
+
+    it('should reject alists with unsupported commands', () => {
+      const ramDV = makeRam();
+      const length = writeAlist(ramDV, [
+        [0x02000000, 0x00000010], // CLEARBUFF
+        [0x18000000, 0x00000000], // Unknown
+      ]);
+      n64js.warn = () => {};
+      const abi = new ABI2(ramDV);
+      abi.setS16(0x000, 1);
+      assert.isFalse(abi.process(kAlistAddress, length));
+      // Nothing should have been executed.
+      assert.equal(abi.getS16(0x000), 1);
+    });
+  });
+
+  describe('detectAudioABI', () => {
+    const kDataAddress = 0x100;
+
+    it('should identify supported microcodes', () => {
+      const ramDV = makeRam();
+      ramDV.setUint32(kDataAddress + 0x00, 0x00000001);
+      ramDV.setUint32(kDataAddress + 0x10, 0x1f681230);
+      assert.equal(detectAudioABI(ramDV, kDataAddress), 'ABI2');
+    });
+
+    it('should not identify unknown microcodes', () => {
+      const ramDV = makeRam();
+      n64js.warn = () => {};
+      // MusyX.
+      ramDV.setUint32(kDataAddress + 0x10, 0x00000001);
+      assert.isNull(detectAudioABI(ramDV, kDataAddress));
+    });
+  });
+});
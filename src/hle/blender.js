@@ -0,0 +1,157 @@
+import * as gbi from './gbi.js';
+
+// Generates shader code for the RDP blender, which evaluates
+// (P * A + M * B) / (A + B) for one or two cycles.
+//
+// P and M select a color: the input pixel, memory, the blend color or the fog color.
+// A selects an alpha: the input alpha, fog alpha, shade alpha or zero.
+// B selects an alpha: 1 - A, memory alpha, one or zero.
+//
+// The framebuffer can't be read in the shader, so each color is tracked as
+// v + k * memory, with v in rgb and k in alpha. The GL blend function then adds
+// in the memory term.
+
+const kColorIn = 0;
+const kColorMem = 1;
+const kColorBlend = 2;
+const kColorFog = 3;
+
+const kAlphaIn = 0;
+const kAlphaFog = 1;
+const kAlphaShade = 2;
+
+const kOneMinusA = 0;
+const kAlphaMem = 1;
+const kOne = 2;
+
+class BlenderCycle {
+  constructor(p, a, m, b, blend) {
+    this.p = p;
+    this.a = a;
+    this.m = m;
+    this.b = b;
+    // If false the P input is passed through unblended.
+    this.blend = blend;
+  }
+
+  get usesMemory() {
+    return this.p == kColorMem || (this.blend && this.m == kColorMem);
+  }
+}
+
+/**
+ * Decodes the blender cycles that are active for the given render mode.
+ * @param {number} otherModeL
+ * @param {number} cycleType
+ * @returns {!Array<!BlenderCycle>}
+ */
+export function getBlenderCycles(otherModeL, cycleType) {
+  const forceBlend = (otherModeL & gbi.RenderMode.FORCE_BL) != 0;
+  const decode = (cycle, blend) => {
+    const shift = 2 - (cycle * 2);
+    return new BlenderCycle(
+      (otherModeL >>> (28 + shift)) & 3,
+      (otherModeL >>> (24 + shift)) & 3,
+      (otherModeL >>> (20 + shift)) & 3,
+      (otherModeL >>> (16 + shift)) & 3,
+      blend);
+  };
+
+  // Without FORCE_BL only edge pixels are blended in the last cycle. We don't
+  // compute coverage so treat every pixel as fully covered.
+  if (cycleType === gbi.CycleType.G_CYC_2CYCLE) {
+    return [decode(0, true), decode(1, forceBlend)];
+  }
+  return [decode(0, forceBlend)];
+}
+
+/**
+ * Whether the blender reads the framebuffer for the given render mode.
+ * @param {number} otherModeL
+ * @param {number} cycleType
+ * @returns {boolean}
+ */
+export function blenderUsesMemory(otherModeL, cycleType) {
+  if (cycleType !== gbi.CycleType.G_CYC_1CYCLE && cycleType !== gbi.CycleType.G_CYC_2CYCLE) {
+    return false;
+  }
+  // Memory used in the first of two cycles only matters if the second cycle uses its output.
+  const cycles = getBlenderCycles(otherModeL, cycleType);
+  let usesMemory = false;
+  for (let cycle of cycles) {
+    const usesIn = cycle.p == kColorIn || (cycle.blend && cycle.m == kColorIn);
+    usesMemory = cycle.usesMemory || (usesIn && usesMemory);
+  }
+  return usesMemory;
+}
+
+/**
+ * Generates the shader instructions for the blender. The instructions replace
+ * the combiner output in 'col' with the blended color. If the blender uses
+ * memory, the alpha of the result is the weight to apply to the framebuffer.
+ * @param {number} otherModeL
+ * @param {number} cycleType
+ * @returns {string}
+ */
+export function generateBlender(otherModeL, cycleType) {
+  // Fill and copy modes don't use the blender.
+  if (cycleType !== gbi.CycleType.G_CYC_1CYCLE && cycleType !== gbi.CycleType.G_CYC_2CYCLE) {
+    return '';
+  }
+
+  // If ALPHA_CVG_SEL is set the input alpha is the coverage, optionally multiplied by alpha.
+  let alphaIn = 'col.a';
+  if ((otherModeL & gbi.RenderMode.ALPHA_CVG_SEL) && !(otherModeL & gbi.RenderMode.CVG_X_ALPHA)) {
+    alphaIn = '1.0';
+  }
+
+  let body = '';
+  body += `float blendAlphaIn = ${alphaIn};\n`;
+  body += 'vec4 blended = vec4(col.rgb, 0.0);\n';
+  for (let cycle of getBlenderCycles(otherModeL, cycleType)) {
+    const p = colorInput(cycle.p);
+    if (!cycle.blend) {
+      body += `blended = ${p};\n`;
+      continue;
+    }
+    const m = colorInput(cycle.m);
+    const a = alphaInput(cycle.a);
+    const b = (cycle.b == kOneMinusA) ? `(1.0 - ${a})` : otherAlphaInput(cycle.b);
+    body += `blended = (${p} * ${a} + ${m} * ${b}) / max(${a} + ${b}, 1.0 / 255.0);\n`;
+  }
+
+  if (blenderUsesMemory(otherModeL, cycleType)) {
+    body += 'col = blended;\n';
+  } else {
+    body += 'col = vec4(blended.rgb, col.a);\n';
+  }
+  return body;
+}
+
+function colorInput(sel) {
+  switch (sel) {
+    case kColorIn: return 'blended';
+    case kColorMem: return 'vec4(0.0, 0.0, 0.0, 1.0)';
+    case kColorBlend: return 'vec4(uBlendColor.rgb, 0.0)';
+    case kColorFog: return 'vec4(uFogColor.rgb, 0.0)';
+  }
+  return 'blended';
+}
+
+function alphaInput(sel) {
+  switch (sel) {
+    case kAlphaIn: return 'blendAlphaIn';
+    case kAlphaFog: return 'uFogColor.a';
+    case kAlphaShade: return 'shade.a';
+  }
+  return '0.0';
+}
+
+function otherAlphaInput(sel) {
+  switch (sel) {
+    // We don't track coverage, so memory is always fully covered.
+    case kAlphaMem: return '1.0';
+    case kOne: return '1.0';
+  }
+  return '0.0';
+}
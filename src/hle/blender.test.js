@@ -0,0 +1,67 @@
+import { blenderUsesMemory, generateBlender } from './blender.js';
+import * as gbi from './gbi.js';
+
+const assert = require('chai').assert;
+
+// Builds the blender bits of the other mode word from two cycles of (P, A, M, B).
+function blendMode(c0, c1) {
+  return ((c0[0] << 30) | (c1[0] << 28) | (c0[1] << 26) | (c1[1] << 24) |
+    (c0[2] << 22) | (c1[2] << 20) | (c0[3] << 18) | (c1[3] << 16)) >>> 0;
+}
+
+// CLR_IN, A_IN, CLR_MEM, 1MA.
+const kXlu = [0, 0, 1, 0];
+// CLR_IN, 0, CLR_IN, 1.
+const kOpa = [0, 3, 0, 2];
+// CLR_FOG, A_SHADE, CLR_IN, 1MA.
+const kFogShade = [3, 2, 0, 0];
+
+const kCyc1 = gbi.CycleType.G_CYC_1CYCLE;
+const kCyc2 = gbi.CycleType.G_CYC_2CYCLE;
+const kForceBlend = gbi.RenderMode.FORCE_BL;
+
+describe('blenderUsesMemory', () => {
+  it('should detect translucent modes', () => {
+    assert.isTrue(blenderUsesMemory(blendMode(kXlu, kXlu) | kForceBlend, kCyc1));
+    assert.isFalse(blenderUsesMemory(blendMode(kOpa, kOpa) | kForceBlend, kCyc1));
+  });
+
+  it('should ignore memory unless blending is forced', () => {
+    assert.isFalse(blenderUsesMemory(blendMode(kXlu, kXlu), kCyc1));
+  });
+
+  it('should ignore the blender in fill and copy modes', () => {
+    assert.isFalse(blenderUsesMemory(blendMode(kXlu, kXlu) | kForceBlend, gbi.CycleType.G_CYC_FILL));
+    assert.isFalse(blenderUsesMemory(blendMode(kXlu, kXlu) | kForceBlend, gbi.CycleType.G_CYC_COPY));
+  });
+
+  it('should track memory through both cycles', () => {
+    assert.isTrue(blenderUsesMemory(blendMode(kFogShade, kXlu) | kForceBlend, kCyc2));
+    assert.isFalse(blenderUsesMemory(blendMode(kFogShade, kOpa) | kForceBlend, kCyc2));
+    // The second cycle discards the first cycle's memory term.
+    assert.isFalse(blenderUsesMemory(blendMode(kXlu, [2, 3, 2, 2]) | kForceBlend, kCyc2));
+  });
+});
+
+describe('generateBlender', () => {
+  it('should blend fog with shade alpha', () => {
+    const body = generateBlender(blendMode(kFogShade, kOpa), kCyc2);
+    assert.include(body, 'blended = (vec4(uFogColor.rgb, 0.0) * shade.a + blended * (1.0 - shade.a))');
+    assert.include(body, 'col = vec4(blended.rgb, col.a);');
+  });
+
+  it('should output the memory weight as alpha', () => {
+    const body = generateBlender(blendMode(kXlu, kXlu) | kForceBlend, kCyc1);
+    assert.include(body, 'vec4(0.0, 0.0, 0.0, 1.0) * (1.0 - blendAlphaIn)');
+    assert.include(body, 'col = blended;');
+  });
+
+  it('should use coverage as alpha when selected', () => {
+    const body = generateBlender(blendMode(kXlu, kXlu) | kForceBlend | gbi.RenderMode.ALPHA_CVG_SEL, kCyc1);
+    assert.include(body, 'float blendAlphaIn = 1.0;');
+  });
+
+  it('should generate nothing in fill mode', () => {
+    assert.equal(generateBlender(blendMode(kXlu, kXlu), gbi.CycleType.G_CYC_FILL), '');
+  });
+});
@@ -3,13 +3,13 @@ import { padString, toHex, toString32 } from '../format.js';
 import { makeColorTextRGBA16, makeColorTextRGBA, makeColorTextABGR } from './disassemble.js';
 import * as gbi from './gbi.js';
 import * as shaders from './shaders.js';
+import { Texture } from './textures.js';
 
 // TODO: make fields.
 let $dlistScrub;
 let $dlistState;
 let $dlistOutput;
-
-const $dlistContent = $('#dlist-content');
+let $dlistContent;
 
 // Which displaylist in the frame to stop on.
 let dlFocusIndex = 0;
@@ -157,6 +157,7 @@ export class DebugController {
   }
 
   initUI() {
+    $dlistContent = $('#dlist-content');
     const $dlistControls = $dlistContent.find('#controls');
 
     this.bailAfter = -1;
@@ -284,7 +285,7 @@ export class DebugController {
 
   buildTexture(tileIdx) {
     const texture = this.renderer.lookupTexture(tileIdx);
-    if (texture) {
+    if (texture instanceof Texture) {
       const kScale = 8;
       return texture.createScaledCanvas(kScale);
     }
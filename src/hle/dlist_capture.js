@@ -0,0 +1,336 @@
+/*global n64js*/
+
+import * as logger from '../logger.js';
+import { StateReader, StateWriter } from '../savestate.js';
+
+/**
+ * Display list captures record the graphics tasks executed for one frame,
+ * along with the contents of every range of RDRAM the tasks read. They can be
+ * replayed without the rom, e.g. to reproduce rendering bugs.
+ *
+ * RDRAM reads are tracked in 64 byte blocks. Each task stores the blocks it
+ * read as they were when the task started.
+ */
+
+const kMagic = 0x4e363444; // 'N64D'
+
+/**
+ * The current capture version. Bump this whenever the layout changes.
+ */
+export const kCaptureVersion = 1;
+
+const kBlockShift = 6;
+
+/**
+ * A graphics task in a capture.
+ */
+export class CapturedTask {
+  constructor() {
+    this.type = 0;
+    this.codeAddr = 0;
+    this.codeSize = 0;
+    this.codeDataAddr = 0;
+    this.codeDataSize = 0;
+    this.dataPtr = 0;
+    this.dataSize = 0;
+
+    /** @type {!Array<{address: number, bytes: !Uint8Array}>} */
+    this.ranges = [];
+  }
+
+  /**
+   * Copies the captured RDRAM ranges to RDRAM.
+   * @param {!Uint8Array} ram
+   */
+  restoreRam(ram) {
+    for (let range of this.ranges) {
+      if (range.address + range.bytes.length > ram.length) {
+        throw `Capture range ${range.address} is outside RDRAM`;
+      }
+      ram.set(range.bytes, range.address);
+    }
+  }
+}
+
+/**
+ * One frame of graphics tasks.
+ */
+export class DisplayListCapture {
+  constructor() {
+    this.romId = '';
+    this.romName = '';
+
+    // The VI origin and dimensions the frame was presented with.
+    this.viOrigin = 0;
+    this.dims = { srcWidth: 0, srcHeight: 0, screenWidth: 0, screenHeight: 0 };
+
+    /** @type {!Array<!CapturedTask>} */
+    this.tasks = [];
+  }
+
+  /**
+   * Serialises the capture.
+   * @returns {!ArrayBuffer}
+   */
+  serialize() {
+    const w = new StateWriter();
+    w.writeU32(kMagic);
+    w.writeU32(kCaptureVersion);
+    w.writeString(this.romId);
+    w.writeString(this.romName);
+    w.writeU32(this.viOrigin);
+    w.writeU32(this.dims.srcWidth);
+    w.writeU32(this.dims.srcHeight);
+    w.writeU32(this.dims.screenWidth);
+    w.writeU32(this.dims.screenHeight);
+
+    w.writeU32(this.tasks.length);
+    for (let task of this.tasks) {
+      w.beginSection('TASK');
+      w.writeU32(task.type);
+      w.writeU32(task.codeAddr);
+      w.writeU32(task.codeSize);
+      w.writeU32(task.codeDataAddr);
+      w.writeU32(task.codeDataSize);
+      w.writeU32(task.dataPtr);
+      w.writeU32(task.dataSize);
+      w.writeU32(task.ranges.length);
+      for (let range of task.ranges) {
+        w.writeU32(range.address);
+        w.writeBytes(range.bytes);
+      }
+    }
+    return w.finish();
+  }
+
+  /**
+   * Deserialises a capture created by serialize.
+   * @param {!ArrayBuffer} arrayBuffer
+   * @returns {!DisplayListCapture}
+   */
+  static deserialize(arrayBuffer) {
+    const r = new StateReader(arrayBuffer);
+    if (r.u8.length < 4 || r.readU32() != kMagic) {
+      throw `Not a display list capture`;
+    }
+    const version = r.readU32();
+    if (version != kCaptureVersion) {
+      throw `Unsupported display list capture version ${version} (expected ${kCaptureVersion})`;
+    }
+
+    const capture = new DisplayListCapture();
+    capture.romId = r.readString();
+    capture.romName = r.readString();
+    capture.viOrigin = r.readU32();
+    capture.dims.srcWidth = r.readU32();
+    capture.dims.srcHeight = r.readU32();
+    capture.dims.screenWidth = r.readU32();
+    capture.dims.screenHeight = r.readU32();
+
+    const numTasks = r.readU32();
+    for (let i = 0; i < numTasks; ++i) {
+      r.expectSection('TASK');
+      const task = new CapturedTask();
+      task.type = r.readU32();
+      task.codeAddr = r.readU32();
+      task.codeSize = r.readU32();
+      task.codeDataAddr = r.readU32();
+      task.codeDataSize = r.readU32();
+      task.dataPtr = r.readU32();
+      task.dataSize = r.readU32();
+      const numRanges = r.readU32();
+      for (let j = 0; j < numRanges; ++j) {
+        const address = r.readU32();
+        // Copy so the capture doesn't keep the whole buffer alive.
+        task.ranges.push({ address: address, bytes: r.readBytes().slice() });
+      }
+      capture.tasks.push(task);
+    }
+    return capture;
+  }
+}
+
+/**
+ * Records the RDRAM read by graphics tasks.
+ */
+export class DisplayListRecorder {
+  /**
+   * @param {string} romId
+   * @param {string} romName
+   */
+  constructor(romId, romName) {
+    this.capture = new DisplayListCapture();
+    this.capture.romId = romId;
+    this.capture.romName = romName;
+
+    this.ramCopy = null;
+    this.touched = null;
+    this.currentTask = null;
+  }
+
+  /**
+   * Starts recording a task.
+   * @param {!RSPTask} task
+   * @param {!Uint8Array} ram
+   */
+  beginTask(task, ram) {
+    // Take a copy of RDRAM so we capture the values at the start of the task,
+    // even if the task itself modifies them (e.g. copying back framebuffers).
+    this.ramCopy = ram.slice();
+    this.touched = new Uint8Array(ram.length >>> kBlockShift);
+
+    const t = new CapturedTask();
+    t.type = task.type;
+    t.codeAddr = task.codeAddr;
+    t.codeSize = task.codeSize;
+    t.codeDataAddr = task.codeDataAddr;
+    t.codeDataSize = task.codeDataSize;
+    t.dataPtr = task.dataPtr;
+    t.dataSize = task.dataSize;
+    this.currentTask = t;
+
+    // The microcode is needed to detect the ucode type.
+    this.touch(task.codeAddr, task.codeSize);
+    this.touch(task.codeDataAddr, task.codeDataSize);
+  }
+
+  /**
+   * Marks a range of RDRAM as read by the current task.
+   * @param {number} address
+   * @param {number} length
+   */
+  touch(address, length) {
+    if (!this.touched || length <= 0) {
+      return;
+    }
+    const first = address >>> kBlockShift;
+    const last = Math.min((address + length - 1) >>> kBlockShift, this.touched.length - 1);
+    for (let i = first; i <= last; ++i) {
+      this.touched[i] = 1;
+    }
+  }
+
+  /**
+   * Finishes recording the current task.
+   */
+  endTask() {
+    const task = this.currentTask;
+    const touched = this.touched;
+    for (let i = 0; i < touched.length;) {
+      if (!touched[i]) {
+        ++i;
+        continue;
+      }
+      let end = i;
+      while (end < touched.length && touched[end]) {
+        ++end;
+      }
+      const address = i << kBlockShift;
+      task.ranges.push({ address: address, bytes: this.ramCopy.slice(address, end << kBlockShift) });
+      i = end;
+    }
+    this.capture.tasks.push(task);
+
+    this.ramCopy = null;
+    this.touched = null;
+    this.currentTask = null;
+  }
+
+  /**
+   * Finishes the capture.
+   * @param {number} viOrigin
+   * @param {?{srcWidth: number, srcHeight: number, screenWidth: number, screenHeight: number}} dims
+   * @returns {!DisplayListCapture}
+   */
+  finish(viOrigin, dims) {
+    this.capture.viOrigin = viOrigin;
+    if (dims) {
+      this.capture.dims.srcWidth = dims.srcWidth;
+      this.capture.dims.srcHeight = dims.srcHeight;
+      this.capture.dims.screenWidth = dims.screenWidth;
+      this.capture.dims.screenHeight = dims.screenHeight;
+    }
+    return this.capture;
+  }
+}
+
+// Whether a capture should start with the next graphics task.
+let captureRequested = false;
+
+/** @type {?DisplayListRecorder} */
+let activeRecorder = null;
+
+/**
+ * Notes that the current graphics task has read a range of RDRAM. This is a
+ * no-op unless a capture is being recorded.
+ * @param {number} address
+ * @param {number} length
+ */
+export function recordRamRead(address, length) {
+  if (activeRecorder) {
+    activeRecorder.touch(address, length);
+  }
+}
+
+/**
+ * Requests that the graphics tasks for the next frame are captured.
+ */
+export function requestCapture() {
+  captureRequested = true;
+}
+
+/**
+ * Returns the recorder for a new graphics task, starting a new capture if one
+ * was requested.
+ * @returns {?DisplayListRecorder}
+ */
+export function recorderForNewTask() {
+  if (captureRequested) {
+    captureRequested = false;
+    const rominfo = n64js.hardware().rominfo;
+    activeRecorder = new DisplayListRecorder(rominfo.id, rominfo.name);
+  }
+  return activeRecorder;
+}
+
+/**
+ * Completes the current capture, if any, when a frame is presented.
+ * @param {number} viOrigin
+ * @param {?Object} dims The VI dimensions.
+ */
+export function finishCapture(viOrigin, dims) {
+  if (!activeRecorder) {
+    return;
+  }
+  const capture = activeRecorder.finish(viOrigin, dims);
+  activeRecorder = null;
+
+  const arrayBuffer = capture.serialize();
+  n64js.ui().downloadFile(`${capture.romId}.n64dl`, arrayBuffer);
+  logger.log(`Captured ${capture.tasks.length} display lists (${arrayBuffer.byteLength} bytes)`);
+}
+
+/**
+ * Asks the user to choose a capture file and loads it.
+ * @returns {!Promise<!DisplayListCapture>}
+ */
+export function chooseCaptureFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.n64dl';
+    input.addEventListener('change', () => {
+      if (!input.files.length) {
+        return;
+      }
+      input.files[0].arrayBuffer().then(arrayBuffer => {
+        try {
+          resolve(DisplayListCapture.deserialize(arrayBuffer));
+        } catch (e) {
+          reject(e);
+        }
+      });
+    });
+    input.click();
+  });
+}
@@ -0,0 +1,80 @@
+import { DisplayListCapture, DisplayListRecorder } from './dlist_capture.js';
+
+const assert = require('chai').assert;
+
+function makeTask() {
+  return {
+    type: 1,
+    codeAddr: 0x1000,
+    codeSize: 0x80,
+    codeDataAddr: 0x2000,
+    codeDataSize: 0x40,
+    dataPtr: 0x3000,
+    dataSize: 0x100,
+  };
+}
+
+describe('DisplayListRecorder', () => {
+  it('should capture the blocks read by a task', () => {
+    const ram = new Uint8Array(0x4000);
+    ram.fill(0xaa);
+    const recorder = new DisplayListRecorder('NSME', 'SUPER MARIO 64');
+    recorder.beginTask(makeTask(), ram);
+
+    // Writes after the task starts shouldn't be captured.
+    ram[0x3000] = 0x55;
+    recorder.touch(0x3000, 8);
+    recorder.touch(0x3040, 0x48);
+    recorder.endTask();
+
+    const capture = recorder.finish(0x100, null);
+    assert.equal(capture.tasks.length, 1);
+    const ranges = capture.tasks[0].ranges.map(r => [r.address, r.bytes.length]);
+    // The microcode, its data and the display list.
+    assert.deepEqual(ranges, [[0x1000, 0x80], [0x2000, 0x40], [0x3000, 0xc0]]);
+    assert.equal(capture.tasks[0].ranges[2].bytes[0], 0xaa);
+  });
+
+  it('should ignore reads outside RDRAM', () => {
+    const ram = new Uint8Array(0x4000);
+    const recorder = new DisplayListRecorder('', '');
+    recorder.beginTask(makeTask(), ram);
+    recorder.touch(0x3ff0, 0x100);
+    recorder.touch(0x8000, 0x10);
+    recorder.endTask();
+
+    const ranges = recorder.finish(0, null).tasks[0].ranges;
+    assert.deepEqual(ranges.map(r => r.address + r.bytes.length), [0x1080, 0x2040, 0x4000]);
+  });
+});
+
+describe('DisplayListCapture', () => {
+  it('should round trip', () => {
+    const ram = new Uint8Array(0x4000);
+    for (let i = 0; i < ram.length; ++i) {
+      ram[i] = i;
+    }
+    const recorder = new DisplayListRecorder('NSME', 'SUPER MARIO 64');
+    recorder.beginTask(makeTask(), ram);
+    recorder.touch(0x3000, 0x10);
+    recorder.endTask();
+    const dims = { srcWidth: 320, srcHeight: 240, screenWidth: 640, screenHeight: 480 };
+    const capture = DisplayListCapture.deserialize(recorder.finish(0x100, dims).serialize());
+
+    assert.equal(capture.romId, 'NSME');
+    assert.equal(capture.romName, 'SUPER MARIO 64');
+    assert.equal(capture.viOrigin, 0x100);
+    assert.deepEqual(capture.dims, dims);
+    assert.equal(capture.tasks.length, 1);
+    assert.equal(capture.tasks[0].dataPtr, 0x3000);
+
+    const restored = new Uint8Array(0x4000);
+    capture.tasks[0].restoreRam(restored);
+    assert.deepEqual(Array.from(restored.subarray(0x3000, 0x3040)), Array.from(ram.subarray(0x3000, 0x3040)));
+    assert.equal(restored[0x3040], 0);
+  });
+
+  it('should reject other files', () => {
+    assert.throws(() => DisplayListCapture.deserialize(new ArrayBuffer(16)));
+  });
+});
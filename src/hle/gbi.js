@@ -305,6 +305,7 @@ export const GeometryModeGBI1 = {
   G_TEXTURE_GEN:        0x00040000,
   G_TEXTURE_GEN_LINEAR: 0x00080000,
   G_LOD:                0x00100000, /* NOT IMPLEMENTED */
+  G_LIGHTING_POSITIONAL: 0,         /* Not supported */
 };
 
 export const GeometryModeGBI2 = {
@@ -321,6 +322,7 @@ export const GeometryModeGBI2 = {
   G_TEXTURE_GEN_LINEAR: 0x00080000,
   G_LOD:                0x00100000,  /* NOT IMPLEMENTED */
   G_SHADING_SMOOTH:     0x00200000,  /* flat or smooth shaded */
+  G_LIGHTING_POSITIONAL: 0x00400000, /* point lighting ucodes only */
 };
 
 export function getGeometryModeFlagsText(flags, data) {
@@ -341,6 +343,7 @@ export function getGeometryModeFlagsText(flags, data) {
   if (data & flags.G_TEXTURE_GEN)           t += '|G_TEXTURE_GEN';
   if (data & flags.G_TEXTURE_GEN_LINEAR)    t += '|G_TEXTURE_GEN_LINEAR';
   if (data & flags.G_LOD)                   t += '|G_LOD';
+  if (data & flags.G_LIGHTING_POSITIONAL)   t += '|G_LIGHTING_POSITIONAL';
 
   return t.length > 0 ? t.substr(1) : '0';
 }
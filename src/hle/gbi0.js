@@ -2,6 +2,7 @@ import { toString32 } from "../format.js";
 import { Vector3 } from "../graphics/Vector3.js";
 import * as rdp from "../lle/rdp.js";
 import * as rdpdis from "./disassemble_rdp.js";
+import { recordRamRead } from "./dlist_capture.js";
 import { GBI1 } from "./gbi1.js";
 
 // GBI0 is very similar to GBI1 with a few small differences,
@@ -31,9 +32,9 @@ export class GBI0 extends GBI1 {
   }
 
   executeCullDL(cmd0, cmd1, dis) {
-    // This differs from GBI1 and GBI2.
+    // This differs from GBI1 and GBI2. The end vertex is stored plus one.
     const begin = ((cmd0 & 0x00ffffff) / 40) & 0xf;
-    const end = (cmd1 / 40) & 0xf;
+    const end = ((cmd1 / 40) - 1) & 0xf;
 
     const result = this.testClipFlags(begin, end);
 
@@ -46,6 +47,11 @@ export class GBI0 extends GBI1 {
     }
   }
 
+  // Fast3D doesn't support quads, so this always draws lines.
+  drawsLines() {
+    return true;
+  }
+
   executeVertex(cmd0, cmd1, dis) {
     const n = ((cmd0 >>> 20) & 0xf) + 1;
     const v0 = (cmd0 >>> 16) & 0xf;
@@ -246,6 +252,9 @@ export class GBI0PD extends GBI0 {
     }
 
     const vtxStride = 12;
+    recordRamRead(address, n * vtxStride);
+    // Colors and normals are indexed by a byte offset.
+    recordRamRead(this.auxAddress, 256);
 
     const mvmtx = this.state.modelview[this.state.modelview.length - 1];
     const pmtx = this.state.projection[this.state.projection.length - 1];
@@ -295,6 +304,8 @@ export class GBI0PD extends GBI0 {
           vertex.calculateSphericalUV(transformedNormal);
         }
       }
+
+      this.applyFog(vertex);
     }
   }
 }
@@ -0,0 +1,55 @@
+import * as gbi from './gbi.js';
+import { GBI0 } from './gbi0.js';
+import { RSPState } from './rsp_state.js';
+
+const assert = require('chai').assert;
+
+globalThis.n64js = globalThis.n64js || {};
+
+const kDisplayListAddress = 0x100;
+
+function makeMicrocode() {
+  n64js.warn = () => {};
+  const ramDV = new DataView(new ArrayBuffer(0x1000));
+  const state = new RSPState();
+  state.reset(ramDV, kDisplayListAddress);
+  return new GBI0(state, ramDV);
+}
+
+describe('GBI0', () => {
+  describe('executeCullDL', () => {
+    let microcode;
+    let verts;
+    beforeEach(() => {
+      microcode = makeMicrocode();
+      verts = microcode.state.projectedVertices;
+      // Vertices 2 to 5 are all off the left of the screen, 6 is visible.
+      for (let i = 2; i <= 5; ++i) {
+        verts[i].clipFlags = gbi.X_NEG;
+      }
+    });
+
+    // gSPCullDisplayList(begin, end) encodes begin * 40 and (end + 1) * 40.
+    function cullDL(begin, end) {
+      microcode.executeCullDL(0xbe000000 | (begin * 40), (end + 1) * 40, null);
+      return microcode.state.pc != 0;
+    }
+
+    it('should end the display list if the range is offscreen', () => {
+      assert.isFalse(cullDL(2, 5));
+    });
+
+    it('should decode the end vertex stored plus one', () => {
+      // Without subtracting one, vertex 6 would be tested and nothing culled.
+      assert.isFalse(cullDL(3, 5));
+      microcode.state.pc = kDisplayListAddress;
+      assert.isTrue(cullDL(3, 6));
+    });
+
+    it('should test a single vertex', () => {
+      assert.isFalse(cullDL(4, 4));
+      microcode.state.pc = kDisplayListAddress;
+      assert.isTrue(cullDL(6, 6));
+    });
+  });
+});
@@ -2,6 +2,7 @@ import { toString32 } from "../format.js";
 import { Matrix4x4 } from "../graphics/Matrix4x4.js";
 import { Vector3 } from "../graphics/Vector3.js";
 import { makeColorTextABGR } from "./disassemble.js";
+import { recordRamRead } from "./dlist_capture.js";
 import * as gbi from './gbi.js';
 import { GBI0 } from "./gbi0.js";
 
@@ -159,6 +160,7 @@ export class GBI0DKR extends GBI0 {
     }
 
     const vtxStride = 10;
+    recordRamRead(address, n * vtxStride);
     const dv = new DataView(this.ramDV.buffer, address);
     let wvp = this.matrixArray[this.matrixIndex];
     const viTransform = this.renderer.nativeTransform.viTransform;
@@ -231,6 +233,7 @@ export class GBI0DKR extends GBI0 {
     }
 
     const triStride = 16;
+    recordRamRead(address, count * triStride);
     for (let i = 0; i < count && tb.hasCapacity(1); ++i) {
       const triBase = i * triStride;
 
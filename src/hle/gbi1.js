@@ -71,19 +71,20 @@ export class GBI1 extends GBIMicrocode {
     this.state.endDisplayList();
   }
 
+  // Examples: AeroGauge.
   executeBranchZ(cmd0, cmd1, dis) {
     const address = this.state.rdpSegmentAddress(this.state.rdpHalf1Cmd1);
+    const vtx = (cmd0 & 0xfff) >>> 1;
+    const zval = cmd1;
+    const result = this.testBranchZ(vtx, zval);
 
-    // Examples: AeroGauge.
-    this.warnUnimplemented('BranchLessZ')
     if (dis) {
-      dis.text(`gsSPBranchLessZ(/* TODO */);`);
+      dis.text(`gsSPBranchLessZraw(<span class="dl-branch">${toString32(address)}</span>, ${vtx}, ${toString32(zval)}); // ${result ? 'branch' : 'continue'}`);
     }
 
-    // FIXME
-    // Just branch all the time for now
-    //if (vtxDepth(cmd.vtx) <= cmd.branchzvalue)
-    this.state.branchDisplayList(address);
+    if (result) {
+      this.state.branchDisplayList(address);
+    }
   }
 
   executeClearGeometryMode(cmd0, cmd1, dis) {
@@ -338,7 +339,7 @@ export class GBI1 extends GBIMicrocode {
       case gbi.MoveWord.G_MW_FOG:
         {
           const multiplier = cmd1 >> 16;
-          const offset = cmd1 & 0xffff;
+          const offset = (cmd1 << 16) >> 16;
           if (dis) {
             // This is provided as min/max but we show the derived multiplier and offset.
             text = `gSPFogPosition(${multiplier}, ${offset});`;
@@ -350,7 +351,10 @@ export class GBI1 extends GBIMicrocode {
         this.warnUnimplemented('MoveWord LightCol');
         break;
       case gbi.MoveWord.G_MW_POINTS:
-        this.warnUnimplemented('MoveWord Points');
+        if (dis) {
+          text = `gsSPModifyVertex(${Math.floor(offset / 40)}, ${gbi.ModifyVtx.nameOf(offset % 40)}, ${toString32(value)});`;
+        }
+        this.writeVertexBuffer(offset, value);
         break;
       case gbi.MoveWord.G_MW_PERSPNORM:
         if (dis) {
@@ -426,6 +430,43 @@ export class GBI1 extends GBIMicrocode {
   }
 
   executeLine3D(cmd0, cmd1, dis) {
+    if (this.drawsLines()) {
+      this.executeLines(cmd0, cmd1, dis);
+    } else {
+      this.executeQuad(cmd0, cmd1, dis);
+    }
+  }
+
+  executeLines(cmd0, cmd1, dis) {
+    const stride = this.vertexStride;
+    const verts = this.state.projectedVertices;
+    const tb = this.triangleBuffer;
+    tb.reset();
+
+    // Process lines individually when disassembling
+    let limit = dis ? 1 : 0;
+    let commandsExecuted = this.state.executeBatch(limit, (cmd0, cmd1) => {
+      const idx0 = ((cmd1 >>> 16) & 0xff) / stride;
+      const idx1 = ((cmd1 >>> 8) & 0xff) / stride;
+      const wd = (cmd1 >>> 0) & 0xff;
+
+      if (dis) {
+        dis.text(wd ? `gsSPLineW3D(${idx0}, ${idx1}, ${wd}, 0);` : `gsSPLine3D(${idx0}, ${idx1}, 0);`);
+      }
+
+      if (idx0 < verts.length && idx1 < verts.length) {
+        this.pushLine(tb, verts[idx0], verts[idx1], wd);
+      } else {
+        this.warn('Line3D vertex out of bounds', `${idx0}, ${idx1}`);
+      }
+      return tb.hasCapacity(2);
+    });
+    this.debugController.currentOp += commandsExecuted - 1;
+    this.renderer.flushTris(tb, false);
+  }
+
+  // F3DEX draws quads using the G_LINE3D command.
+  executeQuad(cmd0, cmd1, dis) {
     const stride = this.vertexStride;
     const verts = this.state.projectedVertices;
     const tb = this.triangleBuffer;
@@ -440,7 +481,7 @@ export class GBI1 extends GBIMicrocode {
       const idx2 = ((cmd1 >>> 0) & 0xff) / stride;
 
       if (dis) {
-        dis.text(`gsSPLine3D(${idx0}, ${idx1}, ${idx2}, ${idx3});`);
+        dis.text(`gsSP1Quadrangle(${idx0}, ${idx1}, ${idx2}, ${idx3}, 0);`);
       }
 
       // Tamagotchi World 64 seems to trigger this. 
@@ -2,12 +2,18 @@ import { toHex, toString16, toString32 } from "../format.js";
 import * as disassemble from './disassemble.js';
 import * as gbi from './gbi.js';
 import { GBIMicrocode } from "./gbi_microcode.js";
+import { kObjBgSize, ObjScaleBg } from './obj_bg.js';
+import { Vector3 } from "../graphics/Vector3.js";
+import { recordRamRead } from "./dlist_capture.js";
 
 export class GBI2 extends GBIMicrocode {
   constructor(state, ramDV) {
     super(state, ramDV);
     this.vertexStride = 2;
 
+    // Helper instance to avoid reallocation when rendering backgrounds.
+    this.scaleBg = new ObjScaleBg();
+
     this.gbi2Commands = new Map([
       [0x00, this.executeNoop.bind(this)],
       [0x01, this.executeVertex.bind(this)],
@@ -143,35 +149,70 @@ export class GBI2 extends GBIMicrocode {
   }
 
   executeBranchZ(cmd0, cmd1, dis) {
-    this.warnUnimplemented('BranchZ')
+    const address = this.state.rdpSegmentAddress(this.state.rdpHalf1Cmd1);
+    const vtx = (cmd0 & 0xfff) >>> 1;
+    const zval = cmd1;
+    const result = this.testBranchZ(vtx, zval);
 
     if (dis) {
-      dis.text(`gsSPBranchZ(/* TODO */);`);
+      dis.text(`gsSPBranchLessZraw(<span class="dl-branch">${toString32(address)}</span>, ${vtx}, ${toString32(zval)}); // ${result ? 'branch' : 'continue'}`);
+    }
+
+    if (result) {
+      this.state.branchDisplayList(address);
     }
   }
 
   executeLine3D(cmd0, cmd1, dis) {
-    this.warnUnimplemented('Line3D');
+    const verts = this.state.projectedVertices;
+    const tb = this.triangleBuffer;
+    tb.reset();
 
-    if (dis) {
-      dis.text(`gsSPLine3D(/* TODO */);`);
-    }
+    // Process lines individually when disassembling
+    let limit = dis ? 1 : 0;
+    let commandsExecuted = this.state.executeBatch(limit, (cmd0, cmd1) => {
+      const idx0 = (cmd0 >>> 17) & 0x7f;
+      const idx1 = (cmd0 >>> 9) & 0x7f;
+      const wd = (cmd0 >>> 0) & 0xff;
+
+      if (dis) {
+        dis.text(wd ? `gsSPLineW3D(${idx0}, ${idx1}, ${wd}, 0);` : `gsSPLine3D(${idx0}, ${idx1}, 0);`);
+      }
+
+      if (idx0 < verts.length && idx1 < verts.length) {
+        this.pushLine(tb, verts[idx0], verts[idx1], wd);
+      } else {
+        this.warn('Line3D vertex out of bounds', `${idx0}, ${idx1}`);
+      }
+      return tb.hasCapacity(2);
+    });
+    this.debugController.currentOp += commandsExecuted - 1;
+    this.renderer.flushTris(tb, false);
   }
 
   executeBgRect1Cyc(cmd0, cmd1, dis) {
-    this.warnUnimplemented('BgRect1Cyc');
+    const address = this.state.rdpSegmentAddress(cmd1);
+    recordRamRead(address, kObjBgSize);
+    this.scaleBg.load(this.ramDV, address);
 
     if (dis) {
-      dis.text(`gsSPBgRect1Cyc(/* TODO */);`);
+      dis.text(`gsSPBgRect1Cyc(${toString32(address)});`);
+      dis.tip(this.scaleBg.toString());
     }
+    this.renderBackground(this.scaleBg, this.scaleBg.scaleW, this.scaleBg.scaleH);
   }
 
   executeBgRectCopy(cmd0, cmd1, dis) {
-    this.warnUnimplemented('BgRectCopy');
+    const address = this.state.rdpSegmentAddress(cmd1);
+    recordRamRead(address, kObjBgSize);
+    this.scaleBg.load(this.ramDV, address);
 
     if (dis) {
-      dis.text(`gsSPBgRectCopy(/* TODO */);`);
+      dis.text(`gsSPBgRectCopy(${toString32(address)});`);
+      dis.tip(this.scaleBg.toString());
     }
+    // Copied backgrounds are never scaled.
+    this.renderBackground(this.scaleBg, 1, 1);
   }
 
   executeObjRenderMode(cmd0, cmd1, dis) {
@@ -278,42 +319,7 @@ export class GBI2 extends GBIMicrocode {
       dis.text(`gsSPModifyVertex(${vtx},${gbi.ModifyVtx.nameOf(offset)},${toString32(value)});`);
     }
 
-    // Cures crash after swinging in Mario Golf
-    if (vtx >= this.state.projectedVertices.length) {
-      this.warn('crazy vertex index', vtx);
-      return;
-    }
-
-    const vertex = this.state.projectedVertices[vtx];
-
-    switch (offset) {
-      case gbi.ModifyVtx.G_MWO_POINT_RGBA:
-        this.warnUnimplemented('modifyVtx RGBA');
-        break;
-
-      case gbi.ModifyVtx.G_MWO_POINT_ST:
-        {
-          // u/v are signed
-          const u = (value >> 16);
-          const v = ((value & 0xffff) << 16) >> 16;
-          vertex.set = true;
-          vertex.u = u * this.state.texture.scaleS / 32.0;
-          vertex.v = v * this.state.texture.scaleT / 32.0;
-        }
-        break;
-
-      case gbi.ModifyVtx.G_MWO_POINT_XYSCREEN:
-        this.warnUnimplemented('modifyVtx XYSCREEN');
-        break;
-
-      case gbi.ModifyVtx.G_MWO_POINT_ZSCREEN:
-        this.warnUnimplemented('modifyVtx ZSCREEN');
-        break;
-
-      default:
-        this.warnUnimplemented('modifyVtx');
-        break;
-    }
+    this.modifyVertex(vtx, offset, value);
   }
 
   executeTexture(cmd0, cmd1, dis) {
@@ -416,7 +422,7 @@ export class GBI2 extends GBIMicrocode {
       case gbi.MoveWord.G_MW_FOG:
         {
           const multiplier = cmd1 >> 16;
-          const offset = cmd1 & 0xffff;
+          const offset = (cmd1 << 16) >> 16;
           if (dis) {
             // This is provided as min/max but we show the derived multiplier and offset.
             text = `gSPFogPosition(${multiplier}, ${offset});`;
@@ -425,10 +431,20 @@ export class GBI2 extends GBIMicrocode {
         }
         break;
       case gbi.MoveWord.G_MW_LIGHTCOL:
-        this.warnUnimplemented('MoveWord LightCol');
+        {
+          // Each light's color is stored twice, 4 bytes apart.
+          const lightIdx = Math.floor(offset / 24);
+          if (dis) {
+            text = `gSPLightColor(LIGHT_${lightIdx + 1}, ${disassemble.makeColorTextRGBA(value)});`;
+          }
+          this.setLightColor(lightIdx, (offset % 24) !== 0, value);
+        }
         break;
       case gbi.MoveWord.G_MW_POINTS:
-        this.warnUnimplemented('MoveWord Points');
+        if (dis) {
+          text = `gsSPModifyVertex(${Math.floor(offset / 40)}, ${gbi.ModifyVtx.nameOf(offset % 40)}, ${toString32(value)});`;
+        }
+        this.writeVertexBuffer(offset, value);
         break;
       case gbi.MoveWord.G_MW_PERSPNORM:
         if (dis) {
@@ -451,7 +467,7 @@ export class GBI2 extends GBIMicrocode {
 
   executeMoveMem(cmd0, cmd1, dis) {
     const address = this.state.rdpSegmentAddress(cmd1);
-    const length = ((cmd0 >>> 16) & 0xff) << 1;
+    const length = (((cmd0 >>> 19) & 0x1f) + 1) << 3;
     const offset = ((cmd0 >>> 8) & 0xff) << 3;
     const type = cmd0 & 0xfe;
 
@@ -486,7 +502,10 @@ export class GBI2 extends GBIMicrocode {
         }
         break;
       case gbi.MoveMemGBI2.G_GBI2_MV_POINT:
-        this.warnUnimplemented('MoveMem G_GBI2_MV_POINT');
+        recordRamRead(address, length);
+        for (let i = 0; i < length; i += 4) {
+          this.writeVertexBuffer(offset + i, this.ramDV.getUint32(address + i));
+        }
         break;
       case gbi.MoveMemGBI2.G_GBI2_MV_MATRIX:
         this.warnUnimplemented('MoveMem G_GBI2_MV_MATRIX');
@@ -522,11 +541,240 @@ export class GBI2 extends GBIMicrocode {
   }
 }
 
+// Conker's extensions to the MoveWord and MoveMem tables.
+const kConkerMW_COORDMOD = 0x10;
+const kConkerMV_NORMALS = 14;
+
 export class GBI2Conker extends GBI2 {
   constructor(state, ramDV) {
     super(state, ramDV);
     this.vertexStride = 2;
+
+    // The address of the vertex normals, set by G_MV_NORMALS.
+    this.normalsAddress = 0;
+    // The lookat directions used for texgen.
+    this.lookAt = [new Vector3(1, 0, 0), new Vector3(0, 1, 0)];
+
+    this.conkerCommands = new Map();
+    // Tri4 packs vertex indices into the low bits of the command byte.
+    for (let i = 0x10; i <= 0x1f; ++i) {
+      this.conkerCommands.set(i, this.executeTri4.bind(this));
+    }
+  }
+
+  getHandler(command) {
+    const fn = this.conkerCommands.get(command);
+    if (fn) {
+      return fn;
+    }
+    return super.getHandler(command);
+  }
+
+  executeTri4(cmd0, cmd1, dis) {
+    const verts = this.state.projectedVertices;
+    const tb = this.triangleBuffer;
+    tb.reset();
+
+    // Process triangles individually when disassembling
+    let limit = dis ? 1 : 0;
+    let commandsExecuted = this.state.executeBatch(limit, (cmd0, cmd1) => {
+      const idx = [
+        (cmd0 >>> 23) & 0x1f, (cmd0 >>> 18) & 0x1f, (((cmd0 >>> 15) & 0x7) << 2) | (cmd1 >>> 30),
+        (cmd0 >>> 10) & 0x1f, (cmd0 >>> 5) & 0x1f, (cmd0 >>> 0) & 0x1f,
+        (cmd1 >>> 25) & 0x1f, (cmd1 >>> 20) & 0x1f, (cmd1 >>> 15) & 0x1f,
+        (cmd1 >>> 10) & 0x1f, (cmd1 >>> 5) & 0x1f, (cmd1 >>> 0) & 0x1f,
+      ];
+
+      if (dis) {
+        dis.text(`gsSP4Triangles(${idx.slice(0, 3)}, ${idx.slice(3, 6)}, ${idx.slice(6, 9)}, ${idx.slice(9, 12)});`);
+      }
+
+      // Unused slots are filled with degenerate triangles.
+      for (let i = 0; i < idx.length; i += 3) {
+        if (idx[i] !== idx[i + 1] && idx[i] !== idx[i + 2] && idx[i + 1] !== idx[i + 2]) {
+          tb.pushTri(verts[idx[i]], verts[idx[i + 1]], verts[idx[i + 2]]);
+        }
+      }
+      return tb.hasCapacity(4);
+    });
+    this.debugController.currentOp += commandsExecuted - 1;
+    this.renderer.flushTris(tb);
+  }
+
+  // Vertices are the usual 16 bytes, but the color is always present. When
+  // lighting the x and y of the normal are read from a separate buffer, which
+  // is indexed by the vertex cache slot rather than the vertex's position in
+  // the load, and z comes from the low byte of the (otherwise unused) flag
+  // field.
+  loadVertices(v0, n, address, dis) {
+    const light = this.state.geometryMode.lighting;
+    const texgen = this.state.geometryMode.textureGen;
+    const texgenlin = this.state.geometryMode.textureGenLinear;
+    const dv = new DataView(this.ramDV.buffer, address);
+    const normalsDV = new DataView(this.ramDV.buffer, this.normalsAddress);
+
+    if (dis) {
+      this.previewVertex(v0, n, dv, dis, false);
+    }
+
+    if (v0 + n >= this.state.projectedVertices.length) {
+      this.warn('Too many verts');
+      return;
+    }
+
+    const vtxStride = 16;
+    recordRamRead(address, n * vtxStride);
+    if (light) {
+      recordRamRead(this.normalsAddress, (v0 + n) * 2);
+    }
+
+    const mvmtx = this.state.modelview[this.state.modelview.length - 1];
+    const pmtx = this.state.projection[this.state.projection.length - 1];
+
+    const wvp = pmtx.multiply(mvmtx);
+
+    // Texture coords are provided in 11.5 fixed point format, so divide by 32 here to normalise
+    const scaleS = this.state.texture.scaleS / 32.0;
+    const scaleT = this.state.texture.scaleT / 32.0;
+
+    const xyz = new Vector3();
+    const normal = new Vector3();
+    const transformedNormal = new Vector3();
+    const lookAtNormal = new Vector3();
+
+    const viTransform = this.renderer.nativeTransform.viTransform;
+    const vpTransform = this.state.viewport.transform;
+
+    for (let i = 0; i < n; ++i) {
+      const vtxBase = i * vtxStride;
+      const vertex = this.state.projectedVertices[v0 + i];
+
+      vertex.set = true;
+
+      xyz.x = dv.getInt16(vtxBase + 0);
+      xyz.y = dv.getInt16(vtxBase + 2);
+      xyz.z = dv.getInt16(vtxBase + 4);
+      vertex.u = dv.getInt16(vtxBase + 8) * scaleS;
+      vertex.v = dv.getInt16(vtxBase + 10) * scaleT;
+      // Load as little-endian (ABGR) for convenience.
+      vertex.color = dv.getUint32(vtxBase + 12, true);
+
+      // Project.
+      this.projectInPlace(vertex, xyz, wvp, vpTransform, viTransform);
+
+      if (light) {
+        normal.x = normalsDV.getInt8((v0 + i) * 2 + 0);
+        normal.y = normalsDV.getInt8((v0 + i) * 2 + 1);
+        normal.z = dv.getInt8(vtxBase + 7);
+        mvmtx.transformNormal(normal, transformedNormal);
+        transformedNormal.normaliseInPlace();
+
+        vertex.color = this.calculateConkerLighting(transformedNormal, vertex.color);
+        if (texgen) {
+          lookAtNormal.x = transformedNormal.dot(this.lookAt[0]);
+          lookAtNormal.y = transformedNormal.dot(this.lookAt[1]);
+          if (texgenlin) {
+            vertex.calculateLinearUV(lookAtNormal);
+          } else {
+            vertex.calculateSphericalUV(lookAtNormal);
+          }
+        }
+      }
+
+      this.applyFog(vertex);
+    }
+  }
+
+  /**
+   * Lights a vertex. Unlike other microcodes the light is modulated by the
+   * vertex color rather than replacing it.
+   * Conker's point lights (48 byte lights, with positions scaled by
+   * G_MW_COORDMOD) are out of scope: no position is passed to
+   * calculateLighting, so every light is treated as directional.
+   * @param {!Vector3} normal The normal, in view space.
+   * @param {number} color The vertex color, as ABGR.
+   * @returns {number} The lit color, as ABGR.
+   */
+  calculateConkerLighting(normal, color) {
+    const lit = this.calculateLighting(normal, 0);
+    const r = ((lit >>> 0) & 0xff) * ((color >>> 0) & 0xff) / 255;
+    const g = ((lit >>> 8) & 0xff) * ((color >>> 8) & 0xff) / 255;
+    const b = ((lit >>> 16) & 0xff) * ((color >>> 16) & 0xff) / 255;
+    return ((color & 0xff000000) | (b << 16) | (g << 8) | r) >>> 0;
+  }
+
+  loadLookAt(idx, address) {
+    recordRamRead(address, 16);
+    this.lookAt[idx] = Vector3.create([
+      this.ramDV.getInt8(address + 8),
+      this.ramDV.getInt8(address + 9),
+      this.ramDV.getInt8(address + 10)
+    ]).normaliseInPlace();
+  }
+
+  executeMoveWord(cmd0, cmd1, dis) {
+    const type = (cmd0 >>> 16) & 0xff;
+    const offset = (cmd0) & 0xffff;
+    const value = cmd1;
+
+    switch (type) {
+      case gbi.MoveWord.G_MW_NUMLIGHT:
+        {
+          // Conker's lights are twice the size of the standard ones.
+          const numLights = Math.floor(value / 48);
+          if (dis) {
+            dis.text(`gsSPNumLights(${gbi.NumLights.nameOf(numLights)});`);
+          }
+          this.state.numLights = numLights;
+        }
+        break;
+      case kConkerMW_COORDMOD:
+        // Scales the positions of Conker's point lights. These are lit as
+        // directional lights (see calculateConkerLighting), so this is ignored.
+        if (dis) {
+          dis.text(`gsSPCoordMod(${toString16(offset)}, ${toString32(value)});`);
+        }
+        break;
+      default:
+        super.executeMoveWord(cmd0, cmd1, dis);
+        break;
+    }
   }
 
-  // TODO: executeVertex, executeTri4, executeMoveWord, executeMoveMem.
+  executeMoveMem(cmd0, cmd1, dis) {
+    const address = this.state.rdpSegmentAddress(cmd1);
+    const length = (((cmd0 >>> 19) & 0x1f) + 1) << 3;
+    const offset = ((cmd0 >>> 8) & 0xff) << 3;
+    const type = cmd0 & 0xfe;
+
+    let text;
+    switch (type) {
+      case gbi.MoveMemGBI2.G_GBI2_MV_LIGHT:
+        {
+          // Lights are 48 bytes apart, with the two lookat directions first.
+          const lightIdx = (offset / 48) >>> 0;
+          if (lightIdx < 2) {
+            if (dis) { text = `gSPLookAt${lightIdx ? 'Y' : 'X'}(${toString32(address)});`; }
+            this.loadLookAt(lightIdx, address);
+          } else {
+            if (dis) { text = `gsSPLight(${toString32(address)}, ${lightIdx - 2});`; }
+            this.loadLight(lightIdx - 2, address);
+          }
+        }
+        break;
+      case kConkerMV_NORMALS:
+        // This replaces G_GBI2_MV_MATRIX.
+        if (dis) { text = `gsSPSetVertexNormals(${toString32(address)});`; }
+        this.normalsAddress = address;
+        break;
+      default:
+        super.executeMoveMem(cmd0, cmd1, dis);
+        return;
+    }
+
+    if (dis) {
+      dis.text(text);
+      this.previewMoveMem(type, length, address, dis);
+    }
+  }
 }
@@ -0,0 +1,72 @@
+import { GBI2Conker } from './gbi2.js';
+import { RSPState } from './rsp_state.js';
+
+const assert = require('chai').assert;
+
+globalThis.n64js = globalThis.n64js || {};
+
+const kDisplayListAddress = 0x100;
+
+function makeConkerMicrocode() {
+  n64js.warn = () => {};
+  const ramDV = new DataView(new ArrayBuffer(0x1000));
+  const state = new RSPState();
+  state.reset(ramDV, kDisplayListAddress);
+  const microcode = new GBI2Conker(state, ramDV);
+  microcode.debugController = { currentOp: 0 };
+  return microcode;
+}
+
+describe('GBI2Conker', () => {
+  describe('executeTri4', () => {
+    let microcode;
+    let flushed;
+    beforeEach(() => {
+      microcode = makeConkerMicrocode();
+      // Tag each vertex with its index so triangles can be identified by position.
+      microcode.state.projectedVertices.forEach((vertex, i) => { vertex.pos.x = i; });
+      flushed = [];
+      microcode.renderer = {
+        flushTris: tb => {
+          const tris = [];
+          for (let i = 0; i < tb.numTris; ++i) {
+            tris.push([0, 1, 2].map(j => tb.positions[(i * 3 + j) * 4]));
+          }
+          flushed.push(tris);
+        },
+      };
+    });
+
+    function tri4(cmd0, cmd1) {
+      microcode.state.cmd0 = cmd0;
+      microcode.state.cmd1 = cmd1;
+      microcode.executeTri4(cmd0, cmd1, null);
+    }
+
+    it('should unpack the vertex indices in order', () => {
+      // gsSP4Triangles(1,2,13, 4,5,6, 7,8,9, 10,11,12). The third index is
+      // split, with its top 3 bits in cmd0 and its low 2 bits at the top of cmd1.
+      tri4(0x108990a6, 0x4e84a96c);
+      assert.deepEqual(flushed, [[[1, 2, 13], [4, 5, 6], [7, 8, 9], [10, 11, 12]]]);
+    });
+
+    it('should take the first index from the low bits of the command byte', () => {
+      // gsSP4Triangles(20,21,22, 3,3,3, 0,0,0, 0,0,0).
+      tri4(0x1a568c63, 0x80000000);
+      assert.deepEqual(flushed, [[[20, 21, 22]]]);
+    });
+
+    it('should batch consecutive commands with the same command byte', () => {
+      microcode.ramDV.setUint32(kDisplayListAddress + 0, 0x108990a6);
+      microcode.ramDV.setUint32(kDisplayListAddress + 4, 0x4e84a96c);
+      // This has a different command byte, so ends the batch.
+      microcode.ramDV.setUint32(kDisplayListAddress + 8, 0x1a568c63);
+      microcode.ramDV.setUint32(kDisplayListAddress + 12, 0x80000000);
+      tri4(0x108990a6, 0x4e84a96c);
+      assert.equal(flushed.length, 1);
+      assert.equal(flushed[0].length, 8);
+      assert.equal(microcode.debugController.currentOp, 1);
+      assert.equal(microcode.state.pc, kDisplayListAddress + 8);
+    });
+  });
+});
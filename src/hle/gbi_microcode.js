@@ -3,10 +3,14 @@
 import { toString8, toString32 } from '../format.js';
 import { Matrix4x4 } from '../graphics/Matrix4x4.js';
 import { Vector3 } from '../graphics/Vector3.js';
+import { Vector4 } from '../graphics/Vector4.js';
 import * as logger from '../logger.js';
 import { makeColorTextRGBA } from './disassemble.js';
+import { recordRamRead } from './dlist_capture.js';
 import * as gbi from './gbi.js';
 import { graphicsOptions } from './graphics_options.js';
+import { G_BG_FLAG_FLIPS } from './obj_bg.js';
+import { ProjectedVertex } from './projected_vertex.js';
 import * as shaders from './shaders.js';
 import { calcTileDimension } from './tile.js';
 import { TriangleBuffer } from "./triangle_buffer.js";
@@ -15,6 +19,14 @@ import { TriangleBuffer } from "./triangle_buffer.js";
 const kDebugColorImages = true;
 let colorImages = new Map();
 
+// The clip flags tested by gSPCullDisplayList. Like the RSP, this doesn't cull
+// against the far plane.
+const kCullClipFlags = gbi.X_NEG | gbi.X_POS | gbi.Y_NEG | gbi.Y_POS | gbi.Z_POS;
+
+// The size of a transformed vertex in the RSP's vertex buffer, as addressed
+// by G_MW_POINTS and G_MV_POINT.
+const kDMEMVertexSize = 40;
+
 // Map to keep track of which warnings we've already shown.
 const loggedWarnings = new Map();
 
@@ -30,6 +42,10 @@ export class GBIMicrocode {
 
     this.triangleBuffer = new TriangleBuffer(64);
 
+    // Scratch vertices for the ends and corners of lines.
+    this.lineEnds = [new ProjectedVertex(), new ProjectedVertex()];
+    this.lineCorners = [new ProjectedVertex(), new ProjectedVertex(), new ProjectedVertex(), new ProjectedVertex()];
+
     // A callback for when a loadUcode command is executed.
     this.onLoadUcodeHandler = null;
 
@@ -118,6 +134,7 @@ export class GBIMicrocode {
 
   loadMatrix(address, length) {
     const recip = 1.0 / 65536.0;
+    recordRamRead(address, 64);
     const dv = new DataView(this.ramDV.buffer, address);
 
     if (length != 64) {
@@ -154,6 +171,7 @@ export class GBIMicrocode {
     // at the bottom rather than the top of the viewport.
     // TODO: It's not clear to me if this is also done in microcode or if
     // it's specific to OpenGL screen space coords being different.
+    recordRamRead(address, 16);
     const scale3 = new Vector3(
       +this.ramDV.getInt16(address + 0) / 4.0,
       -this.ramDV.getInt16(address + 2) / 4.0,
@@ -190,18 +208,62 @@ export class GBIMicrocode {
       logger.log(`light index ${lightIdx} out of range`);
       return;
     }
-    this.state.lights[lightIdx].color = makeRGBAFromRGBA32(this.ramDV.getUint32(address + 0));
-    this.state.lights[lightIdx].dir = Vector3.create([
+    recordRamRead(address, 16);
+    const light = this.state.lights[lightIdx];
+    light.color = makeRGBAFromRGBA32(this.ramDV.getUint32(address + 0));
+    light.dir = Vector3.create([
       this.ramDV.getInt8(address + 8),
       this.ramDV.getInt8(address + 9),
       this.ramDV.getInt8(address + 10)
     ]).normaliseInPlace();
+
+    // Point lights store their attenuation in the padding bytes of a
+    // directional light, and their position in place of the direction.
+    // A zero constant attenuation means this is a directional light.
+    light.kc = this.ramDV.getUint8(address + 3);
+    light.kl = this.ramDV.getUint8(address + 7);
+    light.kq = this.ramDV.getUint8(address + 14);
+    light.pos.set(
+      this.ramDV.getInt16(address + 8),
+      this.ramDV.getInt16(address + 10),
+      this.ramDV.getInt16(address + 12));
+  }
+
+  /**
+   * Updates a light's color, as written by gSPLightColor.
+   * @param {number} lightIdx
+   * @param {boolean} copy Whether this is the second copy of the color.
+   * @param {number} value The color, as RGBA. For point lights the low byte
+   *     overwrites the constant or linear attenuation.
+   */
+  setLightColor(lightIdx, copy, value) {
+    if (lightIdx >= this.state.lights.length) {
+      logger.log(`light index ${lightIdx} out of range`);
+      return;
+    }
+    const light = this.state.lights[lightIdx];
+    if (copy) {
+      light.kl = value & 0xff;
+    } else {
+      light.color = makeRGBAFromRGBA32(value);
+      light.kc = value & 0xff;
+    }
   }
 
   previewLight(address) {
     let result = '';
     result += `color = ${makeColorTextRGBA(this.ramDV.getUint32(address + 0))} `;
     result += `colorCopy = ${makeColorTextRGBA(this.ramDV.getUint32(address + 4))} `;
+    const kc = this.ramDV.getUint8(address + 3);
+    if (kc !== 0) {
+      const x = this.ramDV.getInt16(address + 8);
+      const y = this.ramDV.getInt16(address + 10);
+      const z = this.ramDV.getInt16(address + 12);
+      const kl = this.ramDV.getUint8(address + 7);
+      const kq = this.ramDV.getUint8(address + 14);
+      result += `pos = (${x}, ${y}, ${z}) attenuation = (${kc}, ${kl}, ${kq})`;
+      return result;
+    }
     const dir = Vector3.create([
       this.ramDV.getInt8(address + 8),
       this.ramDV.getInt8(address + 9),
@@ -215,6 +277,7 @@ export class GBIMicrocode {
     const light = this.state.geometryMode.lighting;
     const texgen = this.state.geometryMode.textureGen;
     const texgenlin = this.state.geometryMode.textureGenLinear;
+    const pointLighting = this.state.geometryMode.pointLighting;
     const dv = new DataView(this.ramDV.buffer, address);
 
     if (dis) {
@@ -225,6 +288,7 @@ export class GBIMicrocode {
       this.warn('Too many verts');
       return;
     }
+    recordRamRead(address, n * 16);
 
     const mvmtx = this.state.modelview[this.state.modelview.length - 1];
     const pmtx = this.state.projection[this.state.projection.length - 1];
@@ -238,6 +302,9 @@ export class GBIMicrocode {
     const xyz = new Vector3();
     const normal = new Vector3();
     const transformedNormal = new Vector3();
+    const viewPos4 = new Vector4();
+    const viewPos = new Vector3();
+    const lightPositions = (light && pointLighting) ? this.calculateViewLightPositions(mvmtx) : null;
 
     const viTransform = this.renderer.nativeTransform.viTransform;
     const vpTransform = this.state.viewport.transform;
@@ -267,7 +334,13 @@ export class GBIMicrocode {
         mvmtx.transformNormal(normal, transformedNormal);
         transformedNormal.normaliseInPlace();
 
-        vertex.color = this.calculateLighting(transformedNormal, 255);
+        // Point lights are attenuated by the distance to the vertex.
+        if (pointLighting) {
+          mvmtx.transformPoint(xyz, viewPos4);
+          viewPos.set(viewPos4.x, viewPos4.y, viewPos4.z);
+        }
+
+        vertex.color = this.calculateLighting(transformedNormal, 255, pointLighting ? viewPos : null, lightPositions);
         if (texgen) {
           if (texgenlin) {
             vertex.calculateLinearUV(transformedNormal);
@@ -276,6 +349,8 @@ export class GBIMicrocode {
           }
         }
       }
+
+      this.applyFog(vertex);
     }
   }
 
@@ -287,12 +362,91 @@ export class GBIMicrocode {
 
     const w = pos.w;
     pos.scaleInPlace(1 / w);
+    vertex.depth = pos.z;
     // TODO: these could be combined into a single transform.
     vpTransform.transformInPlace(pos);  // Translate into screen coords using the viewport.
     viTransform.invTransformInPlace(pos);  // Translate back to OpenGL normalized device coords.
     pos.scaleInPlace(w);
   }
 
+  /**
+   * Replaces the vertex alpha with the fog factor, if fog is enabled.
+   * @param {!ProjectedVertex} vertex
+   */
+  applyFog(vertex) {
+    if (!this.state.geometryMode.fog) {
+      return;
+    }
+    const fog = this.state.fogParameters;
+    const alpha = Math.max(0, Math.min(255, Math.round(vertex.depth * fog.multiplier + fog.offset)));
+    vertex.color = ((vertex.color & 0x00ffffff) | (alpha << 24)) >>> 0;
+  }
+
+  /**
+   * Modifies a field of a transformed vertex, as done by gSPModifyVertex.
+   * @param {number} vtx The vertex index.
+   * @param {number} where The field to modify, one of gbi.ModifyVtx.
+   * @param {number} value
+   */
+  modifyVertex(vtx, where, value) {
+    // Cures crash after swinging in Mario Golf
+    if (vtx >= this.state.projectedVertices.length) {
+      this.warn('crazy vertex index', vtx);
+      return;
+    }
+
+    const vertex = this.state.projectedVertices[vtx];
+
+    switch (where) {
+      case gbi.ModifyVtx.G_MWO_POINT_RGBA:
+        // Stored as little-endian (ABGR).
+        vertex.set = true;
+        vertex.color = (((value & 0xff) << 24) | ((value & 0xff00) << 8) | ((value >>> 8) & 0xff00) | (value >>> 24)) >>> 0;
+        break;
+
+      case gbi.ModifyVtx.G_MWO_POINT_ST:
+        {
+          // u/v are signed
+          const u = (value >> 16);
+          const v = ((value & 0xffff) << 16) >> 16;
+          vertex.set = true;
+          vertex.u = u * this.state.texture.scaleS / 32.0;
+          vertex.v = v * this.state.texture.scaleT / 32.0;
+        }
+        break;
+
+      case gbi.ModifyVtx.G_MWO_POINT_XYSCREEN:
+        this.warnUnimplemented('modifyVtx XYSCREEN');
+        break;
+
+      case gbi.ModifyVtx.G_MWO_POINT_ZSCREEN:
+        this.warnUnimplemented('modifyVtx ZSCREEN');
+        break;
+
+      default:
+        this.warnUnimplemented('modifyVtx');
+        break;
+    }
+  }
+
+  /**
+   * Handles a word written directly to the RSP's vertex buffer, by
+   * gMoveWd(G_MW_POINTS) or a G_MV_POINT MoveMem. Only the fields that
+   * gSPModifyVertex can change are supported; the others hold the RSP's clip
+   * coordinates, which aren't emulated.
+   * @param {number} offset The offset into the vertex buffer.
+   * @param {number} value
+   */
+  writeVertexBuffer(offset, value) {
+    const vtx = Math.floor(offset / kDMEMVertexSize);
+    const where = offset % kDMEMVertexSize;
+    if (where >= gbi.ModifyVtx.G_MWO_POINT_RGBA && where <= gbi.ModifyVtx.G_MWO_POINT_ZSCREEN) {
+      this.modifyVertex(vtx, where, value);
+    } else {
+      this.warnUnimplemented('Vertex buffer clip coordinates');
+    }
+  }
+
   calculateClipFlags(projected) {
     let flags = 0;
 
@@ -315,15 +469,43 @@ export class GBIMicrocode {
     normal.z = (packedNorm << 8) >> 24;
   }
 
-  calculateLighting(normal, alpha) {
+  /**
+   * Transforms the position of each light by the modelview matrix, so point
+   * lights can be compared with vertex positions in view space.
+   * @param {!Matrix4x4} mvmtx
+   * @returns {!Array<!Vector3>}
+   */
+  calculateViewLightPositions(mvmtx) {
+    const pos4 = new Vector4();
+    return this.state.lights.map(light => {
+      mvmtx.transformPoint(light.pos, pos4);
+      return new Vector3(pos4.x, pos4.y, pos4.z);
+    });
+  }
+
+  /**
+   * Calculates the lit color of a vertex.
+   * @param {!Vector3} normal The transformed vertex normal.
+   * @param {number} alpha The alpha to return.
+   * @param {?Vector3=} position The vertex position in view space. Point
+   *     lights are treated as directional lights if this isn't provided.
+   * @param {?Array<!Vector3>=} lightPositions The light positions in view
+   *     space, from calculateViewLightPositions. Needed if position is.
+   * @returns {number} The color, as ABGR.
+   */
+  calculateLighting(normal, alpha, position, lightPositions) {
     const numLights = this.state.numLights;
     let r = this.state.lights[numLights].color.r;
     let g = this.state.lights[numLights].color.g;
     let b = this.state.lights[numLights].color.b;
 
+    const pointLighting = position && this.state.geometryMode.pointLighting;
+
     for (let l = 0; l < numLights; ++l) {
       const light = this.state.lights[l];
-      const d = normal.dot(light.dir);
+      const d = (pointLighting && light.isPoint) ?
+        calculatePointLightIntensity(light, lightPositions[l], normal, position) :
+        normal.dot(light.dir);
       if (d > 0.0) {
         r += light.color.r * d;
         g += light.color.g * d;
@@ -558,12 +740,14 @@ export class GBIMicrocode {
   }
 
   executeSetPrimColor(cmd0, cmd1, dis) {
+    const m = (cmd0 >>> 8) & 0xff;
+    const l = (cmd0 >>> 0) & 0xff;
     if (dis) {
-      const m = (cmd0 >>> 8) & 0xff;
-      const l = (cmd0 >>> 0) & 0xff;
       dis.text(`gsDPSetPrimColor(${m}, ${l}, ${dis.rgba8888(cmd1)});`);
     }
-    // minlevel, primlevel ignored!
+    // The RDP only uses 5 bits of the minimum level.
+    this.state.primLODMin = m & 0x1f;
+    this.state.primLODFrac = l;
     this.state.primColor = cmd1;
   }
 
@@ -640,8 +824,10 @@ export class GBIMicrocode {
     const hardware = n64js.hardware();
     hardware.timeline.addEvent(`SetColorImage ${toString32(address)}`);
 
-    // TODO: Banjo Tooie and Pokemon Stadium render to multiple buffers in each display list.
-    // Need to set these up as separate framebuffers somehow
+    // Each color image is rendered to its own render target. Banjo Tooie and
+    // Pokemon Stadium render to multiple buffers in each display list.
+    this.renderer.setColorImage(this.state.colorImage);
+
     if (kDebugColorImages && !colorImages.get(address)) {
       logger.log(`Setting colorImage to ${toString32(address)}, ${width}, size ${gbi.ImageSize.nameOf(size)}, format ${gbi.ImageFormat.nameOf(format)}`);
       colorImages.set(address, true);
@@ -666,6 +852,8 @@ export class GBIMicrocode {
 
     const ti = this.state.textureImage;
     const tile = this.state.tiles[tileIdx];
+    const bytes = ti.texelsToBytes((lrs - uls + 1) & 0xfff);
+    this.renderer.prepareTextureLoad(ti, tile, ti.calcAddress(uls >>> 2, ult >>> 2), bytes, false);
     this.state.tmem.loadBlock(ti, tile, uls, ult, lrs, dxt, dis);
     this.state.invalidateTileHashes();
   }
@@ -684,6 +872,8 @@ export class GBIMicrocode {
 
     const ti = this.state.textureImage;
     const tile = this.state.tiles[tileIdx];
+    const rows = calcTileDimension(lrt, ult);
+    this.renderer.prepareTextureLoad(ti, tile, ti.calcAddress(uls >>> 2, ult >>> 2), rows * ti.stride(), true);
     this.state.tmem.loadTile(ti, tile, uls, ult, lrs, lrt, dis);
     this.state.invalidateTileHashes();
   }
@@ -713,8 +903,6 @@ export class GBIMicrocode {
     let x1 = ((cmd0 >>> 12) & 0xfff) >>> 2;
     let y1 = ((cmd0 >>> 0) & 0xfff) >>> 2;
 
-    const gl = this.gl;
-
     if (dis) {
       dis.text(`gsDPFillRectangle(${x0}, ${y0}, ${x1}, ${y1});`);
     }
@@ -723,9 +911,7 @@ export class GBIMicrocode {
       // TODO: should use depth source.
       // const depthSourcePrim = (this.state.rdpOtherModeL & gbi.DepthSource.G_ZS_PRIM) !== 0;
       // const depth = depthSourcePrim ? this.state.primDepth : 0.0;
-      gl.clearDepth(1.0);
-      gl.depthMask(true);
-      gl.clear(gl.DEPTH_BUFFER_BIT);
+      this.renderer.clearDepth();
       return;
     }
 
@@ -746,8 +932,7 @@ export class GBIMicrocode {
       const w = x1 - x0;
       const h = y1 - y0;
       if (w === this.renderer.nativeTransform.viWidth && h === this.renderer.nativeTransform.viHeight) {
-        gl.clearColor(color.r, color.g, color.b, color.a);
-        gl.clear(gl.COLOR_BUFFER_BIT);
+        this.renderer.clearColor(color);
         return;
       }
     } else if (cycleType === gbi.CycleType.G_CYC_COPY) {
@@ -870,6 +1055,85 @@ export class GBIMicrocode {
     this.renderer.texRect(tileIdx, xl, yl, xh, yh, s0, t0, s1, t1, true);
   }
 
+  /**
+   * Draws an S2DEX background image, as gSPBgRect1Cyc and gSPBgRectCopy do.
+   * The image is loaded into TMEM as many rows at a time as will fit and each
+   * strip is drawn as a texture rectangle. The image wraps around vertically
+   * and horizontally.
+   * @param {!ObjScaleBg} bg
+   * @param {number} scaleW The number of texels per pixel, horizontally.
+   * @param {number} scaleH The number of texels per pixel, vertically.
+   */
+  renderBackground(bg, scaleW, scaleH) {
+    const imageW = Math.floor(bg.imageW);
+    const imageH = Math.floor(bg.imageH);
+    if (imageW <= 0 || imageH <= 0 || scaleW <= 0 || scaleH <= 0) {
+      return;
+    }
+
+    // Palettes occupy the upper half of TMEM.
+    const tmemBytes = bg.imageFmt === gbi.ImageFormat.G_IM_FMT_CI ? 2048 : 4096;
+    const is32b = bg.imageSiz === gbi.ImageSize.G_IM_SIZ_32b;
+
+    const ti = this.state.textureImage;
+    ti.set(bg.imageFmt, bg.imageSiz, imageW, this.state.rdpSegmentAddress(bg.imagePtr));
+
+    // 32 bit images are split across the two halves of TMEM.
+    const rowBytes = ti.stride();
+    const line = ((is32b ? rowBytes >>> 1 : rowBytes) + 7) >>> 3;
+    const tmemStride = is32b ? line << 4 : line << 3;
+    const rowsPerLoad = Math.min(Math.floor(tmemBytes / tmemStride), imageH);
+    if (rowsPerLoad <= 0) {
+      this.warn('Background too wide', `${imageW} texels`);
+      return;
+    }
+
+    const loadTile = this.state.tiles[gbi.G_TX_LOADTILE];
+    const renderTile = this.state.tiles[gbi.G_TX_RENDERTILE];
+    loadTile.set(bg.imageFmt, bg.imageSiz, line, 0, 0, 0, 0, 0, 0, 0, 0);
+    renderTile.set(bg.imageFmt, bg.imageSiz, line, 0, bg.imagePal, gbi.G_TX_CLAMP, 0, 0, gbi.G_TX_CLAMP, 0, 0);
+
+    const flipS = (bg.imageFlip & G_BG_FLAG_FLIPS) !== 0;
+    const frameX0 = bg.frameX;
+    const frameX1 = bg.frameX + bg.frameW;
+    const frameY1 = bg.frameY + bg.frameH;
+
+    let t = bg.imageY % imageH;
+    let y = bg.frameY;
+    while (y < frameY1) {
+      // Load the strip of rows containing t.
+      const row0 = Math.floor(t);
+      const rows = Math.min(rowsPerLoad, imageH - row0);
+      const y1 = Math.min(frameY1, y + (row0 + rows - t) / scaleH);
+      const t1 = t + (y1 - y) * scaleH;
+
+      loadTile.setSize(0, row0 << 2, (imageW - 1) << 2, (row0 + rows - 1) << 2);
+      this.renderer.prepareTextureLoad(ti, loadTile, ti.calcAddress(0, row0), rows * rowBytes, true);
+      this.state.tmem.loadTile(ti, loadTile, loadTile.uls, loadTile.ult, loadTile.lrs, loadTile.lrt);
+      this.state.invalidateTileHashes();
+      renderTile.setSize(0, row0 << 2, (imageW - 1) << 2, (row0 + rows - 1) << 2);
+
+      // Draw the strip, splitting it where the image wraps horizontally.
+      let s = bg.imageX % imageW;
+      let x = frameX0;
+      while (x < frameX1) {
+        const x1 = Math.min(frameX1, x + (imageW - s) / scaleW);
+        const s1 = s + (x1 - x) * scaleW;
+        if (flipS) {
+          // Mirror the strip within the frame.
+          this.renderer.texRect(gbi.G_TX_RENDERTILE, frameX0 + frameX1 - x1, y, frameX0 + frameX1 - x, y1, s1, t, s, t1, false);
+        } else {
+          this.renderer.texRect(gbi.G_TX_RENDERTILE, x, y, x1, y1, s, t, s1, t1, false);
+        }
+        s = s1 >= imageW ? s1 - imageW : s1;
+        x = x1;
+      }
+
+      t = t1 >= imageH ? t1 - imageH : t1;
+      y = y1;
+    }
+  }
+
   executeCullDL(cmd0, cmd1, dis) {
     const begin = (cmd0 & 0xffff) >>> 1;
     const end = (cmd1 & 0xffff) >>> 1;
@@ -891,8 +1155,8 @@ export class GBIMicrocode {
    * @returns {boolean} Whether the test passed and the current display list should continue.
    */
   testClipFlags(begin, end) {
-    if (end <= begin) {
-      this.warn('begin and end vertices for testClipFlags are inverted or empty');
+    if (end < begin) {
+      this.warn('begin and end vertices for testClipFlags are inverted');
       return true;
     }
 
@@ -902,7 +1166,7 @@ export class GBIMicrocode {
     }
 
     // And all the flags together.
-    let flags = ~0;
+    let flags = kCullClipFlags;
     for (let i = begin; i <= end; i++) {
       flags &= this.state.projectedVertices[i].clipFlags;
     }
@@ -910,6 +1174,81 @@ export class GBIMicrocode {
     return flags == 0;
   }
 
+  /**
+   * Tests whether a vertex is at least as close as the specified depth.
+   * @param {number} vtxIdx The vertex to test.
+   * @param {number} zval The depth to compare against, as a screen z value in
+   *     s15.16 format (as generated by G_DEPTOZS).
+   * @returns {boolean} Whether the vertex passed and the branch should be taken.
+   */
+  testBranchZ(vtxIdx, zval) {
+    if (vtxIdx >= this.state.projectedVertices.length) {
+      this.warn('vertex for testBranchZ is out of bounds');
+      return false;
+    }
+
+    const vertex = this.state.projectedVertices[vtxIdx];
+    const viewport = this.state.viewport;
+    const screenZ = vertex.depth * viewport.scale.z + viewport.trans.z;
+    return screenZ <= (zval | 0) / 65536;
+  }
+
+  /**
+   * Whether G_LINE3D draws lines. F3DEX reuses the command for quads, so only
+   * the line (L3DEX) variants draw lines.
+   * @returns {boolean}
+   */
+  drawsLines() {
+    return this.version.indexOf('L3D') >= 0;
+  }
+
+  /**
+   * Adds a line to the triangle buffer, as a quad in screen space.
+   * @param {!TriangleBuffer} tb
+   * @param {!ProjectedVertex} v0
+   * @param {!ProjectedVertex} v1
+   * @param {number} wd The width parameter from gSPLineW3D. The line is 1.5
+   *     pixels wide, plus half a pixel for each unit of wd.
+   */
+  pushLine(tb, v0, v1, wd) {
+    // Skip lines that are entirely outside one of the clip planes.
+    if (v0.clipFlags & v1.clipFlags) {
+      return;
+    }
+
+    // Clip to the near plane so both ends can be projected to the screen.
+    const [e0, e1] = this.lineEnds;
+    copyVertex(e0, v0);
+    copyVertex(e1, v1);
+    if (v0.clipFlags & gbi.Z_POS) {
+      clipToNearPlane(e0, v1);
+    } else if (v1.clipFlags & gbi.Z_POS) {
+      clipToNearPlane(e1, v0);
+    }
+
+    // Work out the perpendicular offset in N64 pixels, then convert it to
+    // normalised device coordinates.
+    const halfViWidth = this.renderer.nativeTransform.viWidth / 2;
+    const halfViHeight = this.renderer.nativeTransform.viHeight / 2;
+    const dx = (e1.pos.x / e1.pos.w - e0.pos.x / e0.pos.w) * halfViWidth;
+    const dy = (e1.pos.y / e1.pos.w - e0.pos.y / e0.pos.w) * halfViHeight;
+    const len = Math.sqrt(dx * dx + dy * dy);
+    if (len === 0) {
+      return;
+    }
+    const halfWidth = (1.5 + wd * 0.5) / 2;
+    const ox = (-dy / len) * halfWidth / halfViWidth;
+    const oy = (dx / len) * halfWidth / halfViHeight;
+
+    const [c0, c1, c2, c3] = this.lineCorners;
+    offsetVertex(c0, e0, ox, oy);
+    offsetVertex(c1, e0, -ox, -oy);
+    offsetVertex(c2, e1, ox, oy);
+    offsetVertex(c3, e1, -ox, -oy);
+    tb.pushTri(c0, c1, c2);
+    tb.pushTri(c2, c1, c3);
+  }
+
   calcTextureScale(v) {
     if (v === 0 || v === 0xffff) {
       return 1.0;
@@ -918,6 +1257,47 @@ export class GBIMicrocode {
   }
 }
 
+function copyVertex(dst, src) {
+  dst.pos.set(src.pos.x, src.pos.y, src.pos.z, src.pos.w);
+  dst.depth = src.depth;
+  dst.color = src.color;
+  dst.u = src.u;
+  dst.v = src.v;
+  dst.clipFlags = src.clipFlags;
+  dst.set = src.set;
+}
+
+/**
+ * Moves a vertex that's behind the near plane along the line to another
+ * vertex, so it lies on the near plane.
+ * @param {!ProjectedVertex} vertex The vertex to move.
+ * @param {!ProjectedVertex} other A vertex in front of the near plane.
+ */
+function clipToNearPlane(vertex, other) {
+  // Clip space z is -w on the near plane.
+  const d0 = vertex.pos.z + vertex.pos.w;
+  const d1 = other.pos.z + other.pos.w;
+  const t = d0 / (d0 - d1);
+  const p = vertex.pos;
+  const q = other.pos;
+  p.set(p.x + (q.x - p.x) * t, p.y + (q.y - p.y) * t, p.z + (q.z - p.z) * t, p.w + (q.w - p.w) * t);
+  vertex.u += (other.u - vertex.u) * t;
+  vertex.v += (other.v - vertex.v) * t;
+}
+
+/**
+ * Sets dst to src offset in normalised device coordinates.
+ * @param {!ProjectedVertex} dst
+ * @param {!ProjectedVertex} src
+ * @param {number} x
+ * @param {number} y
+ */
+function offsetVertex(dst, src, x, y) {
+  copyVertex(dst, src);
+  // Positions are in clip space, so scale the offset by w.
+  dst.pos.set(src.pos.x + x * src.pos.w, src.pos.y + y * src.pos.w, src.pos.z, src.pos.w);
+}
+
 function makeRGBAFromRGBA16(col) {
   return {
     'r': ((col >>> 11) & 0x1f) / 31.0,
@@ -927,6 +1307,40 @@ function makeRGBAFromRGBA16(col) {
   };
 }
 
+/**
+ * Returns the intensity of a point light at a vertex, attenuated by the
+ * distance from the light.
+ * @param {!Light} light
+ * @param {!Vector3} lightPos The light position, in view space.
+ * @param {!Vector3} normal The vertex normal, in view space.
+ * @param {!Vector3} position The vertex position, in view space.
+ * @returns {number}
+ */
+function calculatePointLightIntensity(light, lightPos, normal, position) {
+  const dx = lightPos.x - position.x;
+  const dy = lightPos.y - position.y;
+  const dz = lightPos.z - position.z;
+  const distSqr = dx * dx + dy * dy + dz * dz;
+  const dist = Math.sqrt(distSqr);
+  if (dist === 0) {
+    return 1;
+  }
+
+  const d = (normal.x * dx + normal.y * dy + normal.z * dz) / dist;
+  if (d <= 0) {
+    return 0;
+  }
+
+  // The attenuation factors are fixed point values, scaled as the F3DEX2
+  // point lighting microcodes (e.g. Majora's Mask's) do: the constant factor
+  // has 4 fractional bits, the linear factor is applied to the distance with
+  // 16 fractional bits, and the quadratic factor to the squared distance with
+  // 19. GLideN64's gSPLight and gSPPointLightVertex use the same scales. The
+  // typical constant factor of 8 doubles the light's intensity close to it.
+  const attenuation = (light.kc / 16) + (light.kl * dist / 65536) + (light.kq * distSqr / (8 * 65536));
+  return d / attenuation;
+}
+
 function makeRGBAFromRGBA32(col) {
   return {
     'r': ((col >>> 24) & 0xff) / 255.0,
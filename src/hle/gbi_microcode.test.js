@@ -0,0 +1,321 @@
+import { Vector3 } from '../graphics/Vector3.js';
+import * as gbi from './gbi.js';
+import { GBIMicrocode } from './gbi_microcode.js';
+import { RSPState } from './rsp_state.js';
+
+const assert = require('chai').assert;
+
+globalThis.n64js = globalThis.n64js || {};
+
+function makeMicrocode() {
+  n64js.warn = () => {};
+  const ramDV = new DataView(new ArrayBuffer(0x1000));
+  const state = new RSPState();
+  state.reset(ramDV, 0);
+  return new GBIMicrocode(state, ramDV);
+}
+
+describe('GBIMicrocode', () => {
+  describe('testClipFlags', () => {
+    let microcode;
+    let verts;
+    beforeEach(() => {
+      microcode = makeMicrocode();
+      verts = microcode.state.projectedVertices;
+    });
+
+    it('should cull when all vertices are outside the same plane', () => {
+      verts[0].clipFlags = gbi.X_NEG;
+      verts[1].clipFlags = gbi.X_NEG | gbi.Y_POS;
+      verts[2].clipFlags = gbi.X_NEG | gbi.Z_POS;
+      assert.isFalse(microcode.testClipFlags(0, 2));
+    });
+
+    it('should not cull when the vertices are outside different planes', () => {
+      verts[0].clipFlags = gbi.X_NEG;
+      verts[1].clipFlags = gbi.X_POS;
+      verts[2].clipFlags = gbi.X_NEG;
+      assert.isTrue(microcode.testClipFlags(0, 2));
+    });
+
+    it('should not cull when any vertex is inside', () => {
+      verts[4].clipFlags = gbi.Y_NEG;
+      verts[5].clipFlags = 0;
+      verts[6].clipFlags = gbi.Y_NEG;
+      assert.isTrue(microcode.testClipFlags(4, 6));
+    });
+
+    it('should only test the vertices in the range', () => {
+      verts[3].clipFlags = 0;
+      verts[4].clipFlags = gbi.Y_POS;
+      verts[5].clipFlags = gbi.Y_POS;
+      verts[6].clipFlags = 0;
+      assert.isFalse(microcode.testClipFlags(4, 5));
+    });
+
+    it('should not cull against the far plane', () => {
+      verts[0].clipFlags = gbi.Z_NEG;
+      verts[1].clipFlags = gbi.Z_NEG;
+      assert.isTrue(microcode.testClipFlags(0, 1));
+    });
+
+    it('should test a single vertex when begin and end are the same', () => {
+      verts[7].clipFlags = gbi.X_POS;
+      verts[8].clipFlags = 0;
+      assert.isFalse(microcode.testClipFlags(7, 7));
+      assert.isTrue(microcode.testClipFlags(8, 8));
+    });
+
+    it('should not cull if the range is inverted', () => {
+      verts[0].clipFlags = gbi.X_NEG;
+      verts[1].clipFlags = gbi.X_NEG;
+      assert.isTrue(microcode.testClipFlags(1, 0));
+    });
+
+    it('should not cull if the range is out of bounds', () => {
+      for (let vert of verts) {
+        vert.clipFlags = gbi.X_NEG;
+      }
+      assert.isTrue(microcode.testClipFlags(0, verts.length));
+    });
+  });
+
+  describe('testBranchZ', () => {
+    let microcode;
+    let vertex;
+    beforeEach(() => {
+      microcode = makeMicrocode();
+      // The viewport used by most games, mapping depth [-1, 1] to screen z [0, 0x3fe].
+      microcode.state.viewport.scale.z = 0x1ff;
+      microcode.state.viewport.trans.z = 0x1ff;
+      // Screen z = 0.5 * 0x1ff + 0x1ff = 766.5.
+      vertex = microcode.state.projectedVertices[3];
+      vertex.depth = 0.5;
+    });
+
+    it('should branch if the vertex is nearer than zval', () => {
+      assert.isTrue(microcode.testBranchZ(3, 800 << 16));
+    });
+
+    it('should branch if the vertex is at zval', () => {
+      assert.isTrue(microcode.testBranchZ(3, (766 << 16) | 0x8000));
+    });
+
+    it('should not branch if the vertex is further than zval', () => {
+      assert.isFalse(microcode.testBranchZ(3, 700 << 16));
+    });
+
+    it('should compare zval as s15.16 fixed point', () => {
+      // Just below the vertex's screen z.
+      assert.isFalse(microcode.testBranchZ(3, (766 << 16) | 0x7fff));
+      // The sign bit makes this negative, rather than a large positive value.
+      assert.isFalse(microcode.testBranchZ(3, 0xffff0000));
+      vertex.depth = -1;
+      assert.isTrue(microcode.testBranchZ(3, 0));
+    });
+
+    it('should not branch if the vertex is out of bounds', () => {
+      assert.isFalse(microcode.testBranchZ(microcode.state.projectedVertices.length, 0x7fffffff));
+    });
+  });
+
+  describe('modifyVertex', () => {
+    let microcode;
+    beforeEach(() => {
+      microcode = makeMicrocode();
+    });
+
+    it('should store RGBA colors as ABGR', () => {
+      microcode.modifyVertex(5, gbi.ModifyVtx.G_MWO_POINT_RGBA, 0x11223344);
+      const vertex = microcode.state.projectedVertices[5];
+      assert.equal(vertex.color, 0x44332211);
+      assert.isTrue(vertex.set);
+    });
+
+    it('should store signed texture coordinates scaled by the texture scale', () => {
+      microcode.state.texture.scaleS = 0.5;
+      microcode.state.texture.scaleT = 1;
+      microcode.modifyVertex(5, gbi.ModifyVtx.G_MWO_POINT_ST, 0x0040ffe0);
+      const vertex = microcode.state.projectedVertices[5];
+      assert.equal(vertex.u, 1);
+      assert.equal(vertex.v, -1);
+    });
+  });
+
+  describe('writeVertexBuffer', () => {
+    it('should address vertices by their 40 byte DMEM offset', () => {
+      const microcode = makeMicrocode();
+      microcode.writeVertexBuffer(2 * 40 + gbi.ModifyVtx.G_MWO_POINT_RGBA, 0xff000080);
+      assert.equal(microcode.state.projectedVertices[2].color, 0x800000ff);
+      assert.equal(microcode.state.projectedVertices[1].color, 0);
+      assert.equal(microcode.state.projectedVertices[3].color, 0);
+    });
+  });
+
+  describe('pushLine', () => {
+    let microcode;
+    let tb;
+    let v0;
+    let v1;
+    beforeEach(() => {
+      microcode = makeMicrocode();
+      microcode.renderer = { nativeTransform: { viWidth: 320, viHeight: 240 } };
+      tb = microcode.triangleBuffer;
+      tb.reset();
+      [v0, v1] = microcode.state.projectedVertices;
+    });
+
+    // Returns the clip space position of the nth vertex in the triangle buffer.
+    function vertexPos(n) {
+      return Array.from(tb.positions.subarray(n * 4, n * 4 + 4));
+    }
+
+    function assertPos(actual, expected) {
+      for (let i = 0; i < 4; ++i) {
+        assert.closeTo(actual[i], expected[i], 1e-6, `component ${i}`);
+      }
+    }
+
+    it('should expand the line to a quad of two triangles', () => {
+      v0.pos.set(-0.5, 0, 0, 1);
+      v1.pos.set(0.5, 0, 0, 1);
+      // 1.5 + 1 * 0.5 = 2 pixels wide, or 1/120 either side in y.
+      microcode.pushLine(tb, v0, v1, 1);
+      assert.equal(tb.numTris, 2);
+      const d = 1 / 120;
+      // Triangles (c0, c1, c2) and (c2, c1, c3).
+      const c0 = [-0.5, d, 0, 1];
+      const c1 = [-0.5, -d, 0, 1];
+      const c2 = [0.5, d, 0, 1];
+      const c3 = [0.5, -d, 0, 1];
+      [c0, c1, c2, c2, c1, c3].forEach((c, i) => assertPos(vertexPos(i), c));
+    });
+
+    it('should offset perpendicular to the line in N64 pixels', () => {
+      // A vertical line, 1.5 pixels wide, or 0.75 / 160 either side in x.
+      v0.pos.set(0, -0.5, 0, 1);
+      v1.pos.set(0, 0.5, 0, 1);
+      microcode.pushLine(tb, v0, v1, 0);
+      assert.equal(tb.numTris, 2);
+      const d = 0.75 / 160;
+      assertPos(vertexPos(0), [-d, -0.5, 0, 1]);
+      assertPos(vertexPos(1), [d, -0.5, 0, 1]);
+      assertPos(vertexPos(2), [-d, 0.5, 0, 1]);
+      assertPos(vertexPos(5), [d, 0.5, 0, 1]);
+    });
+
+    it('should scale the offset by w', () => {
+      v0.pos.set(-1, 0, 0, 2);
+      v1.pos.set(1, 0, 0, 2);
+      microcode.pushLine(tb, v0, v1, 1);
+      assertPos(vertexPos(0), [-1, 2 / 120, 0, 2]);
+      assertPos(vertexPos(1), [-1, -2 / 120, 0, 2]);
+    });
+
+    it('should skip lines outside the same clip plane', () => {
+      v0.pos.set(-2, 0, 0, 1);
+      v1.pos.set(-3, 1, 0, 1);
+      v0.clipFlags = gbi.X_NEG;
+      v1.clipFlags = gbi.X_NEG | gbi.Y_POS;
+      microcode.pushLine(tb, v0, v1, 1);
+      assert.equal(tb.numTris, 0);
+    });
+
+    it('should skip zero length lines', () => {
+      v0.pos.set(0.5, 0.5, 0, 1);
+      v1.pos.set(1, 1, 0, 2);
+      microcode.pushLine(tb, v0, v1, 1);
+      assert.equal(tb.numTris, 0);
+    });
+
+    it('should clip the end behind the near plane', () => {
+      // z + w is -2 for v0 and 1 for v1, so v0 moves 2/3 of the way to v1.
+      v0.pos.set(-1, 0, -3, 1);
+      v0.u = 0;
+      v0.clipFlags = gbi.Z_POS;
+      v1.pos.set(0.5, 0, 0, 1);
+      v1.u = 30;
+      microcode.pushLine(tb, v0, v1, 0);
+      assert.equal(tb.numTris, 2);
+      const d = 0.75 / 120;
+      assertPos(vertexPos(0), [0, d, -1, 1]);
+      assertPos(vertexPos(1), [0, -d, -1, 1]);
+      assertPos(vertexPos(2), [0.5, d, 0, 1]);
+      assert.closeTo(tb.coords[0], 20, 1e-6);
+      // The source vertex is left unchanged.
+      assert.equal(v0.pos.x, -1);
+
+      // Either end may be clipped.
+      tb.reset();
+      microcode.pushLine(tb, v1, v0, 0);
+      assertPos(vertexPos(2), [0, -d, -1, 1]);
+      assertPos(vertexPos(5), [0, d, -1, 1]);
+    });
+  });
+
+  describe('calculateLighting', () => {
+    let microcode;
+    let light;
+    const position = new Vector3(0, 0, 0);
+    const normal = new Vector3(1, 0, 0);
+
+    beforeEach(() => {
+      microcode = makeMicrocode();
+      const state = microcode.state;
+      state.geometryMode.pointLighting = 1;
+      state.numLights = 1;
+      // No ambient light, so the result is just the point light.
+      state.lights[1].color = { r: 0, g: 0, b: 0, a: 0 };
+      light = state.lights[0];
+      light.color = { r: 0.25, g: 0.5, b: 1, a: 0 };
+      light.kc = 0;
+      light.kl = 0;
+      light.kq = 0;
+    });
+
+    function lightAt(x, y, z) {
+      const lightPositions = microcode.state.lights.map(() => new Vector3(x, y, z));
+      const color = microcode.calculateLighting(normal, 0xff, position, lightPositions);
+      return { r: color & 0xff, g: (color >>> 8) & 0xff, b: (color >>> 16) & 0xff, a: color >>> 24 };
+    }
+
+    it('should treat the constant factor as having 4 fractional bits', () => {
+      // 16 is an attenuation of 1, so the light's color is unchanged.
+      light.kc = 16;
+      assert.deepEqual(lightAt(100, 0, 0), { r: 63, g: 127, b: 255, a: 0xff });
+      // 8 is an attenuation of 0.5, doubling the intensity.
+      light.kc = 8;
+      assert.deepEqual(lightAt(100, 0, 0), { r: 127, g: 255, b: 255, a: 0xff });
+    });
+
+    it('should attenuate linearly with the distance', () => {
+      light.kc = 16;
+      light.kl = 64;
+      // 1 + 64 * 1024 / 65536 = 2.
+      assert.deepEqual(lightAt(1024, 0, 0), { r: 31, g: 63, b: 127, a: 0xff });
+      // 1 + 64 * 3072 / 65536 = 4.
+      assert.deepEqual(lightAt(3072, 0, 0), { r: 15, g: 31, b: 63, a: 0xff });
+    });
+
+    it('should attenuate quadratically with the distance', () => {
+      light.kc = 16;
+      light.kq = 128;
+      // 1 + 128 * 256^2 / (8 * 65536) = 17.
+      assert.deepEqual(lightAt(256, 0, 0), { r: 3, g: 7, b: 15, a: 0xff });
+    });
+
+    it('should scale by the angle between the normal and the light', () => {
+      light.kc = 16;
+      // 60 degrees from the normal.
+      assert.deepEqual(lightAt(50, 50 * Math.sqrt(3), 0), { r: 31, g: 63, b: 127, a: 0xff });
+      // Behind the vertex.
+      assert.deepEqual(lightAt(-100, 0, 0), { r: 0, g: 0, b: 0, a: 0xff });
+    });
+
+    it('should treat lights with no constant factor as directional', () => {
+      light.dir = new Vector3(1, 0, 0);
+      light.kl = 64;
+      assert.deepEqual(lightAt(1024, 0, 0), { r: 63, g: 127, b: 255, a: 0xff });
+    });
+  });
+});
@@ -1,7 +1,9 @@
 import { toString16, toString32 } from "../format";
+import { recordRamRead } from './dlist_capture.js';
 import * as gbi from './gbi.js';
 import { GBI1 } from "./gbi1";
 import { GBI2 } from "./gbi2";
+import { kObjBgSize, ObjScaleBg } from './obj_bg.js';
 
 // Where do these fit in?
 // const ucodeSprite2d = {
@@ -14,64 +16,6 @@ const kRenderFullTransform = 1;
 const kRenderPartialTransform = 2;
 const kRenderNoRotation = 3;
 
-class ObjScaleBg {
-  constructor() {
-    this.imageX = 0;
-    this.imageW = 0;
-    this.frameX = 0;
-    this.frameW = 0;
-
-    this.imageY = 0;
-    this.imageH = 0;
-    this.frameY = 0;
-    this.frameH = 0;
-
-    this.imagePtr = 0;
-    this.imageLoad = 0;
-    this.imageFmt = 0;
-    this.imageSiz = 0;
-    this.imagePal = 0;
-    this.imageFlip = 0;
-
-    this.scaleW = 0;
-    this.scaleH = 0;
-    this.imageYorig = 0;
-  }
-
-  load(dv, offset) {
-    this.imageX = dv.getUint16(offset + 0, false) / 32;
-    this.imageW = dv.getUint16(offset + 2, false) / 4;
-    this.frameX = dv.getInt16(offset + 4, false) / 4;
-    this.frameW = dv.getUint16(offset + 6, false) / 4;
-
-    this.imageY = dv.getUint16(offset + 8, false) / 32;
-    this.imageH = dv.getUint16(offset + 10, false) / 4;
-    this.frameY = dv.getInt16(offset + 12, false) / 4;
-    this.frameH = dv.getUint16(offset + 14, false) / 4;
-
-    this.imagePtr = dv.getUint32(offset + 16, false);
-    this.imageLoad = dv.getUint16(offset + 20, false);
-    this.imageFmt = dv.getUint8(offset + 22, false);
-    this.imageSiz = dv.getUint8(offset + 23, false);
-    this.imagePal = dv.getUint16(offset + 24, false);
-    this.imageFlip = dv.getUint16(offset + 26, false);
-
-    this.scaleW = dv.getUint16(offset + 28, false) / 1024;
-    this.scaleH = dv.getUint16(offset + 30, false) / 1024;
-    this.imageYorig = dv.getInt32(offset + 32, false) / 32;
-    // 4 bytes of padding here.
-  }
-
-  toString() {
-    return `imageX/Y = (${this.imageX}, ${this.imageY}), imageW/H = (${this.imageW}, ${this.imageH})
-frameX/Y = (${this.frameX}, ${this.frameY}), frameW/H = (${this.frameW}, ${this.frameH})
-imagePtr = ${toString32(this.imagePtr)}, imageLoad = ${this.imageLoad}
-imageFmt = ${gbi.ImageFormat.nameOf(this.imageFmt)}, imageSiz = ${gbi.ImageSize.nameOf(this.imageSiz)}
-imagePal = ${this.imagePal}, imageFlip = ${this.imageFlip}
-scaleW/H = (${this.scaleW}, ${this.scaleH})`
-  }
-}
-
 class ObjMatrix {
   constructor() {
     this.a = 1;
@@ -241,20 +185,27 @@ export class S2DEXCommon {
 
   executeBg1cyc(cmd0, cmd1, dis) {
     const address = this.state.rdpSegmentAddress(cmd1);
+    recordRamRead(address, kObjBgSize);
     this.scaleBg.load(this.ramDV, address);
 
-    this.gbi.warnUnimplemented('gSPBgRect1Cyc')
     if (dis) {
       dis.text(`gSPBgRect1Cyc(${toString32(address)});`);
       dis.tip(this.scaleBg.toString());
     }
+    this.gbi.renderBackground(this.scaleBg, this.scaleBg.scaleW, this.scaleBg.scaleH);
   }
 
   executeBgCopy(cmd0, cmd1, dis) {
-    this.gbi.warnUnimplemented('gSPBgRectCopy')
+    const address = this.state.rdpSegmentAddress(cmd1);
+    recordRamRead(address, kObjBgSize);
+    this.scaleBg.load(this.ramDV, address);
+
     if (dis) {
-      dis.text(`gSPBgRectCopy(/* TODO */);`);
+      dis.text(`gSPBgRectCopy(${toString32(address)});`);
+      dis.tip(this.scaleBg.toString());
     }
+    // Copied backgrounds are never scaled.
+    this.gbi.renderBackground(this.scaleBg, 1, 1);
   }
 
   executeObjRectangle(cmd0, cmd1, dis) {
@@ -290,12 +241,14 @@ export class S2DEXCommon {
     let offset = address;
 
     if (loadTex) {
+      recordRamRead(offset, 24);
       this.texture.load(this.ramDV, offset);
       this.loadTexture();
       offset += 24;
     }
 
     if (renderMode != kRenderNone) {
+      recordRamRead(offset, 24);
       this.sprite.load(this.ramDV, offset);
       this.renderSprite(renderMode);
       offset += 24;
@@ -335,6 +288,7 @@ export class S2DEXCommon {
   }
 
   setObjMatrix(address, dis) {
+    recordRamRead(address, 24);
     this.matrix.loadFullMatrix(this.ramDV, address);
     if (dis) {
       dis.tip(this.matrix.toString());
@@ -342,6 +296,7 @@ export class S2DEXCommon {
   }
 
   setObjSubMatrix(address, dis) {
+    recordRamRead(address, 8);
     this.matrix.loadSubMatrix(this.ramDV, address);
     if (dis) {
       dis.tip(this.matrix.toString());
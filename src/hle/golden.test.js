@@ -0,0 +1,85 @@
+// Golden image tests for the HLE renderer.
+//
+// Each display list capture (<name>.n64dl) in testdata/golden is replayed
+// through the renderer and the resulting image is compared with <name>.png.
+// Mismatches write the rendered image and a diff image to GOLDEN_OUT_DIR (or a
+// temporary directory).
+//
+// Rendering needs WebGL2, so the captures are replayed in a headless browser
+// (see headless_gl.js).
+//
+// Run with UPDATE_GOLDENS=1 to (re)create the golden images.
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { launchHeadlessRenderer } from '../headless_gl.js';
+import { diffImages } from '../image_diff.js';
+import { decodePNG, encodePNG } from '../png.js';
+
+const assert = require('chai').assert;
+
+const kGoldenDir = path.join(import.meta.dir, 'testdata', 'golden');
+
+// Allow for small differences in rasterization and precision between GL
+// implementations.
+const kDiffOptions = { threshold: 0.1, maxMismatchRatio: 0.001 };
+
+function findCaptures() {
+  if (!fs.existsSync(kGoldenDir)) {
+    return [];
+  }
+  return fs.readdirSync(kGoldenDir)
+    .filter(name => name.endsWith('.n64dl'))
+    .map(name => path.basename(name, '.n64dl'))
+    .sort();
+}
+
+function writeImage(filename, image) {
+  fs.writeFileSync(filename, encodePNG(image.width, image.height, image.rgba));
+}
+
+describe('golden images', () => {
+  let renderer = null;
+
+  // Starting the browser can be slow.
+  beforeAll(async () => {
+    renderer = await launchHeadlessRenderer(640, 480);
+  }, 60_000);
+
+  afterAll(async () => {
+    if (renderer) {
+      await renderer.close();
+    }
+  });
+
+  const outDir = process.env.GOLDEN_OUT_DIR || path.join(os.tmpdir(), 'n64js-golden');
+
+  for (let name of findCaptures()) {
+    it(`should render ${name}`, async () => {
+      // Golden images are rendered at the N64's resolution.
+      const image = await renderer.render(fs.readFileSync(path.join(kGoldenDir, `${name}.n64dl`)), { resolutionScale: 1 });
+      assert.isNotNull(image, `${name} didn't render to the presented address`);
+
+      const goldenFilename = path.join(kGoldenDir, `${name}.png`);
+      if (process.env.UPDATE_GOLDENS) {
+        writeImage(goldenFilename, image);
+        return;
+      }
+      assert.isTrue(fs.existsSync(goldenFilename), `${goldenFilename} is missing; run with UPDATE_GOLDENS=1 to create it`);
+
+      const golden = decodePNG(fs.readFileSync(goldenFilename));
+      const result = diffImages(golden, image, kDiffOptions);
+      if (!result.matches) {
+        fs.mkdirSync(outDir, { recursive: true });
+        writeImage(path.join(outDir, `${name}.actual.png`), image);
+        if (result.diff) {
+          writeImage(path.join(outDir, `${name}.diff.png`), { width: golden.width, height: golden.height, rgba: result.diff });
+        }
+      }
+      assert.isTrue(result.matches,
+        `${name}: ${result.mismatched} pixels differ from the golden image (${image.width}x${image.height} vs ${golden.width}x${golden.height}); see ${outDir}`);
+    });
+  }
+});
@@ -4,6 +4,9 @@ export const graphicsOptions = {
   // Scale factor to apply to the canvas.
   canvasScale: 1,
 
+  // The multiple of the N64's resolution to render at.
+  resolutionScale: 2,
+
   // Whether to halt on unimplemented commands or just log a warning.
   haltOnWarning: false,
 
@@ -17,11 +20,32 @@ export const graphicsOptions = {
 
   // Whether to dump RDP commands.
   dumpRDP: false,
+
+  // Whether to copy rendered framebuffers to RDRAM after each display list.
+  // CPU and DMA reads of RDRAM aren't tracked, so this is needed for games
+  // that read rendered frames back (e.g. for pause screens, motion blur and
+  // mirrors). Reading back stalls the GPU, so it can be turned off for games
+  // that don't. Buffers are always copied before the VI or a texture load
+  // reads them.
+  copyFramebuffersToRAM: true,
+
+  // Whether to copy the depth buffer to the depth image in RDRAM, for games
+  // that read it (e.g. for lens flares). This is slow so is off by default.
+  copyDepthToRAM: false,
+
+  // Whether textures are addressed and filtered like the RDP (3-point
+  // filtering, with the tile's clamp, mirror and mask settings), or by the GL
+  // sampler (bilinear filtering and mipmaps).
+  textureFiltering: 'Accurate',
 };
 const folder = dbgGUI.addFolder('Graphics');
 folder.add(graphicsOptions, 'canvasScale').name('Canvas Scale').min(1).max(4).step(0.25);
+folder.add(graphicsOptions, 'resolutionScale', { 'Native': 1, '2x': 2, '3x': 3, '4x': 4, '6x': 6, '8x': 8 }).name('Internal Resolution');
 folder.add(graphicsOptions, 'haltOnWarning').name('Halt on Warning');
 folder.add(graphicsOptions, 'dumpMicrocode').name('Dump Microcode');
 folder.add(graphicsOptions, 'dumpMicrocodeSubstring').name('Dump Microcode Substring');
 folder.add(graphicsOptions, 'emulationMode', { 'HLE (Recommended)': 'HLE', 'LLE (Experimental, Slow)': 'LLE' }).name('Emulation Mode');
 folder.add(graphicsOptions, 'dumpRDP').name('Dump RDP');
+folder.add(graphicsOptions, 'copyFramebuffersToRAM').name('Copy Framebuffers to RDRAM');
+folder.add(graphicsOptions, 'copyDepthToRAM').name('Copy Depth to RDRAM');
+folder.add(graphicsOptions, 'textureFiltering', { 'Accurate (3-Point)': 'Accurate', 'Smooth (Bilinear)': 'Smooth' }).name('Texture Filtering');
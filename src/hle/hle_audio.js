@@ -0,0 +1,104 @@
+/*global n64js*/
+
+import { ABI1 } from './audio_abi1.js';
+import { ABI2 } from './audio_abi2.js';
+import { ABI3 } from './audio_abi3.js';
+import { toString32 } from '../format.js';
+
+const kABI1 = 'ABI1';
+const kABI2 = 'ABI2';
+const kABI3 = 'ABI3';
+
+// The supported microcodes, keyed by a word in their data section which
+// differs between variants. Other microcodes (e.g. MusyX, or variants with
+// different command tables) are run on the RSP.
+const kABI1Signatures = new Map([
+  [0x1e24138c, kABI1], // Most games.
+  [0x1dc8138c, kABI1], // GoldenEye 007.
+  [0x1e3c1390, kABI1], // Blast Corps, Diddy Kong Racing.
+]);
+
+const kABI2Signatures = new Map([
+  [0x1f681230, kABI2], // Zelda: Ocarina of Time, Majora's Mask (J).
+  [0x1f801250, kABI2], // Zelda: Majora's Mask, Pokemon Stadium 2.
+]);
+
+const kABI3Signatures = new Map([
+  [0x0000127c, kABI3],
+]);
+
+// Microcode instances are kept around between tasks as some of their state
+// (e.g. buffers and volumes) persists from one alist to the next.
+const microcodes = new Map();
+
+// Unrecognised signatures which have already been reported.
+const loggedSignatures = new Set();
+
+/**
+ * Returns the word used to identify the task's audio microcode, and the table
+ * of supported signatures to look it up in.
+ * @param {!DataView} ramDV
+ * @param {number} codeDataAddr
+ * @returns {{signature: number, signatures: !Map<number, string>}}
+ */
+function getSignature(ramDV, codeDataAddr) {
+  const mask = ramDV.byteLength - 1;
+  const word = (offset) => ramDV.getUint32((codeDataAddr + offset) & mask);
+  if (word(0x00) == 0x00000001) {
+    // ABI1 and ABI2 share this header, but differ in the rest of their data.
+    if (word(0x30) == 0xf0000f00) {
+      return { signature: word(0x28), signatures: kABI1Signatures };
+    }
+    return { signature: word(0x10), signatures: kABI2Signatures };
+  }
+  return { signature: word(0x10), signatures: kABI3Signatures };
+}
+
+/**
+ * Determines which audio ABI the task's microcode implements.
+ * @param {!DataView} ramDV
+ * @param {number} codeDataAddr
+ * @returns {?string} The ABI, or null if the microcode isn't recognised.
+ */
+export function detectAudioABI(ramDV, codeDataAddr) {
+  const { signature, signatures } = getSignature(ramDV, codeDataAddr);
+  const abi = signatures.get(signature);
+  if (!abi) {
+    if (!loggedSignatures.has(signature)) {
+      loggedSignatures.add(signature);
+      n64js.warn(`Unrecognised audio microcode (signature ${toString32(signature)}), running it on the RSP`);
+    }
+    return null;
+  }
+  return abi;
+}
+
+function getMicrocode(abi, ramDV) {
+  let microcode = microcodes.get(abi);
+  if (!microcode || microcode.ramDV !== ramDV) {
+    switch (abi) {
+      case kABI1: microcode = new ABI1(ramDV); break;
+      case kABI2: microcode = new ABI2(ramDV); break;
+      case kABI3: microcode = new ABI3(ramDV); break;
+    }
+    microcodes.set(abi, microcode);
+  }
+  return microcode;
+}
+
+/**
+ * Processes an audio task.
+ * @param {RSPTask} task
+ * @returns {boolean} True if the task was handled, false if it should be run
+ *     on the RSP instead (e.g. because the microcode isn't recognised or the
+ *     alist uses unsupported commands).
+ */
+export function hleAudio(task) {
+  const ramDV = n64js.hardware().cachedMemDevice.mem.dataView;
+  const abi = detectAudioABI(ramDV, task.codeDataAddr);
+  if (!abi) {
+    return false;
+  }
+  const microcode = getMicrocode(abi, ramDV);
+  return microcode.process(task.dataPtr & 0x1fffffff, task.dataSize);
+}
@@ -1,9 +1,12 @@
 /*jshint jquery:true browser:true */
 /*global n64js*/
 
+import { dbgGUI } from '../dbg_ui.js';
 import { DebugController } from './debug_controller.js';
+import { chooseCaptureFile, finishCapture, recordRamRead, recorderForNewTask, requestCapture } from './dlist_capture.js';
 import * as microcodes from './microcodes.js';
 import { RSPState } from './rsp_state.js';
+import { createRSPTask } from './rsp_task.js';
 import { Renderer } from './renderer.js';
 import { graphicsOptions } from './graphics_options.js';
 import { toString32 } from '../format.js';
@@ -14,9 +17,33 @@ let numDisplayListsRendered = 0;
 let gl = null; // WebGL context for the canvas.
 let renderer;
 
+// Whether we're rendering without a DOM, e.g. in tests.
+let headless = false;
+
 const state = new RSPState();
 const debugController = new DebugController(state, processDList);
 
+// The VI dimensions of the capture being replayed, used in place of the VI's.
+let replayDims = null;
+
+const captureOptions = {
+  captureFrame: () => { requestCapture(); },
+
+  // The microcode to replay captures with, or -1 to detect it.
+  replayMicrocode: -1,
+
+  replayCapture: () => {
+    chooseCaptureFile()
+      .then(capture => replayCapture(capture, captureOptions.replayMicrocode))
+      .catch(e => n64js.ui().displayError(`Unable to load display list capture: ${e}`));
+  },
+};
+
+const captureFolder = dbgGUI.addFolder('Display List Capture');
+captureFolder.add(captureOptions, 'captureFrame').name('Capture Frame');
+captureFolder.add(captureOptions, 'replayMicrocode', { 'Auto': -1, ...microcodes.microcodeNames }).name('Replay Microcode');
+captureFolder.add(captureOptions, 'replayCapture').name('Replay Capture...');
+
 export function initialiseRenderer($canvas) {
   debugController.initUI();
 
@@ -28,7 +55,23 @@ export function initialiseRenderer($canvas) {
     return;
   }
 
-  renderer = new Renderer(gl, state, 640, 480);
+  createRenderer();
+}
+
+/**
+ * Initialises the renderer with a WebGL2 context that isn't attached to a
+ * canvas, e.g. one created by headless-gl. The shader scripts must have been
+ * loaded with shaders.loadShaderScripts.
+ * @param {!WebGL2RenderingContext} context
+ */
+export function initialiseHeadlessRenderer(context) {
+  headless = true;
+  gl = context;
+  createRenderer();
+}
+
+function createRenderer() {
+  renderer = new Renderer(gl, state);
   renderer.hleHalt = hleHalt;
 
   // FIXME - needed for buildTexture.
@@ -76,8 +119,61 @@ export function debugDisplayList() {
 }
 
 export function hleGraphics(task) {
+  replayDims = null;
   debugController.onNewTask(task)
+
+  const recorder = recorderForNewTask();
+  if (recorder) {
+    recorder.beginTask(task, n64js.hardware().cachedMemDevice.u8);
+  }
   processDList(task, null, -1);
+  if (recorder) {
+    recorder.endTask();
+  }
+}
+
+/**
+ * Replays the display lists in a capture. The captured memory is written to
+ * RDRAM while replaying, so the emulation is stopped first and RDRAM is
+ * restored afterwards.
+ * @param {!DisplayListCapture} capture
+ * @param {number} ucode The microcode to use, or -1 to detect it.
+ */
+export function replayCapture(capture, ucode) {
+  if (!renderer) {
+    return;
+  }
+  n64js.breakEmulationForDisplayListDebug();
+
+  const ramU8 = n64js.hardware().cachedMemDevice.u8;
+  const savedRam = ramU8.slice();
+  replayDims = capture.dims.srcWidth ? capture.dims : null;
+  try {
+    for (let captured of capture.tasks) {
+      captured.restoreRam(ramU8);
+      const task = createRSPTask(ramU8, captured);
+      if (ucode >= 0) {
+        task.ucodeOverride = ucode;
+      }
+      debugController.onNewTask(task);
+      processDList(task, null, -1);
+    }
+    renderer.presentRenderTarget(capture.viOrigin);
+  } finally {
+    ramU8.set(savedRam);
+    // The render targets hold the replayed frame, which mustn't be copied
+    // over the restored RDRAM.
+    renderer.discardRenderTargetChanges();
+  }
+}
+
+/**
+ * Reads back the rendered image at the specified address.
+ * @param {number} address
+ * @returns {?{width: number, height: number, rgba: !Uint8Array}}
+ */
+export function readRenderedImage(address) {
+  return renderer ? renderer.readRenderTarget(address) : null;
 }
 
 export function presentBackBuffer() {
@@ -88,8 +184,15 @@ export function presentBackBuffer() {
 
   hardware.timeline.addEvent(`Present ${toString32(vi.dramAddrReg)}`);
 
-  if (numDisplayListsRendered !== 0) {
-    renderer.copyBackBufferToFrontBuffer();
+  finishCapture(vi.dramAddrReg & 0x00fffffe, vi.computeDimensions());
+
+  // Nothing to present to if WebGL isn't available (e.g. when running headless).
+  if (!renderer) {
+    return;
+  }
+
+  const origin = vi.dramAddrReg & 0x00fffffe;
+  if (numDisplayListsRendered !== 0 && renderer.presentRenderTarget(origin)) {
     return;
   }
 
@@ -118,12 +221,18 @@ function processDList(task, disassembler, bailAfter) {
 
   microcode.onLoadUcode((codeAddr, codeSize, codeDataAddr, codeDataSize) => {
     task.loadUcode(codeAddr, codeSize, codeDataAddr, codeDataSize);
+    recordRamRead(task.codeAddr, task.codeSize);
+    recordRamRead(task.codeDataAddr, task.codeDataSize);
     microcode = initMicrocode(task, ramDV);
     ucodeTable = microcode.buildCommandTable();
     return microcode;
   });
 
-  initDimensionsFromVI(hardware.viRegDevice);
+  if (replayDims) {
+    initDimensions(replayDims);
+  } else {
+    initDimensionsFromVI(hardware.viRegDevice);
+  }
 
   renderer.newFrame();
 
@@ -151,7 +260,18 @@ function processDList(task, disassembler, bailAfter) {
     }
   }
 
-  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  renderer.endFrame();
+}
+
+/**
+ * Copies any rendered pixels in the specified RDRAM range back to RDRAM.
+ * @param {number} address
+ * @param {number} length
+ */
+export function syncFramebufferToRAM(address, length) {
+  if (renderer) {
+    renderer.syncRenderTargets(address, length);
+  }
 }
 
 function initDimensionsFromVI(vi) {
@@ -159,12 +279,26 @@ function initDimensionsFromVI(vi) {
   if (!dims) {
     return;
   }
+  initDimensions(dims);
+}
 
-  renderer.nativeTransform.initDimensions(dims.srcWidth, dims.srcHeight);
+function initDimensions(dims) {
+  renderer.setDisplayDimensions(dims.srcWidth, dims.srcHeight);
+  if (headless) {
+    return;
+  }
 
+  // NTSC and PAL are both displayed at 4:3. The canvas is displayed at
+  // canvasScale times the screen width, but its drawing buffer is made large
+  // enough to show the internal resolution.
   const canvas = document.getElementById('display');
-  canvas.width = dims.screenWidth * graphicsOptions.canvasScale;
-  canvas.height = dims.screenHeight * graphicsOptions.canvasScale;
+  const displayWidth = dims.screenWidth * graphicsOptions.canvasScale;
+  const displayHeight = displayWidth * 3 / 4;
+  const bufferScale = Math.max(1, dims.srcWidth * graphicsOptions.resolutionScale / displayWidth);
+  canvas.width = Math.round(displayWidth * bufferScale);
+  canvas.height = Math.round(displayHeight * bufferScale);
+  canvas.style.width = `${displayWidth}px`;
+  canvas.style.height = `${displayHeight}px`;
 }
 
 function initMicrocode(task, ramDV) {
@@ -181,6 +315,10 @@ function hleHalt(msg) {
   if (debugController.running) {
     return;
   }
+  if (headless) {
+    n64js.warn(msg);
+    return;
+  }
   n64js.ui().displayWarning(msg);
 
   // Ensure the CPU emulation stops immediately
@@ -19,6 +19,23 @@ const kUCode_GBI0_GE = 9;      // Golden Eye
 const kUCode_GBI2_CONKER = 10; // Conker BFD
 const kUCode_GBI0_PD = 11;     // Perfect Dark
 
+// The microcodes that can be chosen in place of the detected one, e.g. to
+// replay a display list capture.
+export const microcodeNames = {
+  'GBI0': kUCode_GBI0,
+  'GBI1': kUCode_GBI1,
+  'GBI2': kUCode_GBI2,
+  'GBI1 S2DEX': kUCode_GBI1_SDEX,
+  'GBI2 S2DEX': kUCode_GBI2_SDEX,
+  'GBI0 Wave Race': kUCode_GBI0_WR,
+  'GBI0 Diddy Kong Racing': kUCode_GBI0_DKR,
+  'GBI1 Last Legion': kUCode_GBI1_LL,
+  'GBI0 Shadows of the Empire': kUCode_GBI0_SE,
+  'GBI0 GoldenEye': kUCode_GBI0_GE,
+  'GBI2 Conker': kUCode_GBI2_CONKER,
+  'GBI0 Perfect Dark': kUCode_GBI0_PD,
+};
+
 const ucodeOverrides = new Map([
   [0x60256efc, kUCode_GBI2_CONKER],	// "RSP Gfx ucode F3DEXBG.NoN fifo 2.08  Yoshitaka Yasumoto 1999 Nintendo.", "Conker's Bad Fur Day"
   [0x6d8bec3e, kUCode_GBI1_LL],	    // "Dark Rift"
@@ -44,8 +61,10 @@ export function create(task, state, ramDV) {
     graphicsOptions.dumpMicrocode = false;
   }
 
-  const hash = task.computeMicrocodeHash();
-  const ucode = detect(version, hash);
+  let ucode = task.ucodeOverride;
+  if (ucode === undefined) {
+    ucode = detect(version, task.computeMicrocodeHash());
+  }
   const microcode = createMicrocode(ucode, state, ramDV);
   microcode.version = version;
   return microcode;
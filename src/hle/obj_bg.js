@@ -0,0 +1,70 @@
+import { toString32 } from "../format.js";
+import * as gbi from './gbi.js';
+
+// The size of the structure in RDRAM.
+export const kObjBgSize = 40;
+
+// Flags for imageFlip.
+export const G_BG_FLAG_FLIPS = 0x01;
+
+/**
+ * A background image (uObjScaleBg or uObjBg). The copy variant stores TMEM
+ * load parameters in place of the scale, which we don't need.
+ */
+export class ObjScaleBg {
+  constructor() {
+    this.imageX = 0;
+    this.imageW = 0;
+    this.frameX = 0;
+    this.frameW = 0;
+
+    this.imageY = 0;
+    this.imageH = 0;
+    this.frameY = 0;
+    this.frameH = 0;
+
+    this.imagePtr = 0;
+    this.imageLoad = 0;
+    this.imageFmt = 0;
+    this.imageSiz = 0;
+    this.imagePal = 0;
+    this.imageFlip = 0;
+
+    this.scaleW = 0;
+    this.scaleH = 0;
+    this.imageYorig = 0;
+  }
+
+  load(dv, offset) {
+    this.imageX = dv.getUint16(offset + 0, false) / 32;
+    this.imageW = dv.getUint16(offset + 2, false) / 4;
+    this.frameX = dv.getInt16(offset + 4, false) / 4;
+    this.frameW = dv.getUint16(offset + 6, false) / 4;
+
+    this.imageY = dv.getUint16(offset + 8, false) / 32;
+    this.imageH = dv.getUint16(offset + 10, false) / 4;
+    this.frameY = dv.getInt16(offset + 12, false) / 4;
+    this.frameH = dv.getUint16(offset + 14, false) / 4;
+
+    this.imagePtr = dv.getUint32(offset + 16, false);
+    this.imageLoad = dv.getUint16(offset + 20, false);
+    this.imageFmt = dv.getUint8(offset + 22, false);
+    this.imageSiz = dv.getUint8(offset + 23, false);
+    this.imagePal = dv.getUint16(offset + 24, false);
+    this.imageFlip = dv.getUint16(offset + 26, false);
+
+    this.scaleW = dv.getUint16(offset + 28, false) / 1024;
+    this.scaleH = dv.getUint16(offset + 30, false) / 1024;
+    this.imageYorig = dv.getInt32(offset + 32, false) / 32;
+    // 4 bytes of padding here.
+  }
+
+  toString() {
+    return `imageX/Y = (${this.imageX}, ${this.imageY}), imageW/H = (${this.imageW}, ${this.imageH})
+frameX/Y = (${this.frameX}, ${this.frameY}), frameW/H = (${this.frameW}, ${this.frameH})
+imagePtr = ${toString32(this.imagePtr)}, imageLoad = ${this.imageLoad}
+imageFmt = ${gbi.ImageFormat.nameOf(this.imageFmt)}, imageSiz = ${gbi.ImageSize.nameOf(this.imageSiz)}
+imagePal = ${this.imagePal}, imageFlip = ${this.imageFlip}
+scaleW/H = (${this.scaleW}, ${this.scaleH})`
+  }
+}
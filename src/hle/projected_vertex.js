@@ -3,6 +3,8 @@ import { Vector4 } from '../graphics/Vector4.js';
 export class ProjectedVertex {
   constructor() {
     this.pos = new Vector4();
+    // The normalised device z coordinate, used for fog.
+    this.depth = 0;
     this.color = 0;
     this.u = 0;
     this.v = 0;
@@ -0,0 +1,282 @@
+import { kMaxZ, packZ } from '../lle/depth.js';
+import { expand5To8 } from '../lle/tmem.js';
+import * as gbi from './gbi.js';
+
+/**
+ * An offscreen framebuffer for a color image set by SetColorImage.
+ *
+ * The target is allocated for allocHeight rows, but only the rows covered by
+ * the scissor while drawing are treated as part of the image in RDRAM. This
+ * avoids clobbering whatever follows small buffers when copying them back.
+ */
+export class RenderTarget {
+  /**
+   * @param {!WebGL2RenderingContext} gl
+   * @param {{format: number, size: number, width: number, address: number}} colorImage
+   * @param {number} allocHeight The number of N64 rows to allocate.
+   * @param {number} storageWidth The width of the GL texture.
+   * @param {number} storageHeight The height of the GL texture.
+   * @param {!WebGLTexture} depthTexture A depth texture of the same storage dimensions.
+   */
+  constructor(gl, colorImage, allocHeight, storageWidth, storageHeight, depthTexture) {
+    this.address = colorImage.address;
+    this.format = colorImage.format;
+    this.size = colorImage.size;
+    this.width = colorImage.width;
+    this.allocHeight = allocHeight;
+    this.storageWidth = storageWidth;
+    this.storageHeight = storageHeight;
+
+    // The number of rows drawn to so far.
+    this.height = 0;
+
+    // Whether the target has been drawn to since it was last copied to RDRAM.
+    this.dirty = false;
+
+    this.texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, storageWidth, storageHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    this.framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, depthTexture, 0);
+  }
+
+  destroy(gl) {
+    gl.deleteFramebuffer(this.framebuffer);
+    gl.deleteTexture(this.texture);
+  }
+
+  get bytesPerPixel() { return bytesPerPixel(this.size); }
+  get byteLength() { return this.width * this.height * this.bytesPerPixel; }
+
+  /**
+   * Whether the target was created for the specified color image.
+   * @param {{format: number, size: number, width: number}} colorImage
+   * @returns {boolean}
+   */
+  matches(colorImage) {
+    return this.format === colorImage.format && this.size === colorImage.size && this.width === colorImage.width;
+  }
+
+  /**
+   * Whether the drawn part of the target overlaps the specified RDRAM range.
+   * @param {number} address
+   * @param {number} length
+   * @returns {boolean}
+   */
+  overlaps(address, length) {
+    return address < this.address + this.byteLength && this.address < address + length;
+  }
+
+  /**
+   * Extends the drawn area of the target to cover the specified row.
+   * @param {number} rows
+   */
+  extendHeight(rows) {
+    this.height = Math.max(this.height, Math.min(rows, this.allocHeight));
+  }
+}
+
+/**
+ * A view of a render target that has been loaded to TMEM, for sampling it
+ * directly rather than decoding the texels from RDRAM.
+ */
+export class RenderTargetTexture {
+  /**
+   * @param {!RenderTarget} target
+   * @param {number} x The column of the first texel loaded.
+   * @param {number} y The row of the first texel loaded.
+   */
+  constructor(target, x, y) {
+    this.target = target;
+    this.x = x;
+    this.y = y;
+  }
+
+  get width() { return this.target.width; }
+  get height() { return this.target.allocHeight; }
+  get texture() { return this.target.texture; }
+}
+
+/**
+ * Returns the number of bytes per pixel for a color image of the given size.
+ * @param {number} size
+ * @returns {number}
+ */
+export function bytesPerPixel(size) {
+  switch (size) {
+    case gbi.ImageSize.G_IM_SIZ_8b: return 1;
+    case gbi.ImageSize.G_IM_SIZ_16b: return 2;
+    case gbi.ImageSize.G_IM_SIZ_32b: return 4;
+  }
+  return 0;
+}
+
+/**
+ * Returns the offset of the storage pixel to sample for each N64 pixel of a
+ * render target, top-down.
+ * @param {!RenderTarget} target
+ * @returns {function(number, number): number}
+ */
+function makeSampler(target) {
+  const scaleX = target.storageWidth / target.width;
+  const scaleY = target.storageHeight / target.allocHeight;
+  return (x, y) => {
+    const sx = Math.floor((x + 0.5) * scaleX);
+    const sy = target.storageHeight - 1 - Math.floor((y + 0.5) * scaleY);
+    return (sy * target.storageWidth + sx) * 4;
+  };
+}
+
+/**
+ * Writes the pixels read back from a render target to RDRAM, converting them
+ * to the target's pixel size. The pixels are bottom-up RGBA, as returned by
+ * readPixels, and are point sampled if the storage is larger than the target.
+ * @param {!RenderTarget} target
+ * @param {!Uint8Array} pixels
+ * @param {!Uint8Array} ram
+ */
+export function writeRenderTargetToRAM(target, pixels, ram) {
+  const bpp = target.bytesPerPixel;
+  const sample = makeSampler(target);
+
+  for (let y = 0; y < target.height; ++y) {
+    let dst = target.address + y * target.width * bpp;
+    if (dst + target.width * bpp > ram.length) {
+      break;
+    }
+
+    for (let x = 0; x < target.width; ++x) {
+      const src = sample(x, y);
+      const r = pixels[src + 0];
+      const g = pixels[src + 1];
+      const b = pixels[src + 2];
+      const a = pixels[src + 3];
+
+      switch (bpp) {
+        case 1:
+          ram[dst] = r;
+          break;
+        case 2: {
+          const v = ((r >>> 3) << 11) | ((g >>> 3) << 6) | ((b >>> 3) << 1) | (a >>> 7);
+          ram[dst + 0] = v >>> 8;
+          ram[dst + 1] = v;
+          break;
+        }
+        case 4:
+          ram[dst + 0] = r;
+          ram[dst + 1] = g;
+          ram[dst + 2] = b;
+          ram[dst + 3] = a;
+          break;
+      }
+      dst += bpp;
+    }
+  }
+}
+
+/**
+ * Reads a render target's color image from RDRAM, so a new target can start
+ * with whatever was there before (e.g. pixels written by the CPU). Returns
+ * top-down RGBA pixels at the target's native resolution. Rows beyond the end
+ * of RDRAM are left as zero.
+ * @param {!RenderTarget} target
+ * @param {!Uint8Array} ram
+ * @returns {!Uint8Array}
+ */
+export function readRenderTargetFromRAM(target, ram) {
+  const bpp = target.bytesPerPixel;
+  const pixels = new Uint8Array(target.width * target.allocHeight * 4);
+
+  for (let y = 0; y < target.allocHeight; ++y) {
+    let src = target.address + y * target.width * bpp;
+    if (src + target.width * bpp > ram.length) {
+      break;
+    }
+
+    let dst = y * target.width * 4;
+    for (let x = 0; x < target.width; ++x) {
+      switch (bpp) {
+        case 1:
+          pixels[dst + 0] = ram[src];
+          pixels[dst + 1] = ram[src];
+          pixels[dst + 2] = ram[src];
+          pixels[dst + 3] = 0xff;
+          break;
+        case 2: {
+          const v = (ram[src] << 8) | ram[src + 1];
+          pixels[dst + 0] = expand5To8((v >>> 11) & 0x1f);
+          pixels[dst + 1] = expand5To8((v >>> 6) & 0x1f);
+          pixels[dst + 2] = expand5To8((v >>> 1) & 0x1f);
+          pixels[dst + 3] = (v & 1) ? 0xff : 0;
+          break;
+        }
+        case 4:
+          pixels[dst + 0] = ram[src + 0];
+          pixels[dst + 1] = ram[src + 1];
+          pixels[dst + 2] = ram[src + 2];
+          pixels[dst + 3] = ram[src + 3];
+          break;
+      }
+      src += bpp;
+      dst += 4;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Writes the depth values read back from a render target to RDRAM in the
+ * N64's compressed format. The pixels hold 18 bit depth values packed into RGB
+ * by the depth shader. Delta z is estimated from the difference to the
+ * neighbouring pixels, taking the smaller difference on each axis so pixels
+ * on the edge of a primitive don't pick up the slope across the edge.
+ * @param {!RenderTarget} target The render target the depth buffer was used with.
+ * @param {!Uint8Array} pixels
+ * @param {!Uint8Array} ram
+ * @param {number} address The address of the depth image.
+ */
+export function writeDepthToRAM(target, pixels, ram, address) {
+  const sample = makeSampler(target);
+  const width = target.width;
+  const height = target.height;
+
+  const depth = new Int32Array(width * height);
+  for (let y = 0; y < height; ++y) {
+    for (let x = 0; x < width; ++x) {
+      const src = sample(x, y);
+      depth[y * width + x] = Math.min((pixels[src + 0] << 16) | (pixels[src + 1] << 8) | pixels[src + 2], kMaxZ);
+    }
+  }
+
+  const slope = (z, i, step, hasPrev, hasNext) => {
+    const prev = hasPrev ? Math.abs(z - depth[i - step]) : Infinity;
+    const next = hasNext ? Math.abs(depth[i + step] - z) : Infinity;
+    const d = Math.min(prev, next);
+    return d === Infinity ? 0 : d;
+  };
+
+  for (let y = 0; y < height; ++y) {
+    let dst = address + y * width * 2;
+    if (dst + width * 2 > ram.length) {
+      break;
+    }
+
+    for (let x = 0; x < width; ++x) {
+      const i = y * width + x;
+      const z = depth[i];
+      const dz = slope(z, i, 1, x > 0, x < width - 1) + slope(z, i, width, y > 0, y < height - 1);
+      const v = packZ(z, Math.min(dz, 0xffff));
+      ram[dst + 0] = v >>> 8;
+      ram[dst + 1] = v;
+      dst += 2;
+    }
+  }
+}
@@ -0,0 +1,126 @@
+import { compressZ } from '../lle/depth.js';
+import * as gbi from './gbi.js';
+import { bytesPerPixel, readRenderTargetFromRAM, writeDepthToRAM, writeRenderTargetToRAM } from './render_target.js';
+
+const assert = require('chai').assert;
+
+function makeTarget(size, width, height, scale) {
+  return {
+    address: 0x10,
+    width: width,
+    height: height,
+    allocHeight: height,
+    storageWidth: width * scale,
+    storageHeight: height * scale,
+    bytesPerPixel: bytesPerPixel(size),
+  };
+}
+
+// Returns bottom-up RGBA pixels where each pixel's red channel is its
+// top-down index and the other channels are fixed.
+function makePixels(width, height) {
+  const pixels = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; ++y) {
+    for (let x = 0; x < width; ++x) {
+      const o = ((height - 1 - y) * width + x) * 4;
+      pixels[o + 0] = (y * width + x) * 8;
+      pixels[o + 1] = 0xff;
+      pixels[o + 2] = 0x08;
+      pixels[o + 3] = 0xff;
+    }
+  }
+  return pixels;
+}
+
+describe('writeRenderTargetToRAM', () => {
+  it('should write 32 bit pixels top-down', () => {
+    const target = makeTarget(gbi.ImageSize.G_IM_SIZ_32b, 2, 2, 1);
+    const ram = new Uint8Array(0x100);
+    writeRenderTargetToRAM(target, makePixels(2, 2), ram);
+
+    assert.deepEqual(Array.from(ram.subarray(0x10, 0x20)), [
+      0x00, 0xff, 0x08, 0xff,
+      0x08, 0xff, 0x08, 0xff,
+      0x10, 0xff, 0x08, 0xff,
+      0x18, 0xff, 0x08, 0xff,
+    ]);
+    assert.equal(ram[0x0f], 0);
+    assert.equal(ram[0x20], 0);
+  });
+
+  it('should convert 16 bit pixels to 5551', () => {
+    const target = makeTarget(gbi.ImageSize.G_IM_SIZ_16b, 2, 1, 1);
+    const ram = new Uint8Array(0x100);
+    writeRenderTargetToRAM(target, makePixels(2, 1), ram);
+
+    // r = 0 then 1, g = 0x1f, b = 1, a = 1.
+    assert.deepEqual(Array.from(ram.subarray(0x10, 0x14)), [0x07, 0xc3, 0x0f, 0xc3]);
+  });
+
+  it('should point sample scaled storage', () => {
+    const target = makeTarget(gbi.ImageSize.G_IM_SIZ_8b, 2, 2, 2);
+    const ram = new Uint8Array(0x100);
+    writeRenderTargetToRAM(target, makePixels(4, 4), ram);
+
+    // Samples storage pixels (1, 1), (3, 1), (1, 3) and (3, 3).
+    assert.deepEqual(Array.from(ram.subarray(0x10, 0x14)), [5 * 8, 7 * 8, 13 * 8, 15 * 8]);
+  });
+
+  it('should only write the rows that were drawn', () => {
+    const target = makeTarget(gbi.ImageSize.G_IM_SIZ_8b, 2, 2, 1);
+    target.height = 1;
+    const ram = new Uint8Array(0x100);
+    writeRenderTargetToRAM(target, makePixels(2, 2), ram);
+
+    assert.deepEqual(Array.from(ram.subarray(0x10, 0x14)), [0x00, 0x08, 0x00, 0x00]);
+  });
+});
+
+describe('readRenderTargetFromRAM', () => {
+  it('should expand 16 bit pixels top-down', () => {
+    const target = makeTarget(gbi.ImageSize.G_IM_SIZ_16b, 2, 1, 2);
+    const ram = new Uint8Array(0x100);
+    ram.set([0x07, 0xc3, 0xf8, 0x00], 0x10);
+
+    assert.deepEqual(Array.from(readRenderTargetFromRAM(target, ram)), [
+      0x00, 0xff, 0x08, 0xff,
+      0xff, 0x00, 0x00, 0x00,
+    ]);
+  });
+});
+
+describe('writeDepthToRAM', () => {
+  it('should compress depth values', () => {
+    const target = makeTarget(gbi.ImageSize.G_IM_SIZ_16b, 3, 1, 1);
+    const ram = new Uint8Array(0x100);
+    // Bottom-up packed 18 bit depth values: 0, 0x20000 and the maximum.
+    const pixels = Uint8Array.of(
+      0x00, 0x00, 0x00, 0xff,
+      0x02, 0x00, 0x00, 0xff,
+      0x03, 0xff, 0xff, 0xff);
+    writeDepthToRAM(target, pixels, ram, 0x40);
+
+    // The steep slope between the pixels sets the delta z bits.
+    assert.deepEqual(Array.from(ram.subarray(0x40, 0x46)), [0x00, 0x03, 0x20, 0x03, 0xff, 0xff]);
+    assert.equal(ram[0x10], 0);
+  });
+
+  it('should estimate delta z from the neighbouring pixels', () => {
+    const target = makeTarget(gbi.ImageSize.G_IM_SIZ_16b, 3, 1, 1);
+    const ram = new Uint8Array(0x100);
+    // Bottom-up packed 18 bit depth values: 0x100, 0x100 and 0x2100.
+    const pixels = Uint8Array.of(
+      0x00, 0x01, 0x00, 0xff,
+      0x00, 0x01, 0x00, 0xff,
+      0x00, 0x21, 0x00, 0xff);
+    writeDepthToRAM(target, pixels, ram, 0x40);
+
+    // The first two pixels are flat. The last only has a neighbour across the
+    // slope: dz is 0x2000, which compresses to 13, stored as 13 >> 2.
+    const z = (v) => (ram[0x40 + v * 2] << 8) | ram[0x41 + v * 2];
+    assert.equal(z(0) & 3, 0);
+    assert.equal(z(1) & 3, 0);
+    assert.equal(z(2) & 3, 3);
+    assert.equal(z(2) >> 2, compressZ(0x2100));
+  });
+});
@@ -1,36 +1,70 @@
 /*global $, n64js*/
 
-import { toString16, toString32 } from "../format.js";
+import { toString32 } from "../format.js";
 import { Transform2D } from '../graphics/Transform2D.js';
 import { Transform4D } from "../graphics/Transform4D.js";
 import { Vector2 } from "../graphics/Vector2.js";
 import { Vector4 } from "../graphics/Vector4.js";
+import { blenderUsesMemory } from './blender.js';
 import * as gbi from './gbi.js';
+import { graphicsOptions } from './graphics_options.js';
+import { RenderTarget, RenderTargetTexture, readRenderTargetFromRAM, writeDepthToRAM, writeRenderTargetToRAM } from './render_target.js';
 import * as shaders from './shaders.js';
+import { dumpTexture, textureOptions, texturePack } from './texture_pack.js';
 import { Texture } from './textures.js';
 import { VertexArray } from "./vertex_array.js";
 
-const kBlendModeUnknown = 0;
-const kBlendModeOpaque = 1;
-const kBlendModeAlphaTrans = 2;
-const kBlendModeFade = 3;
-const kBlendModeFog = 4;
+// The aspect ratio of the display, for both NTSC and PAL.
+const kDisplayAspectRatio = 4 / 3;
 
-// Map to keep track of which unimplemented blend modes we've already warned about.
-const loggedBlendModes = new Map();
+// How the shader filters a texture. These match TileState.mode in the
+// fragment shader.
+const kTileFilterSampler = 0;
+const kTileFilterPoint = 1;
+const kTileFilter3Point = 2;
 
 export class Renderer {
-  constructor(gl, state, width, height) {
+  constructor(gl, state) {
     this.gl = gl;
     this.state = state;
     this.nativeTransform = new NativeTransform();
 
     this.textureCache = new Map();
 
-    this.frameBuffer = gl.createFramebuffer();
-    gl.bindFramebuffer(gl.FRAMEBUFFER, this.frameBuffer);
-    this.frameBuffer.width = width;
-    this.frameBuffer.height = height;
+    // Set when a replacement texture becomes available, to decode the cached
+    // textures again at the start of the next frame.
+    this.textureCacheStale = false;
+    texturePack.onImageLoaded = () => { this.textureCacheStale = true; };
+
+    // The multiple of the N64 resolution to render at. This is updated from
+    // graphicsOptions at the start of each frame.
+    this.resolutionScale = 1;
+    this.maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+
+    // The VI output resolution, used to size render targets.
+    this.viWidth = 320;
+    this.viHeight = 240;
+
+    // Offscreen render targets for each color image, keyed by RDRAM address.
+    this.renderTargets = new Map();
+    this.currentRenderTarget = null;
+
+    // Depth textures, shared between render targets with the same dimensions.
+    this.depthTextures = new Map();
+
+    // The render target last drawn with depth, and whether its depth buffer
+    // has changed since it was last copied to the depth image.
+    this.depthRenderTarget = null;
+    this.depthDirty = false;
+
+    // A framebuffer for reading back depth values, created when needed.
+    this.depthReadFramebuffer = null;
+    this.depthReadTexture = null;
+
+    // Render targets that have been loaded to TMEM, keyed by TMEM address.
+    this.tmemRenderTargets = new Map();
+
+    this.readPixelsBuffer = null;
 
     this.frameBufferTexture2D = gl.createTexture();
     gl.bindTexture(gl.TEXTURE_2D, this.frameBufferTexture2D);
@@ -39,52 +73,477 @@ export class Renderer {
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
     // We call texImage2D to initialise frameBufferTexture2D with the correct dimensions when it's used.
-
-    // Create a texture for color data and attach to the framebuffer.
-    this.frameBufferTexture3D = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, this.frameBufferTexture3D);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.frameBufferTexture3D, 0);
     gl.bindTexture(gl.TEXTURE_2D, null);
 
-    // Create a render buffer and attach to the framebuffer.
-    const renderbuffer = gl.createRenderbuffer();
-    gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
-    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
-    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, renderbuffer);
-    gl.bindRenderbuffer(gl.RENDERBUFFER, null);
-
-    // Passing null binds the framebuffer to the canvas.
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-
     this.blitShaderProgram = shaders.createShaderProgram(gl, "blit-shader-vs", "blit-shader-fs");
     this.blitSamplerUniform = gl.getUniformLocation(this.blitShaderProgram, "uSampler");
     this.blitVA = this.initBlitVA(this.blitShaderProgram);
 
+    this.depthShaderProgram = shaders.createShaderProgram(gl, "blit-shader-vs", "depth-shader-fs");
+    this.depthSamplerUniform = gl.getUniformLocation(this.depthShaderProgram, "uSampler");
+    this.depthVA = this.initBlitVA(this.depthShaderProgram);
+
     this.fillShaderProgram = shaders.createShaderProgram(gl, "fill-shader-vs", "fill-shader-fs");
     this.fillFillColorUniform = gl.getUniformLocation(this.fillShaderProgram, "uFillColor");
     this.fillRectVA = this.initFillRectVA(this.fillShaderProgram);
     this.debugClearVA = this.initClearVA(this.fillShaderProgram);
 
-    this.$textureOutput = $('#texture-content');
+    // The debug UI element to display decoded textures in, if there's a DOM.
+    this.$textureOutput = (typeof $ !== 'undefined') ? $('#texture-content') : null;
   }
 
   reset() {
+    const gl = this.gl;
     this.textureCache.clear();
-    this.$textureOutput.html('');
+    if (this.$textureOutput) {
+      this.$textureOutput.html('');
+    }
+
+    for (let target of this.renderTargets.values()) {
+      target.destroy(gl);
+    }
+    this.renderTargets.clear();
+    this.currentRenderTarget = null;
+    this.tmemRenderTargets.clear();
+
+    for (let depthTexture of this.depthTextures.values()) {
+      gl.deleteTexture(depthTexture);
+    }
+    this.depthTextures.clear();
+    this.depthRenderTarget = null;
+    this.depthDirty = false;
+  }
+
+  /**
+   * Sets the dimensions of the VI output.
+   * @param {number} viWidth
+   * @param {number} viHeight
+   */
+  setDisplayDimensions(viWidth, viHeight) {
+    this.viWidth = viWidth;
+    this.viHeight = viHeight;
+    this.nativeTransform.initDimensions(viWidth, viHeight);
   }
 
   newFrame() {
+    this.resolutionScale = graphicsOptions.resolutionScale;
+
+    // Render everything to offscreen render targets. This prevents horrible
+    // flickering if due to webgl clearing our context between updates.
+    this.currentRenderTarget = null;
+    if (this.state.colorImage.width) {
+      this.setColorImage(this.state.colorImage);
+    }
+
+    if (this.textureCacheStale) {
+      this.clearTextureCache();
+    }
+  }
+
+  clearTextureCache() {
+    const gl = this.gl;
+    for (let texture of this.textureCache.values()) {
+      if (texture) {
+        gl.deleteTexture(texture.texture);
+      }
+    }
+    this.textureCache.clear();
+    this.textureCacheStale = false;
+  }
+
+  endFrame() {
+    const gl = this.gl;
+    if (graphicsOptions.copyFramebuffersToRAM) {
+      for (let target of this.renderTargets.values()) {
+        if (target.dirty) {
+          this.copyRenderTargetToRAM(target);
+        }
+      }
+    }
+    if (graphicsOptions.copyDepthToRAM && this.depthDirty) {
+      this.copyDepthToRAM();
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+
+  /**
+   * Switches rendering to the render target for the specified color image,
+   * creating it if needed.
+   * @param {{format: number, size: number, width: number, address: number}} colorImage
+   */
+  setColorImage(colorImage) {
+    let target = this.renderTargets.get(colorImage.address);
+    if (target && !this.isRenderTargetValid(target, colorImage)) {
+      if (target.dirty) {
+        this.copyRenderTargetToRAM(target);
+      }
+      this.destroyRenderTarget(target);
+      target = null;
+    }
+    if (!target) {
+      target = this.createRenderTarget(colorImage);
+      this.renderTargets.set(colorImage.address, target);
+    }
+    if (target === this.currentRenderTarget) {
+      return;
+    }
+
+    this.currentRenderTarget = target;
+    this.bindRenderTarget(target);
+  }
+
+  isRenderTargetValid(target, colorImage) {
+    if (!target.matches(colorImage)) {
+      return false;
+    }
+    // Targets need recreating if the resolution scale changes.
+    if (target.storageWidth !== target.width * this.scaleForTarget(target.width, target.allocHeight)) {
+      return false;
+    }
+    // The display buffers need resizing if the VI resolution changes.
+    return target.width !== this.viWidth || target.allocHeight === this.viHeight;
+  }
+
+  /**
+   * Returns the resolution scale to use for a render target, limited by the
+   * maximum texture size.
+   * @param {number} width The width of the target in N64 pixels.
+   * @param {number} height The height of the target in N64 pixels.
+   * @returns {number}
+   */
+  scaleForTarget(width, height) {
+    return Math.max(1, Math.min(this.resolutionScale, Math.floor(this.maxTextureSize / Math.max(width, height))));
+  }
+
+  createRenderTarget(colorImage) {
+    const gl = this.gl;
+
+    // Buffers the width of the VI output are allocated at the VI height,
+    // other buffers with the same aspect ratio.
+    let allocHeight;
+    if (colorImage.width === this.viWidth) {
+      allocHeight = this.viHeight;
+    } else {
+      allocHeight = Math.max(this.viHeight, Math.round(colorImage.width * this.viHeight / this.viWidth));
+    }
+    const scale = this.scaleForTarget(colorImage.width, allocHeight);
+    const storageWidth = colorImage.width * scale;
+    const storageHeight = allocHeight * scale;
+
+    const depthTexture = this.getDepthTexture(storageWidth, storageHeight);
+    const target = new RenderTarget(gl, colorImage, allocHeight, storageWidth, storageHeight, depthTexture);
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+      n64js.warn(`Render target ${toString32(colorImage.address)} is incomplete: ${status}`);
+    }
+    this.copyRAMToRenderTarget(target);
+    return target;
+  }
+
+  /**
+   * Initialises a render target with the contents of its color image in
+   * RDRAM, so pixels drawn before it was created aren't lost.
+   * The pixels are uploaded at native resolution and scaled up by blitting.
+   * @param {!RenderTarget} target
+   */
+  copyRAMToRenderTarget(target) {
+    const gl = this.gl;
+    const pixels = readRenderTargetFromRAM(target, n64js.hardware().cachedMemDevice.u8);
+
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, target.width, target.allocHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.READ_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, target.framebuffer);
+
+    // The pixels are top-down, so flip them vertically.
+    gl.blitFramebuffer(0, 0, target.width, target.allocHeight,
+      0, target.storageHeight, target.storageWidth, 0,
+      gl.COLOR_BUFFER_BIT, gl.NEAREST);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.deleteFramebuffer(framebuffer);
+    gl.deleteTexture(texture);
+  }
+
+  destroyRenderTarget(target) {
+    target.destroy(this.gl);
+    this.renderTargets.delete(target.address);
+    if (this.currentRenderTarget === target) {
+      this.currentRenderTarget = null;
+    }
+    if (this.depthRenderTarget === target) {
+      this.depthRenderTarget = null;
+    }
+    for (let [tmem, tmemTarget] of this.tmemRenderTargets) {
+      if (tmemTarget.target === target) {
+        this.tmemRenderTargets.delete(tmem);
+      }
+    }
+  }
+
+  getDepthTexture(width, height) {
     const gl = this.gl;
-    // Render everything to the back buffer. This prevents horrible flickering
-    // if due to webgl clearing our context between updates.
-    gl.bindFramebuffer(gl.FRAMEBUFFER, this.frameBuffer);
+    const key = `${width}x${height}`;
+    let depthTexture = this.depthTextures.get(key);
+    if (!depthTexture) {
+      // Use a texture rather than a renderbuffer so the depth can be read back.
+      depthTexture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, depthTexture);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.DEPTH_COMPONENT16, width, height, 0, gl.DEPTH_COMPONENT, gl.UNSIGNED_SHORT, null);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+      this.depthTextures.set(key, depthTexture);
+    }
+    return depthTexture;
+  }
+
+  bindRenderTarget(target) {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
     // Set the viewport to match the framebuffer dimensions.
-    gl.viewport(0, 0, this.frameBuffer.width, this.frameBuffer.height);
+    gl.viewport(0, 0, target.storageWidth, target.storageHeight);
+    this.nativeTransform.initDimensions(target.width, target.allocHeight);
+  }
+
+  /**
+   * Records that the current render target is being drawn to.
+   * @returns {boolean} False if there's no render target to draw to.
+   */
+  touchRenderTarget() {
+    const target = this.currentRenderTarget;
+    if (!target) {
+      return false;
+    }
+    target.dirty = true;
+    target.extendHeight(this.state.scissor.y1);
+    return true;
+  }
+
+  /**
+   * Returns the render target containing the specified RDRAM address.
+   * @param {number} address
+   * @returns {?RenderTarget}
+   */
+  findRenderTarget(address) {
+    for (let target of this.renderTargets.values()) {
+      if (target.overlaps(address, 1)) {
+        return target;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Copies any render targets overlapping the specified RDRAM range back to RDRAM.
+   * @param {number} address
+   * @param {number} length
+   */
+  syncRenderTargets(address, length) {
+    for (let target of this.renderTargets.values()) {
+      if (target.dirty && target.overlaps(address, length)) {
+        this.copyRenderTargetToRAM(target);
+      }
+    }
+    if (graphicsOptions.copyDepthToRAM && this.depthDirty && this.depthImageOverlaps(address, length)) {
+      this.copyDepthToRAM();
+    }
+  }
+
+  /**
+   * Whether the depth image overlaps the specified RDRAM range.
+   * @param {number} address
+   * @param {number} length
+   * @returns {boolean}
+   */
+  depthImageOverlaps(address, length) {
+    const target = this.depthRenderTarget;
+    if (!target) {
+      return false;
+    }
+    const depthAddress = this.state.depthImage.address;
+    return address < depthAddress + target.width * target.height * 2 && depthAddress < address + length;
+  }
+
+  /**
+   * Copies the depth buffer to the depth image in RDRAM. The depth texture
+   * can't be read directly, so it's first drawn to a color buffer with the
+   * depth values packed into RGB.
+   */
+  copyDepthToRAM() {
+    const gl = this.gl;
+    const target = this.depthRenderTarget;
+    this.depthDirty = false;
+    if (!target || !this.state.depthImage.address) {
+      return;
+    }
+
+    const width = target.storageWidth;
+    const height = target.storageHeight;
+    if (!this.depthReadFramebuffer) {
+      this.depthReadFramebuffer = gl.createFramebuffer();
+      this.depthReadTexture = gl.createTexture();
+      this.depthReadTexture.width = 0;
+      this.depthReadTexture.height = 0;
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.depthReadFramebuffer);
+    if (this.depthReadTexture.width !== width || this.depthReadTexture.height !== height) {
+      gl.bindTexture(gl.TEXTURE_2D, this.depthReadTexture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.depthReadTexture, 0);
+      this.depthReadTexture.width = width;
+      this.depthReadTexture.height = height;
+    }
+
+    gl.useProgram(this.depthShaderProgram);
+    gl.viewport(0, 0, width, height);
+    this.depthVA.bind();
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.getDepthTexture(width, height));
+    gl.uniform1i(this.depthSamplerUniform, 0);
+
+    gl.disable(gl.CULL_FACE);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.DEPTH_TEST);
+    gl.depthMask(false);
+
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    this.depthVA.unbind();
+
+    const bytes = width * height * 4;
+    if (!this.readPixelsBuffer || this.readPixelsBuffer.length < bytes) {
+      this.readPixelsBuffer = new Uint8Array(bytes);
+    }
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, this.readPixelsBuffer);
+
+    // Restore the current render target.
+    if (this.currentRenderTarget) {
+      this.bindRenderTarget(this.currentRenderTarget);
+    } else {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    writeDepthToRAM(target, this.readPixelsBuffer, n64js.hardware().cachedMemDevice.u8, this.state.depthImage.address);
+  }
+
+  /**
+   * Marks all render targets and the depth buffer as matching RDRAM, so their
+   * contents are never copied back.
+   */
+  discardRenderTargetChanges() {
+    for (let target of this.renderTargets.values()) {
+      target.dirty = false;
+    }
+    this.depthDirty = false;
+  }
+
+  /**
+   * Reads back the contents of a render target and writes it to RDRAM.
+   * @param {!RenderTarget} target
+   */
+  copyRenderTargetToRAM(target) {
+    const gl = this.gl;
+    const bytes = target.storageWidth * target.storageHeight * 4;
+    if (!this.readPixelsBuffer || this.readPixelsBuffer.length < bytes) {
+      this.readPixelsBuffer = new Uint8Array(bytes);
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.readPixels(0, 0, target.storageWidth, target.storageHeight, gl.RGBA, gl.UNSIGNED_BYTE, this.readPixelsBuffer);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.currentRenderTarget ? this.currentRenderTarget.framebuffer : null);
+
+    writeRenderTargetToRAM(target, this.readPixelsBuffer, n64js.hardware().cachedMemDevice.u8);
+    target.dirty = false;
+  }
+
+  /**
+   * Prepares for a texture load from RDRAM. Loads from a render target that
+   * hasn't been copied to RDRAM yet are sampled from the target directly if
+   * possible, otherwise the target is copied back so the load sees its pixels.
+   * @param {!TextureImage} ti The texture image being loaded from.
+   * @param {!Tile} tile The tile being loaded.
+   * @param {number} address The address of the first texel loaded.
+   * @param {number} length The number of bytes loaded.
+   * @param {boolean} keepsLayout Whether the rows of the image are loaded as rows in TMEM.
+   */
+  prepareTextureLoad(ti, tile, address, length, keepsLayout) {
+    this.tmemRenderTargets.delete(tile.tmem);
+
+    if (graphicsOptions.copyDepthToRAM && this.depthDirty && this.depthImageOverlaps(address, length)) {
+      this.copyDepthToRAM();
+    }
+
+    for (let target of this.renderTargets.values()) {
+      if (!target.dirty || !target.overlaps(address, length)) {
+        continue;
+      }
+      const sampleable = keepsLayout &&
+        target !== this.currentRenderTarget &&
+        ti.format === target.format &&
+        ti.size === target.size &&
+        ti.width === target.width &&
+        target.format === gbi.ImageFormat.G_IM_FMT_RGBA &&
+        target.size !== gbi.ImageSize.G_IM_SIZ_8b;
+      if (sampleable) {
+        const offset = (address - target.address) / target.bytesPerPixel;
+        const x = offset % target.width;
+        const y = Math.floor(offset / target.width);
+        this.tmemRenderTargets.set(tile.tmem, new RenderTargetTexture(target, x, y));
+      } else {
+        this.copyRenderTargetToRAM(target);
+      }
+    }
+  }
+
+  /**
+   * Copies the render target containing the specified address to the front buffer.
+   * @param {number} address
+   * @returns {boolean} False if there's no render target to present.
+   */
+  presentRenderTarget(address) {
+    const target = this.findRenderTarget(address);
+    if (!target) {
+      return false;
+    }
+    this.copyTextureToFrontBuffer(target.texture, target.storageWidth, target.storageHeight);
+    return true;
+  }
+
+  /**
+   * Reads back the render target containing the specified address, e.g. to
+   * compare it with a reference image.
+   * @param {number} address
+   * @returns {?{width: number, height: number, rgba: !Uint8Array}} The pixels
+   *     at the target's storage resolution, top row first.
+   */
+  readRenderTarget(address) {
+    const target = this.findRenderTarget(address);
+    if (!target) {
+      return null;
+    }
+
+    const gl = this.gl;
+    const width = target.storageWidth;
+    const height = target.storageHeight;
+    const pixels = new Uint8Array(width * height * 4);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.currentRenderTarget ? this.currentRenderTarget.framebuffer : null);
+
+    // Render targets are stored bottom-up.
+    const stride = width * 4;
+    const rgba = new Uint8Array(pixels.length);
+    for (let y = 0; y < height; ++y) {
+      rgba.set(pixels.subarray((height - 1 - y) * stride, (height - y) * stride), y * stride);
+    }
+    return { width: width, height: height, rgba: rgba };
   }
 
   initBlitVA(program) {
@@ -112,14 +571,29 @@ export class Renderer {
     return va;
   }
 
-  copyTextureToFrontBuffer(texture) {
+  /**
+   * Draws a texture to the canvas. NTSC and PAL are both displayed at 4:3, so
+   * the image is letterboxed or pillarboxed if the canvas has another shape.
+   * @param {!WebGLTexture} texture
+   * @param {number} width The width of the texture.
+   * @param {number} height The height of the texture.
+   */
+  copyTextureToFrontBuffer(texture, width, height) {
     const gl = this.gl;
     // Passing null binds the framebuffer to the canvas.
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     gl.useProgram(this.blitShaderProgram);
 
-    const canvas = document.getElementById('display');
-    gl.viewport(0, 0, canvas.width, canvas.height);
+    const bufferWidth = gl.drawingBufferWidth;
+    const bufferHeight = gl.drawingBufferHeight;
+    const viewportWidth = Math.min(bufferWidth, Math.round(bufferHeight * kDisplayAspectRatio));
+    const viewportHeight = Math.min(bufferHeight, Math.round(bufferWidth / kDisplayAspectRatio));
+    if (viewportWidth !== bufferWidth || viewportHeight !== bufferHeight) {
+      gl.viewport(0, 0, bufferWidth, bufferHeight);
+      gl.clearColor(0, 0, 0, 1);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+    gl.viewport((bufferWidth - viewportWidth) >> 1, (bufferHeight - viewportHeight) >> 1, viewportWidth, viewportHeight);
 
     this.blitVA.bind();
 
@@ -128,6 +602,11 @@ export class Renderer {
     gl.bindTexture(gl.TEXTURE_2D, texture);
     gl.uniform1i(this.blitSamplerUniform, 0);
 
+    // Filter when downsampling an image rendered above the display resolution.
+    const filter = (width > viewportWidth || height > viewportHeight) ? gl.LINEAR : gl.NEAREST;
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+
     gl.disable(gl.CULL_FACE);
     gl.disable(gl.BLEND);
     gl.disable(gl.DEPTH_TEST);
@@ -137,10 +616,6 @@ export class Renderer {
     this.blitVA.unbind();
   }
 
-  copyBackBufferToFrontBuffer() {
-    this.copyTextureToFrontBuffer(this.frameBufferTexture3D);
-  }
-
   copyPixelsToFrontBuffer(pixels, width, height, bitDepth) {
     const gl = this.gl;
     gl.activeTexture(gl.TEXTURE0);
@@ -154,17 +629,20 @@ export class Renderer {
       // Invalid mode.
     }
 
-    this.copyTextureToFrontBuffer(this.frameBufferTexture2D);
+    this.copyTextureToFrontBuffer(this.frameBufferTexture2D, width, height);
   }
 
   /**
    * Flushes the contents of a TriangleBuffer.
    * @param {TriangleBuffer} tb 
+   * @param {boolean} cullFaces Whether to apply the geometry mode's culling.
+   *     Lines are never culled.
    * @returns 
    */
-  flushTris(tb) {
+  flushTris(tb, cullFaces = true) {
     const gl = this.gl;
-    if (tb.empty()) {
+    if (tb.empty() || !this.touchRenderTarget()) {
+      tb.reset();
       return;
     }
 
@@ -181,7 +659,7 @@ export class Renderer {
 
     // texture filter
 
-    if (this.state.geometryMode.cullFront || this.state.geometryMode.cullBack) {
+    if (cullFaces && (this.state.geometryMode.cullFront || this.state.geometryMode.cullBack)) {
       gl.enable(gl.CULL_FACE);
       const mode = (this.state.geometryMode.cullFront) ? gl.FRONT : gl.BACK;
       gl.cullFace(mode);
@@ -229,6 +707,33 @@ export class Renderer {
     this.debugClearVA.unbind();
   }
 
+  /**
+   * Clears the current render target to the specified color.
+   * @param {{r: number, g: number, b: number, a: number}} color
+   */
+  clearColor(color) {
+    const gl = this.gl;
+    if (!this.touchRenderTarget()) {
+      return;
+    }
+    gl.clearColor(color.r, color.g, color.b, color.a);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+  }
+
+  /**
+   * Clears the depth buffer of the current render target.
+   */
+  clearDepth() {
+    const gl = this.gl;
+    if (!this.currentRenderTarget) {
+      return;
+    }
+    this.depthDirty = true;
+    gl.clearDepth(1.0);
+    gl.depthMask(true);
+    gl.clear(gl.DEPTH_BUFFER_BIT);
+  }
+
   initFillRectVA(program) {
     const gl = this.gl;
     const va = new VertexArray(gl);
@@ -240,10 +745,24 @@ export class Renderer {
   fillRect(x0, y0, x1, y1, color) {
     const gl = this.gl;
 
+    // Outside of fill mode, rectangles go through the combiner and blender.
+    const cycleType = this.state.getCycleType();
+    if (cycleType === gbi.CycleType.G_CYC_1CYCLE || cycleType === gbi.CycleType.G_CYC_2CYCLE) {
+      const vertices = this.calculateRectVertices(x0, y0, x1, y1);
+      const uvs = [0, 0, 0, 0, 0, 0, 0, 0];
+      const colours = [0, 0, 0, 0];
+      this.lleRect(0, vertices, uvs, colours, false);
+      return;
+    }
+
+    if (!this.touchRenderTarget()) {
+      return;
+    }
+
     this.setGLBlendMode();
 
-    const display0 = this.nativeTransform.convertN64ToDisplay(new Vector2(x0, y0));
-    const display1 = this.nativeTransform.convertN64ToDisplay(new Vector2(x1, y1));
+    const display0 = this.nativeTransform.convertN64ToDisplay(new Vector2(this.snapRectEdge(x0), this.snapRectEdge(y0)));
+    const display1 = this.nativeTransform.convertN64ToDisplay(new Vector2(this.snapRectEdge(x1), this.snapRectEdge(y1)));
 
     const vertices = [
       display1.x, display1.y, 0.0, 1.0,
@@ -268,9 +787,24 @@ export class Renderer {
     this.fillRectVA.unbind();
   }
 
+  /**
+   * Snaps a rectangle edge to the N64 pixel grid, so rectangles cover the
+   * same pixels whatever the resolution scale. In fill and copy modes the
+   * fractional bits of the coordinates are ignored; otherwise pixels are drawn
+   * if their centres are inside the rectangle.
+   * @param {number} v The edge coordinate, in N64 pixels.
+   * @returns {number}
+   */
+  snapRectEdge(v) {
+    if (this.state.getCycleType() >= gbi.CycleType.G_CYC_COPY) {
+      return Math.floor(v);
+    }
+    return Math.ceil(v - 0.5);
+  }
+
   calculateRectVertices(x0, y0, x1, y1) {
-    const display0 = this.nativeTransform.convertN64ToDisplay(new Vector2(x0, y0));
-    const display1 = this.nativeTransform.convertN64ToDisplay(new Vector2(x1, y1));
+    const display0 = this.nativeTransform.convertN64ToDisplay(new Vector2(this.snapRectEdge(x0), this.snapRectEdge(y0)));
+    const display1 = this.nativeTransform.convertN64ToDisplay(new Vector2(this.snapRectEdge(x1), this.snapRectEdge(y1)));
     const depthSourcePrim = (this.state.rdpOtherModeL & gbi.DepthSource.G_ZS_PRIM) !== 0;
     const depth = depthSourcePrim ? this.state.primDepth : 0.0;
 
@@ -282,13 +816,16 @@ export class Renderer {
     ];
   }
 
-  lleRect(tileIdx, vertices, uvs, colours) {
+  lleRect(tileIdx, vertices, uvs, colours, textureEnabled = true) {
     const gl = this.gl;
+    if (!this.touchRenderTarget()) {
+      return;
+    }
 
     // TODO: check scissor
 
     this.setProgramState(new Float32Array(vertices), new Uint32Array(colours), new Float32Array(uvs),
-      true /* textureEnabled */, false /*texGenEnabled*/, tileIdx);
+      textureEnabled, false /*texGenEnabled*/, tileIdx);
 
     gl.disable(gl.CULL_FACE);
 
@@ -305,7 +842,33 @@ export class Renderer {
   }
 
   texRect(tileIdx, x0, y0, x1, y1, s0, t0, s1, t1, flip) {
-    const vertices = this.calculateRectVertices(x0, y0, x1, y1);
+    // Snap the edges to whole pixels and adjust the texture coordinates to
+    // match. For flipped rectangles s varies with y and t with x.
+    const sx0 = this.snapRectEdge(x0);
+    const sy0 = this.snapRectEdge(y0);
+    const sx1 = this.snapRectEdge(x1);
+    const sy1 = this.snapRectEdge(y1);
+    [s0, s1] = flip ? remapRange(s0, s1, y0, y1, sy0, sy1) : remapRange(s0, s1, x0, x1, sx0, sx1);
+    [t0, t1] = flip ? remapRange(t0, t1, x0, x1, sx0, sx1) : remapRange(t0, t1, y0, y1, sy0, sy1);
+
+    // The RDP samples the texture at the top left of each pixel, but GL
+    // interpolates texture coordinates at pixel centres. The GL sampler's
+    // texel centres are offset by half a texel too, so this only matters when
+    // the shader filters the texture. Offsetting by half a pixel keeps the
+    // samples centred on the N64's at higher resolutions, so neighbouring
+    // texels don't bleed into the edges of 2D elements.
+    if (this.filtersLikeRDP()) {
+      const ds = flip ? (s1 - s0) / (sy1 - sy0) : (s1 - s0) / (sx1 - sx0);
+      const dt = flip ? (t1 - t0) / (sx1 - sx0) : (t1 - t0) / (sy1 - sy0);
+      if (isFinite(ds) && isFinite(dt)) {
+        s0 -= ds * 0.5;
+        s1 -= ds * 0.5;
+        t0 -= dt * 0.5;
+        t1 -= dt * 0.5;
+      }
+    }
+
+    const vertices = this.calculateRectVertices(sx0, sy0, sx1, sy1);
     let uvs;
     if (flip) {
       uvs = [
@@ -369,6 +932,11 @@ export class Renderer {
     }
 
     gl.depthMask(zUpdRenderMode);
+
+    if (zUpdRenderMode && this.currentRenderTarget) {
+      this.depthRenderTarget = this.currentRenderTarget;
+      this.depthDirty = true;
+    }
   }
 
   setProgramState(positions, colours, coords, textureEnabled, texGenEnabled, tileIdx) {
@@ -378,18 +946,22 @@ export class Renderer {
 
     const cycleType = this.state.getCycleType();
 
+    // The tiles from tileIdx onwards are bound to consecutive texture units.
+    // With LOD enabled the shader chooses the units to sample per fragment.
     // TODO: I think it would make more sense to check if the texture is referenced in the combiner.
-    let tile0, tile1;
-    let texture0, texture1;
+    let numTextures = 0;
     if (textureEnabled) {
-      const tileIdx0 = (tileIdx + 0) & 7;
-      const tileIdx1 = (tileIdx + 1) & 7;
-
-      tile0 = this.state.tiles[tileIdx0];
-      tile1 = this.state.tiles[tileIdx1];
-
-      texture0 = this.lookupTexture(tileIdx0);
-      texture1 = (cycleType == gbi.CycleType.G_CYC_2CYCLE) ? this.lookupTexture(tileIdx1) : null;
+      if (cycleType < gbi.CycleType.G_CYC_COPY && this.state.getTextureLODEnabled()) {
+        // Detail textures are in the tile before the first mip level.
+        const detail = this.state.getTextureDetailType() == gbi.TextureDetail.G_TD_DETAIL;
+        numTextures = Math.min(this.state.texture.level + (detail ? 2 : 1), shaders.kMaxTextureUnits);
+      } else {
+        numTextures = (cycleType == gbi.CycleType.G_CYC_2CYCLE) ? 2 : 1;
+      }
+    }
+    const textures = [];
+    for (let i = 0; i < numTextures; ++i) {
+      textures.push(this.lookupTexture((tileIdx + i) & 7));
     }
 
     const enableAlphaThreshold = (this.state.getAlphaCompareType() & gbi.AlphaCompare.G_AC_THRESHOLD) != 0;
@@ -415,8 +987,16 @@ export class Renderer {
     shader.vertexArray.setColorData(colours, gl.DYNAMIC_DRAW);
     shader.vertexArray.setUVData(coords, gl.DYNAMIC_DRAW);
 
-    this.bindTexture(0, gl.TEXTURE0, tile0, texture0, texGenEnabled, shader.uSamplerUniform0, shader.uTexScaleUniform0, shader.uTexOffsetUniform0);
-    this.bindTexture(1, gl.TEXTURE1, tile1, texture1, texGenEnabled, shader.uSamplerUniform1, shader.uTexScaleUniform1, shader.uTexOffsetUniform1);
+    for (let i = 0; i < shaders.kMaxTextureUnits; ++i) {
+      const texture = i < numTextures ? textures[i] : null;
+      this.bindTexture(i, this.state.tiles[(tileIdx + i) & 7], texture, texGenEnabled, shader.textureUniforms[i]);
+    }
+
+    gl.uniform1i(shader.uMaxLevelUniform, this.state.texture.level);
+    gl.uniform1f(shader.uMinLevelUniform, this.state.primLODMin / 32.0);
+    gl.uniform1f(shader.uPrimLODFracUniform, this.state.primLODFrac / 255.0);
+    const target = this.currentRenderTarget;
+    gl.uniform1f(shader.uResolutionScaleUniform, target ? target.storageWidth / target.width : 1);
 
     gl.uniform1f(shader.uAlphaThresholdUniform, alphaThreshold);
 
@@ -430,6 +1010,16 @@ export class Renderer {
       ((this.state.envColor >>> 16) & 0xff) / 255.0,
       ((this.state.envColor >>> 8) & 0xff) / 255.0,
       ((this.state.envColor >>> 0) & 0xff) / 255.0);
+    gl.uniform4f(shader.uBlendColorUniform,
+      ((this.state.blendColor >>> 24) & 0xff) / 255.0,
+      ((this.state.blendColor >>> 16) & 0xff) / 255.0,
+      ((this.state.blendColor >>> 8) & 0xff) / 255.0,
+      ((this.state.blendColor >>> 0) & 0xff) / 255.0);
+    gl.uniform4f(shader.uFogColorUniform,
+      ((this.state.fogColor >>> 24) & 0xff) / 255.0,
+      ((this.state.fogColor >>> 16) & 0xff) / 255.0,
+      ((this.state.fogColor >>> 8) & 0xff) / 255.0,
+      ((this.state.fogColor >>> 0) & 0xff) / 255.0);
   }
 
   getCurrentN64Shader() {
@@ -440,13 +1030,13 @@ export class Renderer {
     const enableAlphaThreshold = (this.state.getAlphaCompareType() & gbi.AlphaCompare.G_AC_THRESHOLD) != 0;
     const enableAlphaCvgKill = this.state.getAntiAliasEnabled() && this.state.getCoverageTimesAlpha();
 
-    return shaders.getOrCreateN64Shader(this.gl, mux0, mux1, cycleType, enableAlphaThreshold || enableAlphaCvgKill);
+    return shaders.getOrCreateN64Shader(this.gl, mux0, mux1, cycleType, enableAlphaThreshold || enableAlphaCvgKill, this.state.rdpOtherModeL, this.state.rdpOtherModeH);
   }
 
   /**
    * Looks up the texture defined at the specified tile index.
    * @param {number} tileIdx
-   * @return {?Texture}
+   * @return {?Texture|?RenderTargetTexture}
    */
   lookupTexture(tileIdx) {
     const tile = this.state.tiles[tileIdx];
@@ -455,6 +1045,13 @@ export class Renderer {
       return null;
     }
 
+    // Sample render targets directly if they were loaded before being copied to RDRAM.
+    const targetTexture = this.tmemRenderTargets.get(tile.tmem);
+    if (targetTexture && targetTexture.target !== this.currentRenderTarget &&
+      tile.format === targetTexture.target.format && tile.size === targetTexture.target.size) {
+      return targetTexture;
+    }
+
     // FIXME: we can cache this if tile/tmem state hasn't changed since the last draw call.
     const hash = this.state.tmem.calculateCRC(tile);
 
@@ -483,32 +1080,69 @@ export class Renderer {
     }
 
     const texture = new Texture(gl, tile.width, tile.height);
-    if (!texture.$canvas[0].getContext) {
-      return null;
-    }
+    const canvas = texture.$canvas ? texture.$canvas[0] : null;
+    const $output = this.$textureOutput;
 
-    this.$textureOutput.append(
-      `${cacheID}: ${gbi.ImageFormat.nameOf(tile.format)}, ${gbi.ImageSize.nameOf(tile.size)},${tile.width}x${tile.height}, <br>`);
+    if ($output) {
+      $output.append(
+        `${cacheID}: ${gbi.ImageFormat.nameOf(tile.format)}, ${gbi.ImageSize.nameOf(tile.size)},${tile.width}x${tile.height}, <br>`);
+    }
 
-    const ctx = texture.$canvas[0].getContext('2d');
-    const imgData = ctx.createImageData(texture.width, texture.height);
+    // Texels are uploaded directly rather than via the canvas, which would
+    // premultiply (and so lose precision in) the colors of translucent texels.
+    const imgData = {
+      width: texture.width,
+      height: texture.height,
+      data: new Uint8ClampedArray(texture.width * texture.height * 4),
+    };
 
     const handled = this.state.tmem.convertTexels(tile, tlutFormat, imgData);
+    let replacement = null;
     if (handled) {
-      ctx.putImageData(imgData, 0, 0);
+      if (canvas) {
+        const ctx = canvas.getContext('2d');
+        const canvasData = ctx.createImageData(texture.width, texture.height);
+        canvasData.data.set(imgData.data);
+        ctx.putImageData(canvasData, 0, 0);
+      }
+
+      if (textureOptions.dumpTextures || (textureOptions.useTexturePack && texturePack.size > 0)) {
+        const tmem = this.state.tmem;
+        const crc = tmem.calculateTextureCRC(tile);
+        const paletteCRC = tmem.calculatePaletteCRC(tile);
+        if (textureOptions.dumpTextures && canvas) {
+          dumpTexture(canvas, crc, tile.format, tile.size, paletteCRC);
+        }
+        if (textureOptions.useTexturePack) {
+          replacement = texturePack.lookup(crc, tile.format, tile.size, paletteCRC);
+        }
+      }
 
-      this.$textureOutput.append(texture.$canvas);
-      this.$textureOutput.append('<br>');
+      if ($output) {
+        $output.append(texture.$canvas);
+        $output.append('<br>');
+      }
     } else {
       const msg = `${gbi.ImageFormat.nameOf(tile.format)}/${gbi.ImageSize.nameOf(tile.size)} is unhandled`;
-      this.$textureOutput.append(msg);
+      if ($output) {
+        $output.append(msg);
+      }
       // FIXME: fill with placeholder texture
       this.hleHalt(msg);
     }
 
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, texture.texture);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, texture.$canvas[0]);
+    if (replacement) {
+      // Replacement images may be larger than the texture they replace. The
+      // texture keeps the original dimensions so bindTexture maps the tile's
+      // s/t to the same normalized coordinates.
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, replacement);
+      texture.replaced = true;
+    } else {
+      const pixels = new Uint8Array(imgData.data.buffer);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, texture.width, texture.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    }
 
     gl.generateMipmap(gl.TEXTURE_2D);
     gl.bindTexture(gl.TEXTURE_2D, null);
@@ -516,18 +1150,35 @@ export class Renderer {
   }
 
 
-  bindTexture(slot, glTextureId, tile, texture, texGenEnabled, sampleUniform, texScaleUniform, texOffsetUniform) {
+  /**
+   * Binds a texture to a texture unit and sets the unit's uniforms.
+   * @param {number} slot The texture unit.
+   * @param {!Tile} tile
+   * @param {?Texture|?RenderTargetTexture} texture
+   * @param {boolean} texGenEnabled
+   * @param {!shaders.TextureUniforms} uniforms
+   */
+  bindTexture(slot, tile, texture, texGenEnabled, uniforms) {
     const gl = this.gl;
 
-    gl.activeTexture(glTextureId);
+    gl.activeTexture(gl.TEXTURE0 + slot);
+    gl.uniform1i(uniforms.sampler, slot);
 
     if (!texture) {
       gl.bindTexture(gl.TEXTURE_2D, null);
       return;
     }
 
+    if (texture instanceof RenderTargetTexture) {
+      gl.uniform1i(uniforms.mode, kTileFilterSampler);
+      this.bindRenderTargetTexture(tile, texture, uniforms);
+      return;
+    }
+
     let uvOffsetU = tile.left;
     let uvOffsetV = tile.top;
+    // For replaced textures these are the dimensions of the original tile,
+    // not the replacement image.
     let uvScaleU = 1.0 / texture.width;
     let uvScaleV = 1.0 / texture.height;
 
@@ -550,10 +1201,9 @@ export class Renderer {
     uvScaleV *= shiftFactor(tile.shiftT);
 
     gl.bindTexture(gl.TEXTURE_2D, texture.texture);
-    gl.uniform1i(sampleUniform, slot);
 
-    gl.uniform2f(texScaleUniform, uvScaleU, uvScaleV);
-    gl.uniform2f(texOffsetUniform, uvOffsetU, uvOffsetV);
+    gl.uniform2f(uniforms.texScale, uvScaleU, uvScaleV);
+    gl.uniform2f(uniforms.texOffset, uvOffsetU, uvOffsetV);
 
     if (this.state.getTextureFilterType() == gbi.TextureFilter.G_TF_POINT) {
       gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
@@ -574,96 +1224,93 @@ export class Renderer {
 
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, modeS);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, modeT);
+
+    this.setTileUniforms(uniforms, tile, texture);
   }
 
-  setGLBlendMode() {
-    const gl = this.gl;
+  /**
+   * Whether textures are bilinearly filtered by the shader, rather than
+   * point sampled or filtered by the GL sampler.
+   * @returns {boolean}
+   */
+  filtersLikeRDP() {
+    return graphicsOptions.textureFiltering == 'Accurate' &&
+      this.state.getCycleType() < gbi.CycleType.G_CYC_COPY &&
+      this.state.getTextureFilterType() != gbi.TextureFilter.G_TF_POINT;
+  }
 
-    // fragment coverage (0) or alpha (1)?
-    const cvgXAlpha = this.state.getCoverageTimesAlpha();
-    // use fragment coverage * fragment alpha
-    const alphaCvgSel = this.state.getAlphaCoverageSelect();
+  /**
+   * Sets the uniforms the shader uses to address and filter a texture like
+   * the RDP, rather than relying on the sampler state.
+   * @param {!shaders.TextureUniforms} uniforms
+   * @param {!Tile} tile
+   * @param {!Texture} texture
+   */
+  setTileUniforms(uniforms, tile, texture) {
+    const gl = this.gl;
 
-    const cycleType = this.state.getCycleType();
-    if (cycleType == gbi.CycleType.G_CYC_FILL || cycleType == gbi.CycleType.G_CYC_COPY) {
-      // No blending in copy/fill modes, although they may set up alpha thresholding in the shader.
-      gl.disable(gl.BLEND);
+    // Replacement textures don't match the tile's layout, so are sampled
+    // like any other GL texture.
+    if (graphicsOptions.textureFiltering != 'Accurate' || texture.replaced) {
+      gl.uniform1i(uniforms.mode, kTileFilterSampler);
       return;
     }
 
-    const blendMode = this.state.rdpOtherModeL >> gbi.G_MDSFT_BLENDER;
-    const activeBlendMode = (cycleType === gbi.CycleType.G_CYC_2CYCLE ? blendMode : (blendMode >>> 2)) & 0x3333;
+    const point = this.state.getTextureFilterType() == gbi.TextureFilter.G_TF_POINT;
+    gl.uniform1i(uniforms.mode, point ? kTileFilterPoint : kTileFilter3Point);
+    gl.uniform2f(uniforms.size, texture.width, texture.height);
+    // Unlike the GL wrap modes, clamping and mirroring can be combined.
+    // Coordinates are relative to the tile's top left, so clamp to its size.
+    const clampS = (tile.cmS & gbi.G_TX_CLAMP) || tile.maskS === 0;
+    const clampT = (tile.cmT & gbi.G_TX_CLAMP) || tile.maskT === 0;
+    gl.uniform2f(uniforms.clampMax,
+      clampS ? tile.right - tile.left : -1,
+      clampT ? tile.bottom - tile.top : -1);
+    gl.uniform2i(uniforms.mirrorBit,
+      (tile.cmS & gbi.G_TX_MIRROR) && tile.maskS ? 1 << tile.maskS : 0,
+      (tile.cmT & gbi.G_TX_MIRROR) && tile.maskT ? 1 << tile.maskT : 0);
+    gl.uniform2i(uniforms.maskBits,
+      tile.maskS ? (1 << tile.maskS) - 1 : -1,
+      tile.maskT ? (1 << tile.maskT) - 1 : -1);
+  }
 
-    let mode = kBlendModeUnknown;
-    switch (activeBlendMode) {
-      case 0x0000: // G_BL_CLR_IN, G_BL_A_IN, G_BL_CLR_IN, G_BL_1MA
-      case 0x0302: // G_BL_CLR_IN, G_BL_0, G_BL_CLR_IN, G_BL_1
-        mode = kBlendModeOpaque;
-        break;
-      // case 0x0321 = G_BL_CLR_IN, G_BL_0, G_BL_CLR_BL, G_BL_A_MEM - blend*alpha.
+  bindRenderTargetTexture(tile, texture, uniforms) {
+    const gl = this.gl;
 
-      case 0x0010: // G_BL_CLR_IN, G_BL_A_IN, G_BL_CLR_MEM, G_BL_1MA
-      case 0x0011: // G_BL_CLR_IN, G_BL_A_IN, G_BL_CLR_MEM, G_BL_A_MEM
-        // These modes either do a weighted sum of coverage (or coverage and alpha) or a plain alpha blend
-        // If alphaCvgSel is 0, or if we're multiplying by fragment alpha, then we have alpha to blend with.
-        if (!alphaCvgSel || cvgXAlpha) {
-          mode = kBlendModeAlphaTrans;
-        }
-        break;
-
-      case 0x0110: // G_BL_CLR_IN, G_BL_A_FOG, G_BL_CLR_MEM, G_BL_1MA, alphaCvgSel:false cvgXAlpha:false
-        // FIXME: this needs to blend the input colour with the fog alpha, but we don't compute this yet.
-        mode = kBlendModeOpaque;
-        break;
-
-      case 0x0310: // G_BL_CLR_IN, G_BL_0, G_BL_CLR_MEM, G_BL_1MA, alphaCvgSel:false cvgXAlpha:false
-      case 0x1310: // G_BL_CLR_MEM, G_BL_0, G_BL_CLR_MEM, G_BL_1MA
-        mode = kBlendModeFade;
-        break;
-
-      case 0x3110: // G_BL_CLR_FOG, G_BL_A_FOG, G_BL_CLR_MEM, G_BL_1MA
-        mode = kBlendModeFog;
-        break;
-    }
-
-    let logUnhandled = false;
-    switch (mode) {
-      case kBlendModeOpaque:
-        gl.disable(gl.BLEND);
-        break;
-      case kBlendModeAlphaTrans:
-        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-        gl.blendEquation(gl.FUNC_ADD);
-        gl.enable(gl.BLEND);
-        break;
-      case kBlendModeFade:
-        gl.blendFunc(gl.ZERO, gl.ONE_MINUS_SRC_ALPHA);
-        gl.blendEquation(gl.FUNC_ADD);
-        gl.enable(gl.BLEND);
-        break;
-      case kBlendModeFog:
-        // TODO: figure out how to emulate this.
-        // For now just render as opaque.
-        logUnhandled = true;
-        gl.disable(gl.BLEND);
-        break;
-      case kBlendModeUnknown:
-        logUnhandled = true;
-        gl.disable(gl.BLEND);
-        break;
-    }
-
-    if (logUnhandled) {
-      this.logUnhandledBlendMode(activeBlendMode, alphaCvgSel, cvgXAlpha);
-    }
-  }
-
-  logUnhandledBlendMode(activeBlendMode, alphaCvgSel, cvgXAlpha) {
-    if (loggedBlendModes.get(activeBlendMode)) {
-      return;
+    // Texel (s, t) of the tile is pixel (x + s - left, y + t - top) of the
+    // render target. Render targets are stored bottom-up, so flip t.
+    // Shifts aren't applied as the texture can't be wrapped within the target.
+    const uvOffsetU = tile.left - texture.x;
+    const uvOffsetV = tile.top - texture.y + texture.height;
+    const uvScaleU = 1.0 / texture.width;
+    const uvScaleV = -1.0 / texture.height;
+
+    gl.bindTexture(gl.TEXTURE_2D, texture.texture);
+
+    gl.uniform2f(uniforms.texScale, uvScaleU, uvScaleV);
+    gl.uniform2f(uniforms.texOffset, uvOffsetU, uvOffsetV);
+
+    // Render targets have no mipmaps.
+    const filter = this.state.getTextureFilterType() == gbi.TextureFilter.G_TF_POINT ? gl.NEAREST : gl.LINEAR;
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  }
+
+  setGLBlendMode() {
+    const gl = this.gl;
+
+    // The blender is evaluated in the shader. If it reads the framebuffer, the
+    // shader outputs the weight to apply to it as alpha. The framebuffer's
+    // alpha is left untouched.
+    if (blenderUsesMemory(this.state.rdpOtherModeL, this.state.getCycleType())) {
+      gl.blendFuncSeparate(gl.ONE, gl.SRC_ALPHA, gl.ZERO, gl.ONE);
+      gl.blendEquation(gl.FUNC_ADD);
+      gl.enable(gl.BLEND);
+    } else {
+      gl.disable(gl.BLEND);
     }
-    loggedBlendModes.set(activeBlendMode, true);
-    n64js.warn(`Unhandled blend mode: ${toString16(activeBlendMode)} = ${gbi.blendOpText(activeBlendMode)}, alphaCvgSel ${alphaCvgSel}, cvgXAlpha ${cvgXAlpha}`);
   }
 }
 
@@ -699,6 +1346,24 @@ class NativeTransform {
   }
 }
 
+/**
+ * Returns the values at the ends of a range, after moving its ends.
+ * @param {number} v0 The value at e0.
+ * @param {number} v1 The value at e1.
+ * @param {number} e0
+ * @param {number} e1
+ * @param {number} newE0
+ * @param {number} newE1
+ * @returns {!Array<number>}
+ */
+function remapRange(v0, v1, e0, e1, newE0, newE1) {
+  if (e1 === e0) {
+    return [v0, v1];
+  }
+  const dv = (v1 - v0) / (e1 - e0);
+  return [v0 + (newE0 - e0) * dv, v1 + (newE1 - e1) * dv];
+}
+
 function shiftFactor(shift) {
   if (shift <= 10) {
     return 1 / (1 << shift);
@@ -1,3 +1,4 @@
+import { recordRamRead } from './dlist_capture.js';
 import * as gbi from './gbi.js';
 import { Matrix4x4 } from "../graphics/Matrix4x4.js";
 import { Tile } from "./tile.js";
@@ -36,7 +37,8 @@ export class RSPState {
       lighting: 0,
       textureGen: 0,
       textureGenLinear: 0,
-      lod: 0
+      lod: 0,
+      pointLighting: 0
     };
     this.rdpOtherModeL = 0;
     this.rdpOtherModeH = 0;
@@ -80,6 +82,9 @@ export class RSPState {
     this.fillColor = 0;
     this.envColor = 0;
     this.primColor = 0;
+    // The minimum LOD (in 1/32nds) and the LOD fraction set by gDPSetPrimColor.
+    this.primLODMin = 0;
+    this.primLODFrac = 0;
     this.blendColor = 0;
     this.fogColor = 0;
 
@@ -136,6 +141,7 @@ export class RSPState {
     this.geometryMode.textureGen = 0;
     this.geometryMode.textureGenLinear = 0;
     this.geometryMode.lod = 0;
+    this.geometryMode.pointLighting = 0;
 
     for (let i = 0; i < this.tiles.length; ++i) {
       this.tiles[i] = new Tile();
@@ -143,7 +149,7 @@ export class RSPState {
 
     this.numLights = 0;
     for (let i = 0; i < this.lights.length; ++i) {
-      this.lights[i] = { color: { r: 0, g: 0, b: 0, a: 0 }, dir: Vector3.create([1, 0, 0]) };
+      this.lights[i] = new Light();
     }
 
     for (let i = 0; i < this.projectedVertices.length; ++i) {
@@ -167,6 +173,7 @@ export class RSPState {
       return false;
     }
 
+    recordRamRead(this.pc, 8);
     this.cmd0 = this.ramDV.getUint32(this.pc + 0);
     this.cmd1 = this.ramDV.getUint32(this.pc + 4);
     this.pc += 8;
@@ -187,6 +194,7 @@ export class RSPState {
       return false;
     }
 
+    recordRamRead(this.pc, 8);
     const nextCmd0 = this.ramDV.getUint32(this.pc + 0);
     if ((nextCmd0 >>> 24) !== wantCommand) {
       return false;
@@ -279,11 +287,14 @@ export class RSPState {
     gm.textureGen = (bits & flags.G_TEXTURE_GEN) ? 1 : 0;
     gm.textureGenLinear = (bits & flags.G_TEXTURE_GEN_LINEAR) ? 1 : 0;
     gm.lod = (bits & flags.G_LOD) ? 1 : 0;
+    gm.pointLighting = (bits & flags.G_LIGHTING_POSITIONAL) ? 1 : 0;
   }
 
   getCycleType() { return this.rdpOtherModeH & gbi.G_CYC_MASK; }
   getTextureFilterType() { return this.rdpOtherModeH & gbi.G_TF_MASK; }
   getTextureLUTType() { return this.rdpOtherModeH & gbi.G_TT_MASK; }
+  getTextureLODEnabled() { return (this.rdpOtherModeH & gbi.G_TL_MASK) === gbi.TextureLOD.G_TL_LOD; }
+  getTextureDetailType() { return this.rdpOtherModeH & gbi.G_TD_MASK; }
   getAlphaCompareType() { return this.rdpOtherModeL & gbi.G_AC_MASK; }
   getAntiAliasEnabled() { return (this.rdpOtherModeL & gbi.RenderMode.AA_EN) !== 0; }
   // fragment coverage (0) or alpha (1)?
@@ -333,6 +344,24 @@ class FogParameters {
   }
 }
 
+/**
+ * A directional or point light. Point lights have a non-zero constant
+ * attenuation.
+ */
+class Light {
+  constructor() {
+    this.color = { r: 0, g: 0, b: 0, a: 0 };
+    this.dir = Vector3.create([1, 0, 0]);
+    this.pos = new Vector3();
+    // Constant, linear and quadratic attenuation.
+    this.kc = 0;
+    this.kl = 0;
+    this.kq = 0;
+  }
+
+  get isPoint() { return this.kc !== 0; }
+}
+
 class TextureImage {
   constructor() {
     this.format = 0;
@@ -4,6 +4,8 @@ import { dbgGUI } from "../dbg_ui.js";
 import { disassembleRemappedRange, dumpDMEM } from "../disassemble_rsp.js";
 import { makeEnum } from "../enum.js";
 import { toHex } from "../format.js";
+import { MemoryRegion } from "../memory_region.js";
+import { hleAudio } from "./hle_audio.js";
 import { hleGraphics } from "./hle_graphics.js";
 import { audioOptions } from './audio_options.js';
 import { graphicsOptions } from './graphics_options.js';
@@ -55,6 +57,10 @@ class RSPTask {
     this.codeDataSize = taskMem.getU32(TaskOffsets.ucodeDataSize);
 
     this.dataPtr = taskMem.getU32(TaskOffsets.dataPtr);
+    this.dataSize = taskMem.getU32(TaskOffsets.dataSize);
+
+    // If set, the graphics microcode to use instead of the detected one.
+    this.ucodeOverride = undefined;
   }
 
   dumpCode() {
@@ -133,6 +139,25 @@ class RSPTask {
   }
 }
 
+/**
+ * Creates a task from the fields of a task structure, e.g. from a display list capture.
+ * @param {!Uint8Array} ram_u8 Main memory.
+ * @param {{type: number, codeAddr: number, codeSize: number, codeDataAddr: number,
+ *     codeDataSize: number, dataPtr: number, dataSize: number}} fields
+ * @returns {!RSPTask}
+ */
+export function createRSPTask(ram_u8, fields) {
+  const taskMem = new MemoryRegion(new ArrayBuffer(kTaskLength));
+  taskMem.set32(TaskOffsets.type, fields.type);
+  taskMem.set32(TaskOffsets.ucodePtr, fields.codeAddr);
+  taskMem.set32(TaskOffsets.ucodeSize, fields.codeSize);
+  taskMem.set32(TaskOffsets.ucodeDataPtr, fields.codeDataAddr);
+  taskMem.set32(TaskOffsets.ucodeDataSize, fields.codeDataSize);
+  taskMem.set32(TaskOffsets.dataPtr, fields.dataPtr);
+  taskMem.set32(TaskOffsets.dataSize, fields.dataSize);
+  return new RSPTask(ram_u8, taskMem);
+}
+
 export function hleProcessRSPTask() {
   const hardware = n64js.hardware();
   const ramU8 = hardware.cachedMemDevice.u8;
@@ -154,9 +179,15 @@ export function hleProcessRSPTask() {
       }
       break;
     case M_AUDTASK:
-      // There's no HLE support yet, but if emulation is disabled pretend we
-      // handled the task (we'll play silence).
-      if (audioOptions.emulationMode == 'Disabled') {
+      if (audioOptions.emulationMode == 'HLE') {
+        // Fall back to running on the RSP if the alist can't be handled.
+        const ev = hardware.timeline.startEvent(`HLE Audio Task`);
+        handled = hleAudio(task);
+        if (ev) {
+          ev.stop();
+        }
+      } else if (audioOptions.emulationMode == 'Disabled') {
+        // Pretend we handled the task (we'll play silence).
         handled = true;
       }
       break;
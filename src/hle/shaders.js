@@ -1,6 +1,7 @@
 import * as gbi from './gbi.js';
 import * as logger from '../logger.js';
 import { assert } from '../assert.js';
+import { generateBlender } from './blender.js';
 import { VertexArray } from './vertex_array.js';
 
 /**
@@ -8,6 +9,12 @@ import { VertexArray } from './vertex_array.js';
  */
 const kLogShaders = false;
 
+/**
+ * The number of texture units the N64 shader samples, i.e. the number of tiles
+ * that can be used as mip levels.
+ */
+export const kMaxTextureUnits = 8;
+
 /**
  * A cache of compiled shaders. The key is generated by stringifying all the
  * state that affects how the shader is generated and concatenating it together.
@@ -188,11 +195,10 @@ export function createShaderProgram(gl, vs_name, fs_name) {
  * @return {?WebGLShader}
  */
 function getShader(gl, id) {
-  let script = document.getElementById(id);
+  let script = findShaderScript(id);
   if (!script) {
     return null;
   }
-  let source = getScriptNodeSource(script);
 
   let type;
   if (script.type === 'x-shader/x-fragment') {
@@ -203,7 +209,41 @@ function getShader(gl, id) {
      return null;
   }
 
-  return createShader(gl, source, type);
+  return createShader(gl, script.source, type);
+}
+
+// Shader scripts loaded by loadShaderScripts, keyed by id.
+const loadedScripts = new Map();
+
+/**
+ * Loads the shader script elements from an HTML document, for running without
+ * a DOM (e.g. in tests).
+ * @param {string} html
+ */
+export function loadShaderScripts(html) {
+  const re = /<script\s+id="([^"]+)"\s+type="(x-shader\/x-(?:vertex|fragment))"\s*>([\s\S]*?)<\/script>/g;
+  for (let match of html.matchAll(re)) {
+    loadedScripts.set(match[1], { type: match[2], source: match[3] });
+  }
+}
+
+/**
+ * Returns the type and source of the named shader script.
+ * @param {string} id
+ * @return {?{type: string, source: string}}
+ */
+function findShaderScript(id) {
+  if (loadedScripts.has(id)) {
+    return loadedScripts.get(id);
+  }
+  if (typeof document === 'undefined') {
+    return null;
+  }
+  const script = document.getElementById(id);
+  if (!script) {
+    return null;
+  }
+  return { type: script.type, source: getScriptNodeSource(script) };
 }
 
 /**
@@ -261,19 +301,65 @@ class N64Shader {
     this.vertexArray.initUVsAttr(program, "aUV");
     this.vertexArray.initColorAttr(program, "aColor");
 
-    this.uSamplerUniform0        = gl.getUniformLocation(program, "uSampler0");
-    this.uSamplerUniform1        = gl.getUniformLocation(program, "uSampler1");
-    this.uTexScaleUniform0       = gl.getUniformLocation(program, "uTexScale0");
-    this.uTexScaleUniform1       = gl.getUniformLocation(program, "uTexScale1");
-    this.uTexOffsetUniform0      = gl.getUniformLocation(program, "uTexOffset0");
-    this.uTexOffsetUniform1      = gl.getUniformLocation(program, "uTexOffset1");
+    /** @type {!Array<!TextureUniforms>} */
+    this.textureUniforms = [];
+    for (let i = 0; i < kMaxTextureUnits; ++i) {
+      this.textureUniforms.push(new TextureUniforms(gl, program, i));
+    }
+    this.uMaxLevelUniform        = gl.getUniformLocation(program, "uMaxLevel");
+    this.uMinLevelUniform        = gl.getUniformLocation(program, "uMinLevel");
+    this.uPrimLODFracUniform     = gl.getUniformLocation(program, "uPrimLODFrac");
+    this.uResolutionScaleUniform = gl.getUniformLocation(program, "uResolutionScale");
 
     this.uPrimColorUniform       = gl.getUniformLocation(program, "uPrimColor");
     this.uEnvColorUniform        = gl.getUniformLocation(program, "uEnvColor");
+    this.uBlendColorUniform      = gl.getUniformLocation(program, "uBlendColor");
+    this.uFogColorUniform        = gl.getUniformLocation(program, "uFogColor");
     this.uAlphaThresholdUniform  = gl.getUniformLocation(program, "uAlphaThresholdUniform");
   }
 }
 
+/**
+ * The locations of the uniforms for one texture unit.
+ */
+export class TextureUniforms {
+  /**
+   * @param {!WebGLRenderingContext} gl The rendering context to use.
+   * @param {!WebGLProgram} program The program to use.
+   * @param {number} unit The texture unit.
+   */
+  constructor(gl, program, unit) {
+    this.sampler   = gl.getUniformLocation(program, `uSampler[${unit}]`);
+    this.texScale  = gl.getUniformLocation(program, `uTexScale[${unit}]`);
+    this.texOffset = gl.getUniformLocation(program, `uTexOffset[${unit}]`);
+
+    // The members of the unit's TileState.
+    this.mode      = gl.getUniformLocation(program, `uTile[${unit}].mode`);
+    this.size      = gl.getUniformLocation(program, `uTile[${unit}].size`);
+    this.clampMax  = gl.getUniformLocation(program, `uTile[${unit}].clampMax`);
+    this.mirrorBit = gl.getUniformLocation(program, `uTile[${unit}].mirrorBit`);
+    this.maskBits  = gl.getUniformLocation(program, `uTile[${unit}].maskBits`);
+  }
+}
+
+/**
+ * Generates the code to sample tex0 and tex1.
+ * @param {number} lodMode The G_TL_MASK and G_TD_MASK bits of the other mode.
+ * @return {string}
+ */
+function generateTextureSampling(lodMode) {
+  if ((lodMode & gbi.G_TL_MASK) != gbi.TextureLOD.G_TL_LOD) {
+    return 'tex0 = sampleUnit(0, dUVdx, dUVdy);\n' +
+           'tex1 = sampleUnit(1, dUVdx, dUVdy);\n';
+  }
+  const detail = (lodMode & gbi.G_TD_MASK) == gbi.TextureDetail.G_TD_DETAIL;
+  const sharpen = (lodMode & gbi.G_TD_MASK) == gbi.TextureDetail.G_TD_SHARPEN;
+  return 'int unit0, unit1;\n' +
+         `lod_frac = selectLOD(dUVdx, dUVdy, ${detail}, ${sharpen}, unit0, unit1);\n` +
+         'tex0 = sampleUnit(unit0, dUVdx, dUVdy);\n' +
+         'tex1 = sampleUnit(unit1, dUVdx, dUVdy);\n';
+}
+
 /**
  * Gets or creates a shader given the N64 state.
  * @param {!WebGLRenderingContext} gl The webgl context.
@@ -281,14 +367,23 @@ class N64Shader {
  * @param {number} mux1
  * @param {number} cycleType A CycleType value.
  * @param {boolean} enableAlphaThreshold Whether to enable alpha thresholding.
+ * @param {number} otherModeL The low other mode word, which configures the blender.
+ * @param {number} otherModeH The high other mode word, which configures texture LOD.
  * @return {!N64Shader}
  */
-export function getOrCreateN64Shader(gl, mux0, mux1, cycleType, enableAlphaThreshold) {
-  // Check if this shader already exists. Copy/Fill are fixed-function so ignore mux for these.
-  let stateText = (cycleType < gbi.CycleType.G_CYC_COPY) ? (`${mux0.toString(16) + mux1.toString(16)}_${cycleType}`) : cycleType.toString();
+export function getOrCreateN64Shader(gl, mux0, mux1, cycleType, enableAlphaThreshold, otherModeL, otherModeH) {
+  // LOD is only computed in 1 and 2 cycle modes.
+  const lodMode = (cycleType < gbi.CycleType.G_CYC_COPY) ? (otherModeH & (gbi.G_TL_MASK | gbi.G_TD_MASK)) : 0;
+
+  // Check if this shader already exists. Copy/Fill are fixed-function so ignore mux and blender for these.
+  // The blender is configured by the top 16 bits, and the coverage bits below them.
+  let stateText = (cycleType < gbi.CycleType.G_CYC_COPY) ? (`${mux0.toString(16) + mux1.toString(16)}_${cycleType}_${(otherModeL >>> 12).toString(16)}`) : cycleType.toString();
   if (enableAlphaThreshold) {
     stateText += `_alphaThreshold`;
   }
+  if (lodMode) {
+    stateText += `_lod${lodMode.toString(16)}`;
+  }
 
   let shader = shaderCache.get(stateText);
   if (shader) {
@@ -300,9 +395,9 @@ export function getOrCreateN64Shader(gl, mux0, mux1, cycleType, enableAlphaThres
   }
 
   if (!fragmentSource) {
-    let fragmentScript = document.getElementById('n64-shader-fs');
+    let fragmentScript = findShaderScript('n64-shader-fs');
     if (fragmentScript) {
-      fragmentSource = getScriptNodeSource(fragmentScript);
+      fragmentSource = fragmentScript.source;
     }
   }
 
@@ -350,7 +445,9 @@ export function getOrCreateN64Shader(gl, mux0, mux1, cycleType, enableAlphaThres
     body += 'if(col.a <= uAlphaThreshold) discard;\n';
   }
 
-  let shaderSource = fragmentSource.replace('{{body}}', body);
+  body += generateBlender(otherModeL, cycleType);
+
+  let shaderSource = fragmentSource.replace('{{textures}}', generateTextureSampling(lodMode)).replace('{{body}}', body);
 
   if (kLogShaders) {
     let decoded = '\n';
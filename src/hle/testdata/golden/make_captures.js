@@ -0,0 +1,531 @@
+// Creates the synthetic display list captures used by golden.test.js.
+//
+// Usage: bun src/hle/testdata/golden/make_captures.js
+//
+// Each capture is a single F3DEX2 display list assembled here, which renders a
+// 320x240 RGBA16 frame exercising one area of the renderer. They don't depend
+// on any rom, so they can be checked in and regenerated freely. If a capture
+// changes, render its golden image again with UPDATE_GOLDENS=1.
+
+import '../../../headless_env.js';
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { CapturedTask, DisplayListCapture } from '../../dlist_capture.js';
+import { CycleType, ImageFormat, ImageSize, MoveWord } from '../../gbi.js';
+
+const kWidth = 320;
+const kHeight = 240;
+
+// Where everything is placed in RDRAM.
+const kCodeAddr = 0x001000;
+const kCodeSize = 0x80;
+const kCodeDataAddr = 0x002000;
+const kCodeDataSize = 0x100;
+const kDisplayListAddr = 0x010000;
+const kDataAddr = 0x020000;
+const kColorImageAddr = 0x100000;
+
+// The version string the microcode is detected from.
+const kUcodeVersion = 'RSP Gfx ucode F3DEX       fifo 2.05  Yoshitaka Yasumoto 1998 Nintendo.';
+
+const M_GFXTASK = 1;
+
+// F3DEX2 matrix flags.
+const G_MTX_NOPUSH = 0x00;
+const G_MTX_PUSH = 0x01;
+const G_MTX_LOAD = 0x02;
+const G_MTX_MODELVIEW = 0x00;
+const G_MTX_PROJECTION = 0x04;
+
+// F3DEX2 geometry mode flags.
+const G_SHADE = 0x00000004;
+const G_FOG = 0x00010000;
+const G_SHADING_SMOOTH = 0x00200000;
+
+const G_MV_VIEWPORT = 8;
+const G_TX_LOADTILE = 7;
+const G_TX_RENDERTILE = 0;
+const G_TX_WRAP = 0;
+const G_TX_MIRROR = 1;
+const G_TX_CLAMP = 2;
+
+// Othermode shifts.
+const G_MDSFT_RENDERMODE = 3;
+const G_MDSFT_TEXTFILT = 12;
+const G_MDSFT_CYCLETYPE = 20;
+const G_TF_POINT = 0 << G_MDSFT_TEXTFILT;
+const G_TF_BILERP = 2 << G_MDSFT_TEXTFILT;
+
+// Render modes, combining the flags and blender settings for each cycle.
+const G_RM_OPA_SURF = 0x0c084000;
+const G_RM_OPA_SURF2 = 0x03024000;
+const G_RM_XLU_SURF = 0x00404240;
+const G_RM_XLU_SURF2 = 0x00104240;
+const G_RM_FOG_SHADE_A = 0xc8000000;
+
+// Combiner inputs for each slot of the color and alpha equations (a - b) * c + d.
+const kColorA = { COMBINED: 0, TEXEL0: 1, TEXEL1: 2, PRIMITIVE: 3, SHADE: 4, ENVIRONMENT: 5, 1: 6, NOISE: 7, 0: 15 };
+const kColorB = { COMBINED: 0, TEXEL0: 1, TEXEL1: 2, PRIMITIVE: 3, SHADE: 4, ENVIRONMENT: 5, CENTER: 6, K4: 7, 0: 15 };
+const kColorC = {
+  COMBINED: 0, TEXEL0: 1, TEXEL1: 2, PRIMITIVE: 3, SHADE: 4, ENVIRONMENT: 5, SCALE: 6, COMBINED_ALPHA: 7,
+  TEXEL0_ALPHA: 8, TEXEL1_ALPHA: 9, PRIMITIVE_ALPHA: 10, SHADE_ALPHA: 11, ENV_ALPHA: 12, LOD_FRACTION: 13,
+  PRIM_LOD_FRAC: 14, K5: 15, 0: 31,
+};
+const kColorD = { COMBINED: 0, TEXEL0: 1, TEXEL1: 2, PRIMITIVE: 3, SHADE: 4, ENVIRONMENT: 5, 1: 6, 0: 7 };
+const kAlphaABD = { COMBINED: 0, TEXEL0: 1, TEXEL1: 2, PRIMITIVE: 3, SHADE: 4, ENVIRONMENT: 5, 1: 6, 0: 7 };
+const kAlphaC = { LOD_FRACTION: 0, TEXEL0: 1, TEXEL1: 2, PRIMITIVE: 3, SHADE: 4, ENVIRONMENT: 5, PRIM_LOD_FRAC: 6, 0: 7 };
+
+function rgba16(r, g, b, a) {
+  return ((r >>> 3) << 11) | ((g >>> 3) << 6) | ((b >>> 3) << 1) | (a ? 1 : 0);
+}
+
+function rgba32(r, g, b, a) {
+  return ((r << 24) | (g << 16) | (b << 8) | a) >>> 0;
+}
+
+/**
+ * Builds a display list, and the data it references, in a copy of RDRAM.
+ */
+class DisplayListBuilder {
+  constructor() {
+    this.dv = new DataView(new ArrayBuffer(kColorImageAddr));
+    this.commands = [];
+    this.dataEnd = kDataAddr;
+  }
+
+  /**
+   * Reserves space for data referenced by the display list.
+   * @param {number} length
+   * @returns {number} The address.
+   */
+  alloc(length) {
+    const address = this.dataEnd;
+    this.dataEnd = (this.dataEnd + length + 7) & ~7;
+    return address;
+  }
+
+  emit(cmd0, cmd1) {
+    this.commands.push(cmd0 >>> 0, cmd1 >>> 0);
+  }
+
+  // RSP commands.
+
+  gsSPEndDisplayList() { this.emit(0xdf000000, 0); }
+
+  gsSPViewport(scaleX, scaleY, transX, transY) {
+    const address = this.alloc(16);
+    const values = [scaleX * 4, scaleY * 4, 0x1ff, 0, transX * 4, transY * 4, 0x1ff, 0];
+    values.forEach((v, i) => this.dv.setInt16(address + i * 2, v));
+    this.emit(0xdc000000 | (((16 - 1) >> 3) << 19) | G_MV_VIEWPORT, address);
+  }
+
+  /**
+   * Loads a matrix, given as rows of floats. Points are row vectors, so the
+   * translation is in the last row.
+   */
+  gsSPMatrix(rows, params) {
+    const address = this.alloc(64);
+    for (let i = 0; i < 4; ++i) {
+      for (let j = 0; j < 4; ++j) {
+        const fixed = Math.round(rows[i][j] * 65536);
+        this.dv.setInt16(address + (i * 4 + j) * 2, fixed >> 16);
+        this.dv.setUint16(address + 32 + (i * 4 + j) * 2, fixed & 0xffff);
+      }
+    }
+    this.emit(0xda000000 | (((64 - 1) >> 3) << 19) | (params ^ G_MTX_PUSH), address);
+  }
+
+  gsSPGeometryMode(clear, set) { this.emit(0xd9000000 | (~clear & 0x00ffffff), set); }
+
+  gsSPTexture(s, t, level, tile, on) {
+    this.emit(0xd7000000 | (level << 11) | (tile << 8) | (on << 1), (s << 16) | t);
+  }
+
+  gsSPFogPosition(min, max) {
+    const multiplier = Math.trunc(128000 / (max - min));
+    const offset = Math.trunc((500 - min) * 256 / (max - min));
+    this.emit(0xdb000000 | (MoveWord.G_MW_FOG << 16), (multiplier << 16) | (offset & 0xffff));
+  }
+
+  /**
+   * Loads vertices, each given as [x, y, z, s, t, rgba].
+   */
+  gsSPVertex(vertices, v0) {
+    const n = vertices.length;
+    const address = this.alloc(n * 16);
+    vertices.forEach(([x, y, z, s, t, color], i) => {
+      const base = address + i * 16;
+      this.dv.setInt16(base + 0, x);
+      this.dv.setInt16(base + 2, y);
+      this.dv.setInt16(base + 4, z);
+      this.dv.setInt16(base + 8, s);
+      this.dv.setInt16(base + 10, t);
+      this.dv.setUint32(base + 12, color);
+    });
+    this.emit(0x01000000 | (n << 12) | ((v0 + n) << 1), address);
+  }
+
+  gsSP2Triangles(v00, v01, v02, v10, v11, v12) {
+    const tri = (a, b, c) => ((a * 2) << 16) | ((b * 2) << 8) | (c * 2);
+    this.emit(0x06000000 | tri(v00, v01, v02), tri(v10, v11, v12));
+  }
+
+  // RDP commands.
+
+  gsDPPipeSync() { this.emit(0xe7000000, 0); }
+  gsDPLoadSync() { this.emit(0xe6000000, 0); }
+  gsDPTileSync() { this.emit(0xe8000000, 0); }
+  gsDPFullSync() { this.emit(0xe9000000, 0); }
+
+  gsDPSetColorImage(fmt, siz, width, address) {
+    this.emit(0xff000000 | (fmt << 21) | (siz << 19) | (width - 1), address);
+  }
+
+  gsDPSetScissor(x0, y0, x1, y1) {
+    this.emit(0xed000000 | ((x0 * 4) << 12) | (y0 * 4), ((x1 * 4) << 12) | (y1 * 4));
+  }
+
+  gsSPSetOtherModeH(shift, len, data) {
+    this.emit(0xe3000000 | ((32 - shift - len) << 8) | (len - 1), data);
+  }
+
+  gsSPSetOtherModeL(shift, len, data) {
+    this.emit(0xe2000000 | ((32 - shift - len) << 8) | (len - 1), data);
+  }
+
+  gsDPSetCycleType(type) { this.gsSPSetOtherModeH(G_MDSFT_CYCLETYPE, 2, type); }
+  gsDPSetTextureFilter(type) { this.gsSPSetOtherModeH(G_MDSFT_TEXTFILT, 2, type); }
+  gsDPSetRenderMode(c0, c1) { this.gsSPSetOtherModeL(G_MDSFT_RENDERMODE, 29, (c0 | c1) >>> 0); }
+
+  gsDPSetFillColor(color) { this.emit(0xf7000000, color); }
+  gsDPSetFogColor(r, g, b, a) { this.emit(0xf8000000, rgba32(r, g, b, a)); }
+  gsDPSetPrimColor(m, l, r, g, b, a) { this.emit(0xfa000000 | (m << 8) | l, rgba32(r, g, b, a)); }
+  gsDPSetEnvColor(r, g, b, a) { this.emit(0xfb000000, rgba32(r, g, b, a)); }
+
+  gsDPFillRectangle(ulx, uly, lrx, lry) {
+    this.emit(0xf6000000 | ((lrx << 2) << 12) | (lry << 2), ((ulx << 2) << 12) | (uly << 2));
+  }
+
+  /**
+   * Sets the combiner, given as the color and alpha inputs (a, b, c, d) of
+   * each cycle, like gsDPSetCombineLERP.
+   */
+  gsDPSetCombineLERP(a0, b0, c0, d0, Aa0, Ab0, Ac0, Ad0, a1, b1, c1, d1, Aa1, Ab1, Ac1, Ad1) {
+    const mux0 = (kColorA[a0] << 20) | (kColorC[c0] << 15) | (kAlphaABD[Aa0] << 12) | (kAlphaC[Ac0] << 9) |
+      (kColorA[a1] << 5) | kColorC[c1];
+    const mux1 = (kColorB[b0] << 28) | (kColorB[b1] << 24) | (kAlphaABD[Aa1] << 21) | (kAlphaC[Ac1] << 18) |
+      (kColorD[d0] << 15) | (kAlphaABD[Ab0] << 12) | (kAlphaABD[Ad0] << 9) |
+      (kColorD[d1] << 6) | (kAlphaABD[Ab1] << 3) | kAlphaABD[Ad1];
+    this.emit(0xfc000000 | mux0, mux1);
+  }
+
+  gsDPSetTextureImage(fmt, siz, width, address) {
+    this.emit(0xfd000000 | (fmt << 21) | (siz << 19) | (width - 1), address);
+  }
+
+  gsDPSetTile(fmt, siz, line, tmem, tile, palette, cmt, maskt, shiftt, cms, masks, shifts) {
+    this.emit(0xf5000000 | (fmt << 21) | (siz << 19) | (line << 9) | tmem,
+      (tile << 24) | (palette << 20) | (cmt << 18) | (maskt << 14) | (shiftt << 10) | (cms << 8) | (masks << 4) | shifts);
+  }
+
+  gsDPLoadBlock(tile, uls, ult, lrs, dxt) {
+    this.emit(0xf3000000 | (uls << 12) | ult, (tile << 24) | (lrs << 12) | dxt);
+  }
+
+  gsDPSetTileSize(tile, uls, ult, lrs, lrt) {
+    this.emit(0xf2000000 | (uls << 12) | ult, (tile << 24) | (lrs << 12) | lrt);
+  }
+
+  /**
+   * Draws a texture rectangle. Coordinates are in pixels, s and t are in
+   * texels and dsdx and dtdy are the texels per pixel.
+   */
+  gsSPTextureRectangle(ulx, uly, lrx, lry, tile, s, t, dsdx, dtdy) {
+    this.emit(0xe4000000 | ((lrx * 4) << 12) | (lry * 4), (tile << 24) | ((ulx * 4) << 12) | (uly * 4));
+    this.emit(0xe1000000, ((s * 32) << 16) | ((t * 32) & 0xffff));
+    this.emit(0xf1000000, ((dsdx * 1024) << 16) | ((dtdy * 1024) & 0xffff));
+  }
+
+  // Helpers for common sequences.
+
+  /**
+   * Loads a 16 bit texture into TMEM and sets up the render tile for it.
+   * @param {!Array<number>} texels RGBA16 texels.
+   */
+  loadTextureRGBA16(texels, width, height, cms, masks, cmt, maskt) {
+    const address = this.alloc(texels.length * 2);
+    texels.forEach((texel, i) => this.dv.setUint16(address + i * 2, texel));
+
+    const line = (width * 2) >> 3;
+    this.gsDPSetTextureImage(ImageFormat.G_IM_FMT_RGBA, ImageSize.G_IM_SIZ_16b, 1, address);
+    this.gsDPSetTile(ImageFormat.G_IM_FMT_RGBA, ImageSize.G_IM_SIZ_16b, 0, 0, G_TX_LOADTILE, 0, 0, 0, 0, 0, 0, 0);
+    this.gsDPLoadSync();
+    this.gsDPLoadBlock(G_TX_LOADTILE, 0, 0, width * height - 1, Math.ceil(2048 / line));
+    this.gsDPPipeSync();
+    this.gsDPSetTile(ImageFormat.G_IM_FMT_RGBA, ImageSize.G_IM_SIZ_16b, line, 0, G_TX_RENDERTILE, 0, cmt, maskt, 0, cms, masks, 0);
+    this.gsDPSetTileSize(G_TX_RENDERTILE, 0, 0, (width - 1) << 2, (height - 1) << 2);
+  }
+
+  /**
+   * Sets up a 320x240 RGBA16 color image and clears it.
+   */
+  beginFrame(clearColor) {
+    this.gsDPSetColorImage(ImageFormat.G_IM_FMT_RGBA, ImageSize.G_IM_SIZ_16b, kWidth, kColorImageAddr);
+    this.gsDPSetScissor(0, 0, kWidth, kHeight);
+    this.gsDPSetCycleType(CycleType.G_CYC_FILL);
+    this.gsDPSetFillColor(((clearColor << 16) | clearColor) >>> 0);
+    this.gsDPFillRectangle(0, 0, kWidth - 1, kHeight - 1);
+    this.gsDPPipeSync();
+
+    // Map model coordinates to pixels, with z from 0 (near) to -1000 (far).
+    this.gsSPViewport(kWidth / 2, kHeight / 2, kWidth / 2, kHeight / 2);
+    this.gsSPMatrix(orthoMatrix(0, kWidth, kHeight, 0, 0, 1000), G_MTX_PROJECTION | G_MTX_LOAD | G_MTX_NOPUSH);
+    this.gsSPMatrix(identityMatrix(), G_MTX_MODELVIEW | G_MTX_LOAD | G_MTX_NOPUSH);
+    this.gsSPGeometryMode(0xffffffff, G_SHADE | G_SHADING_SMOOTH);
+    this.gsSPTexture(0xffff, 0xffff, 0, G_TX_RENDERTILE, 0);
+  }
+
+  /**
+   * Draws an axis-aligned quad with a color per corner (top left, top right,
+   * bottom left, bottom right) and the given depth at the left and right edges.
+   */
+  quad(x0, y0, x1, y1, colors, zLeft = 0, zRight = zLeft) {
+    this.gsSPVertex([
+      [x0, y0, zLeft, 0, 0, colors[0]],
+      [x1, y0, zRight, 0, 0, colors[1]],
+      [x0, y1, zLeft, 0, 0, colors[2]],
+      [x1, y1, zRight, 0, 0, colors[3]],
+    ], 0);
+    this.gsSP2Triangles(0, 2, 1, 1, 2, 3);
+  }
+
+  endFrame() {
+    this.gsDPFullSync();
+    this.gsSPEndDisplayList();
+  }
+
+  /**
+   * Creates a capture of the display list.
+   * @returns {!DisplayListCapture}
+   */
+  finish() {
+    const dlistLength = this.commands.length * 4;
+    this.commands.forEach((word, i) => this.dv.setUint32(kDisplayListAddr + i * 4, word));
+    const codeData = new TextEncoder().encode(kUcodeVersion);
+    new Uint8Array(this.dv.buffer).set(codeData, kCodeDataAddr);
+
+    const task = new CapturedTask();
+    task.type = M_GFXTASK;
+    task.codeAddr = kCodeAddr;
+    task.codeSize = kCodeSize;
+    task.codeDataAddr = kCodeDataAddr;
+    task.codeDataSize = kCodeDataSize;
+    task.dataPtr = kDisplayListAddr;
+    task.dataSize = dlistLength;
+    const ranges = [
+      [kCodeAddr, kCodeSize],
+      [kCodeDataAddr, kCodeDataSize],
+      [kDisplayListAddr, dlistLength],
+      [kDataAddr, this.dataEnd - kDataAddr],
+    ];
+    for (let [address, length] of ranges) {
+      task.ranges.push({ address: address, bytes: new Uint8Array(this.dv.buffer, address, length).slice() });
+    }
+
+    const capture = new DisplayListCapture();
+    capture.romId = 'golden';
+    capture.romName = 'Synthetic';
+    capture.viOrigin = kColorImageAddr;
+    capture.dims = { srcWidth: kWidth, srcHeight: kHeight, screenWidth: 640, screenHeight: 480 };
+    capture.tasks.push(task);
+    return capture;
+  }
+}
+
+function identityMatrix() {
+  return [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+}
+
+// Like guOrtho.
+function orthoMatrix(l, r, b, t, n, f) {
+  return [
+    [2 / (r - l), 0, 0, 0],
+    [0, 2 / (t - b), 0, 0],
+    [0, 0, -2 / (f - n), 0],
+    [-(r + l) / (r - l), -(t + b) / (t - b), -(f + n) / (f - n), 1],
+  ];
+}
+
+const kRed = rgba32(255, 0, 0, 255);
+const kGreen = rgba32(0, 255, 0, 255);
+const kBlue = rgba32(0, 0, 255, 255);
+const kWhite = rgba32(255, 255, 255, 255);
+const kBlack = rgba32(0, 0, 0, 255);
+
+/**
+ * Shaded quads drawn with different 1 and 2 cycle combiner modes.
+ */
+function makeCombiner() {
+  const b = new DisplayListBuilder();
+  b.beginFrame(rgba16(32, 32, 64, 1));
+  b.gsDPSetRenderMode(G_RM_OPA_SURF, G_RM_OPA_SURF2);
+  b.gsDPSetPrimColor(0, 0, 255, 160, 0, 255);
+  b.gsDPSetEnvColor(0, 96, 255, 128);
+
+  // Shade only.
+  b.gsDPSetCycleType(CycleType.G_CYC_1CYCLE);
+  b.gsDPSetCombineLERP(
+    0, 0, 0, 'SHADE', 0, 0, 0, 'SHADE',
+    0, 0, 0, 'SHADE', 0, 0, 0, 'SHADE');
+  b.quad(20, 20, 150, 110, [kRed, kGreen, kBlue, kWhite]);
+
+  // Interpolate from the environment to the primitive color by shade.
+  b.gsDPPipeSync();
+  b.gsDPSetCombineLERP(
+    'PRIMITIVE', 'ENVIRONMENT', 'SHADE', 'ENVIRONMENT', 0, 0, 0, 1,
+    'PRIMITIVE', 'ENVIRONMENT', 'SHADE', 'ENVIRONMENT', 0, 0, 0, 1);
+  b.quad(170, 20, 300, 110, [kBlack, kWhite, kBlack, kWhite]);
+
+  // Modulate shade by primitive in the first cycle, then invert and scale by
+  // the environment alpha in the second.
+  b.gsDPPipeSync();
+  b.gsDPSetCycleType(CycleType.G_CYC_2CYCLE);
+  b.gsDPSetCombineLERP(
+    'SHADE', 0, 'PRIMITIVE', 0, 0, 0, 0, 1,
+    1, 'COMBINED', 'ENV_ALPHA', 0, 0, 0, 0, 1);
+  b.quad(20, 130, 150, 220, [kWhite, kRed, kGreen, kBlue]);
+
+  // Blend between the primitive and environment colors by the shade alpha.
+  b.gsDPPipeSync();
+  b.gsDPSetCycleType(CycleType.G_CYC_1CYCLE);
+  b.gsDPSetCombineLERP(
+    'PRIMITIVE', 'ENVIRONMENT', 'SHADE_ALPHA', 'ENVIRONMENT', 0, 0, 0, 1,
+    'PRIMITIVE', 'ENVIRONMENT', 'SHADE_ALPHA', 'ENVIRONMENT', 0, 0, 0, 1);
+  b.quad(170, 130, 300, 220, [rgba32(0, 0, 0, 0), rgba32(0, 0, 0, 255), rgba32(0, 0, 0, 0), rgba32(0, 0, 0, 255)]);
+
+  b.endFrame();
+  return b.finish();
+}
+
+/**
+ * Fogged and translucent quads, exercising the blender.
+ */
+function makeFogBlender() {
+  const b = new DisplayListBuilder();
+  b.beginFrame(rgba16(0, 0, 0, 1));
+  b.gsDPSetCycleType(CycleType.G_CYC_1CYCLE);
+  b.gsDPSetRenderMode(G_RM_OPA_SURF, G_RM_OPA_SURF2);
+  b.gsDPSetCombineLERP(
+    0, 0, 0, 'SHADE', 0, 0, 0, 'SHADE',
+    0, 0, 0, 'SHADE', 0, 0, 0, 'SHADE');
+
+  // A background of vertical stripes to blend over.
+  for (let i = 0; i < 8; ++i) {
+    const color = (i & 1) ? rgba32(200, 200, 200, 255) : rgba32(40, 80, 40, 255);
+    b.quad(i * 40, 0, i * 40 + 40, 240, [color, color, color, color]);
+  }
+
+  // Fog from nothing on the left to full on the right, blended with the shade
+  // color in the first cycle.
+  b.gsDPPipeSync();
+  b.gsDPSetCycleType(CycleType.G_CYC_2CYCLE);
+  b.gsDPSetRenderMode(G_RM_FOG_SHADE_A, G_RM_OPA_SURF2);
+  b.gsDPSetFogColor(255, 128, 0, 255);
+  b.gsDPSetCombineLERP(
+    0, 0, 0, 'SHADE', 0, 0, 0, 1,
+    0, 0, 0, 'COMBINED', 0, 0, 0, 'COMBINED');
+  b.gsSPGeometryMode(0, G_FOG);
+  b.gsSPFogPosition(900, 1000);
+  b.quad(20, 20, 300, 100, [kBlue, kBlue, kWhite, kWhite], -900, -1000);
+  b.gsSPGeometryMode(G_FOG, 0);
+
+  // Translucent quads over the stripes, and over each other.
+  b.gsDPPipeSync();
+  b.gsDPSetCycleType(CycleType.G_CYC_1CYCLE);
+  b.gsDPSetRenderMode(G_RM_XLU_SURF, G_RM_XLU_SURF2);
+  b.gsDPSetCombineLERP(
+    0, 0, 0, 'PRIMITIVE', 0, 0, 0, 'PRIMITIVE',
+    0, 0, 0, 'PRIMITIVE', 0, 0, 0, 'PRIMITIVE');
+  b.gsDPSetPrimColor(0, 0, 255, 0, 0, 128);
+  b.quad(20, 120, 200, 220, [kWhite, kWhite, kWhite, kWhite]);
+  b.gsDPPipeSync();
+  b.gsDPSetPrimColor(0, 0, 0, 0, 255, 64);
+  b.quad(120, 140, 300, 200, [kWhite, kWhite, kWhite, kWhite]);
+
+  b.endFrame();
+  return b.finish();
+}
+
+/**
+ * Texture rectangles in copy and 1 cycle modes, with point and bilinear
+ * filtering and the different tile addressing modes.
+ */
+function makeTexRect() {
+  const b = new DisplayListBuilder();
+  b.beginFrame(rgba16(64, 64, 64, 1));
+
+  // A 16x16 texture with a 4x4 checkerboard over a red/green gradient.
+  const texels = [];
+  for (let y = 0; y < 16; ++y) {
+    for (let x = 0; x < 16; ++x) {
+      const checker = ((x >> 2) ^ (y >> 2)) & 1;
+      texels.push(checker ? rgba16(255, 255, 255, 1) : rgba16(x * 16, y * 16, 64, 1));
+    }
+  }
+  b.loadTextureRGBA16(texels, 16, 16, G_TX_WRAP, 4, G_TX_WRAP, 4);
+
+  // Copy mode copies 4 texels per cycle, so dsdx is 4.
+  b.gsDPSetCycleType(CycleType.G_CYC_COPY);
+  b.gsDPSetTextureFilter(G_TF_POINT);
+  b.gsSPTextureRectangle(16, 16, 31, 31, G_TX_RENDERTILE, 0, 0, 4, 1);
+  b.gsSPTextureRectangle(40, 16, 71, 31, G_TX_RENDERTILE, 0, 0, 4, 1);
+
+  // Magnified in 1 cycle mode, with point and bilinear filtering.
+  b.gsDPPipeSync();
+  b.gsDPSetCycleType(CycleType.G_CYC_1CYCLE);
+  b.gsDPSetRenderMode(G_RM_OPA_SURF, G_RM_OPA_SURF2);
+  b.gsDPSetCombineLERP(
+    0, 0, 0, 'TEXEL0', 0, 0, 0, 1,
+    0, 0, 0, 'TEXEL0', 0, 0, 0, 1);
+  b.gsSPTextureRectangle(16, 48, 80, 112, G_TX_RENDERTILE, 0, 0, 0.25, 0.25);
+  b.gsDPPipeSync();
+  b.gsDPSetTextureFilter(G_TF_BILERP);
+  b.gsSPTextureRectangle(96, 48, 160, 112, G_TX_RENDERTILE, 0, 0, 0.25, 0.25);
+
+  // Tinted by the primitive color.
+  b.gsDPPipeSync();
+  b.gsDPSetTextureFilter(G_TF_POINT);
+  b.gsDPSetPrimColor(0, 0, 255, 200, 0, 255);
+  b.gsDPSetCombineLERP(
+    'TEXEL0', 0, 'PRIMITIVE', 0, 0, 0, 0, 1,
+    'TEXEL0', 0, 'PRIMITIVE', 0, 0, 0, 0, 1);
+  b.gsSPTextureRectangle(180, 48, 300, 112, G_TX_RENDERTILE, 0, 0, 0.5, 0.5);
+
+  // Repeated with wrapping, mirroring and clamping.
+  b.gsDPPipeSync();
+  b.gsDPSetCombineLERP(
+    0, 0, 0, 'TEXEL0', 0, 0, 0, 1,
+    0, 0, 0, 'TEXEL0', 0, 0, 0, 1);
+  for (let [i, cm] of [G_TX_WRAP, G_TX_MIRROR, G_TX_CLAMP].entries()) {
+    b.gsDPTileSync();
+    b.gsDPSetTile(ImageFormat.G_IM_FMT_RGBA, ImageSize.G_IM_SIZ_16b, 4, 0, G_TX_RENDERTILE, 0, cm, 4, 0, cm, 4, 0);
+    b.gsSPTextureRectangle(16 + i * 100, 130, 16 + i * 100 + 88, 218, G_TX_RENDERTILE, 0, 0, 0.5, 0.5);
+  }
+
+  b.endFrame();
+  return b.finish();
+}
+
+const kCaptures = {
+  combiner: makeCombiner,
+  fog_blender: makeFogBlender,
+  texrect: makeTexRect,
+};
+
+for (let [name, make] of Object.entries(kCaptures)) {
+  const filename = path.join(import.meta.dir, `${name}.n64dl`);
+  fs.writeFileSync(filename, new Uint8Array(make().serialize()));
+  console.log(`Wrote ${filename}`);
+}
@@ -0,0 +1,211 @@
+/*global n64js*/
+
+import { dbgGUI } from '../dbg_ui.js';
+import { toHex } from '../format.js';
+import * as logger from '../logger.js';
+import * as gbi from './gbi.js';
+
+// Texture packs use the naming convention from Rice Video, which GLideN64 also
+// reads. Each file is named:
+//
+//   <rom name>#<crc>#<format>#<size>_all.png
+//   <rom name>#<crc>#<format>#<size>#<palette crc>_ciByRGBA.png
+//
+// where the CRCs are 8 hex digits and format and size are the tile's G_IM_FMT
+// and G_IM_SIZ values. The second form is used for colour indexed textures.
+// The CRCs are calculated by TMEM.calculateTextureCRC and calculatePaletteCRC.
+
+export const textureOptions = {
+  // Whether to save each newly decoded texture as a PNG.
+  dumpTextures: false,
+
+  // Whether to replace textures with images from the loaded texture pack.
+  useTexturePack: true,
+
+  loadTexturePack: () => { promptForTexturePack(); },
+};
+
+const kNameRegex = /^(.*)#([0-9a-f]{8})#(\d)#(\d)(?:#([0-9a-f]{8}))?_(all|ciByRGBA|allciByRGBA)\.png$/i;
+
+/**
+ * Returns the texture pack filename for a texture.
+ * @param {string} romName
+ * @param {number} crc
+ * @param {number} format
+ * @param {number} size
+ * @param {number} paletteCRC The CRC of the palette, or 0 if the texture has no palette.
+ * @returns {string}
+ */
+export function textureFilename(romName, crc, format, size, paletteCRC) {
+  const base = `${romName}#${toHex(crc, 32).toUpperCase()}#${format}#${size}`;
+  if (format === gbi.ImageFormat.G_IM_FMT_CI) {
+    return `${base}#${toHex(paletteCRC, 32).toUpperCase()}_ciByRGBA.png`;
+  }
+  return `${base}_all.png`;
+}
+
+/**
+ * Parses a texture pack filename.
+ * @param {string} filename
+ * @returns {?{romName: string, crc: number, format: number, size: number, paletteCRC: number}}
+ *     The parsed name, or null if the filename doesn't follow the naming convention.
+ */
+export function parseTextureFilename(filename) {
+  const match = filename.match(kNameRegex);
+  if (!match) {
+    return null;
+  }
+  return {
+    romName: match[1],
+    crc: parseInt(match[2], 16),
+    format: parseInt(match[3], 10),
+    size: parseInt(match[4], 10),
+    paletteCRC: match[5] ? parseInt(match[5], 16) : 0,
+  };
+}
+
+function textureKey(crc, format, size, paletteCRC) {
+  return `${crc >>> 0}_${format}_${size}_${paletteCRC >>> 0}`;
+}
+
+/**
+ * A set of replacement images, keyed by the hash of the texture they replace.
+ * Images are decoded the first time they're looked up, so lookups fail until
+ * the image is ready.
+ */
+export class TexturePack {
+  constructor() {
+    // Map of texture key to {file: !Blob, image: ?ImageBitmap, loading: boolean}.
+    this.entries = new Map();
+
+    // Called with no arguments when a replacement image has been decoded.
+    this.onImageLoaded = null;
+  }
+
+  get size() { return this.entries.size; }
+
+  clear() {
+    for (let entry of this.entries.values()) {
+      if (entry.image) {
+        entry.image.close();
+      }
+    }
+    this.entries.clear();
+  }
+
+  /**
+   * Adds the files from a texture pack. Files that don't follow the naming
+   * convention are ignored.
+   * @param {!Iterable<!File>} files
+   * @returns {number} The number of textures added.
+   */
+  addFiles(files) {
+    let count = 0;
+    for (let file of files) {
+      const parsed = parseTextureFilename(file.name);
+      if (!parsed) {
+        continue;
+      }
+      const key = textureKey(parsed.crc, parsed.format, parsed.size, parsed.paletteCRC);
+      this.entries.set(key, { file: file, image: null, loading: false });
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Returns the replacement image for the specified texture, starting to
+   * decode it if needed.
+   * @param {number} crc
+   * @param {number} format
+   * @param {number} size
+   * @param {number} paletteCRC
+   * @returns {?ImageBitmap} The image, or null if there's no replacement or it's not decoded yet.
+   */
+  lookup(crc, format, size, paletteCRC) {
+    const entry = this.findEntry(crc, format, size, paletteCRC);
+    if (!entry) {
+      return null;
+    }
+    if (!entry.image && !entry.loading) {
+      this.loadImage(entry);
+    }
+    return entry.image;
+  }
+
+  findEntry(crc, format, size, paletteCRC) {
+    // Colour indexed textures named without a palette CRC replace the texture
+    // whatever its palette.
+    return this.entries.get(textureKey(crc, format, size, paletteCRC)) ||
+      this.entries.get(textureKey(crc, format, size, 0)) ||
+      null;
+  }
+
+  loadImage(entry) {
+    if (typeof createImageBitmap === 'undefined') {
+      return;
+    }
+    entry.loading = true;
+    createImageBitmap(entry.file).then(image => {
+      entry.image = image;
+      entry.loading = false;
+      if (this.onImageLoaded) {
+        this.onImageLoaded();
+      }
+    }).catch(err => {
+      // Leave loading set so we don't retry.
+      n64js.warn(`Failed to load replacement texture ${entry.file.name}: ${err}`);
+    });
+  }
+}
+
+export const texturePack = new TexturePack();
+
+// The names of the textures dumped so far, so each is only saved once.
+const dumpedTextures = new Set();
+
+/**
+ * Saves a decoded texture as a PNG named for the texture pack.
+ * @param {!HTMLCanvasElement} canvas
+ * @param {number} crc
+ * @param {number} format
+ * @param {number} size
+ * @param {number} paletteCRC
+ */
+export function dumpTexture(canvas, crc, format, size, paletteCRC) {
+  const romName = n64js.hardware().rominfo.name.trim();
+  const filename = textureFilename(romName, crc, format, size, paletteCRC);
+  if (dumpedTextures.has(filename) || !canvas.toBlob) {
+    return;
+  }
+  dumpedTextures.add(filename);
+
+  canvas.toBlob(blob => {
+    blob.arrayBuffer().then(buffer => n64js.ui().downloadFile(filename, buffer));
+  }, 'image/png');
+}
+
+/**
+ * Asks the user to choose a texture pack directory and loads it.
+ */
+function promptForTexturePack() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'image/png';
+  input.multiple = true;
+  input.webkitdirectory = true;
+  input.addEventListener('change', () => {
+    texturePack.clear();
+    const count = texturePack.addFiles(input.files);
+    logger.log(`Loaded ${count} replacement textures`);
+    if (texturePack.onImageLoaded) {
+      texturePack.onImageLoaded();
+    }
+  });
+  input.click();
+}
+
+const folder = dbgGUI.addFolder('Textures');
+folder.add(textureOptions, 'dumpTextures').name('Dump Textures');
+folder.add(textureOptions, 'useTexturePack').name('Use Texture Pack');
+folder.add(textureOptions, 'loadTexturePack').name('Load Texture Pack...');
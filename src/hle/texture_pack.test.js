@@ -0,0 +1,143 @@
+import * as gbi from './gbi.js';
+import { parseTextureFilename, textureFilename, TexturePack } from './texture_pack.js';
+import { Tile } from './tile.js';
+import { riceCRC, TMEM } from './tmem.js';
+
+const assert = require('chai').assert;
+
+const kRGBA = gbi.ImageFormat.G_IM_FMT_RGBA;
+const kCI = gbi.ImageFormat.G_IM_FMT_CI;
+const k16b = gbi.ImageSize.G_IM_SIZ_16b;
+const k8b = gbi.ImageSize.G_IM_SIZ_8b;
+
+describe('textureFilename', () => {
+  it('should name direct color textures', () => {
+    assert.equal(textureFilename('SUPER MARIO 64', 0x1234abcd, kRGBA, k16b, 0),
+      'SUPER MARIO 64#1234ABCD#0#2_all.png');
+  });
+
+  it('should include the palette of colour indexed textures', () => {
+    assert.equal(textureFilename('SUPER MARIO 64', 0x0000abcd, kCI, k8b, 0xdeadbeef),
+      'SUPER MARIO 64#0000ABCD#2#1#DEADBEEF_ciByRGBA.png');
+  });
+});
+
+describe('parseTextureFilename', () => {
+  it('should round trip names', () => {
+    const name = textureFilename('ZELDA', 0x80000001, kCI, k8b, 0xfedcba98);
+    assert.deepEqual(parseTextureFilename(name), {
+      romName: 'ZELDA', crc: 0x80000001, format: kCI, size: k8b, paletteCRC: 0xfedcba98,
+    });
+  });
+
+  it('should accept lower case and the combined suffix', () => {
+    const parsed = parseTextureFilename('ZELDA#0badf00d#2#1_allciByRGBA.png');
+    assert.equal(parsed.crc, 0x0badf00d);
+    assert.equal(parsed.paletteCRC, 0);
+  });
+
+  it('should reject other files', () => {
+    assert.isNull(parseTextureFilename('ZELDA#1234#0#2_all.png'));
+    assert.isNull(parseTextureFilename('readme.txt'));
+  });
+});
+
+describe('TexturePack', () => {
+  it('should index files by their texture', () => {
+    const pack = new TexturePack();
+    const count = pack.addFiles([
+      { name: 'ZELDA#00000001#0#2_all.png' },
+      { name: 'ZELDA#00000002#2#1#00000003_ciByRGBA.png' },
+      { name: 'ZELDA#00000004#2#1_all.png' },
+      { name: 'notes.txt' },
+    ]);
+    assert.equal(count, 3);
+    assert.isNotNull(pack.findEntry(1, kRGBA, k16b, 0));
+    assert.isNotNull(pack.findEntry(2, kCI, k8b, 3));
+    assert.isNull(pack.findEntry(2, kCI, k8b, 5));
+    // Textures named without a palette match any palette.
+    assert.isNotNull(pack.findEntry(4, kCI, k8b, 5));
+    assert.isNull(pack.findEntry(1, kRGBA, k8b, 0));
+  });
+});
+
+describe('TMEM texture pack CRCs', () => {
+  const kWidth = 16;
+  const kHeight = 4;
+  const kImageAddress = 0x100;
+  const kPaletteAddress = 0x400;
+
+  let ram;
+  let tmem;
+  beforeEach(() => {
+    ram = new Uint8Array(0x1000);
+    for (let i = 0; i < ram.length; i++) {
+      ram[i] = (i * 7 + (i >> 8)) & 0xff;
+    }
+    globalThis.n64js = globalThis.n64js || {};
+    n64js.hardware = () => ({ cachedMemDevice: { u8: ram, s32: new Int32Array(ram.buffer) } });
+    tmem = new TMEM();
+  });
+
+  // A texture image covering kWidth texels per row at the given size.
+  function makeTextureImage(size, address) {
+    const bytes = (texels, sz) => (texels << sz) >>> 1;
+    return {
+      size: size,
+      calcAddress: (s, t, sz = size) => address + t * bytes(kWidth, sz) + bytes(s, sz),
+      texelsToBytes: (texels) => bytes(texels, size),
+      stride: () => bytes(kWidth, size),
+    };
+  }
+
+  function makeTile(format, size, palette) {
+    const tile = new Tile();
+    const line = ((kWidth << size) >>> 1) >>> 3;
+    tile.set(format, size, line, 0, palette, 0, 0, 0, 0, 0, 0);
+    tile.setSize(0, 0, (kWidth - 1) << 2, (kHeight - 1) << 2);
+    return tile;
+  }
+
+  // Rice's algorithm, hashing the texels straight from RDRAM.
+  function riceCRCFromRAM(address, bytesPerLine, height, stride) {
+    const readWord = (y, x) => {
+      const o = address + y * stride + x;
+      return (ram[o] << 24) | (ram[o + 1] << 16) | (ram[o + 2] << 8) | ram[o + 3];
+    };
+    return riceCRC(readWord, bytesPerLine, height);
+  }
+
+  it('should match Rice\'s CRC of a single word', () => {
+    // The word is added once for the texels and once for the line.
+    assert.equal(riceCRC(() => 0x12345678, 4, 1), 0x2468acf0);
+  });
+
+  it('should hash the texels loaded to TMEM as they are in RDRAM', () => {
+    const size = gbi.ImageSize.G_IM_SIZ_16b;
+    const tile = makeTile(gbi.ImageFormat.G_IM_FMT_RGBA, size, 0);
+    tmem.loadTile(makeTextureImage(size, kImageAddress), tile, 0, 0, (kWidth - 1) << 2, (kHeight - 1) << 2);
+
+    const bytesPerLine = kWidth * 2;
+    assert.equal(tmem.calculateTextureCRC(tile), riceCRCFromRAM(kImageAddress, bytesPerLine, kHeight, bytesPerLine));
+  });
+
+  it('should hash colour indexed textures independently of their palette', () => {
+    const size = gbi.ImageSize.G_IM_SIZ_4b;
+    const tile = makeTile(gbi.ImageFormat.G_IM_FMT_CI, size, 2);
+    tmem.loadTile(makeTextureImage(size, kImageAddress), tile, 0, 0, (kWidth - 1) << 2, (kHeight - 1) << 2);
+    const tlutTile = makeTile(gbi.ImageFormat.G_IM_FMT_RGBA, gbi.ImageSize.G_IM_SIZ_16b, 0);
+    tlutTile.tmem = 0x100;
+    tmem.loadTLUT(makeTextureImage(gbi.ImageSize.G_IM_SIZ_16b, kPaletteAddress), tlutTile, 0, 0, 47 << 2, 0);
+
+    const bytesPerLine = kWidth / 2;
+    const crc = tmem.calculateTextureCRC(tile);
+    assert.equal(crc, riceCRCFromRAM(kImageAddress, bytesPerLine, kHeight, bytesPerLine));
+    // Palette 2 is entries 32-47.
+    assert.equal(tmem.calculatePaletteCRC(tile), riceCRCFromRAM(kPaletteAddress + 32 * 2, 32, 1, 32));
+
+    ram.fill(0, kPaletteAddress, kPaletteAddress + 0x100);
+    tmem.loadTLUT(makeTextureImage(gbi.ImageSize.G_IM_SIZ_16b, kPaletteAddress), tlutTile, 0, 0, 47 << 2, 0);
+    tile.hash = 0;
+    assert.equal(tmem.calculateTextureCRC(tile), crc);
+  });
+});
@@ -5,9 +5,16 @@ export class Texture {
     this.width = width;
     this.height = height;
 
-    // Create a canvas element to poke data into.
-    this.$canvas = $(`<canvas width="${width}" height="${height}" />`,
-                     { 'width': width, 'height': height });
+    // Whether the texels were replaced by an image from a texture pack.
+    this.replaced = false;
+
+    // Create a canvas element to display the texture in the debug UI.
+    // There's no canvas when running without a DOM.
+    this.$canvas = null;
+    if (typeof $ !== 'undefined') {
+      this.$canvas = $(`<canvas width="${width}" height="${height}" />`,
+                       { 'width': width, 'height': height });
+    }
     this.texture = gl.createTexture();
   }
 
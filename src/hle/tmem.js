@@ -3,6 +3,7 @@
 import { assert } from '../assert.js';
 import { toString16, toString32 } from '../format.js';
 import { convertTexels } from './convert.js';
+import { recordRamRead } from './dlist_capture.js';
 import * as gbi from './gbi.js';
 import { calcTileDimension } from './tile.js';
 
@@ -36,6 +37,7 @@ export class TMEM {
     const bytes = ti.texelsToBytes(texels);
     // TODO: rounding seems to be done before converting texels to bytes.
     const qwords = (bytes + 7) >>> 3;
+    recordRamRead(ramAddress, qwords * 8);
 
     const tmemData = this.tmemData32;
 
@@ -132,6 +134,7 @@ export class TMEM {
     // const reqQWords = (bytes + 7) >>> 3;
     // const fetchedQWords = (reqQWords > 512) ? 512 : reqQWords;
 
+    recordRamRead(ramAddress, (h - 1) * ramStride + rowBytes);
     const ram = getRamU8Array();
     for (let y = 0; y < h; ++y) {
       if (y & 1) {
@@ -163,6 +166,7 @@ export class TMEM {
     const ramAddress = ti.calcAddress(s0, t0, gbi.ImageSize.G_IM_SIZ_16b);
     const texels = calcTileDimension(lrs, uls);
 
+    recordRamRead(ramAddress, texels * 2);
     const ram = getRamU8Array();
     const tmemOffset = tile.tmem << 3;
 
@@ -202,6 +206,67 @@ export class TMEM {
     let hash = hashTmem(src, tmemOffset, len, 0);
 
     // For palettised textures, check the palette entries too
+    hash = this.hashPalette(tile, hash);
+
+    tile.hash = hash;
+    return hash;
+  }
+
+  /**
+   * Calculates the CRC used to name textures in Rice Video and GLideN64
+   * texture packs. Only the texels are hashed; the palette of colour indexed
+   * textures is hashed separately by calculatePaletteCRC.
+   * @param {!Tile} tile
+   * @returns {number}
+   */
+  calculateTextureCRC(tile) {
+    const tmem = this.tmemData;
+    const is32 = tile.size == gbi.ImageSize.G_IM_SIZ_32b;
+    const tmemOffset = tile.tmem << 3;
+    const stride = tile.line << (is32 ? 4 : 3);
+    const swapBit = is32 ? 8 : 4;
+
+    // Odd lines are word swapped in TMEM, so undo that to hash the texels in
+    // the order they appear in RDRAM.
+    const readWord = (y, x) => {
+      const offset = tmemOffset + y * stride + x;
+      const swizzle = (y & 1) ? swapBit : 0;
+      return (tmem[(offset ^ swizzle) & 0xfff] << 24) |
+        (tmem[((offset + 1) ^ swizzle) & 0xfff] << 16) |
+        (tmem[((offset + 2) ^ swizzle) & 0xfff] << 8) |
+        tmem[((offset + 3) ^ swizzle) & 0xfff];
+    };
+    return riceCRC(readWord, (tile.width << tile.size) >>> 1, tile.height);
+  }
+
+  /**
+   * Calculates the CRC of the palette used by the tile, as used to name
+   * colour indexed textures in texture packs.
+   * @param {!Tile} tile
+   * @returns {number} The CRC, or 0 if the tile doesn't use a palette.
+   */
+  calculatePaletteCRC(tile) {
+    if (tile.format !== gbi.ImageFormat.G_IM_FMT_CI) {
+      return 0;
+    }
+    const tmem = this.tmemData;
+    const is4b = tile.size === gbi.ImageSize.G_IM_SIZ_4b;
+    const entries = is4b ? 16 : 256;
+    const first = is4b ? tile.palette << 4 : 0;
+
+    // Palettes are "quadricated", so there are 8 bytes per entry. Each word
+    // hashed holds two consecutive entries.
+    const entryOffset = (i) => 0x800 + (((first + i) & 0xff) << 3);
+    const readWord = (y, x) => {
+      const e0 = entryOffset(x >> 1);
+      const e1 = entryOffset((x >> 1) + 1);
+      return (tmem[e0] << 24) | (tmem[e0 + 1] << 16) | (tmem[e1] << 8) | tmem[e1 + 1];
+    };
+    return riceCRC(readWord, entries * 2, 1);
+  }
+
+  hashPalette(tile, hash) {
+    const src = this.tmemData32;
     if (tile.format === gbi.ImageFormat.G_IM_FMT_CI ||
       tile.format === gbi.ImageFormat.G_IM_FMT_RGBA) { // NB RGBA check is for extreme-g, which specifies RGBA/4 and RGBA/8 instead of CI/4 and CI/8
 
@@ -212,12 +277,35 @@ export class TMEM {
         hash = hashTmem(src, 0x800 + (tile.palette * 16 * 2), 16 * 8, hash);
       }
     }
-
-    tile.hash = hash;
     return hash;
   }
 }
 
+/**
+ * Calculates the CRC Rice Video uses to identify textures, which GLideN64 also
+ * uses for texture packs. Lines are hashed from the top, but each is combined
+ * with its distance from the bottom.
+ * @param {function(number, number): number} readWord Returns the big-endian
+ *     word at a line and byte offset.
+ * @param {number} bytesPerLine
+ * @param {number} height
+ * @returns {number}
+ */
+export function riceCRC(readWord, bytesPerLine, height) {
+  let crc = 0;
+  for (let line = 0; line < height; line++) {
+    let esi = 0;
+    for (let x = bytesPerLine - 4; x >= 0; x -= 4) {
+      esi = (readWord(line, x) ^ x) >>> 0;
+      crc = ((crc << 4) + ((crc >>> 28) & 15)) >>> 0;
+      crc = (crc + esi) >>> 0;
+    }
+    esi = (esi ^ (height - 1 - line)) >>> 0;
+    crc = (crc + esi) >>> 0;
+  }
+  return crc;
+}
+
 function hashTmem(tmem32, offset, len, hash) {
   let i = offset >> 2;
   const e = (offset + len) >> 2;
@@ -0,0 +1,97 @@
+/**
+ * Perceptual image comparison, for checking rendered images against goldens.
+ *
+ * Pixels are compared in YIQ space, which weights differences roughly by how
+ * visible they are. See "Measuring perceived color difference using YIQ NTSC
+ * transmission color space in mobile applications" by Kotsarenko and Ramos.
+ */
+
+// The largest possible YIQ delta, between black and white.
+const kMaxDelta = 35215;
+
+/**
+ * @typedef {Object} ImageDiffOptions
+ * @property {number=} threshold How different two pixels may be before they're
+ *     treated as mismatched, from 0 (exact) to 1. Defaults to 0.1.
+ * @property {number=} maxMismatchRatio The fraction of pixels that may mismatch
+ *     before the images are treated as different. Defaults to 0.
+ */
+
+/**
+ * Compares two RGBA images of the same dimensions.
+ * @param {{width: number, height: number, rgba: !Uint8Array}} expected
+ * @param {{width: number, height: number, rgba: !Uint8Array}} actual
+ * @param {ImageDiffOptions=} options
+ * @returns {{matches: boolean, mismatched: number, diff: ?Uint8Array}} The
+ *     result, with an RGBA image highlighting mismatched pixels in red. diff is
+ *     null if the dimensions differ.
+ */
+export function diffImages(expected, actual, options = {}) {
+  const threshold = options.threshold ?? 0.1;
+  const maxMismatchRatio = options.maxMismatchRatio ?? 0;
+
+  if (expected.width != actual.width || expected.height != actual.height) {
+    return { matches: false, mismatched: expected.width * expected.height, diff: null };
+  }
+
+  const maxDelta = kMaxDelta * threshold * threshold;
+  const a = expected.rgba;
+  const b = actual.rgba;
+  const diff = new Uint8Array(a.length);
+  let mismatched = 0;
+
+  for (let i = 0; i < a.length; i += 4) {
+    if (colorDelta(a, b, i) > maxDelta) {
+      diff[i + 0] = 0xff;
+      diff[i + 1] = 0x00;
+      diff[i + 2] = 0x00;
+      mismatched++;
+    } else {
+      // Show matching pixels as a faded greyscale copy of the expected image.
+      const y = blendWithWhite(luma(a[i + 0], a[i + 1], a[i + 2]), a[i + 3] * 0.1 / 255);
+      diff[i + 0] = y;
+      diff[i + 1] = y;
+      diff[i + 2] = y;
+    }
+    diff[i + 3] = 0xff;
+  }
+
+  const total = expected.width * expected.height;
+  return { matches: mismatched <= total * maxMismatchRatio, mismatched: mismatched, diff: diff };
+}
+
+/**
+ * Returns the squared YIQ distance between the pixels at offset i, after
+ * blending each with white according to its alpha.
+ * @param {!Uint8Array} a
+ * @param {!Uint8Array} b
+ * @param {number} i
+ * @returns {number}
+ */
+function colorDelta(a, b, i) {
+  if (a[i + 0] == b[i + 0] && a[i + 1] == b[i + 1] && a[i + 2] == b[i + 2] && a[i + 3] == b[i + 3]) {
+    return 0;
+  }
+
+  const alphaA = a[i + 3] / 255;
+  const alphaB = b[i + 3] / 255;
+  const r1 = blendWithWhite(a[i + 0], alphaA);
+  const g1 = blendWithWhite(a[i + 1], alphaA);
+  const b1 = blendWithWhite(a[i + 2], alphaA);
+  const r2 = blendWithWhite(b[i + 0], alphaB);
+  const g2 = blendWithWhite(b[i + 1], alphaB);
+  const b2 = blendWithWhite(b[i + 2], alphaB);
+
+  const y = luma(r1, g1, b1) - luma(r2, g2, b2);
+  const inphase = (r1 - r2) * 0.59597799 - (g1 - g2) * 0.27417610 - (b1 - b2) * 0.32180189;
+  const quadrature = (r1 - r2) * 0.21147017 - (g1 - g2) * 0.52261711 + (b1 - b2) * 0.31114694;
+  return 0.5053 * y * y + 0.299 * inphase * inphase + 0.1957 * quadrature * quadrature;
+}
+
+function luma(r, g, b) {
+  return r * 0.29889531 + g * 0.58662247 + b * 0.11448223;
+}
+
+function blendWithWhite(c, alpha) {
+  return 255 + (c - 255) * alpha;
+}
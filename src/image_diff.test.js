@@ -0,0 +1,52 @@
+import { diffImages } from "./image_diff.js";
+
+const assert = require('chai').assert;
+
+function makeImage(width, height, pixels) {
+  return { width: width, height: height, rgba: new Uint8Array(pixels) };
+}
+
+describe('diffImages', () => {
+  const base = [
+    0x00, 0x00, 0x00, 0xff, 0xff, 0xff, 0xff, 0xff,
+    0x80, 0x40, 0x20, 0xff, 0x20, 0x40, 0x80, 0xff,
+  ];
+
+  it('matches identical images', () => {
+    const result = diffImages(makeImage(2, 2, base), makeImage(2, 2, base));
+    assert.isTrue(result.matches);
+    assert.equal(result.mismatched, 0);
+  });
+
+  it('tolerates small differences', () => {
+    const actual = base.slice();
+    actual[8] += 2;
+    actual[13] -= 2;
+    assert.isTrue(diffImages(makeImage(2, 2, base), makeImage(2, 2, actual)).matches);
+    assert.isFalse(diffImages(makeImage(2, 2, base), makeImage(2, 2, actual), { threshold: 0 }).matches);
+  });
+
+  it('highlights mismatched pixels', () => {
+    const actual = base.slice();
+    actual[0] = 0xff;
+    const result = diffImages(makeImage(2, 2, base), makeImage(2, 2, actual));
+    assert.isFalse(result.matches);
+    assert.equal(result.mismatched, 1);
+    assert.deepEqual(Array.from(result.diff.subarray(0, 4)), [0xff, 0x00, 0x00, 0xff]);
+    // Matching pixels are faded towards white.
+    assert.isAbove(result.diff[4 * 2], 0xe0);
+  });
+
+  it('allows a fraction of pixels to mismatch', () => {
+    const actual = base.slice();
+    actual[0] = 0xff;
+    const result = diffImages(makeImage(2, 2, base), makeImage(2, 2, actual), { maxMismatchRatio: 0.25 });
+    assert.isTrue(result.matches);
+  });
+
+  it('rejects images with different dimensions', () => {
+    const result = diffImages(makeImage(2, 2, base), makeImage(4, 1, base));
+    assert.isFalse(result.matches);
+    assert.isNull(result.diff);
+  });
+});
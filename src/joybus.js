@@ -3,6 +3,7 @@
 import * as logger from './logger.js';
 import { syncInput } from './sync.js';
 import { n64_cic_nus_6105 } from './devices/cic.js';
+import { getCICType } from './cic_types.js';
 
 // Channels 0..3 are for controllers and channel 4 is for the cart.
 const kNumChannels = 5;
@@ -53,17 +54,34 @@ export class Joybus {
 
     this.pifRam = this.hardware.pif_mem.subRegion(0x7c0, 0x040);
 
-    const controller0 = new ControllerChannel(inputs[0]);
-    controller0.present = true;
-    controller0.attachControllerPack(hardware.mempacks[0]);
-
+    this.controllers = inputs.map(input => new ControllerChannel(input));
     this.channels = [
-      controller0,
-      new ControllerChannel(inputs[1]),
-      new ControllerChannel(inputs[2]),
-      new ControllerChannel(inputs[3]),
+      ...this.controllers,
       new CartridgeChannel(hardware),
     ];
+    this.reset();
+  }
+
+  /**
+   * Connects controllers and accessories as specified by the rominfo.
+   */
+  reset() {
+    const configs = this.hardware.rominfo.controllers;
+    for (let [i, controller] of this.controllers.entries()) {
+      const config = configs[i];
+      controller.present = config.present;
+      switch (config.accessory) {
+        case 'ControllerPak':
+          controller.attachControllerPack(this.hardware.mempacks[i]);
+          break;
+        case 'RumblePak':
+          controller.attachRumblePak();
+          break;
+        default:
+          controller.detachAccessory();
+          break;
+      }
+    }
   }
 
   get controlByte() { return this.pifRam.getU8(kPIFRamControlByte); }
@@ -98,11 +116,17 @@ export class Joybus {
   }
 
   processCICChallenge() {
+    const cic = getCICType(this.hardware.rominfo.cic);
+    if (!cic.challenge) {
+      // Only the x105 CICs implement challenge/response. Other CICs ignore the
+      // request, so leave PIF RAM untouched.
+      n64js.warn(`CIC ${cic.name} does not support challenge/response`);
+      return;
+    }
+
     const challenge = new Uint8Array(30);
     const response = new Uint8Array(30);
 
-    // TODO: this should depend on which CIC chip is present.
-
     // Convert challenge bytes into nibbles.
     for (let i = 0; i < 15; ++i) {
       challenge[i * 2 + 0] = (this.pifRam.u8[0x30 + i] >>> 4) & 0x0f;
@@ -277,6 +301,17 @@ class ControllerChannel extends Channel {
     this.memory = memory;
   }
 
+  attachRumblePak() {
+    this.attachment = kAttachmentRumblePak;
+    this.memory = null;
+    this.rumbleActive = false;
+  }
+
+  detachAccessory() {
+    this.attachment = kAttachmentNone;
+    this.memory = null;
+  }
+
   joybusCommand(tx, rx, txBuf, rxBuf) {
     if (!this.present) {
       return 0;
@@ -500,20 +535,49 @@ class CartridgeChannel extends Channel {
   }
 
   rtcStatus(tx, rx, txBuf, rxBuf) {
+    this.expectTx('kCmdRTCInfo', tx, 1);
+
+    if (!this.hardware.rominfo.rtc) {
+      return 0;
+    }
+
     // Device ID.
     rxBuf[0] = kDeviceIDRTC >>> 8;
     rxBuf[1] = kDeviceIDRTC & 0xff;
     // Status.
-    rxBuf[2] = 0x00;
+    rxBuf[2] = this.hardware.rtc.status;
     return 3;
   }
 
   rtcRead(tx, rx, txBuf, rxBuf) {
-    n64js.warn('rtc read unhandled');
-    return 0;
+    this.expectTx('kCmdRTCRead', tx, 2);
+
+    if (!this.hardware.rominfo.rtc) {
+      return 0;
+    }
+
+    const rtc = this.hardware.rtc;
+    const block = new Uint8Array(8);
+    rtc.readBlock(txBuf[1], block);
+    for (let i = 0; i < 8 && i < rx; i++) {
+      rxBuf[i] = block[i];
+    }
+    if (rx > 8) {
+      rxBuf[8] = rtc.status;
+    }
+    return 9;
   }
+
   rtcWrite(tx, rx, txBuf, rxBuf) {
-    n64js.warn('rtc write unhandled');
-    return 0;
+    this.expectTx('kCmdRTCWrite', tx, 10);
+
+    if (!this.hardware.rominfo.rtc) {
+      return 0;
+    }
+
+    const rtc = this.hardware.rtc;
+    rtc.writeBlock(txBuf[1], txBuf.subarray(2, 10));
+    rxBuf[0] = rtc.status;
+    return 1;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,131 @@
+import * as gbi from '../hle/gbi.js';
+
+// The RDP blender, which evaluates (P * A + M * B) for one or two cycles.
+//
+// P and M select a color: the input pixel, memory, the blend color or the fog color.
+// A selects an alpha: the input alpha, fog alpha, shade alpha or zero.
+// B selects an alpha: 1 - A, memory alpha, one or zero.
+
+const kColorIn = 0;
+const kColorMem = 1;
+const kColorBlend = 2;
+const kColorFog = 3;
+
+const kAlphaIn = 0;
+const kAlphaFog = 1;
+const kAlphaShade = 2;
+
+const kOneMinusA = 0;
+const kAlphaMem = 1;
+const kOne = 2;
+
+export class Blender {
+  constructor() {
+    this.blendColor = new Int32Array(4);
+    this.fogColor = new Int32Array(4);
+
+    // The color in the framebuffer, set before blending if usesMemory is true.
+    this.memColor = new Int32Array(4);
+
+    // The selectors for each cycle.
+    this.p = [0, 0];
+    this.a = [0, 0];
+    this.m = [0, 0];
+    this.b = [0, 0];
+
+    this.forceBlend = false;
+  }
+
+  reset() {
+    this.blendColor.fill(0);
+    this.fogColor.fill(0);
+    this.memColor.fill(0);
+    this.setOtherModeL(0);
+  }
+
+  /**
+   * Decodes the blender settings from the low other mode word.
+   * @param {number} otherModeL
+   */
+  setOtherModeL(otherModeL) {
+    for (let cycle = 0; cycle < 2; cycle++) {
+      const shift = 2 - (cycle * 2);
+      this.p[cycle] = (otherModeL >>> (28 + shift)) & 3;
+      this.a[cycle] = (otherModeL >>> (24 + shift)) & 3;
+      this.m[cycle] = (otherModeL >>> (20 + shift)) & 3;
+      this.b[cycle] = (otherModeL >>> (16 + shift)) & 3;
+    }
+    this.forceBlend = (otherModeL & gbi.RenderMode.FORCE_BL) != 0;
+  }
+
+  /**
+   * Whether the given cycle reads the framebuffer.
+   * @param {number} cycle
+   * @returns {boolean}
+   */
+  usesMemory(cycle) {
+    return this.p[cycle] == kColorMem || this.m[cycle] == kColorMem || this.b[cycle] == kAlphaMem;
+  }
+
+  /**
+   * Evaluates one blender cycle.
+   * @param {number} cycle The cycle to evaluate (0 or 1).
+   * @param {!Int32Array} pixel The input color. Receives the result.
+   * @param {number} inAlpha The combiner's alpha output.
+   * @param {number} shadeAlpha The interpolated shade alpha.
+   * @param {boolean} blend If false the P input is passed through unblended.
+   */
+  blend(cycle, pixel, inAlpha, shadeAlpha, blend) {
+    const p = this.selectColor(this.p[cycle], pixel);
+    if (!blend) {
+      copyRGB(pixel, p);
+      return;
+    }
+
+    const m = this.selectColor(this.m[cycle], pixel);
+    let a;
+    switch (this.a[cycle]) {
+      case kAlphaIn: a = inAlpha; break;
+      case kAlphaFog: a = this.fogColor[3]; break;
+      case kAlphaShade: a = shadeAlpha; break;
+      default: a = 0; break;
+    }
+    let b;
+    switch (this.b[cycle]) {
+      case kOneMinusA: b = 0xff - a; break;
+      case kAlphaMem: b = this.memColor[3]; break;
+      case kOne: b = 0xff; break;
+      default: b = 0; break;
+    }
+
+    const r = blendComponent(p[0], m[0], a, b);
+    const g = blendComponent(p[1], m[1], a, b);
+    const bl = blendComponent(p[2], m[2], a, b);
+    pixel[0] = r;
+    pixel[1] = g;
+    pixel[2] = bl;
+  }
+
+  selectColor(sel, pixel) {
+    switch (sel) {
+      case kColorIn: return pixel;
+      case kColorMem: return this.memColor;
+      case kColorBlend: return this.blendColor;
+      case kColorFog: return this.fogColor;
+    }
+    return pixel;
+  }
+}
+
+function blendComponent(p, m, a, b) {
+  const v = ((p * a) + (m * b) + 0x7f) / 0xff | 0;
+  return v > 0xff ? 0xff : v;
+}
+
+function copyRGB(dst, src) {
+  if (dst !== src) {
+    dst[0] = src[0];
+    dst[1] = src[1];
+    dst[2] = src[2];
+  }
+}
@@ -0,0 +1,219 @@
+// The RDP color combiner, which evaluates (A - B) * C + D for each of RGB and
+// alpha, for one or two cycles.
+
+function vec4(r, g, b, a) {
+  return Int32Array.of(r, g, b, a);
+}
+
+const kRGB = [0, 1, 2];
+const kAlpha = [3, 3, 3];
+
+/**
+ * A decoded combiner input - a color and which components to read from it.
+ */
+class Input {
+  constructor(vec, channels) {
+    this.vec = vec;
+    this.channels = channels;
+  }
+}
+
+class CombinerCycle {
+  constructor() {
+    this.rgb = [null, null, null, null];
+    this.alpha = [null, null, null, null];
+  }
+}
+
+export class Combiner {
+  constructor() {
+    this.combined = vec4(0, 0, 0, 0);
+    this.texel0 = vec4(0, 0, 0, 0);
+    this.texel1 = vec4(0, 0, 0, 0);
+    this.prim = vec4(0, 0, 0, 0);
+    this.shade = vec4(0, 0, 0, 0);
+    this.env = vec4(0, 0, 0, 0);
+    this.noise = vec4(0, 0, 0, 0);
+    this.keyCenter = vec4(0, 0, 0, 0);
+    this.keyScale = vec4(0, 0, 0, 0);
+
+    // Scalar inputs are stored in all four components so they can be used for RGB or alpha.
+    this.lodFrac = vec4(0, 0, 0, 0);
+    this.primLodFrac = vec4(0, 0, 0, 0);
+    this.k4 = vec4(0, 0, 0, 0);
+    this.k5 = vec4(0, 0, 0, 0);
+
+    // The combiner's 'one' is 1.0 in 1.8 format.
+    this.one = vec4(0x100, 0x100, 0x100, 0x100);
+    this.zero = vec4(0, 0, 0, 0);
+
+    this.noiseSeed = 1;
+    this.usesNoise = false;
+
+    this.cycles = [new CombinerCycle(), new CombinerCycle()];
+    this.setMux(0, 0);
+  }
+
+  reset() {
+    for (let v of [this.combined, this.texel0, this.texel1, this.prim, this.shade, this.env,
+      this.keyCenter, this.keyScale, this.lodFrac, this.primLodFrac, this.k4, this.k5]) {
+      v.fill(0);
+    }
+    this.noiseSeed = 1;
+    this.setMux(0, 0);
+  }
+
+  setPrimLodFrac(v) { this.primLodFrac.fill(v); }
+  setK4(v) { this.k4.fill(v); }
+  setK5(v) { this.k5.fill(v); }
+
+  /**
+   * Decodes the combiner mode set by SetCombine.
+   * @param {number} mux0 The upper word of the command.
+   * @param {number} mux1 The lower word of the command.
+   */
+  setMux(mux0, mux1) {
+    const c0 = this.cycles[0];
+    c0.rgb[0] = this.subAInputRGB((mux0 >>> 20) & 0x0f);
+    c0.rgb[1] = this.subBInputRGB((mux1 >>> 28) & 0x0f);
+    c0.rgb[2] = this.mulInputRGB((mux0 >>> 15) & 0x1f);
+    c0.rgb[3] = this.addInputRGB((mux1 >>> 15) & 0x07);
+    c0.alpha[0] = this.addInputAlpha((mux0 >>> 12) & 0x07);
+    c0.alpha[1] = this.addInputAlpha((mux1 >>> 12) & 0x07);
+    c0.alpha[2] = this.mulInputAlpha((mux0 >>> 9) & 0x07);
+    c0.alpha[3] = this.addInputAlpha((mux1 >>> 9) & 0x07);
+
+    const c1 = this.cycles[1];
+    c1.rgb[0] = this.subAInputRGB((mux0 >>> 5) & 0x0f);
+    c1.rgb[1] = this.subBInputRGB((mux1 >>> 24) & 0x0f);
+    c1.rgb[2] = this.mulInputRGB((mux0 >>> 0) & 0x1f);
+    c1.rgb[3] = this.addInputRGB((mux1 >>> 6) & 0x07);
+    c1.alpha[0] = this.addInputAlpha((mux1 >>> 21) & 0x07);
+    c1.alpha[1] = this.addInputAlpha((mux1 >>> 3) & 0x07);
+    c1.alpha[2] = this.mulInputAlpha((mux1 >>> 18) & 0x07);
+    c1.alpha[3] = this.addInputAlpha((mux1 >>> 0) & 0x07);
+
+    this.usesNoise = c0.rgb[0].vec === this.noise || c1.rgb[0].vec === this.noise;
+  }
+
+  // Inputs common to all the RGB selectors.
+  commonInputRGB(sel) {
+    switch (sel) {
+      case 0: return new Input(this.combined, kRGB);
+      case 1: return new Input(this.texel0, kRGB);
+      case 2: return new Input(this.texel1, kRGB);
+      case 3: return new Input(this.prim, kRGB);
+      case 4: return new Input(this.shade, kRGB);
+      case 5: return new Input(this.env, kRGB);
+    }
+    return null;
+  }
+
+  subAInputRGB(sel) {
+    switch (sel) {
+      case 6: return new Input(this.one, kRGB);
+      case 7: return new Input(this.noise, kRGB);
+    }
+    return this.commonInputRGB(sel) || new Input(this.zero, kRGB);
+  }
+
+  subBInputRGB(sel) {
+    switch (sel) {
+      case 6: return new Input(this.keyCenter, kRGB);
+      case 7: return new Input(this.k4, kRGB);
+    }
+    return this.commonInputRGB(sel) || new Input(this.zero, kRGB);
+  }
+
+  mulInputRGB(sel) {
+    switch (sel) {
+      case 6: return new Input(this.keyScale, kRGB);
+      case 7: return new Input(this.combined, kAlpha);
+      case 8: return new Input(this.texel0, kAlpha);
+      case 9: return new Input(this.texel1, kAlpha);
+      case 10: return new Input(this.prim, kAlpha);
+      case 11: return new Input(this.shade, kAlpha);
+      case 12: return new Input(this.env, kAlpha);
+      case 13: return new Input(this.lodFrac, kRGB);
+      case 14: return new Input(this.primLodFrac, kRGB);
+      case 15: return new Input(this.k5, kRGB);
+    }
+    return this.commonInputRGB(sel) || new Input(this.zero, kRGB);
+  }
+
+  addInputRGB(sel) {
+    if (sel == 6) {
+      return new Input(this.one, kRGB);
+    }
+    return this.commonInputRGB(sel) || new Input(this.zero, kRGB);
+  }
+
+  // The alpha A, B and D selectors share the same inputs.
+  addInputAlpha(sel) {
+    switch (sel) {
+      case 0: return new Input(this.combined, kAlpha);
+      case 1: return new Input(this.texel0, kAlpha);
+      case 2: return new Input(this.texel1, kAlpha);
+      case 3: return new Input(this.prim, kAlpha);
+      case 4: return new Input(this.shade, kAlpha);
+      case 5: return new Input(this.env, kAlpha);
+      case 6: return new Input(this.one, kAlpha);
+    }
+    return new Input(this.zero, kAlpha);
+  }
+
+  mulInputAlpha(sel) {
+    switch (sel) {
+      case 0: return new Input(this.lodFrac, kAlpha);
+      case 6: return new Input(this.primLodFrac, kAlpha);
+    }
+    return this.addInputAlpha(sel);
+  }
+
+  /**
+   * Evaluates one combiner cycle, leaving the result in this.combined.
+   * @param {number} cycle The cycle to evaluate (0 or 1).
+   */
+  combine(cycle) {
+    if (this.usesNoise) {
+      this.updateNoise();
+    }
+
+    const c = this.cycles[cycle];
+    const rgb = c.rgb;
+    const alpha = c.alpha;
+    // Compute all the results before writing any, as 'combined' may be an input.
+    const r = evaluate(rgb[0], rgb[1], rgb[2], rgb[3], 0);
+    const g = evaluate(rgb[0], rgb[1], rgb[2], rgb[3], 1);
+    const b = evaluate(rgb[0], rgb[1], rgb[2], rgb[3], 2);
+    const a = evaluate(alpha[0], alpha[1], alpha[2], alpha[3], 0);
+
+    this.combined[0] = r;
+    this.combined[1] = g;
+    this.combined[2] = b;
+    this.combined[3] = a;
+  }
+
+  updateNoise() {
+    // xorshift32, so that output is deterministic from run to run.
+    let x = this.noiseSeed;
+    x ^= x << 13;
+    x ^= x >>> 17;
+    x ^= x << 5;
+    this.noiseSeed = x;
+    const n = x & 0xff;
+    this.noise[0] = n;
+    this.noise[1] = n;
+    this.noise[2] = n;
+    this.noise[3] = n;
+  }
+}
+
+function evaluate(a, b, c, d, i) {
+  const av = a.vec[a.channels[i]];
+  const bv = b.vec[b.channels[i]];
+  const cv = c.vec[c.channels[i]];
+  const dv = d.vec[d.channels[i]];
+  const v = (((av - bv) * cv + 0x80) >> 8) + dv;
+  return v < 0 ? 0 : (v > 0xff ? 0xff : v);
+}
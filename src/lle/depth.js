@@ -0,0 +1,76 @@
+// The RDP stores depth in 16 bits: a 14 bit floating point value (3 bit
+// exponent, 11 bit mantissa) followed by 2 bits of delta z.
+// Uncompressed depth values are 18 bits, in 15.3 fixed point format.
+
+export const kMaxZ = 0x3ffff;
+
+// For each exponent, the number of bits the mantissa is shifted by and the
+// offset to add.
+const kZFormat = [
+  [6, 0x00000],
+  [5, 0x20000],
+  [4, 0x30000],
+  [3, 0x38000],
+  [2, 0x3c000],
+  [1, 0x3e000],
+  [0, 0x3f000],
+  [0, 0x3f800],
+];
+
+/**
+ * Compresses an 18 bit depth value to the 14 bit stored format.
+ * @param {number} z
+ * @returns {number}
+ */
+export function compressZ(z) {
+  // The exponent is the number of leading ones, up to 7.
+  let exp = 0;
+  while (exp < 7 && (z & (0x20000 >> exp))) {
+    exp++;
+  }
+  const [shift, offset] = kZFormat[exp];
+  return (exp << 11) | (((z - offset) >> shift) & 0x7ff);
+}
+
+/**
+ * Decompresses a 14 bit stored depth value to 18 bits.
+ * @param {number} v
+ * @returns {number}
+ */
+export function decompressZ(v) {
+  const [shift, offset] = kZFormat[(v >> 11) & 7];
+  return ((v & 0x7ff) << shift) + offset;
+}
+
+/**
+ * Returns the precision of a decompressed depth value, i.e. the difference
+ * between it and the next representable value.
+ * @param {number} v A 14 bit stored depth value.
+ * @returns {number}
+ */
+export function zPrecision(v) {
+  return 1 << kZFormat[(v >> 11) & 7][0];
+}
+
+/**
+ * Compresses a 16 bit delta z value to 4 bits: the index of its highest set
+ * bit.
+ * @param {number} dz
+ * @returns {number}
+ */
+export function compressDz(dz) {
+  dz &= 0xffff;
+  return dz ? 31 - Math.clz32(dz) : 0;
+}
+
+/**
+ * Returns the 16 bit value stored in the depth image for a pixel. Only the
+ * upper 2 bits of the compressed delta z fit in the image; the rest are held
+ * in the hidden bits of RDRAM, which aren't emulated.
+ * @param {number} z Depth in 15.3 format.
+ * @param {number} dz Depth slope in 15.3 format.
+ * @returns {number}
+ */
+export function packZ(z, dz) {
+  return (compressZ(z) << 2) | (compressDz(dz) >>> 2);
+}
@@ -1,4 +1,10 @@
 import { makeEnum } from "../enum.js";
+import * as gbi from "../hle/gbi.js";
+import { Tile } from "../hle/tile.js";
+import { Blender } from "./blender.js";
+import { Combiner } from "./combiner.js";
+import { decompressZ, kMaxZ, packZ, zPrecision } from "./depth.js";
+import { convertYUV, expand5To8, TMEM } from "./tmem.js";
 
 export var Commands = makeEnum({
   Nop: 0,
@@ -161,6 +167,12 @@ export class Triangle {
     this.dstw_dx = new IVec4(UV_PRECISION_BITS + 5);
     this.dstw_de = new IVec4(UV_PRECISION_BITS + 5);
     this.dstw_dy = new IVec4(UV_PRECISION_BITS + 5);
+
+    // Depth coefficients (s15.16).
+    this.z = 0;
+    this.dzdx = 0;
+    this.dzde = 0;
+    this.dzdy = 0;
   }
 
   load(buf) {
@@ -182,6 +194,10 @@ export class Triangle {
       this.loadTexture(buf);
       buf.advance(64);
     }
+    if (this.zbuffer) {
+      this.loadZBuffer(buf);
+      buf.advance(16);
+    }
   }
 
   loadEdge(buf) {
@@ -220,6 +236,13 @@ export class Triangle {
     this.dstw_dy.loadHiLo(buf, 40);
   }
 
+  loadZBuffer(buf) {
+    this.z = buf.getU32(0) | 0;
+    this.dzdx = buf.getU32(4) | 0;
+    this.dzde = buf.getU32(8) | 0;
+    this.dzdy = buf.getU32(12) | 0;
+  }
+
   interpolateX(y) {
     let yhBase = this.yh & ~(Y_SUBPIXELS - 1);
     let ymBase = this.ym;
@@ -317,6 +340,14 @@ export class Triangle {
   dstw_dy ${this.dstw_dy.toString()}
 `;
     }
+
+    if (this.zbuffer) {
+      const zscale = 1 / (1 << 16);
+      t += `Depth:
+  z ${this.z * zscale}
+  dzdx ${this.dzdx * zscale}, dzde ${this.dzde * zscale}, dzdy ${this.dzdy * zscale}
+`;
+    }
     return t;
   }
 }
@@ -329,10 +360,109 @@ function signExtend28(x) {
   return (x << 4) >> 4;
 }
 
+/**
+ * The state set by SetColorImage and SetTextureImage.
+ */
+class ImageState {
+  constructor() {
+    this.format = 0;
+    this.size = 0;
+    this.width = 0;
+    this.address = 0;
+  }
+
+  set(format, size, width, address) {
+    this.format = format;
+    this.size = size;
+    this.width = width;
+    this.address = address;
+  }
+}
+
+// Per-primitive attributes which are interpolated across triangles.
+const kAttrR = 0;
+const kAttrG = 1;
+const kAttrB = 2;
+const kAttrA = 3;
+const kAttrS = 4;
+const kAttrT = 5;
+const kAttrW = 6;
+const kAttrZ = 7;
+const kNumAttrs = 8;
+
+// Limit for perspective-corrected texture coordinates (s10.5), to keep
+// subsequent integer math in range.
+const kMaxTexCoord = 0x1fffff;
+
+/**
+ * A software implementation of the RDP. Commands are executed as soon as
+ * they're received, rendering directly into the color and depth images in RDRAM.
+ */
 export class RDP {
   constructor(hardware) {
     this.hardware = hardware;
     this.commandTable = this.makeCommandTable();
+
+    this.tmem = new TMEM();
+    this.combiner = new Combiner();
+    this.blender = new Blender();
+    this.triangle = new Triangle();
+
+    this.tiles = [];
+    for (let i = 0; i < 8; i++) {
+      this.tiles.push(new Tile());
+    }
+
+    this.colorImage = new ImageState();
+    this.textureImage = new ImageState();
+    this.maskImageAddress = 0;
+
+    this.otherModeH = 0;
+    this.otherModeL = 0;
+    this.fillColor = 0;
+    this.primZ = 0;
+    this.primDz = 0;
+    this.minLevel = 0;
+    this.keyWidth = [0, 0, 0];
+    this.convert = [0, 0, 0, 0, 0, 0];
+    // K0-K3 from convert, sign extended.
+    this.convertK = [0, 0, 0, 0];
+
+    // In 10.2 format. When field is set only odd or even lines are drawn,
+    // as selected by keepOdd.
+    this.scissor = { xh: 0, yh: 0, xl: 0, yl: 0, field: false, keepOdd: false };
+
+    // The texture state for the primitive currently being drawn.
+    this.primTextured = false;
+    this.primTile = 0;
+
+    this.pixel = new Int32Array(4);
+    this.attrs = new Float64Array(kNumAttrs);
+    this.attrsDx = new Float64Array(kNumAttrs);
+    this.attrsDe = new Float64Array(kNumAttrs);
+    this.attrsBase = new Float64Array(kNumAttrs);
+  }
+
+  reset() {
+    this.tmem.reset();
+    this.combiner.reset();
+    this.blender.reset();
+    for (let i = 0; i < this.tiles.length; i++) {
+      this.tiles[i] = new Tile();
+    }
+    this.colorImage.set(0, 0, 0, 0);
+    this.textureImage.set(0, 0, 0, 0);
+    this.maskImageAddress = 0;
+    this.otherModeH = 0;
+    this.otherModeL = 0;
+    this.fillColor = 0;
+    this.primZ = 0;
+    this.primDz = 0;
+    this.minLevel = 0;
+    this.keyWidth.fill(0);
+    this.convert.fill(0);
+    this.convertK.fill(0);
+    this.scissor = { xh: 0, yh: 0, xl: 0, yl: 0, field: false, keepOdd: false };
   }
 
   makeCommandTable() {
@@ -350,8 +480,8 @@ export class RDP {
     tbl[Commands.ShadeZBufferTriangle] = this.executeTriangle.bind(this);
     tbl[Commands.ShadeTextureTriangle] = this.executeTriangle.bind(this);
     tbl[Commands.ShadeTextureZBufferTriangle] = this.executeTriangle.bind(this);
-    tbl[Commands.TextureRectangle] = this.executeUnhandled.bind(this);
-    tbl[Commands.TextureRectangleFlip] = this.executeUnhandled.bind(this);
+    tbl[Commands.TextureRectangle] = this.executeTextureRectangle.bind(this);
+    tbl[Commands.TextureRectangleFlip] = this.executeTextureRectangle.bind(this);
     tbl[Commands.SyncLoad] = this.executeSyncLoad.bind(this);
     tbl[Commands.SyncPipe] = this.executeSyncPipe.bind(this);
     tbl[Commands.SyncTile] = this.executeSyncTile.bind(this);
@@ -404,19 +534,41 @@ export class RDP {
   }
 
   executeTriangle(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    const tri = this.triangle;
+    tri.load(buf.clone());
+    this.drawTriangle(tri);
   }
 
+  executeTextureRectangle(cmdType, buf) {
+    const cmd0 = buf.getU32(0);
+    const cmd1 = buf.getU32(4);
+    const cmd2 = buf.getU32(8);
+    const cmd3 = buf.getU32(12);
+
+    const xl = (cmd0 >>> 12) & 0xfff;
+    const yl = (cmd0 >>> 0) & 0xfff;
+    const tile = (cmd1 >>> 24) & 7;
+    const xh = (cmd1 >>> 12) & 0xfff;
+    const yh = (cmd1 >>> 0) & 0xfff;
+
+    // s10.5
+    const s = cmd2 >> 16;
+    const t = (cmd2 << 16) >> 16;
+    // s5.10
+    const dsdx = cmd3 >> 16;
+    const dtdy = (cmd3 << 16) >> 16;
+
+    this.drawTextureRectangle(xh, yh, xl, yl, tile, s, t, dsdx, dtdy, cmdType == Commands.TextureRectangleFlip);
+  }
+
+  // Commands are executed immediately, so there's nothing to wait for.
   executeSyncLoad(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
   }
 
   executeSyncPipe(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
   }
 
   executeSyncTile(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
   }
 
   executeSyncFull(cmdType, buf) {
@@ -424,86 +576,604 @@ export class RDP {
   }
 
   executeSetKeyGB(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    const cmd0 = buf.getU32(0);
+    const cmd1 = buf.getU32(4);
+    this.keyWidth[1] = (cmd0 >>> 12) & 0xfff;
+    this.keyWidth[2] = (cmd0 >>> 0) & 0xfff;
+    this.combiner.keyCenter[1] = (cmd1 >>> 24) & 0xff;
+    this.combiner.keyScale[1] = (cmd1 >>> 16) & 0xff;
+    this.combiner.keyCenter[2] = (cmd1 >>> 8) & 0xff;
+    this.combiner.keyScale[2] = (cmd1 >>> 0) & 0xff;
   }
 
   executeSetKeyR(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    const cmd1 = buf.getU32(4);
+    this.keyWidth[0] = (cmd1 >>> 16) & 0xfff;
+    this.combiner.keyCenter[0] = (cmd1 >>> 8) & 0xff;
+    this.combiner.keyScale[0] = (cmd1 >>> 0) & 0xff;
   }
 
   executeSetConvert(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    const cmd0 = buf.getU32(0);
+    const cmd1 = buf.getU32(4);
+    const c = this.convert;
+    c[0] = (cmd0 >>> 13) & 0x1ff;
+    c[1] = (cmd0 >>> 4) & 0x1ff;
+    c[2] = ((cmd0 & 0xf) << 5) | (cmd1 >>> 27);
+    c[3] = (cmd1 >>> 18) & 0x1ff;
+    c[4] = (cmd1 >>> 9) & 0x1ff;
+    c[5] = (cmd1 >>> 0) & 0x1ff;
+    for (let i = 0; i < 4; i++) {
+      this.convertK[i] = (c[i] << 23) >> 23;
+    }
+    this.combiner.setK4(c[4]);
+    this.combiner.setK5(c[5]);
   }
 
   executeSetScissor(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    const cmd0 = buf.getU32(0);
+    const cmd1 = buf.getU32(4);
+    this.scissor.field = ((cmd1 >>> 25) & 1) != 0;
+    this.scissor.keepOdd = ((cmd1 >>> 24) & 1) != 0;
+    this.scissor.xh = (cmd0 >>> 12) & 0xfff;
+    this.scissor.yh = (cmd0 >>> 0) & 0xfff;
+    this.scissor.xl = (cmd1 >>> 12) & 0xfff;
+    this.scissor.yl = (cmd1 >>> 0) & 0xfff;
   }
 
   executeSetPrimDepth(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    const cmd1 = buf.getU32(4);
+    // Convert from 15 bit integer to 15.3 format.
+    this.primZ = ((cmd1 >>> 16) & 0x7fff) << 3;
+    this.primDz = (cmd1 >>> 0) & 0xffff;
   }
 
   executeSetOtherModes(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    this.otherModeH = buf.getU32(0) & 0xff_ffff;
+    this.otherModeL = buf.getU32(4);
+    this.blender.setOtherModeL(this.otherModeL);
   }
 
   executeLoadTLut(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    const [tile, sl, tl, sh, th] = this.decodeTileRect(buf);
+    this.tmem.loadTLUT(this.hardware.ram.u8, this.textureImage, tile, sl, tl, sh);
+    tile.setSize(sl, tl, sh, th);
   }
 
   executeSetTileSize(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    const [tile, sl, tl, sh, th] = this.decodeTileRect(buf);
+    tile.setSize(sl, tl, sh, th);
   }
 
   executeLoadBlock(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    // Unlike the other loads, sl, tl and sh are in texels and th is dxt.
+    const [tile, sl, tl, sh, dxt] = this.decodeTileRect(buf);
+    this.tmem.loadBlock(this.hardware.ram.u8, this.textureImage, tile, sl, tl, sh, dxt);
+    tile.setSize(sl, tl, sh, dxt);
   }
 
   executeLoadTile(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    const [tile, sl, tl, sh, th] = this.decodeTileRect(buf);
+    this.tmem.loadTile(this.hardware.ram.u8, this.textureImage, tile, sl, tl, sh, th);
+    tile.setSize(sl, tl, sh, th);
+  }
+
+  /**
+   * Decodes the tile and coordinates common to SetTileSize and the load commands.
+   * @param {!RDPBuffer} buf
+   * @returns {!Array<!Tile|number>} The tile, sl, tl, sh and th.
+   */
+  decodeTileRect(buf) {
+    const cmd0 = buf.getU32(0);
+    const cmd1 = buf.getU32(4);
+    return [
+      this.tiles[(cmd1 >>> 24) & 7],
+      (cmd0 >>> 12) & 0xfff,
+      (cmd0 >>> 0) & 0xfff,
+      (cmd1 >>> 12) & 0xfff,
+      (cmd1 >>> 0) & 0xfff,
+    ];
   }
 
   executeSetTile(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    const cmd0 = buf.getU32(0);
+    const cmd1 = buf.getU32(4);
+    const tile = this.tiles[(cmd1 >>> 24) & 7];
+    tile.set(
+      (cmd0 >>> 21) & 0x7,    // format
+      (cmd0 >>> 19) & 0x3,    // size
+      (cmd0 >>> 9) & 0x1ff,   // line
+      (cmd0 >>> 0) & 0x1ff,   // tmem
+      (cmd1 >>> 20) & 0xf,    // palette
+      (cmd1 >>> 8) & 0x3,     // cmS
+      (cmd1 >>> 4) & 0xf,     // maskS
+      (cmd1 >>> 0) & 0xf,     // shiftS
+      (cmd1 >>> 18) & 0x3,    // cmT
+      (cmd1 >>> 14) & 0xf,    // maskT
+      (cmd1 >>> 10) & 0xf);   // shiftT
   }
 
   executeFillRectangle(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    const cmd0 = buf.getU32(0);
+    const cmd1 = buf.getU32(4);
+    const xl = (cmd0 >>> 12) & 0xfff;
+    const yl = (cmd0 >>> 0) & 0xfff;
+    const xh = (cmd1 >>> 12) & 0xfff;
+    const yh = (cmd1 >>> 0) & 0xfff;
+    this.drawFillRectangle(xh, yh, xl, yl);
   }
 
   executeSetFillColor(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    this.fillColor = buf.getU32(4);
   }
 
   executeSetFogColor(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    setRGBA(this.blender.fogColor, buf.getU32(4));
   }
 
   executeSetBlendColor(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    setRGBA(this.blender.blendColor, buf.getU32(4));
   }
 
   executeSetPrimColor(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    const cmd0 = buf.getU32(0);
+    this.minLevel = (cmd0 >>> 8) & 0x1f;
+    this.combiner.setPrimLodFrac(cmd0 & 0xff);
+    setRGBA(this.combiner.prim, buf.getU32(4));
   }
 
   executeSetEnvColor(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    setRGBA(this.combiner.env, buf.getU32(4));
   }
 
   executeSetCombine(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    this.combiner.setMux(buf.getU32(0) & 0xff_ffff, buf.getU32(4));
   }
 
   executeSetTextureImage(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    this.setImage(this.textureImage, buf);
   }
 
   executeSetMaskImage(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    this.maskImageAddress = buf.getU32(4) & 0x3ff_ffff;
   }
 
   executeSetColorImage(cmdType, buf) {
-    this.executeUnhandled(cmdType, buf);
+    this.setImage(this.colorImage, buf);
+  }
+
+  setImage(image, buf) {
+    const cmd0 = buf.getU32(0);
+    const cmd1 = buf.getU32(4);
+    image.set(
+      (cmd0 >>> 21) & 0x7,
+      (cmd0 >>> 19) & 0x3,
+      ((cmd0 >>> 0) & 0x3ff) + 1,
+      cmd1 & 0x3ff_ffff);
+  }
+
+  get cycleType() {
+    return this.otherModeH & gbi.G_CYC_MASK;
+  }
+
+  /**
+   * Returns the range of pixels covered by a rectangle, clipped to the scissor
+   * and color image.
+   * Coordinates are in 10.2 format. In fill and copy modes the lower right
+   * edge is inclusive.
+   * @returns {!Array<number>} x0, y0, x1, y1 with x1 and y1 exclusive.
+   */
+  rectanglePixels(xh, yh, xl, yl) {
+    const inclusive = this.cycleType == gbi.CycleType.G_CYC_FILL ||
+      this.cycleType == gbi.CycleType.G_CYC_COPY;
+    let x0 = inclusive ? xh >>> 2 : (xh + 3) >>> 2;
+    let y0 = inclusive ? yh >>> 2 : (yh + 3) >>> 2;
+    let x1 = inclusive ? (xl >>> 2) + 1 : (xl + 3) >>> 2;
+    let y1 = inclusive ? (yl >>> 2) + 1 : (yl + 3) >>> 2;
+    return this.clipToScissor(x0, y0, x1, y1);
+  }
+
+  clipToScissor(x0, y0, x1, y1) {
+    const sc = this.scissor;
+    return [
+      Math.max(x0, sc.xh >>> 2),
+      Math.max(y0, sc.yh >>> 2),
+      Math.min(x1, sc.xl >>> 2, this.colorImage.width),
+      Math.min(y1, sc.yl >>> 2),
+    ];
+  }
+
+  /**
+   * Returns true if the line is discarded by the scissor's interlace setting.
+   * @param {number} y
+   * @returns {boolean}
+   */
+  skipLine(y) {
+    const sc = this.scissor;
+    return sc.field && ((y & 1) != 0) != sc.keepOdd;
+  }
+
+  drawFillRectangle(xh, yh, xl, yl) {
+    const [x0, y0, x1, y1] = this.rectanglePixels(xh, yh, xl, yl);
+    const width = this.colorImage.width;
+
+    if (this.cycleType == gbi.CycleType.G_CYC_FILL) {
+      for (let y = y0; y < y1; y++) {
+        if (this.skipLine(y)) {
+          continue;
+        }
+        for (let x = x0; x < x1; x++) {
+          this.writeFillPixel(y * width + x, x);
+        }
+      }
+      return;
+    }
+
+    // Rectangles have no shade or texture coordinates.
+    this.primTextured = false;
+    this.combiner.shade.fill(0);
+    for (let y = y0; y < y1; y++) {
+      if (this.skipLine(y)) {
+        continue;
+      }
+      for (let x = x0; x < x1; x++) {
+        this.drawPixel(x, y, 0, 0, 0, 0);
+      }
+    }
+  }
+
+  drawTextureRectangle(xh, yh, xl, yl, tileIdx, s, t, dsdx, dtdy, flip) {
+    const [x0, y0, x1, y1] = this.rectanglePixels(xh, yh, xl, yl);
+    const width = this.colorImage.width;
+    const copy = this.cycleType == gbi.CycleType.G_CYC_COPY;
+    if (copy) {
+      // Copy mode processes 4 pixels per clock, so dsdx is 4x larger than the actual step.
+      dsdx >>= 2;
+    }
+
+    this.primTextured = true;
+    this.primTile = tileIdx;
+    this.combiner.shade.fill(0);
+
+    const tile = this.tiles[tileIdx];
+    const tlutType = this.otherModeH & gbi.G_TT_MASK;
+    const alphaCompare = (this.otherModeL & gbi.G_AC_MASK) != gbi.AlphaCompare.G_AC_NONE;
+    const texel = this.pixel;
+
+    // Coordinates are stepped relative to the rectangle's origin, not the clipped origin.
+    const xOrigin = xh >>> 2;
+    const yOrigin = yh >>> 2;
+    for (let y = y0; y < y1; y++) {
+      if (this.skipLine(y)) {
+        continue;
+      }
+      for (let x = x0; x < x1; x++) {
+        const dx = x - xOrigin;
+        const dy = y - yOrigin;
+        // s5.10 * integer, to s10.5.
+        const ps = s + (((flip ? dy : dx) * dsdx) >> 5);
+        const pt = t + (((flip ? dx : dy) * dtdy) >> 5);
+
+        if (copy) {
+          this.tmem.sample(tile, ps, pt, false, tlutType, texel);
+          if (alphaCompare && texel[3] == 0) {
+            continue;
+          }
+          this.writeColor(y * width + x, texel[0], texel[1], texel[2], texel[3]);
+        } else {
+          this.drawPixel(x, y, ps, pt, 0, 0);
+        }
+      }
+    }
+  }
+
+  drawTriangle(tri) {
+    const cycleType = this.cycleType;
+    if (cycleType == gbi.CycleType.G_CYC_COPY) {
+      // Triangles aren't supported in copy mode.
+      return;
+    }
+
+    this.primTextured = tri.texture;
+    this.primTile = tri.tile;
+    const shade = this.combiner.shade;
+    if (!tri.shade) {
+      shade.fill(0);
+    }
+
+    const base = this.attrsBase;
+    const de = this.attrsDe;
+    const dx = this.attrsDx;
+    const attrs = this.attrs;
+    base.fill(0);
+    de.fill(0);
+    dx.fill(0);
+    // The low 5 bits of the x derivatives are ignored by the hardware.
+    for (let i = 0; i < 4; i++) {
+      if (tri.shade) {
+        base[kAttrR + i] = tri.rgba.elems[i];
+        de[kAttrR + i] = tri.drgba_de.elems[i];
+        dx[kAttrR + i] = tri.drgba_dx.elems[i] & ~0x1f;
+      }
+    }
+    if (tri.texture) {
+      for (let i = 0; i < 3; i++) {
+        base[kAttrS + i] = tri.stw.elems[i];
+        de[kAttrS + i] = tri.dstw_de.elems[i];
+        dx[kAttrS + i] = tri.dstw_dx.elems[i] & ~0x1f;
+      }
+    }
+    let dz = 0;
+    if (tri.zbuffer) {
+      base[kAttrZ] = tri.z;
+      de[kAttrZ] = tri.dzde;
+      dx[kAttrZ] = tri.dzdx;
+      // Convert from s15.16 to 15.3.
+      dz = (Math.abs(tri.dzdx) + Math.abs(tri.dzdy)) / (1 << 13) | 0;
+    }
+
+    const persp = (this.otherModeH & gbi.G_TP_MASK) == gbi.TexturePerspective.G_TP_PERSP;
+    const fill = cycleType == gbi.CycleType.G_CYC_FILL;
+    const width = this.colorImage.width;
+
+    // Edges and attributes are specified relative to the top of the first scanline.
+    const yTop = tri.yh & ~(Y_SUBPIXELS - 1);
+    const [clipX0, clipY0, clipX1, clipY1] = this.clipToScissor(0, (tri.yh + 3) >> 2, width, (tri.yl + 3) >> 2);
+
+    for (let y = clipY0; y < clipY1; y++) {
+      if (this.skipLine(y)) {
+        continue;
+      }
+      // Pixels are sampled at the top of each scanline.
+      const ys = y * Y_SUBPIXELS;
+      const dy = (ys - yTop) / Y_SUBPIXELS;
+      const xMajor = tri.xh + tri.dxhdy * dy;
+      const xMinor = (ys < tri.ym) ?
+        tri.xm + tri.dxmdy * dy :
+        tri.xl + tri.dxldy * ((ys - tri.ym) / Y_SUBPIXELS);
+
+      // rightMajor is set when the major edge is on the left.
+      const left = tri.rightMajor ? xMajor : xMinor;
+      const right = tri.rightMajor ? xMinor : xMajor;
+      const x0 = Math.max(clipX0, Math.ceil(left / X_SUBPIXELS));
+      const x1 = Math.min(clipX1, Math.ceil(right / X_SUBPIXELS));
+      if (x0 >= x1) {
+        continue;
+      }
+
+      const xOffset = x0 - (xMajor / X_SUBPIXELS);
+      for (let i = 0; i < kNumAttrs; i++) {
+        attrs[i] = base[i] + de[i] * dy + dx[i] * xOffset;
+      }
+
+      for (let x = x0; x < x1; x++) {
+        if (fill) {
+          this.writeFillPixel(y * width + x, x);
+          continue;
+        }
+
+        if (tri.shade) {
+          shade[0] = clampColor(attrs[kAttrR]);
+          shade[1] = clampColor(attrs[kAttrG]);
+          shade[2] = clampColor(attrs[kAttrB]);
+          shade[3] = clampColor(attrs[kAttrA]);
+        }
+
+        let s = 0;
+        let t = 0;
+        if (tri.texture) {
+          if (persp) {
+            const w = attrs[kAttrW];
+            s = w > 0 ? clampTexCoord(attrs[kAttrS] * 0x8000 / w) : kMaxTexCoord;
+            t = w > 0 ? clampTexCoord(attrs[kAttrT] * 0x8000 / w) : kMaxTexCoord;
+          } else {
+            s = clampTexCoord(attrs[kAttrS] / (1 << UV_PRECISION_BITS));
+            t = clampTexCoord(attrs[kAttrT] / (1 << UV_PRECISION_BITS));
+          }
+        }
+
+        let z = 0;
+        if (tri.zbuffer) {
+          // Convert from s15.16 to 15.3.
+          z = Math.floor(attrs[kAttrZ] / (1 << 13));
+          z = z < 0 ? 0 : (z > kMaxZ ? kMaxZ : z);
+        }
+
+        this.drawPixel(x, y, s, t, z, dz);
+
+        for (let i = 0; i < kNumAttrs; i++) {
+          attrs[i] += dx[i];
+        }
+      }
+    }
+  }
+
+  /**
+   * Samples a tile, converting YUV texels to RGB unless the texture filter is
+   * configured to pass them through unconverted.
+   */
+  sampleTile(tileIdx, s, t, filter, tlutType, out) {
+    const tile = this.tiles[tileIdx & 7];
+    this.tmem.sample(tile, s, t, filter, tlutType, out);
+    if (tile.format == gbi.ImageFormat.G_IM_FMT_YUV &&
+      (this.otherModeH & gbi.G_TC_MASK) != gbi.TextureConvert.G_TC_FILT) {
+      convertYUV(out, this.convertK);
+    }
+  }
+
+  /**
+   * Runs a pixel through the texture, combiner, blender and depth units and
+   * writes the result to the color image.
+   * The shade color must already have been set on the combiner.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} s Texture coordinate in s10.5 format.
+   * @param {number} t Texture coordinate in s10.5 format.
+   * @param {number} z Depth in 15.3 format.
+   * @param {number} dz Depth slope in 15.3 format, used for decals.
+   */
+  drawPixel(x, y, s, t, z, dz) {
+    const modeH = this.otherModeH;
+    const modeL = this.otherModeL;
+    const index = y * this.colorImage.width + x;
+    const twoCycle = this.cycleType == gbi.CycleType.G_CYC_2CYCLE;
+    const ram = this.hardware.ram;
+
+    if (modeL & gbi.DepthSource.G_ZS_PRIM) {
+      z = this.primZ;
+      dz = this.primDz;
+    }
+
+    const zAddress = (this.maskImageAddress + index * 2) & (ram.length - 2);
+    if ((modeL & gbi.RenderMode.Z_CMP) && !this.depthTest(z, dz, ram.getU16(zAddress) >>> 2)) {
+      return;
+    }
+
+    const combiner = this.combiner;
+    if (this.primTextured) {
+      const filter = (modeH & gbi.G_TF_MASK) != gbi.TextureFilter.G_TF_POINT;
+      const tlutType = modeH & gbi.G_TT_MASK;
+      this.sampleTile(this.primTile, s, t, filter, tlutType, combiner.texel0);
+      if (twoCycle) {
+        this.sampleTile(this.primTile + 1, s, t, filter, tlutType, combiner.texel1);
+      } else {
+        combiner.texel1.set(combiner.texel0);
+      }
+    }
+
+    // In one cycle mode the combiner uses the second cycle's settings.
+    if (twoCycle) {
+      combiner.combine(0);
+    }
+    combiner.combine(1);
+
+    const alpha = combiner.combined[3];
+    if ((modeL & gbi.G_AC_MASK) == gbi.AlphaCompare.G_AC_THRESHOLD && alpha < this.blender.blendColor[3]) {
+      return;
+    }
+
+    const blender = this.blender;
+    const pixel = this.pixel;
+    pixel.set(combiner.combined);
+    if ((modeL & gbi.RenderMode.IM_RD) || blender.usesMemory(0) || (twoCycle && blender.usesMemory(1))) {
+      this.readColor(index, blender.memColor);
+    }
+
+    // In one cycle mode the blender uses the first cycle's settings.
+    // The final cycle only blends if forced to, otherwise P is passed through.
+    const shadeAlpha = combiner.shade[3];
+    if (twoCycle) {
+      blender.blend(0, pixel, alpha, shadeAlpha, true);
+      blender.blend(1, pixel, alpha, shadeAlpha, blender.forceBlend);
+    } else {
+      blender.blend(0, pixel, alpha, shadeAlpha, blender.forceBlend);
+    }
+
+    // Full coverage is written to the alpha bits.
+    this.writeColor(index, pixel[0], pixel[1], pixel[2], 0xe0);
+
+    if (modeL & gbi.RenderMode.Z_UPD) {
+      ram.set16(zAddress, packZ(z, dz));
+    }
+  }
+
+  /**
+   * Returns whether a pixel passes the depth test.
+   * @param {number} z The pixel's depth, in 15.3 format.
+   * @param {number} dz The pixel's depth slope, in 15.3 format.
+   * @param {number} stored The compressed depth from the depth image.
+   * @returns {boolean}
+   */
+  depthTest(z, dz, stored) {
+    const oldZ = decompressZ(stored);
+    if ((this.otherModeL & gbi.RenderMode.ZMODE_DEC) == gbi.RenderMode.ZMODE_DEC) {
+      return Math.abs(z - oldZ) <= Math.max(dz, zPrecision(stored));
+    }
+    return z < oldZ;
+  }
+
+  pixelAddress(index) {
+    const ci = this.colorImage;
+    const ram = this.hardware.ram;
+    return (ci.address + ((index << ci.size) >>> 1)) & (ram.length - 1);
+  }
+
+  writeFillPixel(index, x) {
+    const ram = this.hardware.ram;
+    const address = this.pixelAddress(index);
+    switch (this.colorImage.size) {
+      case gbi.ImageSize.G_IM_SIZ_8b:
+        ram.u8[address] = this.fillColor >>> (24 - ((x & 3) * 8));
+        break;
+      case gbi.ImageSize.G_IM_SIZ_16b:
+        // The fill color holds two 16 bit pixels.
+        ram.set16(address & ~1, (x & 1) ? this.fillColor & 0xffff : this.fillColor >>> 16);
+        break;
+      case gbi.ImageSize.G_IM_SIZ_32b:
+        ram.set32(address & ~3, this.fillColor);
+        break;
+    }
+  }
+
+  writeColor(index, r, g, b, a) {
+    const ram = this.hardware.ram;
+    const address = this.pixelAddress(index);
+    switch (this.colorImage.size) {
+      case gbi.ImageSize.G_IM_SIZ_8b:
+        ram.u8[address] = r;
+        break;
+      case gbi.ImageSize.G_IM_SIZ_16b:
+        ram.set16(address & ~1, ((r >>> 3) << 11) | ((g >>> 3) << 6) | ((b >>> 3) << 1) | (a >>> 7));
+        break;
+      case gbi.ImageSize.G_IM_SIZ_32b:
+        ram.set32(address & ~3, ((r << 24) | (g << 16) | (b << 8) | a) >>> 0);
+        break;
+    }
+  }
+
+  readColor(index, out) {
+    const ram = this.hardware.ram;
+    const address = this.pixelAddress(index);
+    switch (this.colorImage.size) {
+      case gbi.ImageSize.G_IM_SIZ_8b: {
+        const v = ram.u8[address];
+        out[0] = out[1] = out[2] = out[3] = v;
+        break;
+      }
+      case gbi.ImageSize.G_IM_SIZ_16b: {
+        const v = ram.getU16(address & ~1);
+        out[0] = expand5To8((v >>> 11) & 0x1f);
+        out[1] = expand5To8((v >>> 6) & 0x1f);
+        out[2] = expand5To8((v >>> 1) & 0x1f);
+        out[3] = (v & 1) ? 0xff : 0;
+        break;
+      }
+      case gbi.ImageSize.G_IM_SIZ_32b: {
+        const v = ram.getU32(address & ~3);
+        out[0] = (v >>> 24) & 0xff;
+        out[1] = (v >>> 16) & 0xff;
+        out[2] = (v >>> 8) & 0xff;
+        out[3] = (v >>> 0) & 0xff;
+        break;
+      }
+    }
   }
 }
+
+function setRGBA(out, rgba) {
+  out[0] = (rgba >>> 24) & 0xff;
+  out[1] = (rgba >>> 16) & 0xff;
+  out[2] = (rgba >>> 8) & 0xff;
+  out[3] = (rgba >>> 0) & 0xff;
+}
+
+// Converts an interpolated s15.16 color component to 0-255.
+function clampColor(v) {
+  const c = Math.floor(v / (1 << RGBA_PRECISION_BITS));
+  return c < 0 ? 0 : (c > 0xff ? 0xff : c);
+}
+
+function clampTexCoord(v) {
+  const c = Math.floor(v);
+  return c < -kMaxTexCoord ? -kMaxTexCoord : (c > kMaxTexCoord ? kMaxTexCoord : c);
+}
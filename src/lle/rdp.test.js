@@ -1,5 +1,8 @@
 import { expect, test, describe, beforeEach } from "bun:test";
 import * as rdp from "./rdp.js";
+import { compressZ, decompressZ } from "./depth.js";
+import { MemoryRegion } from "../memory_region.js";
+import { convertYUV } from "./tmem.js";
 
 describe('Texture', () => {
   let triangle;
@@ -164,6 +167,231 @@ describe('Texture', () => {
   });
 });
 
+describe('RDP', () => {
+  const kColorImage = 0x10000;
+  const kDepthImage = 0x20000;
+  const kTextureImage = 0x30000;
+
+  const kCycle1 = 0 << 20;
+  const kCycleCopy = 2 << 20;
+  const kCycleFill = 3 << 20;
+
+  let ram;
+  let renderer;
+  beforeEach(function () {
+    ram = new MemoryRegion(new ArrayBuffer(1024 * 1024));
+    renderer = new rdp.RDP({ ram: ram });
+  });
+
+  function run(commands) {
+    const dv = makeCommandDataView(commands);
+    renderer.run(new rdp.RDPBuffer(dv, 0, dv.byteLength, 0xffff_ffff));
+  }
+
+  // Coordinates are in pixels, colors in RGBA8888.
+  const setColorImage = (size, width, address) => [0x3f000000 | (size << 19) | (width - 1), address];
+  const setMaskImage = (address) => [0x3e000000, address];
+  const setTextureImage = (size, width, address) => [0x3d000000 | (size << 19) | (width - 1), address];
+  const setScissor = (x0, y0, x1, y1) => [0x2d000000 | (x0 << 14) | (y0 << 2), (x1 << 14) | (y1 << 2)];
+  const setOtherModes = (h, l) => [0x2f000000 | h, l];
+  const setFillColor = (c) => [0x37000000, c];
+  const setPrimColor = (c) => [0x3a000000, c];
+  const setPrimDepth = (z) => [0x2e000000, z << 16];
+  const fillRectangle = (x0, y0, x1, y1) => [0x36000000 | (x1 << 14) | (y1 << 2), (x0 << 14) | (y0 << 2)];
+  const setTile = (size, line, tile) => [0x35000000 | (size << 19) | (line << 9), tile << 24];
+  const loadTile = (tile, x0, y0, x1, y1) => [0x34000000 | (x0 << 14) | (y0 << 2), (tile << 24) | (x1 << 14) | (y1 << 2)];
+  const textureRectangle = (tile, x0, y0, x1, y1, dsdx) => [
+    0x24000000 | (x1 << 14) | (y1 << 2), (tile << 24) | (x0 << 14) | (y0 << 2),
+    0, (dsdx << 16) | (1 << 10),
+  ];
+
+  // A combine mode which outputs D for both RGB and alpha, in both cycles.
+  function setCombineD(d) {
+    const aRGB = 15, bRGB = 15, cRGB = 31;
+    const aA = 7, bA = 7, cA = 7;
+    const mux0 = (aRGB << 20) | (cRGB << 15) | (aA << 12) | (cA << 9) | (aRGB << 5) | cRGB;
+    const mux1 = (bRGB << 28) | (bRGB << 24) | (aA << 21) | (cA << 18) | (d << 15) | (bA << 12) | (d << 9) | (d << 6) | (bA << 3) | d;
+    return [0x3c000000 | mux0, mux1 >>> 0];
+  }
+
+  const pixel16 = (x, y, width) => ram.getU16(kColorImage + (y * width + x) * 2);
+  const pixel32 = (x, y, width) => ram.getU32(kColorImage + (y * width + x) * 4);
+
+  test('fill rectangle includes the lower right edge in fill mode', () => {
+    run([
+      ...setColorImage(2, 8, kColorImage),
+      ...setScissor(0, 0, 8, 8),
+      ...setOtherModes(kCycleFill, 0),
+      ...setFillColor(0x12345678),
+      ...fillRectangle(1, 1, 3, 2),
+    ]);
+    expect(pixel16(0, 1, 8)).toEqual(0);
+    expect(pixel16(1, 1, 8)).toEqual(0x5678);
+    expect(pixel16(2, 1, 8)).toEqual(0x1234);
+    expect(pixel16(3, 2, 8)).toEqual(0x5678);
+    expect(pixel16(4, 2, 8)).toEqual(0);
+    expect(pixel16(1, 3, 8)).toEqual(0);
+  });
+
+  test('scissor clips rectangles', () => {
+    run([
+      ...setColorImage(3, 8, kColorImage),
+      ...setScissor(2, 2, 4, 4),
+      ...setOtherModes(kCycleFill, 0),
+      ...setFillColor(0xffffffff),
+      ...fillRectangle(0, 0, 7, 7),
+    ]);
+    expect(pixel32(1, 2, 8)).toEqual(0);
+    expect(pixel32(2, 2, 8)).toEqual(0xffffffff);
+    expect(pixel32(3, 3, 8)).toEqual(0xffffffff);
+    expect(pixel32(4, 3, 8)).toEqual(0);
+  });
+
+  test('interlaced scissor only draws the selected field', () => {
+    const [w0, w1] = setScissor(0, 0, 8, 8);
+    const kScissorField = 1 << 25;
+    const kScissorKeepOdd = 1 << 24;
+    run([
+      ...setColorImage(3, 8, kColorImage),
+      w0, w1 | kScissorField | kScissorKeepOdd,
+      ...setOtherModes(kCycleFill, 0),
+      ...setFillColor(0xffffffff),
+      ...fillRectangle(0, 0, 7, 7),
+    ]);
+    expect(pixel32(0, 0, 8)).toEqual(0);
+    expect(pixel32(0, 1, 8)).toEqual(0xffffffff);
+    expect(pixel32(7, 6, 8)).toEqual(0);
+    expect(pixel32(7, 7, 8)).toEqual(0xffffffff);
+  });
+
+  // A right-angled triangle with vertices (0,0), (8,8), (0,8) and the major edge on the left.
+  const triangleEdges = (cmdType) => [
+    (cmdType << 24) | 0x800000 | 32, (32 << 16) | 0,
+    8 << 16, 0,
+    0, 0,
+    0, 1 << 16,
+  ];
+
+  test('fill triangle walks edges', () => {
+    run([
+      ...setColorImage(3, 8, kColorImage),
+      ...setScissor(0, 0, 8, 8),
+      ...setOtherModes(kCycle1, 0),
+      ...setCombineD(3),
+      ...setPrimColor(0xff0000ff),
+      ...triangleEdges(0x08),
+    ]);
+    expect(pixel32(0, 0, 8)).toEqual(0);
+    expect(pixel32(0, 1, 8)).toEqual(0xff0000e0);
+    expect(pixel32(1, 1, 8)).toEqual(0);
+    expect(pixel32(1, 2, 8)).toEqual(0xff0000e0);
+    expect(pixel32(3, 2, 8)).toEqual(0);
+    expect(pixel32(6, 7, 8)).toEqual(0xff0000e0);
+    expect(pixel32(7, 7, 8)).toEqual(0);
+  });
+
+  test('shade triangle interpolates color', () => {
+    // Red starts at 0 on the major edge and increases by 32 per pixel.
+    // Green is 0x40 and alpha 0xff throughout.
+    run([
+      ...setColorImage(3, 8, kColorImage),
+      ...setScissor(0, 0, 8, 8),
+      ...setOtherModes(kCycle1, 0),
+      ...setCombineD(4),
+      ...triangleEdges(0x0c),
+      0x00000040, 0x000000ff, 32 << 16, 0,
+      0, 0, 0, 0,
+      0, 0, 0, 0,
+      0, 0, 0, 0,
+    ]);
+    expect(pixel32(0, 7, 8)).toEqual(0x004000e0);
+    expect(pixel32(3, 7, 8)).toEqual(0x604000e0);
+    expect(pixel32(6, 7, 8)).toEqual(0xc04000e0);
+  });
+
+  test('depth test and update', () => {
+    const kZSourcePrim = 0x4;
+    const kZCompareUpdate = 0x30;
+    run([
+      // Clear the depth image to the far plane.
+      ...setColorImage(2, 8, kDepthImage),
+      ...setScissor(0, 0, 8, 8),
+      ...setOtherModes(kCycleFill, 0),
+      ...setFillColor(0xfffcfffc),
+      ...fillRectangle(0, 0, 7, 7),
+
+      ...setColorImage(3, 8, kColorImage),
+      ...setMaskImage(kDepthImage),
+      ...setOtherModes(kCycle1, kZCompareUpdate | kZSourcePrim),
+      ...setCombineD(3),
+      ...setPrimColor(0xff0000ff),
+      ...setPrimDepth(0x100),
+      ...fillRectangle(0, 0, 4, 4),
+      // Further away, so rejected.
+      ...setPrimColor(0x00ff00ff),
+      ...setPrimDepth(0x200),
+      ...fillRectangle(0, 0, 4, 4),
+      // Closer.
+      ...setPrimColor(0x0000ffff),
+      ...setPrimDepth(0x80),
+      ...fillRectangle(0, 0, 2, 2),
+    ]);
+    expect(pixel32(1, 1, 8)).toEqual(0x0000ffe0);
+    expect(pixel32(3, 3, 8)).toEqual(0xff0000e0);
+    expect(pixel32(4, 4, 8)).toEqual(0);
+    expect(ram.getU16(kDepthImage + (1 * 8 + 1) * 2)).toEqual(compressZ(0x80 << 3) << 2);
+    expect(ram.getU16(kDepthImage + (3 * 8 + 3) * 2)).toEqual(compressZ(0x100 << 3) << 2);
+  });
+
+  test('copy mode texture rectangle', () => {
+    const texels = [
+      0x0001, 0x1111, 0x2221, 0x3331,
+      0x4441, 0x5551, 0x6661, 0x7771,
+    ];
+    texels.forEach((t, i) => ram.set16(kTextureImage + i * 2, t));
+
+    run([
+      ...setColorImage(2, 8, kColorImage),
+      ...setScissor(0, 0, 8, 8),
+      ...setOtherModes(kCycleCopy, 0),
+      ...setTextureImage(2, 4, kTextureImage),
+      ...setTile(2, 1, 0),
+      ...loadTile(0, 0, 0, 3, 1),
+      ...textureRectangle(0, 2, 2, 5, 3, 4 << 10),
+    ]);
+    expect(pixel16(1, 2, 8)).toEqual(0);
+    for (let y = 0; y < 2; y++) {
+      for (let x = 0; x < 4; x++) {
+        expect(pixel16(2 + x, 2 + y, 8)).toEqual(texels[y * 4 + x]);
+      }
+    }
+  });
+
+  test('YUV conversion', () => {
+    // The coefficients used by libultra for YUV to RGB conversion.
+    const k = [175, -43, -89, 222];
+    const texel = new Int32Array([0x80, 0x80, 0x60, 0x60]);
+    convertYUV(texel, k);
+    expect(Array.from(texel)).toEqual([0x60, 0x60, 0x60, 0x60]);
+
+    // Positive V increases red and reduces green.
+    texel.set([0x80, 0xc0, 0x60, 0x60]);
+    convertYUV(texel, k);
+    expect(texel[0]).toBeGreaterThan(0x60);
+    expect(texel[1]).toBeLessThan(0x60);
+    expect(texel[2]).toEqual(0x60);
+  });
+
+  test('depth compression', () => {
+    for (let z of [0, 0x40, 0x1ffc0, 0x20000, 0x30000, 0x3f800, 0x3ffff]) {
+      expect(decompressZ(compressZ(z))).toEqual(z);
+    }
+    expect(compressZ(0x3ffff)).toEqual(0x3fff);
+    // Precision is lost closer to the near plane.
+    expect(decompressZ(compressZ(0x1ffff))).toEqual(0x1ffc0);
+  });
+});
+
 function makeCommandDataView(commands) {
   const dv = new DataView(new ArrayBuffer(commands.length * 4));
   commands.forEach((value, index) => {
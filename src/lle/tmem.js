@@ -0,0 +1,343 @@
+import * as gbi from '../hle/gbi.js';
+
+// Palettes are loaded into the upper half of TMEM.
+const kTLUTOffset = 0x800;
+
+const kTMEMMask = 0xfff;
+
+/**
+ * Returns the number of bytes occupied by a number of texels.
+ * @param {number} texels
+ * @param {number} size An ImageSize value.
+ * @returns {number}
+ */
+export function texelsToBytes(texels, size) {
+  return (texels << size) >>> 1;
+}
+
+/**
+ * Texture memory for the LLE RDP.
+ *
+ * Texels are stored in the same byte order as RDRAM, with odd lines
+ * word-swapped (or double-word swapped for 32 bit textures), matching the HLE
+ * TMEM so the two can be compared directly.
+ */
+export class TMEM {
+  constructor() {
+    this.u8 = new Uint8Array(4096);
+  }
+
+  reset() {
+    this.u8.fill(0);
+  }
+
+  /**
+   * Loads a contiguous run of texels, as performed by LoadBlock.
+   * @param {!Uint8Array} ram
+   * @param {!Object} ti The texture image to load from.
+   * @param {!Tile} tile The tile being loaded.
+   * @param {number} sl The first texel to load.
+   * @param {number} tl The line to load from.
+   * @param {number} sh The last texel to load.
+   * @param {number} dxt Reciprocal of the number of 64 bit words in a line, in 1.11 format.
+   */
+  loadBlock(ram, ti, tile, sl, tl, sh, dxt) {
+    const ramMask = ram.length - 1;
+    const address = ti.address + tl * texelsToBytes(ti.width, ti.size) + texelsToBytes(sl, ti.size);
+    const qwords = (texelsToBytes(sh - sl + 1, ti.size) + 7) >>> 3;
+    const swapBit = (tile.size == gbi.ImageSize.G_IM_SIZ_32b) ? 8 : 4;
+    const tmemOffset = tile.tmem << 3;
+
+    for (let i = 0; i < qwords; i++) {
+      // dxt is accumulated for each word loaded and the line count is
+      // incremented whenever it overflows. Odd lines are swapped.
+      const swizzle = (((i * dxt) >>> 11) & 1) ? swapBit : 0;
+      const dst = tmemOffset + i * 8;
+      const src = address + i * 8;
+      for (let b = 0; b < 8; b++) {
+        this.u8[((dst + b) ^ swizzle) & kTMEMMask] = ram[(src + b) & ramMask];
+      }
+    }
+  }
+
+  /**
+   * Loads a rectangle of texels, as performed by LoadTile.
+   * @param {!Uint8Array} ram
+   * @param {!Object} ti The texture image to load from.
+   * @param {!Tile} tile The tile being loaded.
+   * @param {number} sl Upper-left S coordinate to load, in 10.2 format.
+   * @param {number} tl Upper-left T coordinate to load, in 10.2 format.
+   * @param {number} sh Lower-right S coordinate to load, in 10.2 format.
+   * @param {number} th Lower-right T coordinate to load, in 10.2 format.
+   */
+  loadTile(ram, ti, tile, sl, tl, sh, th) {
+    const ramMask = ram.length - 1;
+    const s0 = sl >>> 2;
+    const t0 = tl >>> 2;
+    const w = (sh >>> 2) - s0 + 1;
+    const h = (th >>> 2) - t0 + 1;
+
+    const ramStride = texelsToBytes(ti.width, ti.size);
+    const rowBytes = texelsToBytes(w, ti.size);
+    const is32 = tile.size == gbi.ImageSize.G_IM_SIZ_32b;
+    const tmemStride = is32 ? tile.line << 4 : tile.line << 3;
+    const swapBit = is32 ? 8 : 4;
+
+    let src = ti.address + t0 * ramStride + texelsToBytes(s0, ti.size);
+    let dst = tile.tmem << 3;
+    for (let y = 0; y < h; y++) {
+      const swizzle = (y & 1) ? swapBit : 0;
+      for (let x = 0; x < rowBytes; x++) {
+        this.u8[((dst + x) ^ swizzle) & kTMEMMask] = ram[(src + x) & ramMask];
+      }
+      src += ramStride;
+      dst += tmemStride;
+    }
+  }
+
+  /**
+   * Loads a palette, as performed by LoadTLut.
+   * Each entry is duplicated across the four TMEM banks.
+   * @param {!Uint8Array} ram
+   * @param {!Object} ti The texture image to load from.
+   * @param {!Tile} tile The tile being loaded.
+   * @param {number} sl The first entry to load, in 10.2 format.
+   * @param {number} tl The line to load from, in 10.2 format.
+   * @param {number} sh The last entry to load, in 10.2 format.
+   */
+  loadTLUT(ram, ti, tile, sl, tl, sh) {
+    const ramMask = ram.length - 1;
+    const s0 = sl >>> 2;
+    const count = (sh >>> 2) - s0 + 1;
+    // Palettes are always 16 bit, whatever the texture image says.
+    const size = gbi.ImageSize.G_IM_SIZ_16b;
+    const src = ti.address + (tl >>> 2) * texelsToBytes(ti.width, size) + texelsToBytes(s0, size);
+    const dst = tile.tmem << 3;
+
+    for (let i = 0; i < count; i++) {
+      const hi = ram[(src + i * 2 + 0) & ramMask];
+      const lo = ram[(src + i * 2 + 1) & ramMask];
+      for (let bank = 0; bank < 4; bank++) {
+        this.u8[(dst + i * 8 + bank * 2 + 0) & kTMEMMask] = hi;
+        this.u8[(dst + i * 8 + bank * 2 + 1) & kTMEMMask] = lo;
+      }
+    }
+  }
+
+  /**
+   * Samples a tile, applying the tile's shift, clamp, mirror and mask settings.
+   * @param {!Tile} tile
+   * @param {number} s S coordinate in s10.5 format.
+   * @param {number} t T coordinate in s10.5 format.
+   * @param {boolean} filter Whether to apply 3-point filtering.
+   * @param {number} tlutType A TextureLUT value.
+   * @param {!Int32Array} out Receives the RGBA result.
+   */
+  sample(tile, s, t, filter, tlutType, out) {
+    s = shiftCoord(s, tile.shiftS) - (tile.uls << 3);
+    t = shiftCoord(t, tile.shiftT) - (tile.ult << 3);
+
+    if (!filter) {
+      const si = wrapCoord(clampCoord(s, tile.cmS, tile.maskS, tile.lrs - tile.uls) >> 5, tile.cmS, tile.maskS);
+      const ti = wrapCoord(clampCoord(t, tile.cmT, tile.maskT, tile.lrt - tile.ult) >> 5, tile.cmT, tile.maskT);
+      this.fetchTexel(tile, si, ti, tlutType, out);
+      return;
+    }
+
+    s = clampCoord(s, tile.cmS, tile.maskS, tile.lrs - tile.uls);
+    t = clampCoord(t, tile.cmT, tile.maskT, tile.lrt - tile.ult);
+    const sf = s & 0x1f;
+    const tf = t & 0x1f;
+    const s0 = wrapCoord(s >> 5, tile.cmS, tile.maskS);
+    const s1 = wrapCoord((s >> 5) + 1, tile.cmS, tile.maskS);
+    const t0 = wrapCoord(t >> 5, tile.cmT, tile.maskT);
+    const t1 = wrapCoord((t >> 5) + 1, tile.cmT, tile.maskT);
+
+    // The RDP interpolates between three texels, picking the triangle of the
+    // 2x2 quad which contains the sample point.
+    const c10 = tempTexels[1];
+    const c01 = tempTexels[2];
+    this.fetchTexel(tile, s1, t0, tlutType, c10);
+    this.fetchTexel(tile, s0, t1, tlutType, c01);
+    if (sf + tf < 0x20) {
+      const c00 = tempTexels[0];
+      this.fetchTexel(tile, s0, t0, tlutType, c00);
+      for (let i = 0; i < 4; i++) {
+        out[i] = c00[i] + ((((c10[i] - c00[i]) * sf) + ((c01[i] - c00[i]) * tf) + 0x10) >> 5);
+      }
+    } else {
+      const c11 = tempTexels[3];
+      this.fetchTexel(tile, s1, t1, tlutType, c11);
+      const isf = 0x20 - sf;
+      const itf = 0x20 - tf;
+      for (let i = 0; i < 4; i++) {
+        out[i] = c11[i] + ((((c01[i] - c11[i]) * isf) + ((c10[i] - c11[i]) * itf) + 0x10) >> 5);
+      }
+    }
+  }
+
+  /**
+   * Fetches a single texel and converts it to RGBA.
+   * YUV texels are returned as U, V, Y, Y. Use convertYUV to convert them to
+   * RGB.
+   * @param {!Tile} tile
+   * @param {number} s Texel column, relative to the start of the tile.
+   * @param {number} t Texel row, relative to the start of the tile.
+   * @param {number} tlutType A TextureLUT value.
+   * @param {!Int32Array} out Receives the RGBA result.
+   */
+  fetchTexel(tile, s, t, tlutType, out) {
+    const tmem = this.u8;
+    const is32 = tile.size == gbi.ImageSize.G_IM_SIZ_32b;
+    const rowOffset = (tile.tmem << 3) + t * (is32 ? tile.line << 4 : tile.line << 3);
+    const swizzle = (t & 1) ? (is32 ? 8 : 4) : 0;
+
+    switch (tile.size) {
+      case gbi.ImageSize.G_IM_SIZ_4b: {
+        const b = tmem[((rowOffset + (s >>> 1)) ^ swizzle) & kTMEMMask];
+        const v = (s & 1) ? (b & 0xf) : (b >>> 4);
+        if (tlutType != gbi.TextureLUT.G_TT_NONE) {
+          this.lookupTLUT((tile.palette << 4) | v, tlutType, out);
+        } else if (tile.format == gbi.ImageFormat.G_IM_FMT_IA) {
+          const i = kThreeToEight[v >>> 1];
+          setRGBA(out, i, i, i, (v & 1) ? 0xff : 0);
+        } else {
+          const i = v * 0x11;
+          setRGBA(out, i, i, i, i);
+        }
+        return;
+      }
+      case gbi.ImageSize.G_IM_SIZ_8b: {
+        const v = tmem[((rowOffset + s) ^ swizzle) & kTMEMMask];
+        if (tlutType != gbi.TextureLUT.G_TT_NONE) {
+          this.lookupTLUT(v, tlutType, out);
+        } else if (tile.format == gbi.ImageFormat.G_IM_FMT_IA) {
+          const i = (v >>> 4) * 0x11;
+          setRGBA(out, i, i, i, (v & 0xf) * 0x11);
+        } else {
+          setRGBA(out, v, v, v, v);
+        }
+        return;
+      }
+      case gbi.ImageSize.G_IM_SIZ_16b: {
+        const offset = rowOffset + s * 2;
+        const v = (tmem[(offset ^ swizzle) & kTMEMMask] << 8) | tmem[((offset + 1) ^ swizzle) & kTMEMMask];
+        if (tile.format == gbi.ImageFormat.G_IM_FMT_IA) {
+          decodeIA16(v, out);
+        } else if (tile.format == gbi.ImageFormat.G_IM_FMT_YUV) {
+          // Pairs of texels are stored as UY0VY1, sharing U and V.
+          const pair = rowOffset + (s & ~1) * 2;
+          const u = tmem[((pair + 0) ^ swizzle) & kTMEMMask];
+          const y = v & 0xff;
+          const vv = tmem[((pair + 2) ^ swizzle) & kTMEMMask];
+          setRGBA(out, u, vv, y, y);
+        } else {
+          decodeRGBA16(v, out);
+        }
+        return;
+      }
+      case gbi.ImageSize.G_IM_SIZ_32b: {
+        const offset = rowOffset + s * 4;
+        out[0] = tmem[((offset + 0) ^ swizzle) & kTMEMMask];
+        out[1] = tmem[((offset + 1) ^ swizzle) & kTMEMMask];
+        out[2] = tmem[((offset + 2) ^ swizzle) & kTMEMMask];
+        out[3] = tmem[((offset + 3) ^ swizzle) & kTMEMMask];
+        return;
+      }
+    }
+  }
+
+  lookupTLUT(index, tlutType, out) {
+    // Entries are duplicated across four banks - always read from bank 0.
+    const offset = kTLUTOffset + ((index & 0xff) * 8);
+    const v = (this.u8[offset] << 8) | this.u8[offset + 1];
+    if (tlutType == gbi.TextureLUT.G_TT_IA16) {
+      decodeIA16(v, out);
+    } else {
+      decodeRGBA16(v, out);
+    }
+  }
+}
+
+const tempTexels = [new Int32Array(4), new Int32Array(4), new Int32Array(4), new Int32Array(4)];
+
+const kThreeToEight = [0x00, 0x24, 0x49, 0x6d, 0x92, 0xb6, 0xdb, 0xff];
+
+function setRGBA(out, r, g, b, a) {
+  out[0] = r;
+  out[1] = g;
+  out[2] = b;
+  out[3] = a;
+}
+
+/**
+ * Expands a 5 bit color component to 8 bits.
+ * @param {number} v
+ * @returns {number}
+ */
+export function expand5To8(v) {
+  return (v << 3) | (v >>> 2);
+}
+
+function decodeRGBA16(v, out) {
+  setRGBA(out,
+    expand5To8((v >>> 11) & 0x1f),
+    expand5To8((v >>> 6) & 0x1f),
+    expand5To8((v >>> 1) & 0x1f),
+    (v & 1) ? 0xff : 0);
+}
+
+function decodeIA16(v, out) {
+  const i = v >>> 8;
+  setRGBA(out, i, i, i, v & 0xff);
+}
+
+/**
+ * Converts a texel returned by fetchTexel for a YUV texture to RGB, as
+ * performed by the texture filter. Alpha is left as Y.
+ * @param {!Int32Array} texel
+ * @param {!Array<number>} k The signed K0-K3 coefficients from SetConvert.
+ */
+export function convertYUV(texel, k) {
+  const u = texel[0] - 0x80;
+  const v = texel[1] - 0x80;
+  const y = texel[2];
+  texel[0] = clamp8(y + ((k[0] * v + 0x80) >> 8));
+  texel[1] = clamp8(y + ((k[1] * u + k[2] * v + 0x80) >> 8));
+  texel[2] = clamp8(y + ((k[3] * u + 0x80) >> 8));
+}
+
+function clamp8(v) {
+  return v < 0 ? 0 : (v > 0xff ? 0xff : v);
+}
+
+function shiftCoord(v, shift) {
+  if (shift == 0) {
+    return v;
+  }
+  // Shifts 1-10 shift right, 11-15 shift left by (16 - shift).
+  return shift <= 10 ? v >> shift : v << (16 - shift);
+}
+
+// Clamp applies when explicitly requested or when no mask is set.
+// The limit is the tile size in 10.2 format. Returns the coord in s10.5 format.
+function clampCoord(v, cm, mask, limit) {
+  if (!(cm & gbi.G_TX_CLAMP) && mask) {
+    return v;
+  }
+  if (v < 0) {
+    return 0;
+  }
+  const max = limit << 3;
+  return v > max ? max : v;
+}
+
+function wrapCoord(v, cm, mask) {
+  if (!mask) {
+    return v;
+  }
+  if ((cm & gbi.G_TX_MIRROR) && ((v >> mask) & 1)) {
+    v = ~v;
+  }
+  return v & ((1 << mask) - 1);
+}
@@ -0,0 +1,451 @@
+/**
+ * Parsing and editing of the Controller Pak filesystem.
+ *
+ * A pak is 128 pages of 256 bytes:
+ *  - page 0: the ID sector, containing several copies of the ID block.
+ *  - page 1: the inode table, which links the pages of each note.
+ *  - page 2: a backup of the inode table.
+ *  - pages 3-4: the note table, with 16 entries of 32 bytes.
+ *  - pages 5-127: note data.
+ *
+ * See https://n64brew.dev/wiki/Controller_Pak/Filesystem_Format
+ */
+
+export const kPageSize = 256;
+export const kNumPages = 128;
+export const kPakSize = kPageSize * kNumPages;
+
+export const kNumNotes = 16;
+export const kNoteEntrySize = 32;
+
+// The first page that can be used for note data.
+const kFirstDataPage = 5;
+
+const kInodeTablePage = 1;
+const kInodeBackupPage = 2;
+const kNoteTableOffset = 3 * kPageSize;
+
+// Inode values with special meanings.
+const kInodeEndOfChain = 0x0001;
+const kInodeFree = 0x0003;
+
+// Offsets of the copies of the ID block in the ID sector.
+const kIdBlockOffsets = [0x20, 0x60, 0x80, 0xc0];
+const kIdBlockSize = 0x20;
+
+// Offsets within a note table entry.
+const kNoteGameCode = 0x00;
+const kNotePublisherCode = 0x04;
+const kNoteStartInode = 0x06;
+const kNoteStatus = 0x08;
+const kNoteExtension = 0x0c;
+const kNoteName = 0x10;
+const kNoteNameLength = 16;
+
+const kNoteStatusOccupied = 0x02;
+
+// The Controller Pak uses its own character set for note names.
+// Codes above this range are Japanese characters, which we don't map.
+const kN64Charset = '\0\0\0\0\0\0\0\0\0\0\0\0\0\0\0 0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ!"#\'*+,-./:=?@';
+
+/**
+ * Decodes text in the Controller Pak character set.
+ * @param {!Uint8Array} u8
+ * @returns {string}
+ */
+export function decodeN64Text(u8) {
+  let str = '';
+  for (let c of u8) {
+    if (c == 0) {
+      break;
+    }
+    str += (c < kN64Charset.length) ? kN64Charset[c] : '?';
+  }
+  return str;
+}
+
+/**
+ * Encodes text in the Controller Pak character set.
+ * Unmappable characters are replaced with spaces.
+ * @param {string} str
+ * @param {number} length The length of the output, which is zero padded.
+ * @returns {!Uint8Array}
+ */
+export function encodeN64Text(str, length) {
+  const u8 = new Uint8Array(length);
+  const upper = str.toUpperCase();
+  for (let i = 0; i < upper.length && i < length; i++) {
+    const c = kN64Charset.indexOf(upper[i], 1);
+    u8[i] = c > 0 ? c : kN64Charset.indexOf(' ');
+  }
+  return u8;
+}
+
+function asciiString(u8) {
+  let str = '';
+  for (let c of u8) {
+    str += (c >= 0x20 && c < 0x7f) ? String.fromCharCode(c) : '.';
+  }
+  return str;
+}
+
+/**
+ * A note (i.e. a game save) stored on a Controller Pak.
+ */
+export class Note {
+  constructor(index, entry, pages) {
+    this.index = index;
+    this.entry = entry;
+    this.pages = pages;
+  }
+
+  get gameCode() { return asciiString(this.entry.subarray(kNoteGameCode, kNoteGameCode + 4)); }
+  get publisherCode() { return asciiString(this.entry.subarray(kNotePublisherCode, kNotePublisherCode + 2)); }
+  get name() { return decodeN64Text(this.entry.subarray(kNoteName, kNoteName + kNoteNameLength)); }
+  get extension() { return decodeN64Text(this.entry.subarray(kNoteExtension, kNoteExtension + 4)); }
+
+  /**
+   * The name including the extension, if present.
+   * @returns {string}
+   */
+  get fullName() {
+    const ext = this.extension;
+    return ext ? `${this.name}.${ext}` : this.name;
+  }
+}
+
+/**
+ * Provides access to the filesystem of a Controller Pak.
+ * Edits are made in place on the provided data.
+ */
+export class ControllerPak {
+  /**
+   * @param {!Uint8Array} data The 32KB contents of the pak.
+   */
+  constructor(data) {
+    if (data.length != kPakSize) {
+      throw `Controller Pak data must be ${kPakSize} bytes, got ${data.length}`;
+    }
+    this.data = data;
+    this.dataView = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  }
+
+  //
+  // ID sector.
+  //
+  computeIdBlockChecksum(offset) {
+    let sum = 0;
+    for (let i = 0; i < kIdBlockSize - 4; i += 2) {
+      sum += this.dataView.getUint16(offset + i);
+    }
+    return sum & 0xffff;
+  }
+
+  isIdBlockValid(offset) {
+    const sum = this.computeIdBlockChecksum(offset);
+    return this.dataView.getUint16(offset + 0x1c) == sum &&
+      this.dataView.getUint16(offset + 0x1e) == ((0xfff2 - sum) & 0xffff);
+  }
+
+  writeIdBlockChecksum(offset) {
+    const sum = this.computeIdBlockChecksum(offset);
+    this.dataView.setUint16(offset + 0x1c, sum);
+    this.dataView.setUint16(offset + 0x1e, (0xfff2 - sum) & 0xffff);
+  }
+
+  //
+  // Inode table.
+  //
+  getInode(page, table = kInodeTablePage) {
+    return this.dataView.getUint16(table * kPageSize + page * 2);
+  }
+
+  setInode(page, value) {
+    this.dataView.setUint16(kInodeTablePage * kPageSize + page * 2, value);
+  }
+
+  computeInodeChecksum(table) {
+    let sum = 0;
+    for (let i = kFirstDataPage * 2; i < kPageSize; i++) {
+      sum += this.data[table * kPageSize + i];
+    }
+    return sum & 0xff;
+  }
+
+  isInodeTableValid(table) {
+    if (this.data[table * kPageSize + 1] != this.computeInodeChecksum(table)) {
+      return false;
+    }
+    for (let page = kFirstDataPage; page < kNumPages; page++) {
+      const inode = this.getInode(page, table);
+      if (inode != kInodeEndOfChain && inode != kInodeFree &&
+        (inode < kFirstDataPage || inode >= kNumPages)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Updates the inode table checksum and copies it to the backup.
+   */
+  commitInodeTable() {
+    this.data[kInodeTablePage * kPageSize + 1] = this.computeInodeChecksum(kInodeTablePage);
+    this.data.copyWithin(kInodeBackupPage * kPageSize, kInodeTablePage * kPageSize, (kInodeTablePage + 1) * kPageSize);
+  }
+
+  /**
+   * Returns the number of pages which aren't used by any note.
+   * @returns {number}
+   */
+  freePages() {
+    let count = 0;
+    for (let page = kFirstDataPage; page < kNumPages; page++) {
+      if (this.getInode(page) == kInodeFree) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Follows the chain of inodes starting at the specified page.
+   * @param {number} start
+   * @returns {?Array<number>} The pages in the chain, or null if it's corrupt.
+   */
+  followChain(start) {
+    const pages = [];
+    let page = start;
+    while (pages.length < kNumPages) {
+      if (page < kFirstDataPage || page >= kNumPages) {
+        return null;
+      }
+      pages.push(page);
+      const next = this.getInode(page);
+      if (next == kInodeEndOfChain) {
+        return pages;
+      }
+      if (next == kInodeFree) {
+        return null;
+      }
+      page = next & 0xff;
+    }
+    return null;
+  }
+
+  //
+  // Note table.
+  //
+  noteEntry(index) {
+    const offset = kNoteTableOffset + index * kNoteEntrySize;
+    return this.data.subarray(offset, offset + kNoteEntrySize);
+  }
+
+  /**
+   * Returns the note at the specified index, or null if the entry is unused
+   * or corrupt.
+   * @param {number} index
+   * @returns {?Note}
+   */
+  getNote(index) {
+    const entry = this.noteEntry(index);
+    const dv = new DataView(entry.buffer, entry.byteOffset, entry.byteLength);
+    const gameCode = dv.getUint32(kNoteGameCode);
+    const publisherCode = dv.getUint16(kNotePublisherCode);
+    const start = dv.getUint16(kNoteStartInode);
+    if (gameCode == 0 || publisherCode == 0) {
+      return null;
+    }
+    const pages = this.followChain(start);
+    if (!pages) {
+      return null;
+    }
+    return new Note(index, entry, pages);
+  }
+
+  /**
+   * Returns all the notes on the pak.
+   * @returns {!Array<!Note>}
+   */
+  listNotes() {
+    const notes = [];
+    for (let i = 0; i < kNumNotes; i++) {
+      const note = this.getNote(i);
+      if (note) {
+        notes.push(note);
+      }
+    }
+    return notes;
+  }
+
+  /**
+   * Returns whether the ID sector and inode table are valid.
+   * @returns {boolean}
+   */
+  isValid() {
+    return this.isIdBlockValid(kIdBlockOffsets[0]) && this.isInodeTableValid(kInodeTablePage);
+  }
+
+  //
+  // Editing.
+  //
+  /**
+   * Erases the pak and writes an empty filesystem.
+   */
+  format() {
+    this.data.fill(0);
+
+    // Write the label and ID blocks.
+    for (let offset of kIdBlockOffsets) {
+      this.dataView.setUint16(offset + 0x18, 0x0001);  // Device id.
+      this.data[offset + 0x1a] = 0x01;                 // Number of banks.
+      this.writeIdBlockChecksum(offset);
+    }
+
+    for (let page = kFirstDataPage; page < kNumPages; page++) {
+      this.setInode(page, kInodeFree);
+    }
+    this.commitInodeTable();
+  }
+
+  /**
+   * Repairs checksums in the ID sector and inode table.
+   * A corrupt inode table is restored from the backup if the backup is valid.
+   * @returns {!Array<string>} A description of each repair that was made.
+   */
+  repair() {
+    const repairs = [];
+
+    const validIdBlock = kIdBlockOffsets.find(offset => this.isIdBlockValid(offset));
+    for (let offset of kIdBlockOffsets) {
+      if (this.isIdBlockValid(offset)) {
+        continue;
+      }
+      if (validIdBlock !== undefined) {
+        this.data.copyWithin(offset, validIdBlock, validIdBlock + kIdBlockSize);
+      } else {
+        this.writeIdBlockChecksum(offset);
+      }
+      repairs.push(`Repaired ID block at ${offset}`);
+    }
+
+    if (!this.isInodeTableValid(kInodeTablePage)) {
+      if (this.isInodeTableValid(kInodeBackupPage)) {
+        this.data.copyWithin(kInodeTablePage * kPageSize, kInodeBackupPage * kPageSize, (kInodeBackupPage + 1) * kPageSize);
+        repairs.push('Restored inode table from backup');
+      } else {
+        this.data[kInodeTablePage * kPageSize + 1] = this.computeInodeChecksum(kInodeTablePage);
+        repairs.push('Repaired inode table checksum');
+      }
+    }
+
+    // Always bring the backup in sync with the primary table.
+    const backupOffset = kInodeBackupPage * kPageSize;
+    const tableOffset = kInodeTablePage * kPageSize;
+    for (let i = 0; i < kPageSize; i++) {
+      if (this.data[backupOffset + i] != this.data[tableOffset + i]) {
+        repairs.push('Updated inode table backup');
+        break;
+      }
+    }
+    this.commitInodeTable();
+    return repairs;
+  }
+
+  /**
+   * Removes a note and frees its pages.
+   * @param {number} index
+   */
+  deleteNote(index) {
+    const note = this.getNote(index);
+    if (!note) {
+      throw `Note ${index} is not in use`;
+    }
+    for (let page of note.pages) {
+      this.setInode(page, kInodeFree);
+    }
+    this.commitInodeTable();
+    this.noteEntry(index).fill(0);
+  }
+
+  /**
+   * Renames a note.
+   * @param {number} index
+   * @param {string} name
+   * @param {string} extension
+   */
+  renameNote(index, name, extension) {
+    const note = this.getNote(index);
+    if (!note) {
+      throw `Note ${index} is not in use`;
+    }
+    note.entry.set(encodeN64Text(extension, 4), kNoteExtension);
+    note.entry.set(encodeN64Text(name, kNoteNameLength), kNoteName);
+  }
+
+  /**
+   * Exports a note as a .note file: the 32 byte note table entry followed by
+   * the contents of each of its pages.
+   * @param {number} index
+   * @returns {!Uint8Array}
+   */
+  exportNote(index) {
+    const note = this.getNote(index);
+    if (!note) {
+      throw `Note ${index} is not in use`;
+    }
+    const result = new Uint8Array(kNoteEntrySize + note.pages.length * kPageSize);
+    result.set(note.entry, 0);
+    for (let [i, page] of note.pages.entries()) {
+      result.set(this.data.subarray(page * kPageSize, (page + 1) * kPageSize), kNoteEntrySize + i * kPageSize);
+    }
+    return result;
+  }
+
+  /**
+   * Imports a note created by exportNote.
+   * @param {!Uint8Array} noteData
+   * @returns {!Note} The imported note.
+   */
+  importNote(noteData) {
+    const numPages = (noteData.length - kNoteEntrySize) / kPageSize;
+    if (noteData.length <= kNoteEntrySize || !Number.isInteger(numPages)) {
+      throw `Note file has an invalid length (${noteData.length} bytes)`;
+    }
+
+    let index = -1;
+    for (let i = 0; i < kNumNotes; i++) {
+      if (!this.getNote(i)) {
+        index = i;
+        break;
+      }
+    }
+    if (index < 0) {
+      throw `No free note slots`;
+    }
+
+    const pages = [];
+    for (let page = kFirstDataPage; page < kNumPages && pages.length < numPages; page++) {
+      if (this.getInode(page) == kInodeFree) {
+        pages.push(page);
+      }
+    }
+    if (pages.length < numPages) {
+      throw `Not enough free pages (need ${numPages}, have ${pages.length})`;
+    }
+
+    for (let [i, page] of pages.entries()) {
+      const src = kNoteEntrySize + i * kPageSize;
+      this.data.set(noteData.subarray(src, src + kPageSize), page * kPageSize);
+      this.setInode(page, (i + 1 < pages.length) ? pages[i + 1] : kInodeEndOfChain);
+    }
+    this.commitInodeTable();
+
+    const entry = this.noteEntry(index);
+    entry.set(noteData.subarray(0, kNoteEntrySize));
+    const dv = new DataView(entry.buffer, entry.byteOffset, entry.byteLength);
+    dv.setUint16(kNoteStartInode, pages[0]);
+    entry[kNoteStatus] |= kNoteStatusOccupied;
+    return this.getNote(index);
+  }
+}
@@ -0,0 +1,66 @@
+import { ControllerPak, decodeN64Text, encodeN64Text, kPakSize, kPageSize } from "./mempak.js";
+
+const assert = require('chai').assert;
+
+function makeNote(gameCode, publisherCode, name, numPages) {
+  const data = new Uint8Array(32 + numPages * kPageSize);
+  for (let i = 0; i < 4; i++) {
+    data[i] = gameCode.charCodeAt(i);
+  }
+  data[4] = publisherCode.charCodeAt(0);
+  data[5] = publisherCode.charCodeAt(1);
+  data.set(encodeN64Text(name, 16), 0x10);
+  for (let i = 32; i < data.length; i++) {
+    data[i] = i & 0xff;
+  }
+  return data;
+}
+
+describe('ControllerPak', () => {
+  let pak;
+  beforeEach(() => {
+    pak = new ControllerPak(new Uint8Array(kPakSize));
+    pak.format();
+  });
+
+  it('should format an empty pak', () => {
+    assert.isTrue(pak.isValid());
+    assert.equal(pak.freePages(), 123);
+    assert.equal(pak.listNotes().length, 0);
+    // Well known checksum of an empty inode table.
+    assert.equal(pak.data[kPageSize + 1], 0x71);
+  });
+
+  it('should round trip text', () => {
+    assert.equal(decodeN64Text(encodeN64Text('Mario 64!', 16)), 'MARIO 64!');
+  });
+
+  it('should import, export and delete notes', () => {
+    const noteData = makeNote('NSME', '01', 'SUPER MARIO 64', 2);
+    const note = pak.importNote(noteData);
+    assert.equal(note.gameCode, 'NSME');
+    assert.equal(note.publisherCode, '01');
+    assert.equal(note.name, 'SUPER MARIO 64');
+    assert.equal(note.pages.length, 2);
+    assert.equal(pak.freePages(), 121);
+    assert.isTrue(pak.isValid());
+
+    const exported = pak.exportNote(note.index);
+    assert.deepEqual(exported.subarray(32), noteData.subarray(32));
+
+    pak.deleteNote(note.index);
+    assert.equal(pak.listNotes().length, 0);
+    assert.equal(pak.freePages(), 123);
+  });
+
+  it('should repair a corrupt inode table from the backup', () => {
+    pak.importNote(makeNote('NSME', '01', 'SAVE', 1));
+    pak.data[kPageSize + 20] ^= 0xff;
+    assert.isFalse(pak.isValid());
+
+    const repairs = pak.repair();
+    assert.include(repairs, 'Restored inode table from backup');
+    assert.isTrue(pak.isValid());
+    assert.equal(pak.listNotes().length, 1);
+  });
+});
@@ -13,9 +13,11 @@ import { debugDisplayList, debugDisplayListRequested, debugDisplayListRunning, p
 import * as json from './json.js';
 import * as logger from './logger.js';
 import { initCPU } from './r4300.js';
-import { romdb, generateRomId, generateCICType, uint8ArrayReadString } from './romdb.js';
+import { defaultControllers, parseRomHeader, updateRomInfo } from './rominfo.js';
+import { kDeterministicTime } from './rtc.js';
 import { initRSP } from './rsp.js';
-import { categoryCodeDescriptionFromU8, countryNorthAmerica, OS_TV_NTSC, tvTypeFromCountry } from './system_constants.js';
+import { saveState, loadState } from './savestate.js';
+import { countryNorthAmerica, OS_TV_NTSC } from './system_constants.js';
 import { UI } from './ui/ui.js';
 import { initSync, syncActive, syncTick } from './sync.js';
 import { dbgGUI } from './dbg_ui.js';
@@ -41,7 +43,10 @@ const rominfo = {
   cic: '6101',
   country: countryNorthAmerica,
   tvType: OS_TV_NTSC,
-  save: 'Eeprom4k'
+  save: 'Eeprom4k',
+  rtc: true,
+  regionFree: false,
+  controllers: defaultControllers(),
 };
 
 const hardware = new Hardware(rominfo);
@@ -68,24 +73,7 @@ function loadRom(arrayBuffer) {
 
   const rom = hardware.createROM(arrayBuffer);
 
-  const hdr = {
-    header: rom.getU32(0),
-    clock: rom.getU32(4),
-    bootAddress: rom.getU32(8),
-    release: rom.getU32(12),  // libultra version
-    crclo: rom.getU32(16),   // or hi?
-    crchi: rom.getU32(20),   // or lo?
-    unk0: rom.getU32(24),
-    unk1: rom.getU32(28),
-    name: uint8ArrayReadString(rom.u8, 32, 20),
-    unk2: rom.getU32(52),
-    unk3: rom.getU16(56),
-    unk4: rom.getU8(58),
-    categoryCode: categoryCodeDescriptionFromU8(rom.getU8(59)),
-    cartId: rom.getU16(60),     // unique id for the cart
-    countryId: rom.getU8(62),  // char
-    romVersion: rom.getU8(63),  // or homebrew savetype - see https://n64brew.dev/wiki/ROM_Header
-  };
+  const hdr = parseRomHeader(rom);
   console.log(hdr);
 
   const $table = $('<table class="register-table"><tbody></tbody></table>');
@@ -96,24 +84,7 @@ function loadRom(arrayBuffer) {
   }
   logger.logHTML($table);
 
-  // Set up rominfo
-  rominfo.cic = generateCICType(rom.u8);
-  rominfo.id = generateRomId(hdr.crclo, hdr.crchi);
-  rominfo.country = hdr.countryId;
-  rominfo.tvType = tvTypeFromCountry(hdr.countryId);
-
-  const info = romdb[rominfo.id];
-  if (info) {
-    logger.log(`Loaded info for ${rominfo.id} from db`);
-    rominfo.name = info.name;
-    rominfo.save = info.save;
-  } else {
-    logger.log(`No info for ${rominfo.id} in db`);
-    rominfo.name = hdr.name;
-    rominfo.save = 'Eeprom4k';
-  }
-
-  logger.log(`rominfo is ${json.serialize(rominfo)}`);
+  updateRomInfo(rominfo, rom, hdr);
 
   $('#title').text(`n64js - ${rominfo.name}`);
 }
@@ -155,6 +126,27 @@ function recordTimeline() {
   hardware.timeline.startRecording();
 }
 
+n64js.saveState = () => {
+  if (!hardware.rom) {
+    ui.displayWarning('No rom loaded - nothing to save.');
+    return;
+  }
+  const arrayBuffer = saveState(hardware);
+  ui.downloadFile(`${rominfo.id}.n64state`, arrayBuffer);
+  logger.log(`Saved state (${arrayBuffer.byteLength} bytes)`);
+};
+
+n64js.loadState = (arrayBuffer) => {
+  try {
+    loadState(hardware, arrayBuffer);
+  } catch (e) {
+    ui.displayError(`Unable to load save state: ${e}`);
+    return;
+  }
+  logger.log('Loaded state');
+  dbg.redraw();
+};
+
 n64js.toggleRun = () => {
   setRunning(!running);
   if (running) {
@@ -275,8 +267,11 @@ n64js.reset = () => {
   breakpoints.reset();
 
   initSync();
+  // Use a fixed RTC time when syncing so both sides see the same clock.
+  hardware.rtc.setFixedTime(syncActive() ? kDeterministicTime : null);
 
   hardware.reset();
+  joybus.reset();
 
   initCPU(hardware);
   initRSP(hardware);
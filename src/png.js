@@ -0,0 +1,175 @@
+/**
+ * A minimal PNG encoder and decoder, used to write out and compare images when
+ * running without a DOM.
+ * This relies on node:zlib so it is only usable from Node/bun, not the browser.
+ */
+
+import { deflateSync, inflateSync } from 'node:zlib';
+
+import { crc32 } from './crc32.js';
+
+const kSignature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const kColorTypeRGB = 2;
+const kColorTypeRGBA = 6;
+
+/**
+ * Builds a PNG chunk (length, type, data and CRC).
+ * @param {string} type The 4 character chunk type.
+ * @param {!Uint8Array} data
+ * @returns {!Uint8Array}
+ */
+function makeChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const dv = new DataView(chunk.buffer);
+  dv.setUint32(0, data.length, false);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  dv.setUint32(8 + data.length, crc32(chunk, 4, 8 + data.length), false);
+  return chunk;
+}
+
+/**
+ * Encodes an 8 bit per channel RGBA image as a PNG.
+ * @param {number} width
+ * @param {number} height
+ * @param {!Uint8Array} rgba Pixel data, top row first.
+ * @returns {!Uint8Array}
+ */
+export function encodePNG(width, height, rgba) {
+  if (rgba.length != width * height * 4) {
+    throw `Expected ${width * height * 4} bytes of pixel data, got ${rgba.length}`;
+  }
+
+  const ihdr = new Uint8Array(13);
+  const ihdrDV = new DataView(ihdr.buffer);
+  ihdrDV.setUint32(0, width, false);
+  ihdrDV.setUint32(4, height, false);
+  ihdr[8] = 8; // Bit depth.
+  ihdr[9] = kColorTypeRGBA;
+  ihdr[10] = 0; // Compression method.
+  ihdr[11] = 0; // Filter method.
+  ihdr[12] = 0; // Interlace method.
+
+  // Each row is prefixed with a filter type byte (0 = none).
+  const stride = width * 4;
+  const raw = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  const chunks = [
+    new Uint8Array(kSignature),
+    makeChunk('IHDR', ihdr),
+    makeChunk('IDAT', new Uint8Array(deflateSync(raw))),
+    makeChunk('IEND', new Uint8Array(0)),
+  ];
+
+  const length = chunks.reduce((total, c) => total + c.length, 0);
+  const png = new Uint8Array(length);
+  let offset = 0;
+  for (let c of chunks) {
+    png.set(c, offset);
+    offset += c.length;
+  }
+  return png;
+}
+
+/**
+ * Decodes an 8 bit per channel RGB or RGBA PNG, as written by encodePNG.
+ * @param {!Uint8Array} png
+ * @returns {{width: number, height: number, rgba: !Uint8Array}} The image,
+ *     with pixel data top row first.
+ */
+export function decodePNG(png) {
+  for (let i = 0; i < kSignature.length; i++) {
+    if (png[i] != kSignature[i]) {
+      throw `Not a PNG`;
+    }
+  }
+
+  const dv = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  let width = 0;
+  let height = 0;
+  let colorType = 0;
+  const idat = [];
+  for (let offset = kSignature.length; offset + 8 <= png.length;) {
+    const length = dv.getUint32(offset, false);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    if (type == 'IHDR') {
+      width = dv.getUint32(offset + 8, false);
+      height = dv.getUint32(offset + 12, false);
+      colorType = data[9];
+      if (data[8] != 8 || (colorType != kColorTypeRGB && colorType != kColorTypeRGBA) || data[12] != 0) {
+        throw `Unsupported PNG: bit depth ${data[8]}, color type ${colorType}, interlace ${data[12]}`;
+      }
+    } else if (type == 'IDAT') {
+      idat.push(data);
+    } else if (type == 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  const compressed = new Uint8Array(idat.reduce((total, c) => total + c.length, 0));
+  let idatOffset = 0;
+  for (let c of idat) {
+    compressed.set(c, idatOffset);
+    idatOffset += c.length;
+  }
+  const raw = new Uint8Array(inflateSync(compressed));
+
+  const bpp = colorType == kColorTypeRGBA ? 4 : 3;
+  const stride = width * bpp;
+  if (raw.length < (stride + 1) * height) {
+    throw `PNG data is truncated`;
+  }
+
+  // Undo the per-row filters in place.
+  const unfiltered = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = unfiltered.subarray(y * stride, (y + 1) * stride);
+    const prev = y > 0 ? unfiltered.subarray((y - 1) * stride, y * stride) : null;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? row[x - bpp] : 0;
+      const b = prev ? prev[x] : 0;
+      const c = (prev && x >= bpp) ? prev[x - bpp] : 0;
+      switch (filter) {
+        case 0: row[x] = src[x]; break;
+        case 1: row[x] = src[x] + a; break;
+        case 2: row[x] = src[x] + b; break;
+        case 3: row[x] = src[x] + ((a + b) >>> 1); break;
+        case 4: row[x] = src[x] + paethPredictor(a, b, c); break;
+        default: throw `Unknown PNG filter type ${filter}`;
+      }
+    }
+  }
+
+  if (bpp == 4) {
+    return { width: width, height: height, rgba: unfiltered };
+  }
+  const rgba = new Uint8Array(width * height * 4);
+  for (let i = 0, j = 0; i < unfiltered.length; i += 3, j += 4) {
+    rgba[j + 0] = unfiltered[i + 0];
+    rgba[j + 1] = unfiltered[i + 1];
+    rgba[j + 2] = unfiltered[i + 2];
+    rgba[j + 3] = 0xff;
+  }
+  return { width: width, height: height, rgba: rgba };
+}
+
+function paethPredictor(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) {
+    return a;
+  }
+  return (pb <= pc) ? b : c;
+}
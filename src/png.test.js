@@ -0,0 +1,85 @@
+import { crc32 } from "./crc32.js";
+import { decodePNG, encodePNG } from "./png.js";
+import { deflateSync, inflateSync } from "node:zlib";
+
+const assert = require('chai').assert;
+
+describe('png', () => {
+  describe('crc32', () => {
+    it('matches the standard check value', () => {
+      const u8 = new TextEncoder().encode('123456789');
+      assert.equal(crc32(u8), 0xcbf43926);
+    });
+  });
+
+  describe('encodePNG', () => {
+    const rgba = new Uint8Array([
+      0xff, 0x00, 0x00, 0xff, 0x00, 0xff, 0x00, 0xff,
+      0x00, 0x00, 0xff, 0xff, 0x10, 0x20, 0x30, 0x40,
+    ]);
+
+    it('writes the signature and header', () => {
+      const png = encodePNG(2, 2, rgba);
+      const dv = new DataView(png.buffer);
+      assert.deepEqual(Array.from(png.subarray(0, 8)), [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+      assert.equal(dv.getUint32(8), 13);
+      assert.equal(new TextDecoder().decode(png.subarray(12, 16)), 'IHDR');
+      assert.equal(dv.getUint32(16), 2);
+      assert.equal(dv.getUint32(20), 2);
+      assert.equal(dv.getUint32(29), crc32(png, 12, 29));
+    });
+
+    it('stores unfiltered rows', () => {
+      const png = encodePNG(2, 2, rgba);
+      const dv = new DataView(png.buffer);
+      const idatLength = dv.getUint32(33);
+      assert.equal(new TextDecoder().decode(png.subarray(37, 41)), 'IDAT');
+      const raw = inflateSync(png.subarray(41, 41 + idatLength));
+      assert.deepEqual(Array.from(raw), [0, ...rgba.subarray(0, 8), 0, ...rgba.subarray(8, 16)]);
+    });
+
+    it('rejects mismatched pixel data', () => {
+      assert.throws(() => encodePNG(3, 2, rgba));
+    });
+  });
+
+  describe('decodePNG', () => {
+    const rgba = new Uint8Array([
+      0xff, 0x00, 0x00, 0xff, 0x00, 0xff, 0x00, 0xff,
+      0x00, 0x00, 0xff, 0xff, 0x10, 0x20, 0x30, 0x40,
+    ]);
+
+    it('round trips encoded images', () => {
+      const image = decodePNG(encodePNG(2, 2, rgba));
+      assert.equal(image.width, 2);
+      assert.equal(image.height, 2);
+      assert.deepEqual(Array.from(image.rgba), Array.from(rgba));
+    });
+
+    it('undoes row filters', () => {
+      // Re-encode the IDAT with the sub filter on the first row and the up
+      // filter on the second.
+      const png = encodePNG(2, 2, rgba);
+      const dv = new DataView(png.buffer);
+      const idatLength = dv.getUint32(33);
+      const raw = new Uint8Array([
+        1, 0xff, 0x00, 0x00, 0xff, 0x01, 0xff, 0x00, 0x00,
+        2, 0x01, 0x00, 0xff, 0x00, 0x10, 0x21, 0x30, 0x41,
+      ]);
+      const idat = new Uint8Array(deflateSync(raw));
+      const patched = new Uint8Array(png.length - idatLength + idat.length);
+      patched.set(png.subarray(0, 33));
+      new DataView(patched.buffer).setUint32(33, idat.length);
+      patched.set(png.subarray(37, 41), 37);
+      patched.set(idat, 41);
+      patched.set(png.subarray(41 + idatLength), 41 + idat.length);
+
+      const image = decodePNG(patched);
+      assert.deepEqual(Array.from(image.rgba), Array.from(rgba));
+    });
+
+    it('rejects other files', () => {
+      assert.throws(() => decodePNG(new Uint8Array(16)));
+    });
+  });
+});
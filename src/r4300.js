@@ -1052,6 +1052,79 @@ export class CPU0 {
     });
   }
 
+  /**
+   * Returns the events that should be captured in a save state.
+   * kEventRunForCycles is excluded as it only exists while run() is executing.
+   * @returns {!Array<{type: string, cycles: number}>}
+   */
+  getPersistentEvents() {
+    return this.eventQueue.getEvents().filter(event => event.type != kEventRunForCycles);
+  }
+
+  restoreEvent(type, cycles) {
+    if (type != kEventCompare) {
+      return false;
+    }
+    this.addCompareEvent(cycles);
+    return true;
+  }
+
+  saveState(w) {
+    w.writeArray(this.gprU64);
+    w.writeArray(this.controlRegU64);
+    w.writeF64(this.controlCountValue);
+    w.writeU64(this.lastControlRegWrite);
+    w.writeF64(this.opsExecuted);
+
+    w.writeU32(this.pc);
+    w.writeU32(this.delayPC);
+    w.writeU32(this.nextPC);
+    w.writeU32(this.branchTarget);
+    w.writeU32(this.llBit);
+
+    w.writeArray(this.multHiU64);
+    w.writeArray(this.multLoU64);
+
+    for (let tlb of this.tlbEntries) {
+      w.writeU32(tlb.pagemask);
+      w.writeU64(tlb.hi);
+      w.writeU32(tlb.pfne);
+      w.writeU32(tlb.pfno);
+    }
+  }
+
+  loadState(r) {
+    // Any compiled code may no longer match the restored memory.
+    resetFragments();
+
+    r.readArrayInto(this.gprU64);
+    r.readArrayInto(this.controlRegU64);
+    this.controlCountValue = r.readF64();
+    this.lastControlRegWrite = r.readU64();
+    this.opsExecuted = r.readF64();
+
+    this.pc = r.readU32();
+    this.delayPC = r.readU32();
+    this.nextPC = r.readU32();
+    this.branchTarget = r.readU32();
+    this.llBit = r.readU32();
+
+    r.readArrayInto(this.multHiU64);
+    r.readArrayInto(this.multLoU64);
+
+    for (let [i, tlb] of this.tlbEntries.entries()) {
+      const pagemask = r.readU32();
+      const hi = r.readU64();
+      const pfne = r.readU32();
+      const pfno = r.readU32();
+      tlb.update(i, pagemask, hi, pfne, pfno);
+    }
+
+    this.stuffToDo = 0;
+    this.cop1ControlChanged();
+    this.updateStuffToDoForInterrupts();
+  }
+
   getRandom() {
     // If wired >=32 values in the range [0,64) are returned, else [wired, 32)
     const wired = this.getControlU32(cpu0reg.controlWired);
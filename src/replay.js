@@ -0,0 +1,83 @@
+// Replays a display list capture without the rom, e.g. to check whether a
+// renderer change fixes a graphics bug.
+//
+// Usage: bun src/replay.js <capture.n64dl> --png out.png [--ucode NAME]
+//
+// The capture is replayed through the HLE renderer with the detected microcode
+// (or the one named by --ucode) and the presented image is written out as a
+// PNG. Rendering is done in a headless browser; see headless_gl.js.
+
+import './headless_env.js';
+
+import fs from 'node:fs';
+
+import { launchHeadlessRenderer } from './headless_gl.js';
+import { encodePNG } from './png.js';
+import { DisplayListCapture } from './hle/dlist_capture.js';
+import { microcodeNames } from './hle/microcodes.js';
+
+const kUsage = 'Usage: replay.js <capture.n64dl> --png out.png [--ucode NAME]';
+
+function parseArgs(argv) {
+  const args = {
+    capture: null,
+    png: null,
+    ucode: -1,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--png': args.png = argv[++i]; break;
+      case '--ucode': args.ucode = parseUcodeArg(argv[++i]); break;
+      default:
+        if (arg.startsWith('--') || args.capture) {
+          throw `Unexpected argument: ${arg}`;
+        }
+        args.capture = arg;
+        break;
+    }
+  }
+  if (!args.capture || !args.png) {
+    throw kUsage;
+  }
+  return args;
+}
+
+function parseUcodeArg(arg) {
+  if (!(arg in microcodeNames)) {
+    throw `Unknown microcode: ${arg} (expected one of ${Object.keys(microcodeNames).join(', ')})`;
+  }
+  return microcodeNames[arg];
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+
+  const data = fs.readFileSync(args.capture);
+  const capture = DisplayListCapture.deserialize(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+  console.log(`Replaying ${capture.tasks.length} display lists from ${capture.romName} (${capture.romId})`);
+
+  const renderer = await launchHeadlessRenderer(640, 480);
+  let image;
+  try {
+    image = await renderer.render(data, { ucode: args.ucode });
+  } finally {
+    await renderer.close();
+  }
+  if (!image) {
+    console.log(`Nothing was rendered to the presented address - not writing ${args.png}`);
+    return 1;
+  }
+  fs.writeFileSync(args.png, encodePNG(image.width, image.height, image.rgba));
+  console.log(`Wrote ${image.width}x${image.height} image to ${args.png}`);
+  return 0;
+}
+
+if (import.meta.main) {
+  try {
+    process.exitCode = await main(process.argv.slice(2));
+  } catch (e) {
+    console.error(e);
+    process.exitCode = 2;
+  }
+}
@@ -1,5 +1,5 @@
-import * as logger from './logger.js';
-import { toString32, toHex } from './format.js';
+import { toHex } from './format.js';
+import { identifyCIC } from './cic_types.js';
 
 function byteswap(a) {
   return ((a >> 24) & 0x000000ff) |
@@ -12,24 +12,13 @@ export function generateRomId(crclo, crchi) {
   return toHex(byteswap(crclo), 32) + toHex(byteswap(crchi), 32);
 }
 
+/**
+ * Identifies the CIC used by the rom.
+ * @param {!Uint8Array} u8array The rom, in big-endian byte order.
+ * @returns {string}
+ */
 export function generateCICType(u8array) {
-  let cic = 0;
-  for (let i = 0; i < 0xFC0; i++) {
-    cic = cic + u8array[0x40 + i];
-  }
-
-  switch (cic) {
-    case 0x33a27: return '6101';
-    case 0x3421e: return '6101';
-    case 0x34044: return '6102';
-    case 0x357d0: return '6103';
-    case 0x47a81: return '6105';
-    case 0x371cc: return '6106';
-    case 0x343c9: return '6106';
-    default:
-      logger.log('Unknown CIC Code ' + toString32(cic));
-      return '6102';
-  }
+  return identifyCIC(u8array);
 }
 
 export function uint8ArrayReadString(u8array, offset, maxLen) {
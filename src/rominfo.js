@@ -0,0 +1,161 @@
+import * as json from './json.js';
+import * as logger from './logger.js';
+import { romdb, generateRomId, generateCICType, uint8ArrayReadString } from './romdb.js';
+import { categoryCodeDescriptionFromU8, tvTypeFromCountry } from './system_constants.js';
+
+// Magic value in the cartridge id field which indicates an Advanced Homebrew
+// ROM Header. See https://n64brew.dev/wiki/ROM_Header#Advanced_Homebrew_ROM_Header.
+const kHomebrewCartId = 0x4544; // 'ED'
+
+// Save types, indexed by the top nibble of the homebrew header's last byte.
+const homebrewSaveTypes = [
+  '',           // None
+  'Eeprom4k',
+  'Eeprom16k',
+  'SRAM',       // 256 kbit
+  'SRAM768k',   // 3 banks of 256 kbit
+  'FlashRam',
+  'SRAM1024k',  // 4 banks of 256 kbit
+];
+
+const kHomebrewFlagRTC = 0x01;
+const kHomebrewFlagRegionFree = 0x02;
+
+// Values of the per-port controller bytes.
+const kHomebrewControllerStandard = 0x00;
+const kHomebrewControllerRumblePak = 0x01;
+const kHomebrewControllerControllerPak = 0x02;
+const kHomebrewControllerTransferPak = 0x03;
+const kHomebrewControllerNone = 0xff;
+
+/**
+ * Returns the default controller configuration: a single controller with a
+ * Controller Pak in port 1.
+ * @returns {!Array<{present: boolean, accessory: string}>}
+ */
+export function defaultControllers() {
+  return [
+    { present: true, accessory: 'ControllerPak' },
+    { present: false, accessory: 'None' },
+    { present: false, accessory: 'None' },
+    { present: false, accessory: 'None' },
+  ];
+}
+
+function homebrewController(value) {
+  switch (value) {
+    case kHomebrewControllerStandard:
+      return { present: true, accessory: 'None' };
+    case kHomebrewControllerRumblePak:
+      return { present: true, accessory: 'RumblePak' };
+    case kHomebrewControllerControllerPak:
+      return { present: true, accessory: 'ControllerPak' };
+    case kHomebrewControllerTransferPak:
+      logger.log('Transfer Pak is not supported - attaching a standard controller');
+      return { present: true, accessory: 'None' };
+    case kHomebrewControllerNone:
+      return { present: false, accessory: 'None' };
+  }
+  // Mice, VRUs, keyboards etc aren't supported - fall back to a standard controller.
+  logger.log(`Unsupported homebrew controller type ${value} - attaching a standard controller`);
+  return { present: true, accessory: 'None' };
+}
+
+/**
+ * Parses the Advanced Homebrew ROM Header, if present.
+ * @param {MemoryRegion} rom The rom, in big-endian byte order.
+ * @returns {?Object} The homebrew settings, or null if the rom doesn't use the header.
+ */
+export function parseHomebrewHeader(rom) {
+  if (rom.getU16(60) !== kHomebrewCartId) {
+    return null;
+  }
+
+  const config = rom.getU8(63);
+  const saveIdx = config >>> 4;
+  let save = homebrewSaveTypes[saveIdx];
+  if (save === undefined) {
+    logger.log(`Unknown homebrew save type ${saveIdx}`);
+    save = '';
+  }
+
+  const controllers = [];
+  for (let i = 0; i < 4; i++) {
+    controllers.push(homebrewController(rom.getU8(52 + i)));
+  }
+
+  return {
+    save: save,
+    rtc: (config & kHomebrewFlagRTC) !== 0,
+    regionFree: (config & kHomebrewFlagRegionFree) !== 0,
+    controllers: controllers,
+  };
+}
+
+/**
+ * Parses the header of a rom.
+ * @param {MemoryRegion} rom The rom, in big-endian byte order.
+ * @returns {!Object}
+ */
+export function parseRomHeader(rom) {
+  return {
+    header: rom.getU32(0),
+    clock: rom.getU32(4),
+    bootAddress: rom.getU32(8),
+    release: rom.getU32(12),  // libultra version
+    crclo: rom.getU32(16),   // or hi?
+    crchi: rom.getU32(20),   // or lo?
+    unk0: rom.getU32(24),
+    unk1: rom.getU32(28),
+    name: uint8ArrayReadString(rom.u8, 32, 20),
+    unk2: rom.getU32(52),  // or homebrew controller types
+    unk3: rom.getU16(56),
+    unk4: rom.getU8(58),
+    categoryCode: categoryCodeDescriptionFromU8(rom.getU8(59)),
+    cartId: rom.getU16(60),     // unique id for the cart
+    countryId: rom.getU8(62),  // char
+    romVersion: rom.getU8(63),  // or homebrew savetype - see https://n64brew.dev/wiki/ROM_Header
+  };
+}
+
+/**
+ * Populates rominfo from the rom header and the rom database.
+ * @param {!Object} rominfo The rominfo object to update.
+ * @param {MemoryRegion} rom The rom, in big-endian byte order.
+ * @param {!Object} hdr The header returned by parseRomHeader.
+ */
+export function updateRomInfo(rominfo, rom, hdr) {
+  rominfo.cic = generateCICType(rom.u8);
+  rominfo.id = generateRomId(hdr.crclo, hdr.crchi);
+  rominfo.country = hdr.countryId;
+  rominfo.tvType = tvTypeFromCountry(hdr.countryId);
+  rominfo.rtc = true;
+  rominfo.regionFree = false;
+  rominfo.controllers = defaultControllers();
+
+  const homebrew = parseHomebrewHeader(rom);
+  const info = romdb[rominfo.id];
+  if (info) {
+    logger.log(`Loaded info for ${rominfo.id} from db`);
+    rominfo.name = info.name;
+    rominfo.save = info.save;
+    if (info.cic) {
+      // Some CICs (e.g. the iQue types) can't be identified from the IPL3.
+      rominfo.cic = info.cic;
+    }
+  } else if (homebrew) {
+    logger.log(`Using homebrew header for ${rominfo.id}`);
+    rominfo.name = hdr.name;
+    rominfo.save = homebrew.save;
+    rominfo.rtc = homebrew.rtc;
+    // n64js doesn't emulate region lockout, so this is informational.
+    rominfo.regionFree = homebrew.regionFree;
+    rominfo.controllers = homebrew.controllers;
+  } else {
+    logger.log(`No info for ${rominfo.id} in db`);
+    rominfo.name = hdr.name;
+    rominfo.save = 'Eeprom4k';
+  }
+
+  logger.log(`rominfo is ${json.serialize(rominfo)}`);
+}
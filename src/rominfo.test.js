@@ -0,0 +1,38 @@
+import { MemoryRegion } from "./memory_region.js";
+import { parseHomebrewHeader } from "./rominfo.js";
+
+const assert = require('chai').assert;
+
+function makeRom(cartId, controllers, config) {
+  const rom = new MemoryRegion(new ArrayBuffer(0x1000));
+  rom.u8.set(controllers, 0x34);
+  rom.u8[0x3c] = cartId.charCodeAt(0);
+  rom.u8[0x3d] = cartId.charCodeAt(1);
+  rom.u8[0x3f] = config;
+  return rom;
+}
+
+describe('parseHomebrewHeader', () => {
+  it('should ignore roms without the ED magic', () => {
+    assert.isNull(parseHomebrewHeader(makeRom('SM', [0, 0, 0, 0], 0x31)));
+  });
+
+  it('should parse the save type and flags', () => {
+    const hb = parseHomebrewHeader(makeRom('ED', [0, 0, 0, 0], 0x43));
+    assert.equal(hb.save, 'SRAM768k');
+    assert.isTrue(hb.rtc);
+    assert.isTrue(hb.regionFree);
+  });
+
+  it('should parse the controller accessories', () => {
+    const hb = parseHomebrewHeader(makeRom('ED', [0x02, 0x01, 0x00, 0xff], 0x10));
+    assert.equal(hb.save, 'Eeprom4k');
+    assert.isFalse(hb.rtc);
+    assert.deepEqual(hb.controllers, [
+      { present: true, accessory: 'ControllerPak' },
+      { present: true, accessory: 'RumblePak' },
+      { present: true, accessory: 'None' },
+      { present: false, accessory: 'None' },
+    ]);
+  });
+});
@@ -196,6 +196,49 @@ export class RSP {
     this.divOut = 0;
   }
 
+  saveState(w) {
+    w.writeBool(this.halted);
+    w.writeU32(this.pc);
+    w.writeU32(this.delayPC);
+    w.writeU32(this.nextPC);
+    w.writeU32(this.branchTarget);
+
+    w.writeArray(this.gprU32);
+    w.writeArray(this.vprS16);
+    w.writeArray(this.vAcc);
+    w.writeArray(this.vuVCOReg);
+    w.writeArray(this.vuVCCReg);
+    w.writeArray(this.vuVCEReg);
+
+    w.writeBool(this.divDP);
+    w.writeS32(this.divIn);
+    w.writeS32(this.divOut);
+  }
+
+  loadState(r) {
+    this.halted = r.readBool();
+    this.pc = r.readU32();
+    this.delayPC = r.readU32();
+    this.nextPC = r.readU32();
+    this.branchTarget = r.readU32();
+
+    r.readArrayInto(this.gprU32);
+    r.readArrayInto(this.vprS16);
+    r.readArrayInto(this.vAcc);
+    r.readArrayInto(this.vuVCOReg);
+    r.readArrayInto(this.vuVCCReg);
+    r.readArrayInto(this.vuVCEReg);
+
+    this.divDP = r.readBool();
+    this.divIn = r.readS32();
+    this.divOut = r.readS32();
+
+    if (this.runEvent) {
+      this.runEvent.stop();
+      this.runEvent = null;
+    }
+  }
+
   // General Purpose Registers.
   getRegS32(r) { return this.gprS32[r]; }
   getRegU32(r) { return this.gprU32[r]; }
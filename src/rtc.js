@@ -0,0 +1,222 @@
+/**
+ * Emulation of the real-time clock found on some cartridges (e.g. Animal Forest).
+ *
+ * The RTC is accessed via the cartridge Joybus channel as three 8 byte blocks:
+ *  - block 0: control. Byte 0 holds the write-protect bits for blocks 1 and 2,
+ *    byte 1 holds the stop bit which is set while the clock is being set.
+ *  - block 1: 8 bytes of battery backed memory.
+ *  - block 2: the date and time, in BCD.
+ *
+ * The clock follows host time plus an offset, which is adjusted when the game
+ * sets the time. Alternatively it can be fixed at a specific time so that runs
+ * are deterministic.
+ */
+
+const kBlockSize = 8;
+
+/**
+ * The time used when a deterministic clock is required (e.g. for headless runs
+ * and sync).
+ */
+export const kDeterministicTime = new Date(Date.UTC(2000, 0, 1));
+
+// Write protect bits in control byte 0.
+const kControlProtectBlock1 = 0x01;
+const kControlProtectBlock2 = 0x02;
+
+// Stop bit in control byte 1.
+const kControlStop = 0x04;
+
+// Status bit returned while the clock is stopped.
+const kStatusStopped = 0x80;
+
+// Hours are reported in 24 hour mode.
+const kHours24 = 0x80;
+
+function toBCD(v) {
+  return ((Math.floor(v / 10) % 10) << 4) | (v % 10);
+}
+
+function fromBCD(v) {
+  return (v >> 4) * 10 + (v & 0xf);
+}
+
+export class RealTimeClock {
+  constructor() {
+    this.control = new Uint8Array(2);
+    this.memory = new Uint8Array(kBlockSize);
+
+    // Seconds to add to the host (or fixed) time.
+    this.offsetSeconds = 0;
+
+    // If not null, the clock is fixed at this time (milliseconds since the epoch, UTC).
+    this.fixedTime = null;
+
+    // The time latched when the clock was stopped.
+    this.stoppedTime = null;
+
+    // Set when state that should be persisted has changed.
+    this.dirty = false;
+  }
+
+  /**
+   * Fixes the clock at the specified time, for deterministic runs.
+   * @param {?Date} date The time to use, or null to follow host time.
+   */
+  setFixedTime(date) {
+    this.fixedTime = date ? date.getTime() : null;
+  }
+
+  /**
+   * Restores persisted state.
+   * @param {?Object} item The value returned by toJSON, or undefined to reset.
+   */
+  init(item) {
+    this.control.fill(0);
+    this.memory.fill(0);
+    this.offsetSeconds = 0;
+    this.stoppedTime = null;
+    this.dirty = false;
+    if (item) {
+      this.offsetSeconds = item.offsetSeconds || 0;
+      if (item.memory) {
+        this.memory.set(item.memory.slice(0, kBlockSize));
+      }
+    }
+  }
+
+  toJSON() {
+    return {
+      offsetSeconds: this.offsetSeconds,
+      memory: Array.from(this.memory),
+    };
+  }
+
+  saveState(w) {
+    w.writeArray(this.control);
+    w.writeArray(this.memory);
+    w.writeF64(this.offsetSeconds);
+    w.writeBool(this.stoppedTime !== null);
+    w.writeF64(this.stoppedTime || 0);
+  }
+
+  loadState(r) {
+    r.readArrayInto(this.control);
+    r.readArrayInto(this.memory);
+    this.offsetSeconds = r.readF64();
+    const stopped = r.readBool();
+    const stoppedTime = r.readF64();
+    this.stoppedTime = stopped ? stoppedTime : null;
+  }
+
+  /**
+   * Returns the base time, in milliseconds, with local time expressed as UTC
+   * so the UTC Date accessors return local values.
+   * @returns {number}
+   */
+  baseTime() {
+    if (this.fixedTime !== null) {
+      return this.fixedTime;
+    }
+    const now = new Date();
+    return now.getTime() - now.getTimezoneOffset() * 60 * 1000;
+  }
+
+  /**
+   * Returns the current time of the clock.
+   * @returns {!Date} A date whose UTC fields hold the clock's time.
+   */
+  now() {
+    if (this.stoppedTime !== null) {
+      return new Date(this.stoppedTime);
+    }
+    return new Date(this.baseTime() + this.offsetSeconds * 1000);
+  }
+
+  get stopped() { return (this.control[1] & kControlStop) != 0; }
+
+  get status() { return this.stopped ? kStatusStopped : 0x00; }
+
+  /**
+   * Reads a block.
+   * @param {number} block
+   * @param {!Uint8Array} dst At least 8 bytes.
+   */
+  readBlock(block, dst) {
+    dst.fill(0, 0, kBlockSize);
+    switch (block) {
+      case 0:
+        dst[0] = this.control[0];
+        dst[1] = this.control[1];
+        break;
+      case 1:
+        dst.set(this.memory);
+        break;
+      case 2: {
+        const t = this.now();
+        dst[0] = toBCD(t.getUTCSeconds());
+        dst[1] = toBCD(t.getUTCMinutes());
+        dst[2] = toBCD(t.getUTCHours()) | kHours24;
+        dst[3] = toBCD(t.getUTCDate());
+        dst[4] = toBCD(t.getUTCDay());
+        dst[5] = toBCD(t.getUTCMonth() + 1);
+        dst[6] = toBCD(t.getUTCFullYear() % 100);
+        dst[7] = toBCD(Math.floor(t.getUTCFullYear() / 100) - 19);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Writes a block. Writes to write-protected blocks are ignored.
+   * @param {number} block
+   * @param {!Uint8Array} src At least 8 bytes.
+   */
+  writeBlock(block, src) {
+    switch (block) {
+      case 0: {
+        const wasStopped = this.stopped;
+        this.control[0] = src[0];
+        this.control[1] = src[1];
+        if (this.stopped && !wasStopped) {
+          this.stoppedTime = this.now().getTime();
+        } else if (!this.stopped && wasStopped) {
+          this.setTime(this.stoppedTime);
+          this.stoppedTime = null;
+        }
+        break;
+      }
+      case 1:
+        if (this.control[0] & kControlProtectBlock1) {
+          break;
+        }
+        this.memory.set(src.subarray(0, kBlockSize));
+        this.dirty = true;
+        break;
+      case 2: {
+        if (this.control[0] & kControlProtectBlock2) {
+          break;
+        }
+        const year = (fromBCD(src[7]) + 19) * 100 + fromBCD(src[6]);
+        const time = Date.UTC(year, fromBCD(src[5]) - 1, fromBCD(src[3]),
+          fromBCD(src[2] & 0x3f), fromBCD(src[1]), fromBCD(src[0]));
+        if (this.stoppedTime !== null) {
+          // The new time takes effect when the clock is restarted.
+          this.stoppedTime = time;
+        } else {
+          this.setTime(time);
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Updates the offset so that the clock reads the specified time.
+   * @param {number} time Milliseconds since the epoch.
+   */
+  setTime(time) {
+    this.offsetSeconds = Math.round((time - this.baseTime()) / 1000);
+    this.dirty = true;
+  }
+}
@@ -0,0 +1,46 @@
+import { RealTimeClock } from "./rtc.js";
+
+const assert = require('chai').assert;
+
+describe('RealTimeClock', () => {
+  let rtc;
+  beforeEach(() => {
+    rtc = new RealTimeClock();
+    rtc.setFixedTime(new Date(Date.UTC(2001, 11, 25, 13, 45, 30)));
+  });
+
+  function readBlock(block) {
+    const data = new Uint8Array(8);
+    rtc.readBlock(block, data);
+    return Array.from(data);
+  }
+
+  it('should read the time as BCD', () => {
+    // Tuesday 25th December 2001.
+    assert.deepEqual(readBlock(2), [0x30, 0x45, 0x93, 0x25, 0x02, 0x12, 0x01, 0x01]);
+  });
+
+  it('should apply written times as an offset', () => {
+    rtc.writeBlock(2, new Uint8Array([0x00, 0x00, 0x80, 0x01, 0x00, 0x01, 0x99, 0x00]));
+    assert.isTrue(rtc.dirty);
+    assert.deepEqual(readBlock(2), [0x00, 0x00, 0x80, 0x01, 0x05, 0x01, 0x99, 0x00]);
+    assert.notEqual(rtc.offsetSeconds, 0);
+  });
+
+  it('should ignore writes to protected blocks', () => {
+    rtc.writeBlock(0, new Uint8Array([0x03, 0x00, 0, 0, 0, 0, 0, 0]));
+    rtc.writeBlock(1, new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]));
+    rtc.writeBlock(2, new Uint8Array([0x00, 0x00, 0x80, 0x01, 0x00, 0x01, 0x99, 0x00]));
+    assert.deepEqual(readBlock(1), [0, 0, 0, 0, 0, 0, 0, 0]);
+    assert.equal(rtc.offsetSeconds, 0);
+  });
+
+  it('should report when stopped', () => {
+    rtc.writeBlock(0, new Uint8Array([0x00, 0x04, 0, 0, 0, 0, 0, 0]));
+    assert.equal(rtc.status, 0x80);
+    rtc.writeBlock(2, new Uint8Array([0x00, 0x30, 0x92, 0x25, 0x02, 0x12, 0x01, 0x01]));
+    rtc.writeBlock(0, new Uint8Array([0x00, 0x00, 0, 0, 0, 0, 0, 0]));
+    assert.equal(rtc.status, 0x00);
+    assert.deepEqual(readBlock(2), [0x00, 0x30, 0x92, 0x25, 0x02, 0x12, 0x01, 0x01]);
+  });
+});
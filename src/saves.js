@@ -0,0 +1,244 @@
+/**
+ * Management of the saves and mempacks persisted to local storage.
+ *
+ * Saves are stored by Hardware.saveU8Array under keys of the form
+ * `<item>-<romid>`, where item is 'save' or 'mempackN'. The data is stored in
+ * the same byte order as the N64 sees it. Raw save files from other emulators
+ * and flash carts can be imported and exported.
+ */
+
+import * as base64 from './base64.js';
+import * as json from './json.js';
+
+const kSaveKeyRegex = /^(save|mempack([0-3]))-(.+)$/;
+
+export const kMempackType = 'Mempack';
+
+const kMempackSize = 32 * 1024;
+
+/**
+ * Byte orders used by save files.
+ * Emulators typically store SRAM and FlashRam as little-endian 32 bit words,
+ * whereas flash carts store them in the N64's (big-endian) byte order.
+ */
+export const kByteOrderBigEndian = 'big-endian';
+export const kByteOrderWordSwapped = 'word-swapped';
+
+/**
+ * Raw save file formats, keyed by file extension.
+ */
+export const saveFormats = new Map([
+  ['eep', { types: ['Eeprom4k', 'Eeprom16k'], byteOrder: kByteOrderBigEndian }],
+  ['sra', { types: ['SRAM', 'SRAM768k', 'SRAM1024k'], byteOrder: kByteOrderWordSwapped }],
+  ['fla', { types: ['FlashRam'], byteOrder: kByteOrderWordSwapped }],
+  ['mpk', { types: [kMempackType], byteOrder: kByteOrderBigEndian }],
+]);
+
+const saveTypeSizes = new Map([
+  ['Eeprom4k', 4 * 1024 / 8],
+  ['Eeprom16k', 16 * 1024 / 8],
+  ['SRAM', 32 * 1024],
+  ['FlashRam', 128 * 1024],
+  ['SRAM768k', 96 * 1024],
+  ['SRAM1024k', 128 * 1024],
+  [kMempackType, kMempackSize],
+]);
+
+/**
+ * Returns the size in bytes of the specified save type.
+ * @param {string} type
+ * @returns {number}
+ */
+export function saveTypeSize(type) {
+  return saveTypeSizes.get(type) || 0;
+}
+
+/**
+ * Returns the file extension for the specified save type.
+ * @param {string} type
+ * @returns {string}
+ */
+export function saveTypeExtension(type) {
+  for (let [ext, format] of saveFormats) {
+    if (format.types.includes(type)) {
+      return ext;
+    }
+  }
+  return 'bin';
+}
+
+/**
+ * Guesses the save type from the size of the data.
+ * Used for saves which were stored before the type was recorded.
+ * @param {number} size
+ * @returns {string}
+ */
+function saveTypeFromSize(size) {
+  for (let [type, typeSize] of saveTypeSizes) {
+    if (typeSize == size && type != kMempackType) {
+      return type;
+    }
+  }
+  return '';
+}
+
+/**
+ * Returns a copy of the data with the bytes of each 32 bit word reversed.
+ * @param {!Uint8Array} u8
+ * @returns {!Uint8Array}
+ */
+export function swapWords(u8) {
+  const result = new Uint8Array(u8.length);
+  for (let i = 0; i < u8.length; i++) {
+    result[i] = u8[(i & ~3) + (3 - (i & 3))] || 0;
+  }
+  return result;
+}
+
+/**
+ * Converts save data between the N64's byte order and the specified order.
+ * The conversion is symmetrical so this is used for import and export.
+ * @param {!Uint8Array} u8
+ * @param {string} byteOrder
+ * @returns {!Uint8Array}
+ */
+function convertByteOrder(u8, byteOrder) {
+  return byteOrder == kByteOrderWordSwapped ? swapWords(u8) : u8.slice();
+}
+
+/**
+ * A save or mempack stored in local storage.
+ */
+export class SaveEntry {
+  constructor(key, item, romId, name, type, data) {
+    this.key = key;
+    this.item = item;
+    this.romId = romId;
+    this.name = name;
+    this.type = type;
+    this.data = data;
+  }
+
+  get isMempack() { return this.type == kMempackType; }
+
+  /**
+   * The name to use when exporting this save.
+   * @returns {string}
+   */
+  get filename() {
+    const base = (this.name || this.romId).trim().replace(/[^\w\- ]+/g, '_');
+    const suffix = this.isMempack ? `-${this.item.slice('mempack'.length)}` : '';
+    return `${base}${suffix}.${saveTypeExtension(this.type)}`;
+  }
+}
+
+/**
+ * Returns all the saves and mempacks in the provided storage.
+ * @param {!Storage} storage The storage to search (normally localStorage).
+ * @returns {!Array<!SaveEntry>}
+ */
+export function listSaves(storage) {
+  const entries = [];
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    const match = kSaveKeyRegex.exec(key);
+    if (!match) {
+      continue;
+    }
+
+    let value;
+    try {
+      value = json.deserialize(storage.getItem(key));
+    } catch (e) {
+      continue;
+    }
+    if (!value || !value.data) {
+      continue;
+    }
+
+    const item = match[1];
+    const romId = match[3];
+    const data = base64.decodeArray(value.data);
+    const isMempack = match[2] !== undefined;
+    const type = isMempack ? kMempackType : (value.type || saveTypeFromSize(data.length));
+    entries.push(new SaveEntry(key, item, romId, value.name || '', type, data));
+  }
+  entries.sort((a, b) => (a.name.localeCompare(b.name) || a.key.localeCompare(b.key)));
+  return entries;
+}
+
+/**
+ * Removes a save from storage.
+ * @param {!Storage} storage
+ * @param {!SaveEntry} entry
+ */
+export function deleteSave(storage, entry) {
+  storage.removeItem(entry.key);
+}
+
+/**
+ * Converts a save to the raw file format for its type.
+ * @param {!SaveEntry} entry
+ * @param {string=} byteOrder Overrides the default byte order for the format.
+ * @returns {{filename: string, data: !Uint8Array}}
+ */
+export function exportSave(entry, byteOrder = undefined) {
+  const format = saveFormats.get(saveTypeExtension(entry.type));
+  const order = byteOrder || (format ? format.byteOrder : kByteOrderBigEndian);
+  return {
+    filename: entry.filename,
+    data: convertByteOrder(entry.data, order),
+  };
+}
+
+/**
+ * Imports a raw save file into storage.
+ * @param {!Storage} storage
+ * @param {{id: string, name: string, save: string}} rominfo The rom to import the save for.
+ * @param {string} filename The name of the file, used to determine its format.
+ * @param {!Uint8Array} data The contents of the file.
+ * @param {number=} mempackIndex The controller to import a mempack for.
+ * @param {string=} byteOrder Overrides the default byte order for the format.
+ * @returns {!SaveEntry}
+ */
+export function importSave(storage, rominfo, filename, data, mempackIndex = 0, byteOrder = undefined) {
+  if (!rominfo.id) {
+    throw `No rom loaded - load a rom before importing its save`;
+  }
+
+  const dot = filename.lastIndexOf('.');
+  const ext = dot >= 0 ? filename.slice(dot + 1).toLowerCase() : '';
+  const format = saveFormats.get(ext);
+  if (!format) {
+    throw `Unknown save file format '${ext}'`;
+  }
+
+  let type;
+  if (format.types.includes(kMempackType)) {
+    type = kMempackType;
+  } else if (format.types.includes(rominfo.save)) {
+    type = rominfo.save;
+  } else {
+    throw `${rominfo.name} uses ${rominfo.save || 'no save'}, not .${ext} saves`;
+  }
+
+  const size = saveTypeSize(type);
+  if (data.length > size) {
+    throw `Save file is too large for ${type} (${data.length} > ${size} bytes)`;
+  }
+
+  // Pad short files (e.g. 4k eeprom files for 16k eeproms) with zeros.
+  const padded = new Uint8Array(size);
+  padded.set(convertByteOrder(data, byteOrder || format.byteOrder).subarray(0, data.length));
+
+  const item = type == kMempackType ? `mempack${mempackIndex}` : 'save';
+  const key = `${item}-${rominfo.id}`;
+  const value = {
+    name: rominfo.name,
+    id: rominfo.id,
+    type: type,
+    data: base64.encodeArray(padded),
+  };
+  storage.setItem(key, json.serialize(value));
+  return new SaveEntry(key, item, rominfo.id, rominfo.name, type, padded);
+}
@@ -0,0 +1,74 @@
+import * as saves from "./saves.js";
+
+const assert = require('chai').assert;
+
+// A minimal implementation of the Storage interface.
+class FakeStorage {
+  constructor() {
+    this.items = new Map();
+  }
+  get length() { return this.items.size; }
+  key(i) { return Array.from(this.items.keys())[i]; }
+  getItem(key) { return this.items.has(key) ? this.items.get(key) : null; }
+  setItem(key, value) { this.items.set(key, String(value)); }
+  removeItem(key) { this.items.delete(key); }
+}
+
+const rominfo = { id: '0123456789abcdef', name: 'Test Game', save: 'SRAM' };
+
+describe('saves', () => {
+  let storage;
+  beforeEach(() => {
+    storage = new FakeStorage();
+  });
+
+  describe('swapWords', () => {
+    it('should reverse the bytes of each word', () => {
+      const result = saves.swapWords(new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]));
+      assert.deepEqual(Array.from(result), [4, 3, 2, 1, 8, 7, 6, 5]);
+    });
+  });
+
+  describe('importSave', () => {
+    it('should import and list sram saves', () => {
+      saves.importSave(storage, rominfo, 'game.SRA', new Uint8Array([1, 2, 3, 4]));
+      storage.setItem('debugLabelMap-0123456789abcdef', '{}');
+
+      const entries = saves.listSaves(storage);
+      assert.equal(entries.length, 1);
+      assert.equal(entries[0].type, 'SRAM');
+      assert.equal(entries[0].name, 'Test Game');
+      assert.equal(entries[0].data.length, 32 * 1024);
+      // .sra files are word swapped.
+      assert.deepEqual(Array.from(entries[0].data.subarray(0, 4)), [4, 3, 2, 1]);
+    });
+
+    it('should round trip through export', () => {
+      const data = new Uint8Array(32 * 1024);
+      data[5] = 0x55;
+      saves.importSave(storage, rominfo, 'game.mpk', data, 2);
+
+      const entries = saves.listSaves(storage);
+      assert.equal(entries[0].key, 'mempack2-0123456789abcdef');
+      const file = saves.exportSave(entries[0]);
+      assert.equal(file.filename, 'Test Game-2.mpk');
+      assert.deepEqual(file.data, data);
+    });
+
+    it('should reject saves of the wrong type', () => {
+      assert.throws(() => saves.importSave(storage, rominfo, 'game.eep', new Uint8Array(512)));
+      assert.equal(storage.length, 0);
+    });
+  });
+
+  describe('listSaves', () => {
+    it('should infer the type of saves stored without one', () => {
+      storage.setItem(`save-${rominfo.id}`, JSON.stringify({ name: 'Old', id: rominfo.id, data: btoa('\0'.repeat(512)) }));
+      const entries = saves.listSaves(storage);
+      assert.equal(entries[0].type, 'Eeprom4k');
+
+      saves.deleteSave(storage, entries[0]);
+      assert.equal(saves.listSaves(storage).length, 0);
+    });
+  });
+});
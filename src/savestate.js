@@ -0,0 +1,295 @@
+/**
+ * Save states capture the full machine state as a single binary blob.
+ *
+ * The blob starts with a small header (magic, version and the id of the rom
+ * it was created with), followed by a sequence of tagged sections written by
+ * Hardware and the components it owns. Section tags are checked on load so
+ * that a mismatch between writer and reader is reported rather than silently
+ * producing a corrupt machine.
+ */
+
+const kMagic = 0x4e363453; // 'N64S'
+
+/**
+ * The current save state version. Bump this whenever the layout changes.
+ */
+export const kSaveStateVersion = 3;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Returns a Uint8Array view of the memory backing the provided typed array.
+ * @param {!ArrayBufferView} arr
+ * @returns {!Uint8Array}
+ */
+function bytesOf(arr) {
+  return new Uint8Array(arr.buffer, arr.byteOffset, arr.byteLength);
+}
+
+/**
+ * StateWriter serialises values into a growable buffer.
+ * Scalars are written big-endian. Arrays written with writeArray are copied
+ * verbatim, so multi-byte elements are in host byte order.
+ */
+export class StateWriter {
+  constructor(initialSize = 64 * 1024) {
+    this.buffer = new ArrayBuffer(initialSize);
+    this.dataView = new DataView(this.buffer);
+    this.u8 = new Uint8Array(this.buffer);
+    this.offset = 0;
+  }
+
+  /**
+   * Ensures there is space for the specified number of bytes.
+   * @param {number} bytes
+   */
+  reserve(bytes) {
+    const required = this.offset + bytes;
+    if (required <= this.buffer.byteLength) {
+      return;
+    }
+    let size = this.buffer.byteLength * 2;
+    while (size < required) {
+      size *= 2;
+    }
+    const u8 = new Uint8Array(size);
+    u8.set(this.u8.subarray(0, this.offset));
+    this.buffer = u8.buffer;
+    this.dataView = new DataView(this.buffer);
+    this.u8 = u8;
+  }
+
+  writeU8(value) {
+    this.reserve(1);
+    this.dataView.setUint8(this.offset, value);
+    this.offset += 1;
+  }
+
+  writeU32(value) {
+    this.reserve(4);
+    this.dataView.setUint32(this.offset, value >>> 0, false);
+    this.offset += 4;
+  }
+
+  writeS32(value) {
+    this.reserve(4);
+    this.dataView.setInt32(this.offset, value, false);
+    this.offset += 4;
+  }
+
+  /**
+   * @param {bigint} value
+   */
+  writeU64(value) {
+    this.reserve(8);
+    this.dataView.setBigUint64(this.offset, BigInt.asUintN(64, value), false);
+    this.offset += 8;
+  }
+
+  /**
+   * Writes a double. Used for counters that can exceed 32 bits.
+   * @param {number} value
+   */
+  writeF64(value) {
+    this.reserve(8);
+    this.dataView.setFloat64(this.offset, value, false);
+    this.offset += 8;
+  }
+
+  writeBool(value) {
+    this.writeU8(value ? 1 : 0);
+  }
+
+  writeString(str) {
+    this.writeBytes(textEncoder.encode(str));
+  }
+
+  /**
+   * Writes a length-prefixed array of bytes.
+   * @param {!Uint8Array} bytes
+   */
+  writeBytes(bytes) {
+    this.writeU32(bytes.length);
+    this.reserve(bytes.length);
+    this.u8.set(bytes, this.offset);
+    this.offset += bytes.length;
+  }
+
+  /**
+   * Writes the raw contents of a typed array (in host byte order).
+   * @param {!ArrayBufferView} arr
+   */
+  writeArray(arr) {
+    this.writeBytes(bytesOf(arr));
+  }
+
+  /**
+   * Starts a new section. The tag is validated when the state is loaded.
+   * @param {string} tag
+   */
+  beginSection(tag) {
+    this.writeString(tag);
+  }
+
+  /**
+   * Returns the serialised data.
+   * @returns {!ArrayBuffer}
+   */
+  finish() {
+    return this.buffer.slice(0, this.offset);
+  }
+}
+
+/**
+ * StateReader deserialises values written by StateWriter.
+ */
+export class StateReader {
+  /**
+   * @param {!ArrayBuffer} arrayBuffer
+   */
+  constructor(arrayBuffer) {
+    this.dataView = new DataView(arrayBuffer);
+    this.u8 = new Uint8Array(arrayBuffer);
+    this.offset = 0;
+  }
+
+  /**
+   * Checks that the specified number of bytes are available.
+   * @param {number} bytes
+   */
+  check(bytes) {
+    if (this.offset + bytes > this.u8.length) {
+      throw `Save state is truncated at offset ${this.offset}`;
+    }
+  }
+
+  readU8() {
+    this.check(1);
+    const value = this.dataView.getUint8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  readU32() {
+    this.check(4);
+    const value = this.dataView.getUint32(this.offset, false);
+    this.offset += 4;
+    return value;
+  }
+
+  readS32() {
+    this.check(4);
+    const value = this.dataView.getInt32(this.offset, false);
+    this.offset += 4;
+    return value;
+  }
+
+  readU64() {
+    this.check(8);
+    const value = this.dataView.getBigUint64(this.offset, false);
+    this.offset += 8;
+    return value;
+  }
+
+  readF64() {
+    this.check(8);
+    const value = this.dataView.getFloat64(this.offset, false);
+    this.offset += 8;
+    return value;
+  }
+
+  readBool() {
+    return this.readU8() != 0;
+  }
+
+  readString() {
+    return textDecoder.decode(this.readBytes());
+  }
+
+  /**
+   * Reads a length-prefixed array of bytes.
+   * @returns {!Uint8Array} A view of the underlying data.
+   */
+  readBytes() {
+    const length = this.readU32();
+    this.check(length);
+    const bytes = this.u8.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  /**
+   * Reads data written by writeArray into the provided typed array.
+   * The length must match exactly.
+   * @param {!ArrayBufferView} arr
+   */
+  readArrayInto(arr) {
+    const dst = bytesOf(arr);
+    const src = this.readBytes();
+    if (src.length != dst.length) {
+      throw `Save state array length mismatch: got ${src.length}, expected ${dst.length}`;
+    }
+    dst.set(src);
+  }
+
+  /**
+   * Reads a section header and checks it matches the expected tag.
+   * @param {string} tag
+   */
+  expectSection(tag) {
+    const got = this.readString();
+    if (got != tag) {
+      throw `Save state section mismatch: got '${got}', expected '${tag}'`;
+    }
+  }
+}
+
+/**
+ * Serialises the state of the provided hardware.
+ * @param {Hardware} hardware
+ * @returns {!ArrayBuffer}
+ */
+export function saveState(hardware) {
+  const w = new StateWriter();
+  w.writeU32(kMagic);
+  w.writeU32(kSaveStateVersion);
+  w.writeString(hardware.rominfo.id);
+
+  hardware.saveState(w);
+  return w.finish();
+}
+
+/**
+ * Restores the state of the provided hardware from a blob created by saveState.
+ * @param {Hardware} hardware
+ * @param {!ArrayBuffer} arrayBuffer
+ */
+export function loadState(hardware, arrayBuffer) {
+  const r = new StateReader(arrayBuffer);
+  if (r.u8.length < 4 || r.readU32() != kMagic) {
+    throw `Not a save state`;
+  }
+
+  const version = r.readU32();
+  if (version != kSaveStateVersion) {
+    throw `Unsupported save state version ${version} (expected ${kSaveStateVersion})`;
+  }
+
+  const romId = r.readString();
+  if (romId != hardware.rominfo.id) {
+    throw `Save state was created with rom ${romId} but ${hardware.rominfo.id} is loaded`;
+  }
+
+  // Components are restored in place, so a failure part way through would
+  // leave the machine half-restored. Snapshot the current state first and
+  // roll back to it if anything goes wrong.
+  const backup = new StateWriter();
+  hardware.saveState(backup);
+  try {
+    hardware.loadState(r);
+  } catch (e) {
+    hardware.loadState(new StateReader(backup.finish()));
+    throw e;
+  }
+}
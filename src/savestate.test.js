@@ -0,0 +1,85 @@
+import { StateReader, StateWriter, loadState, saveState } from "./savestate.js";
+
+const assert = require('chai').assert;
+
+describe('savestate', () => {
+  describe('StateWriter', () => {
+    it('should round trip values', () => {
+      const w = new StateWriter(4);
+      w.beginSection('TEST');
+      w.writeU8(0xab);
+      w.writeU32(0xdeadbeef);
+      w.writeS32(-2);
+      w.writeU64(0x1234_5678_9abc_def0n);
+      w.writeF64(12345678901.5);
+      w.writeBool(true);
+      w.writeString('n64js');
+      w.writeArray(new Uint16Array([1, 2, 3]));
+
+      const r = new StateReader(w.finish());
+      r.expectSection('TEST');
+      assert.equal(0xab, r.readU8());
+      assert.equal(0xdeadbeef, r.readU32());
+      assert.equal(-2, r.readS32());
+      assert.equal(0x1234_5678_9abc_def0n, r.readU64());
+      assert.equal(12345678901.5, r.readF64());
+      assert.isTrue(r.readBool());
+      assert.equal('n64js', r.readString());
+      const arr = new Uint16Array(3);
+      r.readArrayInto(arr);
+      assert.deepEqual([1, 2, 3], Array.from(arr));
+    });
+  });
+
+  describe('StateReader', () => {
+    it('should reject mismatched sections', () => {
+      const w = new StateWriter();
+      w.beginSection('CPU0');
+      const r = new StateReader(w.finish());
+      assert.throws(() => r.expectSection('CPU1'));
+    });
+    it('should reject mismatched array lengths', () => {
+      const w = new StateWriter();
+      w.writeArray(new Uint8Array(4));
+      const r = new StateReader(w.finish());
+      assert.throws(() => r.readArrayInto(new Uint8Array(8)));
+    });
+    it('should reject truncated data', () => {
+      const w = new StateWriter();
+      w.writeU8(1);
+      const r = new StateReader(w.finish());
+      assert.throws(() => r.readU32());
+    });
+  });
+
+  describe('loadState', () => {
+    class FakeHardware {
+      constructor(hasSaveMem) {
+        this.rominfo = { id: 'TEST' };
+        this.ram = new Uint8Array(4);
+        this.hasSaveMem = hasSaveMem;
+      }
+      saveState(w) {
+        w.writeArray(this.ram);
+        w.writeBool(this.hasSaveMem);
+      }
+      loadState(r) {
+        r.readArrayInto(this.ram);
+        if (r.readBool() != this.hasSaveMem) {
+          throw `Save state save type doesn't match`;
+        }
+      }
+    }
+
+    it('should leave the machine untouched when loading fails', () => {
+      const src = new FakeHardware(true);
+      src.ram.set([1, 2, 3, 4]);
+      const state = saveState(src);
+
+      const dst = new FakeHardware(false);
+      dst.ram.set([5, 6, 7, 8]);
+      assert.throws(() => loadState(dst, state));
+      assert.deepEqual([5, 6, 7, 8], Array.from(dst.ram));
+    });
+  });
+});
@@ -0,0 +1,112 @@
+// Runs test roms headlessly and reports which tests passed and failed.
+//
+// Usage: bun src/systemtest.js <rom>... [--max-frames N] [--report out.json] [--log out.txt]
+//
+// Each rom is run until it reports that it is done (via ISViewer output),
+// the emulator halts or the frame limit is reached. The report is written as
+// JSON with tests sorted by name, so reports can be diffed between commits.
+// The exit code is non-zero if any rom didn't finish or had failing tests.
+// --log writes the raw debug output, which is useful for checking the output
+// patterns in systemtest_report.js against a real run.
+
+import './headless_env.js';
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { HeadlessRunner } from './headless.js';
+import { SystemTestReport } from './systemtest_report.js';
+
+// Give up on roms which haven't finished after this many frames.
+const kDefaultMaxFrames = 60 * 60;
+
+const kMaxOpsPerFrame = 10_000_000;
+
+/**
+ * Runs a test rom and returns the resulting report.
+ * @param {string} romPath
+ * @param {number} maxFrames
+ * @returns {!SystemTestReport}
+ */
+export function runTestRom(romPath, maxFrames) {
+  const report = new SystemTestReport(path.basename(romPath));
+
+  const data = fs.readFileSync(romPath);
+  const arrayBuffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+
+  const runner = new HeadlessRunner();
+  runner.addDebugOutputListener((text) => report.addOutput(text));
+  runner.loadRom(arrayBuffer);
+
+  const vi = runner.hardware.viRegDevice;
+  runner.runUntil(() => report.done || vi.vblCount >= maxFrames, maxFrames * kMaxOpsPerFrame);
+
+  report.finish(vi.vblCount, runner.haltMessage);
+  return report;
+}
+
+function parseArgs(argv) {
+  const args = {
+    roms: [],
+    maxFrames: kDefaultMaxFrames,
+    report: null,
+    log: null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--max-frames': args.maxFrames = parseInt(argv[++i], 10); break;
+      case '--report': args.report = argv[++i]; break;
+      case '--log': args.log = argv[++i]; break;
+      default:
+        if (arg.startsWith('--')) {
+          throw `Unexpected argument: ${arg}`;
+        }
+        args.roms.push(arg);
+        break;
+    }
+  }
+  if (!args.roms.length) {
+    throw 'Usage: systemtest.js <rom>... [--max-frames N] [--report out.json] [--log out.txt]';
+  }
+  if (!(args.maxFrames > 0)) {
+    throw `Invalid frame count`;
+  }
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+
+  const reports = [];
+  for (let rom of args.roms) {
+    const report = runTestRom(rom, args.maxFrames);
+    const failures = [...report.results.values()].filter(r => r == 'fail').length;
+    console.log(`${report.rom}: ${report.status} after ${report.frames} frames, ${failures} failing tests`);
+    reports.push(report);
+  }
+
+  if (args.log) {
+    fs.writeFileSync(args.log, reports.map(r => `==> ${r.rom} <==\n${r.log}`).join('\n'));
+    console.log(`Wrote log to ${args.log}`);
+  }
+
+  const json = JSON.stringify(reports, null, 2) + '\n';
+  if (args.report) {
+    fs.writeFileSync(args.report, json);
+    console.log(`Wrote report to ${args.report}`);
+  } else {
+    process.stdout.write(json);
+  }
+
+  return reports.every(r => r.passed()) ? 0 : 1;
+}
+
+if (import.meta.main) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (e) {
+    console.error(e);
+    process.exitCode = 2;
+  }
+}
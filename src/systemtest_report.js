@@ -0,0 +1,149 @@
+/**
+ * Builds pass/fail reports from the debug output of test roms.
+ *
+ * Test roms such as n64-systemtest print their results via ISViewer. The
+ * output is matched line by line against a set of patterns to determine which
+ * tests failed and when the run is complete.
+ */
+
+/**
+ * @typedef {Object} TestPatterns
+ * @property {!RegExp} done Matches the line printed when all tests have run.
+ * @property {!RegExp} fail Matches a failing test. The first group is the test name.
+ * @property {?RegExp} pass Matches a passing test. The first group is the test name.
+ * @property {?RegExp} summary Matches the summary line. The groups are the total and failed counts.
+ */
+
+/**
+ * Patterns for the output of https://github.com/lemmy-64/n64-systemtest.
+ * It only names failing tests, so passes are reported as a count.
+ * @type {!TestPatterns}
+ */
+export const n64SystemTestPatterns = {
+  done: /^Done!/,
+  fail: /^Test (.*?)\s+failed\b/,
+  pass: null,
+  summary: /Tests:\s*(\d+).*?failed:\s*(\d+)/i,
+};
+
+export const kStatusFinished = 'finished';
+export const kStatusTimeout = 'timeout';
+export const kStatusHalted = 'halted';
+
+export class SystemTestReport {
+  /**
+   * @param {string} rom The name of the rom being tested.
+   * @param {!TestPatterns} patterns
+   */
+  constructor(rom, patterns = n64SystemTestPatterns) {
+    this.rom = rom;
+    this.patterns = patterns;
+
+    this.status = kStatusTimeout;
+    this.done = false;
+    this.haltMessage = null;
+    this.frames = 0;
+
+    // Counts parsed from the summary line, if any.
+    this.total = null;
+    this.failed = null;
+
+    /** @type {!Map<string, string>} Test name -> 'pass' or 'fail'. */
+    this.results = new Map();
+
+    // The raw output, so it can be saved and the patterns checked against it.
+    this.log = '';
+
+    // Any partial line that hasn't been terminated yet.
+    this.pending = '';
+  }
+
+  /**
+   * Adds output from the rom. The text may contain partial lines.
+   * @param {string} text
+   */
+  addOutput(text) {
+    this.log += text;
+    const lines = (this.pending + text).split('\n');
+    this.pending = lines.pop();
+    for (let line of lines) {
+      this.addLine(line.replace(/\r$/, ''));
+    }
+  }
+
+  addLine(line) {
+    const p = this.patterns;
+    let m;
+    if ((m = p.fail.exec(line))) {
+      this.results.set(m[1], 'fail');
+    } else if (p.pass && (m = p.pass.exec(line))) {
+      // Don't let a subsequent pass mask an earlier failure of the same test.
+      if (!this.results.has(m[1])) {
+        this.results.set(m[1], 'pass');
+      }
+    }
+
+    if (p.summary && (m = p.summary.exec(line))) {
+      this.total = parseInt(m[1], 10);
+      this.failed = parseInt(m[2], 10);
+    }
+    if (p.done.test(line)) {
+      this.done = true;
+    }
+  }
+
+  /**
+   * Records how the run ended.
+   * @param {number} frames The number of frames that were run.
+   * @param {?string} haltMessage Set if the emulator halted.
+   */
+  finish(frames, haltMessage) {
+    this.frames = frames;
+    this.haltMessage = haltMessage || null;
+    if (this.done) {
+      this.status = kStatusFinished;
+    } else if (haltMessage) {
+      this.status = kStatusHalted;
+    } else {
+      this.status = kStatusTimeout;
+    }
+  }
+
+  /**
+   * Returns true if the run finished with no failures.
+   * @returns {boolean}
+   */
+  passed() {
+    if (this.status != kStatusFinished) {
+      return false;
+    }
+    for (let result of this.results.values()) {
+      if (result != 'pass') {
+        return false;
+      }
+    }
+    return !this.failed;
+  }
+
+  /**
+   * Returns a plain object suitable for serialising as JSON.
+   * Tests are sorted by name so reports from different runs can be diffed.
+   * Timing information is deliberately excluded for the same reason.
+   * @returns {!Object}
+   */
+  toJSON() {
+    const tests = {};
+    for (let name of [...this.results.keys()].sort()) {
+      tests[name] = this.results.get(name);
+    }
+    return {
+      rom: this.rom,
+      status: this.status,
+      halt: this.haltMessage,
+      passed: this.passed(),
+      total: this.total,
+      failed: this.failed,
+      tests: tests,
+    };
+  }
+}
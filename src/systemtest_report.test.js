@@ -0,0 +1,72 @@
+import { SystemTestReport, kStatusFinished, kStatusHalted, kStatusTimeout } from "./systemtest_report.js";
+
+const assert = require('chai').assert;
+
+describe('SystemTestReport', () => {
+  let report;
+  beforeEach(() => {
+    report = new SystemTestReport('test.z64');
+  });
+
+  it('records failures and the summary', () => {
+    report.addOutput("Test 'b' failed: expected 1\n");
+    report.addOutput("Test 'a' with (1, 2) failed: oops\nDone! Tests: 10, Failed: 2\n");
+    report.finish(100, null);
+
+    const json = report.toJSON();
+    assert.equal(json.status, kStatusFinished);
+    assert.equal(json.total, 10);
+    assert.equal(json.failed, 2);
+    assert.isFalse(json.passed);
+    assert.deepEqual(Object.keys(json.tests), ["'a' with (1, 2)", "'b'"]);
+  });
+
+  it('handles lines split across writes', () => {
+    report.addOutput("Test 'a' fa");
+    assert.equal(report.results.size, 0);
+    report.addOutput("iled\nDone! Tests: 3");
+    assert.isFalse(report.done);
+    report.addOutput(", Failed: 1\r\n");
+    assert.isTrue(report.done);
+    assert.equal(report.results.get("'a'"), 'fail');
+    assert.equal(report.failed, 1);
+  });
+
+  it('passes when finished with no failures', () => {
+    report.addOutput('Done! Tests: 10, Failed: 0\n');
+    report.finish(100, null);
+    assert.isTrue(report.passed());
+  });
+
+  it('reports runs that did not finish', () => {
+    report.finish(100, null);
+    assert.equal(report.status, kStatusTimeout);
+    assert.isFalse(report.passed());
+
+    report.finish(10, 'Exception');
+    assert.equal(report.status, kStatusHalted);
+    assert.equal(report.toJSON().halt, 'Exception');
+  });
+
+  it('parses a full n64-systemtest transcript', () => {
+    // Update this from a real run with `systemtest.js <rom> --log out.txt`
+    // if the rom's output format changes.
+    const transcript = [
+      'n64-systemtest',
+      'Running 3 tests',
+      'Test "TLB: Probe" failed: Value mismatch',
+      "Test \"COP1: CVT.S.D\" with '1.5' failed: FCSR",
+      'Done! Tests: 3, failed: 2, skipped: 0',
+      '',
+    ].join('\r\n');
+    report.addOutput(transcript);
+    report.finish(42, null);
+
+    const json = report.toJSON();
+    assert.equal(json.status, kStatusFinished);
+    assert.equal(json.total, 3);
+    assert.equal(json.failed, 2);
+    assert.deepEqual(Object.keys(json.tests), ['"COP1: CVT.S.D" with \'1.5\'', '"TLB: Probe"']);
+    assert.equal(report.log, transcript);
+  });
+});
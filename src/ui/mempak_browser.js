@@ -0,0 +1,140 @@
+/*global n64js*/
+
+import * as bootstrap from 'bootstrap';
+import { ControllerPak } from '../mempak.js';
+
+/**
+ * A dialog for browsing and editing the notes on the emulated Controller Paks.
+ */
+export class MempakBrowser {
+  constructor() {
+    this.modal = new bootstrap.Modal('#mempak', {});
+    this.tbody = document.querySelector('#mempak-table tbody');
+    this.status = document.getElementById('mempak-status');
+    this.controllerSelect = document.getElementById('mempak-controller');
+    this.importInput = document.getElementById('mempak-import-input');
+
+    this.controllerSelect.addEventListener('change', () => this.refresh());
+    this.importInput.addEventListener('change', () => this.importFile());
+  }
+
+  show() {
+    this.refresh();
+    this.modal.show();
+  }
+
+  get mempack() {
+    return n64js.hardware().mempacks[parseInt(this.controllerSelect.value, 10)];
+  }
+
+  get pak() {
+    return new ControllerPak(this.mempack.data);
+  }
+
+  /**
+   * Marks the mempack as modified and persists it.
+   */
+  commit() {
+    this.mempack.dirty = true;
+    n64js.hardware().flushSaveData();
+    this.refresh();
+  }
+
+  refresh() {
+    const pak = this.pak;
+    this.tbody.replaceChildren();
+
+    if (!pak.isValid()) {
+      this.status.textContent = 'The pak is not formatted or is corrupt - try Repair or Format.';
+      return;
+    }
+
+    const notes = pak.listNotes();
+    this.status.textContent = `${notes.length} notes, ${pak.freePages()} free pages.`;
+    for (let note of notes) {
+      const tr = this.tbody.insertRow();
+      tr.insertCell().textContent = note.fullName;
+      tr.insertCell().textContent = note.gameCode;
+      tr.insertCell().textContent = note.publisherCode;
+      tr.insertCell().textContent = `${note.pages.length}`;
+
+      const actions = tr.insertCell();
+      actions.appendChild(this.createButton('bi-pencil', 'Rename', () => this.renameNote(note)));
+      actions.appendChild(this.createButton('bi-download', 'Export', () => this.exportNote(note)));
+      actions.appendChild(this.createButton('bi-trash', 'Delete', () => this.deleteNote(note)));
+    }
+  }
+
+  createButton(icon, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-sm';
+    button.innerHTML = `<i class="bi ${icon}"></i> ${label}`;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  renameNote(note) {
+    const name = prompt('Note name', note.name);
+    if (name === null) {
+      return;
+    }
+    this.pak.renameNote(note.index, name, note.extension);
+    this.commit();
+  }
+
+  exportNote(note) {
+    const data = this.pak.exportNote(note.index);
+    const filename = `${note.gameCode}-${note.fullName}`.trim().replace(/[^\w\-. ]+/g, '_');
+    n64js.ui().downloadFile(`${filename}.note`, data);
+  }
+
+  deleteNote(note) {
+    if (!confirm(`Delete ${note.fullName}?`)) {
+      return;
+    }
+    this.pak.deleteNote(note.index);
+    this.commit();
+  }
+
+  triggerImport() {
+    this.importInput.value = '';
+    this.importInput.click();
+  }
+
+  importFile() {
+    if (this.importInput.files.length == 0) {
+      return;
+    }
+    const reader = new FileReader();
+    reader.onerror = () => {
+      n64js.ui().displayError('loading note file');
+    };
+    reader.onload = e => {
+      try {
+        this.pak.importNote(new Uint8Array(e.target.result));
+      } catch (err) {
+        n64js.ui().displayError(`Unable to import note: ${err}`);
+        return;
+      }
+      this.commit();
+    };
+    reader.readAsArrayBuffer(this.importInput.files[0]);
+  }
+
+  repair() {
+    const repairs = this.pak.repair();
+    if (repairs.length) {
+      n64js.ui().displayWarning(repairs.join('. '));
+    }
+    this.commit();
+  }
+
+  format() {
+    if (!confirm('Erase all notes on this pak?')) {
+      return;
+    }
+    this.pak.format();
+    this.commit();
+  }
+}
@@ -0,0 +1,121 @@
+/*global n64js*/
+
+import * as bootstrap from 'bootstrap';
+import * as saves from '../saves.js';
+
+/**
+ * A dialog listing the saves and mempacks in local storage, allowing them to
+ * be exported, imported and deleted.
+ */
+export class SaveManager {
+  constructor() {
+    this.modal = new bootstrap.Modal('#saves', {});
+    this.tbody = document.querySelector('#saves-table tbody');
+    this.importInput = document.getElementById('saves-import-input');
+    this.mempackSelect = document.getElementById('saves-import-mempack');
+    this.byteOrderSelect = document.getElementById('saves-byte-order');
+
+    this.importInput.addEventListener('change', () => this.importFile());
+  }
+
+  show() {
+    this.refresh();
+    this.modal.show();
+  }
+
+  /**
+   * Returns the byte order override selected by the user, or undefined to use
+   * the default for the file format.
+   * @returns {string|undefined}
+   */
+  get byteOrder() {
+    return this.byteOrderSelect.value || undefined;
+  }
+
+  refresh() {
+    this.tbody.replaceChildren();
+
+    const entries = saves.listSaves(localStorage);
+    if (entries.length == 0) {
+      const tr = this.tbody.insertRow();
+      const td = tr.insertCell();
+      td.colSpan = 4;
+      td.textContent = 'No saves found.';
+      return;
+    }
+
+    for (let entry of entries) {
+      const tr = this.tbody.insertRow();
+      tr.insertCell().textContent = entry.name || entry.romId;
+      tr.insertCell().textContent = entry.isMempack ? `${entry.type} ${entry.item.slice('mempack'.length)}` : entry.type;
+      tr.insertCell().textContent = `${entry.data.length / 1024}KB`;
+
+      const actions = tr.insertCell();
+      actions.appendChild(this.createButton('bi-download', 'Export', () => this.exportEntry(entry)));
+      actions.appendChild(this.createButton('bi-trash', 'Delete', () => this.deleteEntry(entry)));
+    }
+  }
+
+  createButton(icon, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-sm';
+    button.innerHTML = `<i class="bi ${icon}"></i> ${label}`;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  exportEntry(entry) {
+    const file = saves.exportSave(entry, this.byteOrder);
+    n64js.ui().downloadFile(file.filename, file.data);
+  }
+
+  deleteEntry(entry) {
+    if (!confirm(`Delete the ${entry.type} save for ${entry.name || entry.romId}?`)) {
+      return;
+    }
+    saves.deleteSave(localStorage, entry);
+    this.reloadIfLoaded(entry);
+    this.refresh();
+  }
+
+  triggerImport() {
+    this.importInput.value = '';
+    this.importInput.click();
+  }
+
+  importFile() {
+    if (this.importInput.files.length == 0) {
+      return;
+    }
+    const file = this.importInput.files[0];
+    const reader = new FileReader();
+    reader.onerror = () => {
+      n64js.ui().displayError('loading save file');
+    };
+    reader.onload = e => {
+      const hardware = n64js.hardware();
+      const mempackIndex = parseInt(this.mempackSelect.value, 10);
+      try {
+        const entry = saves.importSave(localStorage, hardware.rominfo, file.name,
+          new Uint8Array(e.target.result), mempackIndex, this.byteOrder);
+        this.reloadIfLoaded(entry);
+      } catch (err) {
+        n64js.ui().displayError(`Unable to import save: ${err}`);
+      }
+      this.refresh();
+    };
+    reader.readAsArrayBuffer(file);
+  }
+
+  /**
+   * Reloads saves from local storage if the entry belongs to the loaded rom.
+   * @param {!saves.SaveEntry} entry
+   */
+  reloadIfLoaded(entry) {
+    const hardware = n64js.hardware();
+    if (hardware.rominfo.id == entry.romId) {
+      hardware.initSaveGame();
+    }
+  }
+}
@@ -1,14 +1,20 @@
 /*global $, n64js*/
 
 import { ControllerConfig } from "./controller_config.js";
+import { MempakBrowser } from "./mempak_browser.js";
+import { SaveManager } from "./save_manager.js";
 
 export class UI {
   constructor() {
     this.controllerConfig = null;
+    this.saveManager = null;
+    this.mempakBrowser = null;
   }
 
   domLoaded() {
     this.controllerConfig = new ControllerConfig();
+    this.saveManager = new SaveManager();
+    this.mempakBrowser = new MempakBrowser();
 
     const dbg = n64js.debugger();
 
@@ -34,6 +40,14 @@ export class UI {
     this.controllerConfig.show();
   }
 
+  toggleSaveManager() {
+    this.saveManager.show();
+  }
+
+  toggleMempakBrowser() {
+    this.mempakBrowser.show();
+  }
+
   triggerLoad() {
     const fileInput = document.getElementById("fileInput");
     // Reset fileInput value, otherwise onchange doesn't recognise when we select the same rome back-to-back
@@ -57,6 +71,43 @@ export class UI {
     }
   }
 
+  triggerLoadState() {
+    const stateInput = document.getElementById("stateInput");
+    stateInput.value = '';
+    stateInput.click();
+  }
+
+  loadStateFile() {
+    const stateInput = document.getElementById("stateInput");
+    if (stateInput && stateInput.files.length > 0) {
+      const file = stateInput.files[0];
+      const reader = new FileReader();
+
+      reader.onerror = () => {
+        this.displayError('loading save state');
+      };
+      reader.onload = e => {
+        n64js.loadState(e.target.result);
+      };
+      reader.readAsArrayBuffer(file);
+    }
+  }
+
+  /**
+   * Prompts the browser to save the provided data as a file.
+   * @param {string} filename
+   * @param {!ArrayBuffer} arrayBuffer
+   */
+  downloadFile(filename, arrayBuffer) {
+    const blob = new Blob([arrayBuffer], { type: 'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
   displayWarning(message) { this.displayAlert("Warning", message); }
   displayError(message) { this.displayAlert("Error", message); }
 